@@ -23,6 +23,7 @@ import ChordGenerator from './components/ChordGenerator';
 import CompositionGenerator from './components/CompositionGenerator';
 import Visualization from './components/Visualization';
 import MIDIExportWithSave from './components/MIDIExportWithSave';
+import MIDIImport from './components/MIDIImport';
 import UserMenu from './components/auth/UserMenu';
 import MyCompositions from './components/user/MyCompositions';
 import Favorites from './components/user/Favorites';
@@ -160,6 +161,9 @@ function App() {
     return children;
   };
 
+  // Melody the key selectors can detect a key from: an imported file's, else the Melody tab's
+  const keyMelody = compositionData?.structure === 'imported' ? compositionData.melody : melodyData;
+
   const GeneratorTabs = () => {
     const handleTabChange = index => {
       setActiveTab(index);
@@ -219,7 +223,7 @@ function App() {
           <TabPanel p={0} mt={6}>
             <VStack spacing={8} align="stretch">
               <Box>
-                <ChordGenerator onChordGenerated={handleChordGenerated} />
+                <ChordGenerator onChordGenerated={handleChordGenerated} melodyData={melodyData} />
               </Box>
 
               {chordData && (
@@ -239,7 +243,14 @@ function App() {
           <TabPanel p={0} mt={6}>
             <VStack spacing={8} align="stretch">
               <Box>
-                <CompositionGenerator onCompositionGenerated={handleCompositionGenerated} />
+                <CompositionGenerator
+                  onCompositionGenerated={handleCompositionGenerated}
+                  melodyData={keyMelody}
+                />
+              </Box>
+
+              <Box>
+                <MIDIImport onMIDIImported={handleCompositionGenerated} />
               </Box>
 
               {compositionData && (
@@ -41,7 +41,16 @@ import {
 import { AccordionButton } from '@chakra-ui/react';
 
 import { applyVoiceLeading } from '../utils/chords';
+import { transposeOctaves } from '../utils/pitch';
+import { formatChordSymbol } from '../utils/chordSymbols';
+import KeyDetection from './KeyDetection';
+import { harmonizeMelody } from '../utils/harmonizer';
 import { getCommonProgressions, generateChordProgression } from '../utils/tonalUtils';
+import {
+  DEFAULT_TIME_SIGNATURE,
+  timeSignatureOptions,
+  getBeatsPerBar,
+} from '../utils/timeSignature';
 
 // Define keys with their full names for Tonal.js compatibility
 const keyOptions = [
@@ -71,11 +80,12 @@ const keyOptions = [
   'G# minor',
 ];
 
-function ChordGenerator({ onChordGenerated }) {
+function ChordGenerator({ onChordGenerated, melodyData }) {
   const [selectedKey, setSelectedKey] = useState('C major');
   const [selectedProgression, setSelectedProgression] = useState('Basic I-IV-V-I');
   const [tempo, setTempo] = useState(120);
   const [chordDuration, setChordDuration] = useState(1); // in bars
+  const [timeSignature, setTimeSignature] = useState(DEFAULT_TIME_SIGNATURE);
   const [progression, setProgression] = useState(null);
   const [isPlaying, setIsPlaying] = useState(false);
 
@@ -142,10 +152,7 @@ function ChordGenerator({ onChordGenerated }) {
 
       if (useInversions && inversion > 0) {
         for (let i = 0; i < inversion && i < notes.length; i++) {
-          const note = notes[i];
-          const noteName = note.slice(0, -1);
-          const octave = parseInt(note.slice(-1));
-          notes[i] = `${noteName}${octave + 1}`;
+          notes[i] = transposeOctaves(notes[i], 1);
         }
       }
 
@@ -166,6 +173,7 @@ function ChordGenerator({ onChordGenerated }) {
 
     const progressionData = {
       key: selectedKey,
+      timeSignature,
       progression: chords,
       useVoiceLeading,
       useInversions,
@@ -183,6 +191,43 @@ function ChordGenerator({ onChordGenerated }) {
     return chords;
   };
 
+  // Chords chosen to fit the melody rather than taken from a progression pattern
+  const harmonizeCurrentMelody = () => {
+    const melodyTimeSignature = melodyData.timeSignature || timeSignature;
+    let chords;
+    try {
+      chords = harmonizeMelody(
+        { ...melodyData, timeSignature: melodyTimeSignature },
+        { key: selectedKey, chordDuration, useSevenths: useExtendedChords }
+      );
+    } catch (error) {
+      console.error('Error harmonizing melody:', error);
+      return null;
+    }
+
+    if (useVoiceLeading) {
+      chords = applyVoiceLeading(chords);
+    }
+
+    const progressionData = {
+      key: selectedKey,
+      timeSignature: melodyTimeSignature,
+      progression: chords,
+      useVoiceLeading,
+      useInversions: false,
+      inversion: 0,
+      useExtendedChords,
+    };
+
+    setProgression(progressionData);
+
+    if (onChordGenerated) {
+      onChordGenerated(progressionData);
+    }
+
+    return chords;
+  };
+
   // This function is not currently used in the UI as playback has been moved to the PlaybackContext
   // Keeping it for reference or future use
   const _playProgressionLegacy = async () => {
@@ -213,7 +258,7 @@ function ChordGenerator({ onChordGenerated }) {
       Tone.Transport.bpm.value = tempo;
 
       const now = Tone.now();
-      const secondsPerBar = (60 / tempo) * 4;
+      const secondsPerBar = (60 / tempo) * getBeatsPerBar(timeSignature);
 
       chords.forEach((chord, index) => {
         const startTime = now + index * chord.duration * secondsPerBar;
@@ -269,6 +314,12 @@ function ChordGenerator({ onChordGenerated }) {
                   </option>
                 ))}
               </Select>
+              <KeyDetection
+                melodyData={melodyData}
+                keyOptions={keyOptions}
+                selectedKey={selectedKey}
+                onSelectKey={setSelectedKey}
+              />
             </FormControl>
 
             <FormControl>
@@ -322,6 +373,23 @@ function ChordGenerator({ onChordGenerated }) {
                 </NumberInputStepper>
               </NumberInput>
             </FormControl>
+
+            <FormControl>
+              <FormLabel>Time Signature</FormLabel>
+              <Select
+                value={timeSignature}
+                onChange={e => setTimeSignature(e.target.value)}
+                bg="rgba(255, 255, 255, 0.1)"
+                borderColor="rgba(255, 255, 255, 0.15)"
+                _hover={{ borderColor: 'primary.400' }}
+              >
+                {timeSignatureOptions.map(option => (
+                  <option key={option} value={option}>
+                    {option}
+                  </option>
+                ))}
+              </Select>
+            </FormControl>
           </SimpleGrid>
 
           {/* Advanced Controls */}
@@ -430,6 +498,21 @@ function ChordGenerator({ onChordGenerated }) {
             >
               Generate Progression
             </Button>
+            <Tooltip
+              label="Choose chords from the key that fit the current melody"
+              hasArrow
+              placement="top"
+            >
+              <Button
+                onClick={harmonizeCurrentMelody}
+                colorScheme="primary"
+                variant="outline"
+                size="lg"
+                isDisabled={!melodyData?.notes?.length}
+              >
+                Harmonize Melody
+              </Button>
+            </Tooltip>
           </HStack>
 
           {/* Progression Info */}
@@ -473,7 +556,7 @@ function ChordGenerator({ onChordGenerated }) {
                         color="primary.300"
                         textShadow="0 1px 2px rgba(0, 0, 0, 0.3)"
                       >
-                        {chord.symbol || `${chord.root.slice(0, -1)}${chord.type}`}
+                        {formatChordSymbol(chord)}
                       </Heading>
                       <Badge mb={2} textShadow="0 1px 2px rgba(0, 0, 0, 0.3)">
                         {chord.degree}
@@ -45,7 +45,7 @@ import {
 } from '@chakra-ui/react';
 import { AccordionButton } from '@chakra-ui/react';
 
-import { defaultScales } from '../utils/scales';
+import { getScale, octaveRangeOptions } from '../utils/scales';
 import {
   rhythmPatterns,
   contourTypes,
@@ -60,13 +60,20 @@ import {
   generateChordProgression,
   // getChordNotes is not currently used
 } from '../utils/tonalUtils';
-import { applyVoiceLeading, noteToMidi, midiToNote } from '../utils/chords';
+import { applyVoiceLeading } from '../utils/chords';
+import { getPitchClass, midiToNoteName, noteNameToMidi, stripOctave } from '../utils/pitch';
+import {
+  DEFAULT_TIME_SIGNATURE,
+  timeSignatureOptions,
+  getBeatsPerBar,
+} from '../utils/timeSignature';
+import { buildTempoMap } from '../utils/tempoMap';
+import { drumStyles, generateDrumPart, DRUM_CHANNEL } from '../utils/drums';
+import KeyDetection from './KeyDetection';
 
 // SoundFont utilities are now managed in the Composition Studio
 
-// Use the default scales from the scales utility
-const scales = defaultScales;
-
+// Keys the chords are built in; the melody uses the scale of the same name (see scales.js)
 const keyOptions = [
   'C major',
   'C# major',
@@ -94,10 +101,12 @@ const keyOptions = [
   'G# minor',
 ];
 
-function CompositionGenerator({ onCompositionGenerated }) {
+function CompositionGenerator({ onCompositionGenerated, melodyData }) {
   const [selectedKey, setSelectedKey] = useState('C major');
+  const [octaveRange, setOctaveRange] = useState(1);
   const [tempo, setTempo] = useState(120);
   const [bars, setBars] = useState(4);
+  const [timeSignature, setTimeSignature] = useState(DEFAULT_TIME_SIGNATURE);
   const [isPlaying, setIsPlaying] = useState(false);
   const [composition, setComposition] = useState(null);
   // activePlayingPart is no longer used as playback is handled by PlaybackContext
@@ -107,6 +116,10 @@ function CompositionGenerator({ onCompositionGenerated }) {
   const [verseProgression, setVerseProgression] = useState('Pop I-V-vi-IV');
   const [chorusProgression, setChorusProgression] = useState('Basic I-IV-V-I');
   const [structure, setStructure] = useState('verse-chorus-verse-chorus');
+  // Tempo per section name in BPM; sections without an entry use the main tempo
+  const [sectionTempos, setSectionTempos] = useState({});
+  const [tempoTransition, setTempoTransition] = useState('step');
+  const [tempoEnding, setTempoEnding] = useState('none');
 
   const [complexity, setComplexity] = useState(5);
   const [rhythmPattern, setRhythmPattern] = useState('basic');
@@ -129,6 +142,10 @@ function CompositionGenerator({ onCompositionGenerated }) {
   const [bassOctave, setBassOctave] = useState(2);
   const [bassComplexity, setBassComplexity] = useState(3);
 
+  const [useDrums, setUseDrums] = useState(true);
+  const [drumStyle, setDrumStyle] = useState('rock');
+  const [drumFills, setDrumFills] = useState(true);
+
   const [availableProgressions, setAvailableProgressions] = useState({});
 
   const audioContextRef = useRef(null);
@@ -191,6 +208,8 @@ function CompositionGenerator({ onCompositionGenerated }) {
       randomizeOptions();
     }
 
+    const beatsPerBar = getBeatsPerBar(timeSignature);
+
     // Generate chord progression
     let formattedChords = [];
 
@@ -278,260 +297,132 @@ function CompositionGenerator({ onCompositionGenerated }) {
     }
 
     // Generate melody
-    const scale = scales[selectedKey] || scales['C Major']; // Fallback to C Major if the selected key is not found
+    const scale = getScale(selectedKey, { octaves: octaveRange });
     let melodyNotes = [];
     let currentTime = 0;
 
-    if (scale && scale.length > 0) {
-      if (useVerseChorus) {
-        // Generate melody for each section based on the chord progression
-        // We track section changes to apply different motifs and patterns
-        let currentSection = '';
-        let sectionMotif = null;
-
-        // Process each chord to generate melody notes
-        formattedChords.forEach((chord, chordIndex) => {
-          // Check if we're starting a new section
-          if (chord.section !== currentSection) {
-            currentSection = chord.section;
-
-            // Generate a new motif for this section if using motifs
-            if (useMotif) {
-              sectionMotif = generateMotif(scale, 4);
-            }
-
-            // New section detected - position is tracked in chord.position
-          }
-
-          // Determine rhythm pattern and contour based on section
-          let sectionRhythmPattern;
-          let sectionContourFn;
-
-          if (currentSection === 'verse') {
-            // Verses often have more varied rhythms
-            sectionRhythmPattern = rhythmPatterns[rhythmPattern] || rhythmPatterns.basic;
-            sectionContourFn = contourTypes['arch'] || contourTypes.random;
-          } else if (currentSection === 'chorus') {
-            // Choruses often have more repetitive, memorable rhythms
-            sectionRhythmPattern = rhythmPatterns['basic'] || rhythmPatterns.basic;
-            sectionContourFn = contourTypes['wave'] || contourTypes.random;
-          } else if (currentSection === 'intro') {
-            // Intros often build up
-            sectionRhythmPattern = rhythmPatterns['dotted'] || rhythmPatterns.basic;
-            sectionContourFn = contourTypes['ascending'] || contourTypes.random;
-          } else if (currentSection === 'outro') {
-            // Outros often wind down
-            sectionRhythmPattern = rhythmPatterns['dotted'] || rhythmPatterns.basic;
-            sectionContourFn = contourTypes['descending'] || contourTypes.random;
-          } else {
-            // Default
-            sectionRhythmPattern = rhythmPatterns[rhythmPattern] || rhythmPatterns.basic;
-            sectionContourFn = contourTypes[contourType] || contourTypes.random;
+    if (useVerseChorus) {
+      // Generate melody for each section based on the chord progression
+      // We track section changes to apply different motifs and patterns
+      let currentSection = '';
+      let sectionMotif = null;
+
+      // Process each chord to generate melody notes
+      formattedChords.forEach((chord, chordIndex) => {
+        // Check if we're starting a new section
+        if (chord.section !== currentSection) {
+          currentSection = chord.section;
+
+          // Generate a new motif for this section if using motifs
+          if (useMotif) {
+            sectionMotif = generateMotif(scale, 4);
           }
 
-          // Calculate chord duration in beats
-          const chordDurationBeats = chord.duration * 4;
-
-          // Generate melody for this chord
-          if (useMotif && sectionMotif) {
-            // Use motif-based melody generation
-            const useVariation = chordIndex % 2 === 1 || (chordIndex > 0 && Math.random() < 0.3);
-            const currentMotif = useVariation
-              ? applyMotifVariation(sectionMotif, scale.length, motifVariation)
-              : sectionMotif;
-
-            // Scale the motif to fit the chord duration
-            const motifTotalDuration = currentMotif.reduce((sum, note) => sum + note.duration, 0);
-            const scaleFactor = chordDurationBeats / motifTotalDuration;
-
-            let chordTime = chord.position * 4; // Convert from bars to beats
-
-            // Add the motif notes to the melody
-            currentMotif.forEach(motifNote => {
-              const scaleIndex = Math.min(scale.length - 1, Math.max(0, motifNote.scaleIndex));
-
-              // Adjust note to fit chord (prefer chord tones)
-              let adjustedScaleIndex = scaleIndex;
-              if (chord.notes && chord.notes.length > 0 && Math.random() < 0.7) {
-                // Extract note names from chord notes (without octave)
-                const chordNoteNames = chord.notes.map(note => note.slice(0, -1));
-
-                // Find the closest chord tone
-                const scaleNoteName = scale[scaleIndex].slice(0, -1);
-                if (!chordNoteNames.includes(scaleNoteName)) {
-                  // Find a chord tone to use instead
-                  const randomChordNote =
-                    chordNoteNames[Math.floor(Math.random() * chordNoteNames.length)];
-                  // Find this note in the scale
-                  const newIndex = scale.findIndex(note => note.slice(0, -1) === randomChordNote);
-                  if (newIndex !== -1) {
-                    adjustedScaleIndex = newIndex;
-                  }
-                }
-              }
-
-              melodyNotes.push({
-                pitch: scale[adjustedScaleIndex],
-                duration: motifNote.duration * scaleFactor,
-                velocity: 0.7 + Math.random() * 0.3,
-                startTime: chordTime,
-                section: currentSection,
-              });
-
-              chordTime += motifNote.duration * scaleFactor;
-            });
-          } else {
-            // Use pattern-based melody generation
-            const patternTotalDuration = sectionRhythmPattern.reduce(
-              (sum, duration) => sum + duration,
-              0
-            );
-            const repetitions = Math.ceil(chordDurationBeats / patternTotalDuration);
-
-            let chordTime = chord.position * 4; // Convert from bars to beats
-            let patternIndex = 0;
-
-            // Generate notes to fill the chord duration
-            for (let rep = 0; rep < repetitions; rep++) {
-              for (let j = 0; j < sectionRhythmPattern.length; j++) {
-                // Check if we've exceeded the chord duration
-                if (chordTime >= chord.position * 4 + chordDurationBeats) break;
-
-                // Get duration from pattern
-                const duration = sectionRhythmPattern[j];
+          // New section detected - position is tracked in chord.position
+        }
 
-                // Use contour to influence note selection
-                const contourPosition = sectionContourFn(
-                  patternIndex / (sectionRhythmPattern.length * repetitions)
-                );
+        // Determine rhythm pattern and contour based on section
+        let sectionRhythmPattern;
+        let sectionContourFn;
+
+        if (currentSection === 'verse') {
+          // Verses often have more varied rhythms
+          sectionRhythmPattern = rhythmPatterns[rhythmPattern] || rhythmPatterns.basic;
+          sectionContourFn = contourTypes['arch'] || contourTypes.random;
+        } else if (currentSection === 'chorus') {
+          // Choruses often have more repetitive, memorable rhythms
+          sectionRhythmPattern = rhythmPatterns['basic'] || rhythmPatterns.basic;
+          sectionContourFn = contourTypes['wave'] || contourTypes.random;
+        } else if (currentSection === 'intro') {
+          // Intros often build up
+          sectionRhythmPattern = rhythmPatterns['dotted'] || rhythmPatterns.basic;
+          sectionContourFn = contourTypes['ascending'] || contourTypes.random;
+        } else if (currentSection === 'outro') {
+          // Outros often wind down
+          sectionRhythmPattern = rhythmPatterns['dotted'] || rhythmPatterns.basic;
+          sectionContourFn = contourTypes['descending'] || contourTypes.random;
+        } else {
+          // Default
+          sectionRhythmPattern = rhythmPatterns[rhythmPattern] || rhythmPatterns.basic;
+          sectionContourFn = contourTypes[contourType] || contourTypes.random;
+        }
 
-                // Calculate scale position based on contour and complexity
-                const scalePosition = Math.floor(
-                  contourPosition * scale.length +
-                    ((Math.random() * complexity) / 5 - complexity / 10)
+        // Calculate chord duration in beats
+        const chordDurationBeats = chord.duration * beatsPerBar;
+
+        // Generate melody for this chord
+        if (useMotif && sectionMotif) {
+          // Use motif-based melody generation
+          const useVariation = chordIndex % 2 === 1 || (chordIndex > 0 && Math.random() < 0.3);
+          const currentMotif = useVariation
+            ? applyMotifVariation(sectionMotif, scale.length, motifVariation)
+            : sectionMotif;
+
+          // Scale the motif to fit the chord duration
+          const motifTotalDuration = currentMotif.reduce((sum, note) => sum + note.duration, 0);
+          const scaleFactor = chordDurationBeats / motifTotalDuration;
+
+          let chordTime = chord.position * beatsPerBar; // Convert from bars to beats
+
+          // Add the motif notes to the melody
+          currentMotif.forEach(motifNote => {
+            const scaleIndex = Math.min(scale.length - 1, Math.max(0, motifNote.scaleIndex));
+
+            // Adjust note to fit chord (prefer chord tones)
+            let adjustedScaleIndex = scaleIndex;
+            if (chord.notes && chord.notes.length > 0 && Math.random() < 0.7) {
+              // Pitch classes of the chord notes, so an Eb in the scale matches a D# in the chord
+              const chordPitchClasses = chord.notes.map(getPitchClass);
+
+              // Find the closest chord tone
+              const scalePitchClass = getPitchClass(scale[scaleIndex]);
+              if (!chordPitchClasses.includes(scalePitchClass)) {
+                // Find a chord tone to use instead
+                const randomChordPitchClass =
+                  chordPitchClasses[Math.floor(Math.random() * chordPitchClasses.length)];
+                // Find this note in the scale
+                const newIndex = scale.findIndex(
+                  note => getPitchClass(note) === randomChordPitchClass
                 );
-
-                // Clamp to valid scale indices
-                const clampedPosition = Math.min(scale.length - 1, Math.max(0, scalePosition));
-
-                // Adjust note to fit chord (prefer chord tones)
-                let adjustedPosition = clampedPosition;
-                if (chord.notes && chord.notes.length > 0 && Math.random() < 0.7) {
-                  // Extract note names from chord notes (without octave)
-                  const chordNoteNames = chord.notes.map(note => note.slice(0, -1));
-
-                  // Find the closest chord tone
-                  const scaleNoteName = scale[clampedPosition].slice(0, -1);
-                  if (!chordNoteNames.includes(scaleNoteName)) {
-                    // Find a chord tone to use instead
-                    const randomChordNote =
-                      chordNoteNames[Math.floor(Math.random() * chordNoteNames.length)];
-                    // Find this note in the scale
-                    const newIndex = scale.findIndex(note => note.slice(0, -1) === randomChordNote);
-                    if (newIndex !== -1) {
-                      adjustedPosition = newIndex;
-                    }
-                  }
+                if (newIndex !== -1) {
+                  adjustedScaleIndex = newIndex;
                 }
-
-                const note = scale[adjustedPosition];
-
-                // Velocity (0-127 in MIDI, but normalized to 0-1 for Tone.js)
-                // Make chorus notes slightly louder
-                const velocityBase = currentSection === 'chorus' ? 0.8 : 0.7;
-                const velocity = velocityBase + Math.random() * 0.3;
-
-                melodyNotes.push({
-                  pitch: note,
-                  duration: duration,
-                  velocity: velocity,
-                  startTime: chordTime,
-                  section: currentSection,
-                });
-
-                chordTime += duration;
-                patternIndex++;
               }
             }
-          }
-        });
-
-        // Apply section-specific articulation and dynamics
-        let verseNotes = melodyNotes.filter(note => note.section === 'verse');
-        let chorusNotes = melodyNotes.filter(note => note.section === 'chorus');
-        let introNotes = melodyNotes.filter(note => note.section === 'intro');
-        let outroNotes = melodyNotes.filter(note => note.section === 'outro');
-
-        // Apply different articulations to different sections
-        if (melodyArticulation !== 'none') {
-          verseNotes = applyArticulation(verseNotes, melodyArticulation);
-          chorusNotes = applyArticulation(chorusNotes, 'marcato'); // More pronounced for chorus
-          introNotes = applyArticulation(introNotes, 'legato');
-          outroNotes = applyArticulation(outroNotes, 'tenuto');
-        }
-
-        // Apply different dynamics to different sections
-        if (melodyDynamics !== 'none') {
-          verseNotes = applyDynamics(verseNotes, melodyDynamics);
-          chorusNotes = applyDynamics(chorusNotes, 'crescendo'); // Building intensity for chorus
-          introNotes = applyDynamics(introNotes, 'fade');
-          outroNotes = applyDynamics(outroNotes, 'diminuendo');
-        }
 
-        // Recombine all notes
-        melodyNotes = [...introNotes, ...verseNotes, ...chorusNotes, ...outroNotes].sort(
-          (a, b) => a.startTime - b.startTime
-        );
-      } else {
-        // Standard melody generation without verse/chorus structure
-        // Get the selected rhythm pattern
-        const selectedPattern = rhythmPatterns[rhythmPattern] || rhythmPatterns.basic;
-
-        // Get the selected contour function
-        const contourFn = contourTypes[contourType] || contourTypes.random;
-
-        // Generate a motif if enabled
-        const motif = useMotif ? generateMotif(scale, 4) : null;
-
-        // Calculate total notes based on rhythm pattern and bars
-        const patternTotalDuration = selectedPattern.reduce((sum, duration) => sum + duration, 0);
-        const patternsPerBar = 4 / patternTotalDuration; // Assuming 4/4 time
-        const totalPatterns = Math.ceil(bars * patternsPerBar);
-
-        // Generate notes based on whether we're using motifs or not
-        if (useMotif && motif) {
-          // Generate melody using motifs
-          for (let bar = 0; bar < bars; bar++) {
-            // Decide whether to use the motif directly or with variation
-            const useVariation = bar % 2 === 1 || (bar > 0 && Math.random() < 0.3);
-            const currentMotif = useVariation
-              ? applyMotifVariation(motif, scale.length, motifVariation)
-              : motif;
-
-            // Add the motif notes to the melody
-            currentMotif.forEach(motifNote => {
-              const scaleIndex = Math.min(scale.length - 1, Math.max(0, motifNote.scaleIndex));
-              melodyNotes.push({
-                pitch: scale[scaleIndex],
-                duration: motifNote.duration,
-                velocity: 0.7 + Math.random() * 0.3,
-                startTime: currentTime,
-              });
-              currentTime += motifNote.duration;
+            melodyNotes.push({
+              pitch: scale[adjustedScaleIndex],
+              duration: motifNote.duration * scaleFactor,
+              velocity: 0.7 + Math.random() * 0.3,
+              startTime: chordTime,
+              section: currentSection,
             });
-          }
+
+            chordTime += motifNote.duration * scaleFactor;
+          });
         } else {
-          // Generate melody using rhythm patterns and contour
+          // Use pattern-based melody generation
+          const patternTotalDuration = sectionRhythmPattern.reduce(
+            (sum, duration) => sum + duration,
+            0
+          );
+          const repetitions = Math.ceil(chordDurationBeats / patternTotalDuration);
+
+          let chordTime = chord.position * beatsPerBar; // Convert from bars to beats
           let patternIndex = 0;
 
-          for (let i = 0; i < totalPatterns; i++) {
-            for (let j = 0; j < selectedPattern.length; j++) {
+          // Generate notes to fill the chord duration
+          for (let rep = 0; rep < repetitions; rep++) {
+            for (let j = 0; j < sectionRhythmPattern.length; j++) {
+              // Check if we've exceeded the chord duration
+              if (chordTime >= chord.position * beatsPerBar + chordDurationBeats) break;
+
               // Get duration from pattern
-              const duration = selectedPattern[j];
+              const duration = sectionRhythmPattern[j];
 
               // Use contour to influence note selection
-              const contourPosition = contourFn(
-                patternIndex / (totalPatterns * selectedPattern.length)
+              const contourPosition = sectionContourFn(
+                patternIndex / (sectionRhythmPattern.length * repetitions)
               );
 
               // Calculate scale position based on contour and complexity
@@ -542,63 +433,178 @@ function CompositionGenerator({ onCompositionGenerated }) {
 
               // Clamp to valid scale indices
               const clampedPosition = Math.min(scale.length - 1, Math.max(0, scalePosition));
-              const note = scale[clampedPosition];
+
+              // Adjust note to fit chord (prefer chord tones)
+              let adjustedPosition = clampedPosition;
+              if (chord.notes && chord.notes.length > 0 && Math.random() < 0.7) {
+                // Pitch classes of the chord notes, so an Eb in the scale matches a D# in the chord
+                const chordPitchClasses = chord.notes.map(getPitchClass);
+
+                // Find the closest chord tone
+                const scalePitchClass = getPitchClass(scale[clampedPosition]);
+                if (!chordPitchClasses.includes(scalePitchClass)) {
+                  // Find a chord tone to use instead
+                  const randomChordPitchClass =
+                    chordPitchClasses[Math.floor(Math.random() * chordPitchClasses.length)];
+                  // Find this note in the scale
+                  const newIndex = scale.findIndex(
+                    note => getPitchClass(note) === randomChordPitchClass
+                  );
+                  if (newIndex !== -1) {
+                    adjustedPosition = newIndex;
+                  }
+                }
+              }
+
+              const note = scale[adjustedPosition];
 
               // Velocity (0-127 in MIDI, but normalized to 0-1 for Tone.js)
-              const velocity = 0.7 + Math.random() * 0.3; // Between 0.7 and 1.0
+              // Make chorus notes slightly louder
+              const velocityBase = currentSection === 'chorus' ? 0.8 : 0.7;
+              const velocity = velocityBase + Math.random() * 0.3;
 
               melodyNotes.push({
                 pitch: note,
                 duration: duration,
                 velocity: velocity,
-                startTime: currentTime,
+                startTime: chordTime,
+                section: currentSection,
               });
 
-              currentTime += duration;
+              chordTime += duration;
               patternIndex++;
             }
           }
         }
+      });
+
+      // Apply section-specific articulation and dynamics
+      let verseNotes = melodyNotes.filter(note => note.section === 'verse');
+      let chorusNotes = melodyNotes.filter(note => note.section === 'chorus');
+      let introNotes = melodyNotes.filter(note => note.section === 'intro');
+      let outroNotes = melodyNotes.filter(note => note.section === 'outro');
+
+      // Apply different articulations to different sections
+      if (melodyArticulation !== 'none') {
+        verseNotes = applyArticulation(verseNotes, melodyArticulation);
+        chorusNotes = applyArticulation(chorusNotes, 'marcato'); // More pronounced for chorus
+        introNotes = applyArticulation(introNotes, 'legato');
+        outroNotes = applyArticulation(outroNotes, 'tenuto');
+      }
 
-        // Trim notes to fit within the specified number of bars
-        const totalDuration = bars * 4; // 4 beats per bar
-        melodyNotes = melodyNotes.filter(note => note.startTime < totalDuration);
+      // Apply different dynamics to different sections
+      if (melodyDynamics !== 'none') {
+        verseNotes = applyDynamics(verseNotes, melodyDynamics);
+        chorusNotes = applyDynamics(chorusNotes, 'crescendo'); // Building intensity for chorus
+        introNotes = applyDynamics(introNotes, 'fade');
+        outroNotes = applyDynamics(outroNotes, 'diminuendo');
+      }
 
-        // Apply articulation if selected
-        if (melodyArticulation !== 'none') {
-          melodyNotes = applyArticulation(melodyNotes, melodyArticulation);
+      // Recombine all notes
+      melodyNotes = [...introNotes, ...verseNotes, ...chorusNotes, ...outroNotes].sort(
+        (a, b) => a.startTime - b.startTime
+      );
+    } else {
+      // Standard melody generation without verse/chorus structure
+      // Get the selected rhythm pattern
+      const selectedPattern = rhythmPatterns[rhythmPattern] || rhythmPatterns.basic;
+
+      // Get the selected contour function
+      const contourFn = contourTypes[contourType] || contourTypes.random;
+
+      // Generate a motif if enabled
+      const motif = useMotif ? generateMotif(scale, 4) : null;
+
+      // Calculate total notes based on rhythm pattern and bars
+      const patternTotalDuration = selectedPattern.reduce((sum, duration) => sum + duration, 0);
+      const patternsPerBar = beatsPerBar / patternTotalDuration;
+      const totalPatterns = Math.ceil(bars * patternsPerBar);
+
+      // Generate notes based on whether we're using motifs or not
+      if (useMotif && motif) {
+        // Generate melody using motifs
+        for (let bar = 0; bar < bars; bar++) {
+          // Decide whether to use the motif directly or with variation
+          const useVariation = bar % 2 === 1 || (bar > 0 && Math.random() < 0.3);
+          const currentMotif = useVariation
+            ? applyMotifVariation(motif, scale.length, motifVariation)
+            : motif;
+
+          // Add the motif notes to the melody
+          currentMotif.forEach(motifNote => {
+            const scaleIndex = Math.min(scale.length - 1, Math.max(0, motifNote.scaleIndex));
+            melodyNotes.push({
+              pitch: scale[scaleIndex],
+              duration: motifNote.duration,
+              velocity: 0.7 + Math.random() * 0.3,
+              startTime: currentTime,
+            });
+            currentTime += motifNote.duration;
+          });
         }
+      } else {
+        // Generate melody using rhythm patterns and contour
+        let patternIndex = 0;
+
+        for (let i = 0; i < totalPatterns; i++) {
+          for (let j = 0; j < selectedPattern.length; j++) {
+            // Get duration from pattern
+            const duration = selectedPattern[j];
+
+            // Use contour to influence note selection
+            const contourPosition = contourFn(
+              patternIndex / (totalPatterns * selectedPattern.length)
+            );
 
-        // Apply dynamics if selected
-        if (melodyDynamics !== 'none') {
-          melodyNotes = applyDynamics(melodyNotes, melodyDynamics);
+            // Calculate scale position based on contour and complexity
+            const scalePosition = Math.floor(
+              contourPosition * scale.length + ((Math.random() * complexity) / 5 - complexity / 10)
+            );
+
+            // Clamp to valid scale indices
+            const clampedPosition = Math.min(scale.length - 1, Math.max(0, scalePosition));
+            const note = scale[clampedPosition];
+
+            // Velocity (0-127 in MIDI, but normalized to 0-1 for Tone.js)
+            const velocity = 0.7 + Math.random() * 0.3; // Between 0.7 and 1.0
+
+            melodyNotes.push({
+              pitch: note,
+              duration: duration,
+              velocity: velocity,
+              startTime: currentTime,
+            });
+
+            currentTime += duration;
+            patternIndex++;
+          }
         }
       }
 
-      // Apply humanization if enabled (for both verse/chorus and standard)
-      if (humanize) {
-        melodyNotes = humanizeNotes(melodyNotes, {
-          timingVariation: 0.02,
-          velocityVariation: 0.1,
-          durationVariation: 0.05,
-        });
+      // Trim notes to fit within the specified number of bars
+      const totalDuration = bars * beatsPerBar;
+      melodyNotes = melodyNotes.filter(note => note.startTime < totalDuration);
+
+      // Apply articulation if selected
+      if (melodyArticulation !== 'none') {
+        melodyNotes = applyArticulation(melodyNotes, melodyArticulation);
       }
-    } else {
-      console.error(`No scale found for key: ${selectedKey}`);
-      // Add a default C major scale melody as fallback
-      const defaultScale = ['C4', 'D4', 'E4', 'F4', 'G4', 'A4', 'B4'];
-      for (let i = 0; i < bars * 4; i++) {
-        const randomIndex = Math.floor(Math.random() * defaultScale.length);
-        melodyNotes.push({
-          pitch: defaultScale[randomIndex],
-          duration: 1, // Quarter note
-          velocity: 0.8,
-          startTime: currentTime,
-        });
-        currentTime += 1;
+
+      // Apply dynamics if selected
+      if (melodyDynamics !== 'none') {
+        melodyNotes = applyDynamics(melodyNotes, melodyDynamics);
       }
     }
 
+    // Apply humanization if enabled (for both verse/chorus and standard)
+    if (humanize) {
+      melodyNotes = humanizeNotes(melodyNotes, {
+        timingVariation: 0.02,
+        velocityVariation: 0.1,
+        durationVariation: 0.05,
+      });
+    }
+
     // Generate bass line
     let bassNotes = [];
     currentTime = 0;
@@ -614,7 +620,7 @@ function CompositionGenerator({ onCompositionGenerated }) {
           return [
             {
               pitch: `C${bassOctave}`,
-              duration: duration * 4,
+              duration: duration * beatsPerBar,
               velocity: 0.9,
               startTime: 0,
               section: chord.section,
@@ -624,12 +630,12 @@ function CompositionGenerator({ onCompositionGenerated }) {
 
         // Extract just the note name without any octave information
         // This is important because chord.root might already include an octave
-        const rootNoteName = chord.root.replace(/\d+$/, '');
+        const rootNoteName = stripOctave(chord.root);
 
         return [
           {
             pitch: `${rootNoteName}${bassOctave}`,
-            duration: duration * 4,
+            duration: duration * beatsPerBar,
             velocity: 0.9,
             startTime: 0,
             section: chord.section,
@@ -647,12 +653,12 @@ function CompositionGenerator({ onCompositionGenerated }) {
         }
 
         // Extract just the note name without any octave information
-        const rootNoteName = chord.root.replace(/\d+$/, '');
+        const rootNoteName = stripOctave(chord.root);
 
         // Try to get MIDI number for the root note
-        const rootMidi = noteToMidi ? noteToMidi(`${rootNoteName}${bassOctave}`) : 0;
+        const rootMidi = noteNameToMidi ? noteNameToMidi(`${rootNoteName}${bassOctave}`) : 0;
 
-        // If noteToMidi is not available or fails, fall back to basic pattern
+        // If noteNameToMidi is not available or fails, fall back to basic pattern
         if (!rootMidi) {
           return bassPatterns.basic(chord, duration);
         }
@@ -666,8 +672,10 @@ function CompositionGenerator({ onCompositionGenerated }) {
           section: chord.section,
         });
 
-        // Use midiToNote to get the fifth note (7 semitones up)
-        const fifthNote = midiToNote ? midiToNote(rootMidi + 7) : `${rootNoteName}${bassOctave}`;
+        // Use midiToNoteName to get the fifth note (7 semitones up)
+        const fifthNote = midiToNoteName
+          ? midiToNoteName(rootMidi + 7, rootNoteName)
+          : `${rootNoteName}${bassOctave}`;
         notes.push({
           pitch: fifthNote,
           duration: 1,
@@ -676,9 +684,9 @@ function CompositionGenerator({ onCompositionGenerated }) {
           section: chord.section,
         });
 
-        // Use midiToNote to get the octave note (12 semitones up)
-        const octaveNote = midiToNote
-          ? midiToNote(rootMidi + 12)
+        // Use midiToNoteName to get the octave note (12 semitones up)
+        const octaveNote = midiToNoteName
+          ? midiToNoteName(rootMidi + 12, rootNoteName)
           : `${rootNoteName}${bassOctave + 1}`;
         notes.push({
           pitch: octaveNote,
@@ -702,7 +710,7 @@ function CompositionGenerator({ onCompositionGenerated }) {
       arpeggio: (chord, duration) => {
         // Arpeggiated bass - use chord notes
         const notes = [];
-        const beatsPerChord = duration * 4;
+        const beatsPerChord = duration * beatsPerBar;
         const notesPerBeat = 1;
         const totalNotes = beatsPerChord * notesPerBeat;
 
@@ -725,7 +733,7 @@ function CompositionGenerator({ onCompositionGenerated }) {
             }
 
             // Extract just the note name without any octave information
-            const noteName = chordNote.replace(/\d+$/, '');
+            const noteName = stripOctave(chordNote);
 
             // Skip if we couldn't extract a valid note name
             if (!noteName) {
@@ -764,7 +772,7 @@ function CompositionGenerator({ onCompositionGenerated }) {
         }
 
         // Extract just the note name without any octave information
-        const rootNoteName = chord.root.replace(/\d+$/, '');
+        const rootNoteName = stripOctave(chord.root);
 
         notes.push({
           pitch: `${rootNoteName}${bassOctave}`,
@@ -811,12 +819,12 @@ function CompositionGenerator({ onCompositionGenerated }) {
         }
 
         // Extract just the note name without any octave information
-        const rootNoteName = chord.root.replace(/\d+$/, '');
+        const rootNoteName = stripOctave(chord.root);
 
         // Try to get MIDI number for the root note
-        const rootMidi = noteToMidi ? noteToMidi(`${rootNoteName}${bassOctave}`) : 0;
+        const rootMidi = noteNameToMidi ? noteNameToMidi(`${rootNoteName}${bassOctave}`) : 0;
 
-        // If noteToMidi is not available or fails, fall back to basic pattern
+        // If noteNameToMidi is not available or fails, fall back to basic pattern
         if (!rootMidi) {
           return bassPatterns.basic(chord, duration);
         }
@@ -830,8 +838,10 @@ function CompositionGenerator({ onCompositionGenerated }) {
           section: chord.section,
         });
 
-        // Use midiToNote to get the fifth note (7 semitones up)
-        const fifthNote = midiToNote ? midiToNote(rootMidi + 7) : `${rootNoteName}${bassOctave}`;
+        // Use midiToNoteName to get the fifth note (7 semitones up)
+        const fifthNote = midiToNoteName
+          ? midiToNoteName(rootMidi + 7, rootNoteName)
+          : `${rootNoteName}${bassOctave}`;
         notes.push({
           pitch: fifthNote,
           duration: 2,
@@ -853,12 +863,12 @@ function CompositionGenerator({ onCompositionGenerated }) {
         }
 
         // Extract just the note name without any octave information
-        const rootNoteName = chord.root.replace(/\d+$/, '');
+        const rootNoteName = stripOctave(chord.root);
 
         // Try to get MIDI number for the root note
-        const rootMidi = noteToMidi ? noteToMidi(`${rootNoteName}${bassOctave}`) : 0;
+        const rootMidi = noteNameToMidi ? noteNameToMidi(`${rootNoteName}${bassOctave}`) : 0;
 
-        // If noteToMidi is not available or fails, fall back to basic pattern
+        // If noteNameToMidi is not available or fails, fall back to basic pattern
         if (!rootMidi) {
           return bassPatterns.basic(chord, duration);
         }
@@ -880,8 +890,10 @@ function CompositionGenerator({ onCompositionGenerated }) {
           section: chord.section,
         });
 
-        // Use midiToNote to get the fifth note (7 semitones up)
-        const fifthNote = midiToNote ? midiToNote(rootMidi + 7) : `${rootNoteName}${bassOctave}`;
+        // Use midiToNoteName to get the fifth note (7 semitones up)
+        const fifthNote = midiToNoteName
+          ? midiToNoteName(rootMidi + 7, rootNoteName)
+          : `${rootNoteName}${bassOctave}`;
         notes.push({
           pitch: fifthNote,
           duration: 0.5,
@@ -918,6 +930,17 @@ function CompositionGenerator({ onCompositionGenerated }) {
       },
     };
 
+    // The fixed patterns are written for a 4/4 bar, so cut them off where a shorter chord ends
+    const fitBassToChord = (notes, chord) => {
+      const chordBeats = chord.duration * beatsPerBar;
+      return notes
+        .filter(note => note.startTime < chordBeats)
+        .map(note => ({
+          ...note,
+          duration: Math.min(note.duration, chordBeats - note.startTime),
+        }));
+    };
+
     if (useVerseChorus) {
       // Use different bass patterns for different sections
       formattedChords.forEach(chord => {
@@ -942,7 +965,7 @@ function CompositionGenerator({ onCompositionGenerated }) {
         }
 
         // Generate bass notes for this chord
-        const chordBassNotes = sectionBassPattern(chord, chord.duration);
+        const chordBassNotes = fitBassToChord(sectionBassPattern(chord, chord.duration), chord);
 
         // Add the notes to the bass line with the correct start time
         chordBassNotes.forEach(note => {
@@ -956,7 +979,7 @@ function CompositionGenerator({ onCompositionGenerated }) {
         });
 
         // Update the current time
-        currentTime += chord.duration * 4;
+        currentTime += chord.duration * beatsPerBar;
       });
 
       // Apply section-specific dynamics
@@ -983,7 +1006,7 @@ function CompositionGenerator({ onCompositionGenerated }) {
       // Generate bass notes for each chord
       formattedChords.forEach(chord => {
         // Generate bass notes for this chord
-        const chordBassNotes = selectedBassPattern(chord, chord.duration);
+        const chordBassNotes = fitBassToChord(selectedBassPattern(chord, chord.duration), chord);
 
         // Add the notes to the bass line with the correct start time
         chordBassNotes.forEach(note => {
@@ -996,7 +1019,7 @@ function CompositionGenerator({ onCompositionGenerated }) {
         });
 
         // Update the current time
-        currentTime += chord.duration * 4;
+        currentTime += chord.duration * beatsPerBar;
       });
     }
 
@@ -1009,13 +1032,61 @@ function CompositionGenerator({ onCompositionGenerated }) {
       });
     }
 
+    // Build the tempo map from the section tempos and the chosen ending
+    const sectionStarts = useVerseChorus
+      ? formattedChords
+          .filter(
+            (chord, index) => index === 0 || chord.section !== formattedChords[index - 1].section
+          )
+          .map(chord => ({
+            name: chord.section,
+            startTime: chord.position * beatsPerBar,
+            tempo: sectionTempos[chord.section] || tempo,
+          }))
+      : [];
+    const lastBeat = Math.max(
+      0,
+      ...formattedChords.map(chord => (chord.position + chord.duration) * beatsPerBar),
+      ...melodyNotes.map(note => note.startTime + note.duration)
+    );
+    const totalBeats = Math.ceil(lastBeat / beatsPerBar) * beatsPerBar;
+    const lastOnset = Math.max(
+      0,
+      ...formattedChords.map(chord => chord.position * beatsPerBar),
+      ...melodyNotes.map(note => note.startTime)
+    );
+    const tempoMap = buildTempoMap({
+      tempo,
+      totalBeats,
+      beatsPerBar,
+      sections: sectionStarts,
+      transition: tempoTransition,
+      ending: tempoEnding,
+      lastOnset,
+    });
+
+    // Generate drums, with fills leading into each section
+    const drumNotes = useDrums
+      ? generateDrumPart({
+          style: drumStyle,
+          totalBeats,
+          timeSignature,
+          sections: sectionStarts,
+          fills: drumFills,
+        })
+      : [];
+
     // Create the composition data
     const compositionData = {
       key: selectedKey,
       tempo: tempo,
+      tempoMap: tempoMap,
+      timeSignature: timeSignature,
       bars: bars,
       structure: useVerseChorus ? structure : 'simple',
       melody: {
+        tempoMap: tempoMap,
+        timeSignature: timeSignature,
         notes: melodyNotes,
         instrument: 'acoustic_grand_piano',
         rhythmPattern: rhythmPattern,
@@ -1026,6 +1097,8 @@ function CompositionGenerator({ onCompositionGenerated }) {
         dynamics: melodyDynamics,
       },
       chord: {
+        tempoMap: tempoMap,
+        timeSignature: timeSignature,
         progression: formattedChords,
         instrument: 'acoustic_guitar_nylon',
         useVoiceLeading: useVoiceLeading,
@@ -1042,6 +1115,12 @@ function CompositionGenerator({ onCompositionGenerated }) {
         octave: bassOctave,
         complexity: bassComplexity,
       },
+      drums: {
+        notes: drumNotes,
+        style: drumStyle,
+        fills: drumFills,
+        channel: DRUM_CHANNEL,
+      },
       humanize: humanize,
     };
 
@@ -1192,7 +1271,7 @@ function CompositionGenerator({ onCompositionGenerated }) {
       Tone.Transport.bpm.value = tempo;
 
       const now = Tone.now();
-      const secondsPerBar = (60 / tempo) * 4; // 4 beats per bar
+      const secondsPerBar = (60 / tempo) * getBeatsPerBar(timeSignature);
 
       chords.forEach(chord => {
         const startTime = now + chord.position * secondsPerBar;
@@ -1341,7 +1420,7 @@ function CompositionGenerator({ onCompositionGenerated }) {
 
     const chordPromise = new Promise(resolve => {
       playChordsWithToneJs(composition.chord.progression);
-      const secondsPerBar = (60 / tempo) * 4;
+      const secondsPerBar = (60 / tempo) * getBeatsPerBar(timeSignature);
       const totalDuration =
         composition.chord.progression.reduce(
           (sum, chord) => Math.max(sum, chord.position + chord.duration),
@@ -1398,7 +1477,7 @@ function CompositionGenerator({ onCompositionGenerated }) {
       <CardBody>
         <VStack spacing={6} align="stretch">
           {/* Basic Controls */}
-          <SimpleGrid columns={{ base: 1, md: 3 }} spacing={6}>
+          <SimpleGrid columns={{ base: 1, md: 4 }} spacing={6}>
             <FormControl>
               <FormLabel>Key</FormLabel>
               <Select
@@ -1414,6 +1493,12 @@ function CompositionGenerator({ onCompositionGenerated }) {
                   </option>
                 ))}
               </Select>
+              <KeyDetection
+                melodyData={melodyData}
+                keyOptions={keyOptions}
+                selectedKey={selectedKey}
+                onSelectKey={setSelectedKey}
+              />
             </FormControl>
 
             <FormControl>
@@ -1449,6 +1534,23 @@ function CompositionGenerator({ onCompositionGenerated }) {
                 </NumberInputStepper>
               </NumberInput>
             </FormControl>
+
+            <FormControl>
+              <FormLabel>Time Signature</FormLabel>
+              <Select
+                value={timeSignature}
+                onChange={e => setTimeSignature(e.target.value)}
+                bg="rgba(255, 255, 255, 0.1)"
+                borderColor="rgba(255, 255, 255, 0.15)"
+                _hover={{ borderColor: 'primary.400' }}
+              >
+                {timeSignatureOptions.map(option => (
+                  <option key={option} value={option}>
+                    {option}
+                  </option>
+                ))}
+              </Select>
+            </FormControl>
           </SimpleGrid>
 
           {/* Advanced Options Tabs */}
@@ -1459,6 +1561,7 @@ function CompositionGenerator({ onCompositionGenerated }) {
                 <Tab>Melody</Tab>
                 <Tab>Chords</Tab>
                 <Tab>Bass</Tab>
+                <Tab>Drums</Tab>
                 <Tab>Structure</Tab>
               </TabList>
 
@@ -1516,6 +1619,23 @@ function CompositionGenerator({ onCompositionGenerated }) {
                     Melody Options
                   </Heading>
                   <SimpleGrid columns={{ base: 1, md: 2 }} spacing={4}>
+                    <FormControl>
+                      <FormLabel>Octave Range</FormLabel>
+                      <Select
+                        value={octaveRange}
+                        onChange={e => setOctaveRange(Number(e.target.value))}
+                        bg="rgba(255, 255, 255, 0.1)"
+                        borderColor="rgba(255, 255, 255, 0.15)"
+                        _hover={{ borderColor: 'primary.400' }}
+                      >
+                        {octaveRangeOptions.map(octaves => (
+                          <option key={octaves} value={octaves}>
+                            {octaves === 1 ? '1 octave' : `${octaves} octaves`}
+                          </option>
+                        ))}
+                      </Select>
+                    </FormControl>
+
                     <FormControl>
                       <FormLabel>Complexity: {complexity}</FormLabel>
                       <Slider
@@ -1844,6 +1964,63 @@ function CompositionGenerator({ onCompositionGenerated }) {
                   </SimpleGrid>
                 </TabPanel>
 
+                {/* Drums Tab */}
+                <TabPanel>
+                  <Heading size="sm" mb={3}>
+                    Drum Options
+                  </Heading>
+                  <SimpleGrid columns={{ base: 1, md: 2 }} spacing={4}>
+                    <FormControl>
+                      <Flex align="center">
+                        <FormLabel mb={0}>Include Drums</FormLabel>
+                        <Checkbox
+                          isChecked={useDrums}
+                          onChange={e => setUseDrums(e.target.checked)}
+                          colorScheme="primary"
+                        />
+                      </Flex>
+                    </FormControl>
+
+                    <FormControl isDisabled={!useDrums}>
+                      <FormLabel>Drum Style</FormLabel>
+                      <Select
+                        value={drumStyle}
+                        onChange={e => setDrumStyle(e.target.value)}
+                        bg="rgba(255, 255, 255, 0.1)"
+                        borderColor="rgba(255, 255, 255, 0.15)"
+                        _hover={{ borderColor: 'primary.400' }}
+                      >
+                        {Object.entries(drumStyles).map(([style, { name }]) => (
+                          <option key={style} value={style}>
+                            {name}
+                          </option>
+                        ))}
+                      </Select>
+                    </FormControl>
+
+                    <FormControl isDisabled={!useDrums}>
+                      <Flex align="center">
+                        <FormLabel mb={0}>Fills</FormLabel>
+                        <Checkbox
+                          isChecked={drumFills}
+                          onChange={e => setDrumFills(e.target.checked)}
+                          colorScheme="primary"
+                          isDisabled={!useDrums}
+                        />
+                        <Tooltip
+                          label="Plays a tom fill into each new section of the verse/chorus structure"
+                          hasArrow
+                          placement="top"
+                        >
+                          <Box as="span" ml={1} color="gray.300" fontSize="sm">
+                            ⓘ
+                          </Box>
+                        </Tooltip>
+                      </Flex>
+                    </FormControl>
+                  </SimpleGrid>
+                </TabPanel>
+
                 {/* Structure Tab */}
                 <TabPanel>
                   <Heading size="sm" mb={3}>
@@ -1945,6 +2122,70 @@ function CompositionGenerator({ onCompositionGenerated }) {
                       </>
                     )}
                   </SimpleGrid>
+
+                  <Heading size="sm" mt={6} mb={3}>
+                    Tempo Changes
+                  </Heading>
+                  <SimpleGrid columns={{ base: 1, md: 2 }} spacing={4}>
+                    <FormControl>
+                      <FormLabel>Ending</FormLabel>
+                      <Select
+                        value={tempoEnding}
+                        onChange={e => setTempoEnding(e.target.value)}
+                        bg="rgba(255, 255, 255, 0.1)"
+                        borderColor="rgba(255, 255, 255, 0.15)"
+                        _hover={{ borderColor: 'primary.400' }}
+                      >
+                        <option value="none">In tempo</option>
+                        <option value="ritardando">Ritardando</option>
+                        <option value="fermata">Final fermata</option>
+                        <option value="ritardando-fermata">Ritardando and fermata</option>
+                      </Select>
+                    </FormControl>
+
+                    {useVerseChorus && (
+                      <>
+                        <FormControl>
+                          <FormLabel>Section Transitions</FormLabel>
+                          <Select
+                            value={tempoTransition}
+                            onChange={e => setTempoTransition(e.target.value)}
+                            bg="rgba(255, 255, 255, 0.1)"
+                            borderColor="rgba(255, 255, 255, 0.15)"
+                            _hover={{ borderColor: 'primary.400' }}
+                          >
+                            <option value="step">Sudden change</option>
+                            <option value="ramp">Accelerando / ritardando over one bar</option>
+                          </Select>
+                        </FormControl>
+
+                        {[...new Set(structure.split('-'))].map(section => (
+                          <FormControl key={section}>
+                            <FormLabel textTransform="capitalize">{section} Tempo (BPM)</FormLabel>
+                            <NumberInput
+                              min={40}
+                              max={240}
+                              value={sectionTempos[section] || tempo}
+                              onChange={valueString =>
+                                setSectionTempos({
+                                  ...sectionTempos,
+                                  [section]: parseInt(valueString) || tempo,
+                                })
+                              }
+                              bg="rgba(255, 255, 255, 0.1)"
+                              borderColor="rgba(255, 255, 255, 0.15)"
+                            >
+                              <NumberInputField />
+                              <NumberInputStepper>
+                                <NumberIncrementStepper />
+                                <NumberDecrementStepper />
+                              </NumberInputStepper>
+                            </NumberInput>
+                          </FormControl>
+                        ))}
+                      </>
+                    )}
+                  </SimpleGrid>
                 </TabPanel>
               </TabPanels>
             </Tabs>
@@ -1995,6 +2236,7 @@ function CompositionGenerator({ onCompositionGenerated }) {
                     Tempo:
                   </Badge>{' '}
                   {composition.tempo} BPM
+                  {composition.tempoMap?.length > 1 && ' (with tempo changes)'}
                 </Text>
                 <Text fontWeight="medium">
                   <Badge colorScheme="primary" mr={2} textShadow="0 1px 2px rgba(0, 0, 0, 0.3)">
@@ -2020,6 +2262,15 @@ function CompositionGenerator({ onCompositionGenerated }) {
                   </Badge>{' '}
                   {composition.bass.notes.length}
                 </Text>
+                {composition.drums?.notes.length > 0 && (
+                  <Text fontWeight="medium">
+                    <Badge colorScheme="primary" mr={2} textShadow="0 1px 2px rgba(0, 0, 0, 0.3)">
+                      Drums:
+                    </Badge>{' '}
+                    {drumStyles[composition.drums.style]?.name} ({composition.drums.notes.length}{' '}
+                    hits)
+                  </Text>
+                )}
               </SimpleGrid>
             </Box>
           )}
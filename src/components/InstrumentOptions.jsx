@@ -0,0 +1,16 @@
+import { getInstrumentsByFamily } from '../utils/generalMidi';
+
+// General MIDI instruments grouped by family, as the options of an instrument Select
+function InstrumentOptions() {
+  return getInstrumentsByFamily().map(({ family, instruments }) => (
+    <optgroup key={family} label={family}>
+      {instruments.map(instrument => (
+        <option key={instrument.id} value={instrument.id}>
+          {instrument.name}
+        </option>
+      ))}
+    </optgroup>
+  ));
+}
+
+export default InstrumentOptions;
@@ -1,4 +1,3 @@
-
 import {
   Box,
   Button,
@@ -19,7 +18,7 @@ import {
   Text,
   useDisclosure,
 } from '@chakra-ui/react';
-import { getAvailableInstruments } from '../utils/soundfontUtils';
+import InstrumentOptions from './InstrumentOptions';
 
 function InstrumentSelector({
   type,
@@ -32,7 +31,6 @@ function InstrumentSelector({
   isLoading,
 }) {
   const { isOpen, onOpen, onClose } = useDisclosure();
-  const availableInstruments = getAvailableInstruments();
 
   return (
     <>
@@ -91,11 +89,7 @@ function InstrumentSelector({
                           color="white"
                           mr={2}
                         >
-                          {Object.entries(availableInstruments).map(([value, name]) => (
-                            <option key={value} value={value}>
-                              {name}
-                            </option>
-                          ))}
+                          <InstrumentOptions />
                         </Select>
                         {isLoading && <Spinner size="sm" color="primary.400" />}
                       </Flex>
@@ -116,11 +110,7 @@ function InstrumentSelector({
                           color="white"
                           mr={2}
                         >
-                          {Object.entries(availableInstruments).map(([value, name]) => (
-                            <option key={value} value={value}>
-                              {name}
-                            </option>
-                          ))}
+                          <InstrumentOptions />
                         </Select>
                         {isLoading && <Spinner size="sm" color="primary.400" />}
                       </Flex>
@@ -142,11 +132,7 @@ function InstrumentSelector({
                             color="white"
                             mr={2}
                           >
-                            {Object.entries(availableInstruments).map(([value, name]) => (
-                              <option key={value} value={value}>
-                                {name}
-                              </option>
-                            ))}
+                            <InstrumentOptions />
                           </Select>
                           {isLoading && <Spinner size="sm" color="primary.400" />}
                         </Flex>
@@ -165,11 +151,7 @@ function InstrumentSelector({
                             color="white"
                             mr={2}
                           >
-                            {Object.entries(availableInstruments).map(([value, name]) => (
-                              <option key={value} value={value}>
-                                {name}
-                              </option>
-                            ))}
+                            <InstrumentOptions />
                           </Select>
                           {isLoading && <Spinner size="sm" color="primary.400" />}
                         </Flex>
@@ -188,11 +170,7 @@ function InstrumentSelector({
                             color="white"
                             mr={2}
                           >
-                            {Object.entries(availableInstruments).map(([value, name]) => (
-                              <option key={value} value={value}>
-                                {name}
-                              </option>
-                            ))}
+                            <InstrumentOptions />
                           </Select>
                           {isLoading && <Spinner size="sm" color="primary.400" />}
                         </Flex>
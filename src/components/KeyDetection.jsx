@@ -0,0 +1,43 @@
+import { useMemo } from 'react';
+import { Button, HStack, Text, Tooltip } from '@chakra-ui/react';
+import { detectKey, findKeyOption } from '../utils/keyDetection';
+
+// The keys a melody is most likely in, offered as choices for a key selector
+function KeyDetection({ melodyData, keyOptions, selectedKey, onSelectKey, count = 3 }) {
+  const candidates = useMemo(() => {
+    // Only the modes the selector offers, so confidence is shared among keys that can be picked
+    const modes = [...new Set(keyOptions.map(option => option.split(/\s+/)[1]?.toLowerCase()))];
+    return detectKey(melodyData?.notes || [], { modes })
+      .map(key => ({ ...key, option: findKeyOption(key, keyOptions) }))
+      .filter(key => key.option)
+      .slice(0, count);
+  }, [melodyData, keyOptions, count]);
+
+  if (candidates.length === 0) return null;
+
+  return (
+    <HStack spacing={2} mt={2} flexWrap="wrap">
+      <Text fontSize="sm" color="gray.300">
+        Melody key:
+      </Text>
+      {candidates.map(key => (
+        <Tooltip
+          key={key.option}
+          label={`Correlation ${key.correlation.toFixed(2)} with the ${key.mode} key profile`}
+          hasArrow
+        >
+          <Button
+            size="xs"
+            variant={key.option === selectedKey ? 'solid' : 'outline'}
+            colorScheme="primary"
+            onClick={() => onSelectKey(key.option)}
+          >
+            {key.option} ({Math.round(key.confidence * 100)}%)
+          </Button>
+        </Tooltip>
+      ))}
+    </HStack>
+  );
+}
+
+export default KeyDetection;
@@ -1,5 +1,13 @@
-import { useState } from 'react';
-import { exportAndDownloadMIDI } from '../utils/firebase/midiExport';
+import { useState, useEffect } from 'react';
+import {
+  exportAndDownload,
+  getDefaultExporterOptions,
+  getExportData,
+  getExportOptions,
+  getExporters,
+} from '../utils/exporters';
+import { usePlaybackInstruments } from '../utils/playbackInstruments';
+import InstrumentOptions from './InstrumentOptions';
 import {
   Box,
   Heading,
@@ -30,19 +38,28 @@ import {
 import { AccordionButton } from '@chakra-ui/react';
 
 function MIDIExport({ data, type }) {
+  const { melodyInstrument, chordInstrument, bassInstrument } = usePlaybackInstruments();
   const [fileName, setFileName] = useState('my-music');
   const [exportStatus, setExportStatus] = useState('');
+  const [format, setFormat] = useState('midi');
   const [exportOptions, setExportOptions] = useState({
     includeMelody: true,
     includeChords: true,
     includeBass: true,
-    melodyInstrument: 0, // Piano
-    chordInstrument: 4, // Electric Piano
-    bassInstrument: 32, // Acoustic Bass
+    includeDrums: true,
+    // Instrument ids from generalMidi.js, starting with the ones picked for playback
+    melodyInstrument,
+    chordInstrument,
+    bassInstrument,
     applyExpression: true,
-    humanize: true,
+    // File type, resolution and the like, as the export formats declare them
+    ...getDefaultExporterOptions(),
   });
 
+  // Formats with something to export for this data, from the export registry
+  const formats = getExporters({ type, ...getExportData(data, type) });
+  const selectedFormat = formats.find(({ id }) => id === format) || formats[0];
+
   // Handle option changes
   const handleOptionChange = (option, value) => {
     setExportOptions({
@@ -51,38 +68,30 @@ function MIDIExport({ data, type }) {
     });
   };
 
-  // Export MIDI file using JZZ
-  const handleExport = async () => {
-    // Determine which data to use
-    let melodyData = null;
-    let chordData = null;
-
-    if (type === 'melody') {
-      melodyData = data;
-    } else if (type === 'chord') {
-      chordData = data;
-    } else if (type === 'composition') {
-      // For composition type, we have both melody and chord data
-      melodyData = data.melody;
-      chordData = data.chord;
-    }
+  // Follow the instruments picked for playback, so the file plays what was heard
+  useEffect(() => {
+    setExportOptions(options => ({
+      ...options,
+      melodyInstrument,
+      chordInstrument,
+      bassInstrument,
+    }));
+  }, [melodyInstrument, chordInstrument, bassInstrument]);
 
+  // Export in the format picked, through the export service
+  const handleExport = async () => {
+    const { melodyData, chordData } = getExportData(data, type);
     if (!melodyData && !chordData) {
       setExportStatus('No data to export');
       return;
     }
 
     try {
-      // Set export options based on data type
-      const options = {
-        ...exportOptions,
-        includeMelody: (type === 'melody' || type === 'composition') && exportOptions.includeMelody,
-        includeChords: (type === 'chord' || type === 'composition') && exportOptions.includeChords,
-        includeBass: type === 'composition' && exportOptions.includeBass,
-      };
+      const options = getExportOptions(data, type, exportOptions);
 
-      // Export the MIDI file
-      const success = await exportAndDownloadMIDI(
+      // Export the file
+      const success = await exportAndDownload(
+        selectedFormat.id,
         melodyData,
         chordData,
         `${fileName}-${type}`,
@@ -198,6 +207,18 @@ function MIDIExport({ data, type }) {
                         />
                         <FormLabel mb={0}>Include Bass Track</FormLabel>
                       </FormControl>
+
+                      {type === 'composition' && data?.drums?.notes?.length > 0 && (
+                        <FormControl display="flex" alignItems="center" mb={2}>
+                          <Checkbox
+                            isChecked={exportOptions.includeDrums}
+                            onChange={e => handleOptionChange('includeDrums', e.target.checked)}
+                            colorScheme="primary"
+                            mr={2}
+                          />
+                          <FormLabel mb={0}>Include Drum Track (Channel 10)</FormLabel>
+                        </FormControl>
+                      )}
                     </Box>
 
                     {/* Processing Options */}
@@ -220,25 +241,6 @@ function MIDIExport({ data, type }) {
                           </Box>
                         </Tooltip>
                       </FormControl>
-
-                      <FormControl display="flex" alignItems="center" mb={2}>
-                        <Checkbox
-                          isChecked={exportOptions.humanize}
-                          onChange={e => handleOptionChange('humanize', e.target.checked)}
-                          colorScheme="primary"
-                          mr={2}
-                        />
-                        <FormLabel mb={0}>Humanize</FormLabel>
-                        <Tooltip
-                          label="Adds slight timing and velocity variations"
-                          hasArrow
-                          placement="top"
-                        >
-                          <Box as="span" ml={1} color="gray.300" fontSize="sm">
-                            ⓘ
-                          </Box>
-                        </Tooltip>
-                      </FormControl>
                     </Box>
 
                     {/* Instrument Selection */}
@@ -246,19 +248,12 @@ function MIDIExport({ data, type }) {
                       <FormLabel>Melody Instrument</FormLabel>
                       <Select
                         value={exportOptions.melodyInstrument}
-                        onChange={e =>
-                          handleOptionChange('melodyInstrument', parseInt(e.target.value))
-                        }
+                        onChange={e => handleOptionChange('melodyInstrument', e.target.value)}
                         bg="rgba(255, 255, 255, 0.1)"
                         borderColor="rgba(255, 255, 255, 0.15)"
                         _hover={{ borderColor: 'primary.400' }}
                       >
-                        <option value="0">Piano</option>
-                        <option value="4">Electric Piano</option>
-                        <option value="24">Acoustic Guitar</option>
-                        <option value="73">Flute</option>
-                        <option value="66">Saxophone</option>
-                        <option value="40">Violin</option>
+                        <InstrumentOptions />
                       </Select>
                     </FormControl>
 
@@ -266,19 +261,12 @@ function MIDIExport({ data, type }) {
                       <FormLabel>Chord Instrument</FormLabel>
                       <Select
                         value={exportOptions.chordInstrument}
-                        onChange={e =>
-                          handleOptionChange('chordInstrument', parseInt(e.target.value))
-                        }
+                        onChange={e => handleOptionChange('chordInstrument', e.target.value)}
                         bg="rgba(255, 255, 255, 0.1)"
                         borderColor="rgba(255, 255, 255, 0.15)"
                         _hover={{ borderColor: 'primary.400' }}
                       >
-                        <option value="0">Piano</option>
-                        <option value="4">Electric Piano</option>
-                        <option value="24">Acoustic Guitar</option>
-                        <option value="48">String Ensemble</option>
-                        <option value="19">Church Organ</option>
-                        <option value="5">Electric Piano 2</option>
+                        <InstrumentOptions />
                       </Select>
                     </FormControl>
 
@@ -286,43 +274,72 @@ function MIDIExport({ data, type }) {
                       <FormLabel>Bass Instrument</FormLabel>
                       <Select
                         value={exportOptions.bassInstrument}
-                        onChange={e =>
-                          handleOptionChange('bassInstrument', parseInt(e.target.value))
-                        }
+                        onChange={e => handleOptionChange('bassInstrument', e.target.value)}
                         bg="rgba(255, 255, 255, 0.1)"
                         borderColor="rgba(255, 255, 255, 0.15)"
                         _hover={{ borderColor: 'primary.400' }}
                       >
-                        <option value="32">Acoustic Bass</option>
-                        <option value="33">Electric Bass</option>
-                        <option value="34">Electric Bass (pick)</option>
-                        <option value="35">Fretless Bass</option>
-                        <option value="36">Slap Bass 1</option>
-                        <option value="42">Cello</option>
+                        <InstrumentOptions />
                       </Select>
                     </FormControl>
+
+                    {/* Options the selected format reads */}
+                    {selectedFormat?.options.map(option => (
+                      <FormControl key={option.id}>
+                        <FormLabel>{option.label}</FormLabel>
+                        <Select
+                          value={exportOptions[option.id]}
+                          onChange={e => handleOptionChange(option.id, Number(e.target.value))}
+                          bg="rgba(255, 255, 255, 0.1)"
+                          borderColor="rgba(255, 255, 255, 0.15)"
+                          _hover={{ borderColor: 'primary.400' }}
+                        >
+                          {option.choices.map(choice => (
+                            <option key={choice.value} value={choice.value}>
+                              {choice.label}
+                            </option>
+                          ))}
+                        </Select>
+                      </FormControl>
+                    ))}
                   </SimpleGrid>
                 </AccordionPanel>
               </AccordionItem>
             </Accordion>
           </Box>
 
-          {/* Export Button */}
-          <Button
-            onClick={handleExport}
-            isDisabled={!data}
-            colorScheme="primary"
-            size="lg"
-            leftIcon={
-              <Box as="span" className="icon">
-                💾
-              </Box>
-            }
-            alignSelf="flex-start"
-            mt={4}
-          >
-            Export as MIDI
-          </Button>
+          {/* Format Picker and Export Button */}
+          <HStack spacing={4} mt={4} alignSelf="flex-start">
+            <Select
+              aria-label="Export format"
+              value={selectedFormat?.id}
+              onChange={e => setFormat(e.target.value)}
+              w="auto"
+              size="lg"
+              bg="rgba(255, 255, 255, 0.1)"
+              borderColor="rgba(255, 255, 255, 0.15)"
+              _hover={{ borderColor: 'primary.400' }}
+            >
+              {formats.map(({ id, name }) => (
+                <option key={id} value={id}>
+                  {name}
+                </option>
+              ))}
+            </Select>
+            <Button
+              onClick={handleExport}
+              isDisabled={!data || !selectedFormat}
+              colorScheme="primary"
+              size="lg"
+              leftIcon={
+                <Box as="span" className="icon">
+                  💾
+                </Box>
+              }
+            >
+              Export as {selectedFormat?.name}
+            </Button>
+          </HStack>
 
           {/* Export Status */}
           {exportStatus && (
@@ -354,7 +371,9 @@ function MIDIExport({ data, type }) {
                   ? 'chord progression'
                   : 'composition'}{' '}
               as a standard MIDI file that can be imported into any Digital Audio Workstation (DAW)
-              like Ableton Live, Logic Pro, FL Studio, etc.
+              like Ableton Live, Logic Pro, FL Studio, etc., or as MusicXML sheet music for notation
+              software like MuseScore, Sibelius and Finale, or as a LilyPond lead sheet to engrave
+              as a PDF.
             </Text>
             <Text fontWeight="bold" color="primary.300" textShadow="0 1px 2px rgba(0, 0, 0, 0.3)">
               Pro Tip:{' '}
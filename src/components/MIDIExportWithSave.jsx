@@ -1,6 +1,16 @@
 import { useState, useEffect } from 'react';
 import { useAuth } from '../utils/firebase/AuthContext';
-import { exportAndDownloadMIDI, exportAndSaveMIDI } from '../utils/firebase/midiExport';
+import { exportAndSaveMIDI } from '../utils/firebase/midiExport';
+import {
+  exportAndDownload,
+  getDefaultExporterOptions,
+  getExportData,
+  getExportOptions,
+  getExporterOptions,
+  getExporters,
+} from '../utils/exporters';
+import { usePlaybackInstruments } from '../utils/playbackInstruments';
+import InstrumentOptions from './InstrumentOptions';
 import { checkFavoriteStatus, toggleFavorite } from '../controllers/FavoriteController';
 import {
   Box,
@@ -41,18 +51,34 @@ import {
 } from '@chakra-ui/react';
 import { AccordionButton } from '@chakra-ui/react';
 
+// Button icon of each export format, by registry id
+const formatIcons = {
+  midi: '💾',
+  musicxml: '🎼',
+  lilypond: '📄',
+  abc: '🔤',
+  stems: '🗂️',
+  karaoke: '🎤',
+  wav: '🔊',
+  json: '🧾',
+};
+
 function MIDIExportWithSave({ data, type }) {
+  const { melodyInstrument, chordInstrument, bassInstrument } = usePlaybackInstruments();
   const [fileName, setFileName] = useState('my-music');
   const [exportStatus, setExportStatus] = useState('');
   const [exportOptions, setExportOptions] = useState({
     includeMelody: true,
     includeChords: true,
     includeBass: true,
-    melodyInstrument: 0, // Piano
-    chordInstrument: 4, // Electric Piano
-    bassInstrument: 32, // Acoustic Bass
+    includeDrums: true,
+    // Instrument ids from generalMidi.js, starting with the ones picked for playback
+    melodyInstrument,
+    chordInstrument,
+    bassInstrument,
     applyExpression: true,
-    humanize: true,
+    // File type, resolution, WAV bit depth and the like, as the export formats declare them
+    ...getDefaultExporterOptions(),
   });
   const [isPublic, setIsPublic] = useState(false);
   const [isSaving, setIsSaving] = useState(false);
@@ -60,6 +86,8 @@ function MIDIExportWithSave({ data, type }) {
   const [isFavorited, setIsFavorited] = useState(false);
 
   const { isOpen, onOpen, onClose } = useDisclosure();
+  // Formats with something to export for this data, from the export registry
+  const formats = getExporters({ type, ...getExportData(data, type) });
   const { currentUser } = useAuth();
   const toast = useToast();
 
@@ -70,6 +98,16 @@ function MIDIExportWithSave({ data, type }) {
     });
   };
 
+  // Follow the instruments picked for playback, so the file plays what was heard
+  useEffect(() => {
+    setExportOptions(options => ({
+      ...options,
+      melodyInstrument,
+      chordInstrument,
+      bassInstrument,
+    }));
+  }, [melodyInstrument, chordInstrument, bassInstrument]);
+
   useEffect(() => {
     const checkFavoriteStatusAsync = async () => {
       if (currentUser && savedFileId) {
@@ -85,42 +123,27 @@ function MIDIExportWithSave({ data, type }) {
     checkFavoriteStatusAsync();
   }, [currentUser, savedFileId]);
 
-  const handleExport = async () => {
-    let melodyData = null;
-    let chordData = null;
-
+  // Download in any registered format: a MIDI file, a score, a stems zip, rendered audio...
+  const handleExport = async (format = 'midi') => {
     // Check if we have valid data
     if (!data) {
       setExportStatus('No data to export. Please generate content first.');
       return;
     }
 
-    if (type === 'melody') {
-      melodyData = data;
-    } else if (type === 'chord') {
-      chordData = data;
-    } else if (type === 'composition') {
-      // For composition type, we have both melody and chord data
-      melodyData = data.melody;
-      chordData = data.chord;
-    }
-
+    const { melodyData, chordData } = getExportData(data, type);
     if (!melodyData && !chordData) {
       setExportStatus('No data to export');
       return;
     }
 
+    const formatName = formats.find(({ id }) => id === format)?.name || format;
+
     try {
-      // Set export options based on data type
-      const options = {
-        ...exportOptions,
-        includeMelody: (type === 'melody' || type === 'composition') && exportOptions.includeMelody,
-        includeChords: (type === 'chord' || type === 'composition') && exportOptions.includeChords,
-        includeBass: type === 'composition' && exportOptions.includeBass,
-      };
-
-      // Export the MIDI file
-      const success = await exportAndDownloadMIDI(
+      const options = getExportOptions(data, type, exportOptions);
+
+      const success = await exportAndDownload(
+        format,
         melodyData,
         chordData,
         `${fileName}-${type}`,
@@ -128,13 +151,13 @@ function MIDIExportWithSave({ data, type }) {
       );
 
       if (success) {
-        setExportStatus('MIDI file exported successfully!');
+        setExportStatus(`${formatName} file exported successfully!`);
       } else {
-        setExportStatus('Failed to export MIDI file');
+        setExportStatus(`Failed to export ${formatName} file`);
       }
     } catch (error) {
-      console.error('Error exporting MIDI:', error);
-      setExportStatus('Error exporting MIDI file');
+      console.error(`Error exporting ${formatName}:`, error);
+      setExportStatus(`Error exporting ${formatName} file`);
     }
   };
 
@@ -145,19 +168,7 @@ function MIDIExportWithSave({ data, type }) {
       return;
     }
 
-    // Determine which data to use
-    let melodyData = null;
-    let chordData = null;
-
-    if (type === 'melody') {
-      melodyData = data;
-    } else if (type === 'chord') {
-      chordData = data;
-    } else if (type === 'composition') {
-      melodyData = data.melody;
-      chordData = data.chord;
-    }
-
+    const { melodyData, chordData } = getExportData(data, type);
     if (!melodyData && !chordData) {
       toast({
         title: 'No data to save',
@@ -171,13 +182,7 @@ function MIDIExportWithSave({ data, type }) {
     try {
       setIsSaving(true);
 
-      // Set export options based on data type
-      const options = {
-        ...exportOptions,
-        includeMelody: (type === 'melody' || type === 'composition') && exportOptions.includeMelody,
-        includeChords: (type === 'chord' || type === 'composition') && exportOptions.includeChords,
-        includeBass: type === 'composition' && exportOptions.includeBass,
-      };
+      const options = getExportOptions(data, type, exportOptions);
 
       // Save to Firebase
       const fileId = await exportAndSaveMIDI(
@@ -326,6 +331,20 @@ function MIDIExportWithSave({ data, type }) {
                 />
               </FormControl>
             )}
+
+            {type === 'composition' && data?.drums?.notes?.length > 0 && (
+              <FormControl display="flex" alignItems="center">
+                <FormLabel htmlFor="include-drums" mb="0">
+                  Include Drums
+                </FormLabel>
+                <Switch
+                  id="include-drums"
+                  isChecked={exportOptions.includeDrums}
+                  onChange={e => handleOptionChange('includeDrums', e.target.checked)}
+                  colorScheme="primary"
+                />
+              </FormControl>
+            )}
           </SimpleGrid>
 
           {/* Advanced Export Options */}
@@ -348,19 +367,12 @@ function MIDIExportWithSave({ data, type }) {
                       <FormLabel>Melody Instrument</FormLabel>
                       <Select
                         value={exportOptions.melodyInstrument}
-                        onChange={e =>
-                          handleOptionChange('melodyInstrument', parseInt(e.target.value))
-                        }
+                        onChange={e => handleOptionChange('melodyInstrument', e.target.value)}
                         bg="rgba(255, 255, 255, 0.1)"
                         borderColor="rgba(255, 255, 255, 0.15)"
                         _hover={{ borderColor: 'primary.400' }}
                       >
-                        <option value="0">Piano</option>
-                        <option value="24">Acoustic Guitar</option>
-                        <option value="73">Flute</option>
-                        <option value="66">Saxophone</option>
-                        <option value="19">Church Organ</option>
-                        <option value="4">Electric Piano</option>
+                        <InstrumentOptions />
                       </Select>
                     </FormControl>
                   )}
@@ -370,19 +382,12 @@ function MIDIExportWithSave({ data, type }) {
                       <FormLabel>Chord Instrument</FormLabel>
                       <Select
                         value={exportOptions.chordInstrument}
-                        onChange={e =>
-                          handleOptionChange('chordInstrument', parseInt(e.target.value))
-                        }
+                        onChange={e => handleOptionChange('chordInstrument', e.target.value)}
                         bg="rgba(255, 255, 255, 0.1)"
                         borderColor="rgba(255, 255, 255, 0.15)"
                         _hover={{ borderColor: 'primary.400' }}
                       >
-                        <option value="0">Piano</option>
-                        <option value="4">Electric Piano</option>
-                        <option value="24">Acoustic Guitar</option>
-                        <option value="25">Electric Guitar</option>
-                        <option value="48">String Ensemble</option>
-                        <option value="19">Church Organ</option>
+                        <InstrumentOptions />
                       </Select>
                     </FormControl>
                   )}
@@ -392,21 +397,36 @@ function MIDIExportWithSave({ data, type }) {
                       <FormLabel>Bass Instrument</FormLabel>
                       <Select
                         value={exportOptions.bassInstrument}
-                        onChange={e =>
-                          handleOptionChange('bassInstrument', parseInt(e.target.value))
-                        }
+                        onChange={e => handleOptionChange('bassInstrument', e.target.value)}
                         bg="rgba(255, 255, 255, 0.1)"
                         borderColor="rgba(255, 255, 255, 0.15)"
                         _hover={{ borderColor: 'primary.400' }}
                       >
-                        <option value="32">Acoustic Bass</option>
-                        <option value="33">Electric Bass</option>
-                        <option value="42">Cello</option>
-                        <option value="43">Contrabass</option>
+                        <InstrumentOptions />
                       </Select>
                     </FormControl>
                   )}
 
+                  {/* Options the export formats read */}
+                  {getExporterOptions(formats).map(option => (
+                    <FormControl key={option.id}>
+                      <FormLabel>{option.label}</FormLabel>
+                      <Select
+                        value={exportOptions[option.id]}
+                        onChange={e => handleOptionChange(option.id, Number(e.target.value))}
+                        bg="rgba(255, 255, 255, 0.1)"
+                        borderColor="rgba(255, 255, 255, 0.15)"
+                        _hover={{ borderColor: 'primary.400' }}
+                      >
+                        {option.choices.map(choice => (
+                          <option key={choice.value} value={choice.value}>
+                            {choice.label}
+                          </option>
+                        ))}
+                      </Select>
+                    </FormControl>
+                  ))}
+
                   <FormControl display="flex" alignItems="center">
                     <FormLabel htmlFor="apply-expression" mb="0">
                       Apply Expression
@@ -418,18 +438,6 @@ function MIDIExportWithSave({ data, type }) {
                       colorScheme="primary"
                     />
                   </FormControl>
-
-                  <FormControl display="flex" alignItems="center">
-                    <FormLabel htmlFor="humanize" mb="0">
-                      Humanize
-                    </FormLabel>
-                    <Switch
-                      id="humanize"
-                      isChecked={exportOptions.humanize}
-                      onChange={e => handleOptionChange('humanize', e.target.checked)}
-                      colorScheme="primary"
-                    />
-                  </FormControl>
                 </SimpleGrid>
               </AccordionPanel>
             </AccordionItem>
@@ -470,18 +478,22 @@ function MIDIExportWithSave({ data, type }) {
           )}
 
           {/* Action Buttons */}
-          <HStack spacing={4} mt={2}>
-            <Button
-              onClick={handleExport}
-              colorScheme="primary"
-              leftIcon={
-                <Box as="span" className="icon">
-                  💾
-                </Box>
-              }
-            >
-              Download MIDI
-            </Button>
+          <HStack spacing={4} mt={2} flexWrap="wrap">
+            {formats.map(({ id, name }) => (
+              <Button
+                key={id}
+                onClick={() => handleExport(id)}
+                variant={id === 'midi' ? 'solid' : 'outline'}
+                colorScheme="primary"
+                leftIcon={
+                  <Box as="span" className="icon">
+                    {formatIcons[id] || '💾'}
+                  </Box>
+                }
+              >
+                Download {name}
+              </Button>
+            ))}
 
             {currentUser ? (
               <>
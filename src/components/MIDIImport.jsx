@@ -0,0 +1,77 @@
+import { useRef, useState } from 'react';
+import { importMIDIFile } from '../utils/midiImport';
+import { Box, Button, HStack, Text, Alert, AlertIcon } from '@chakra-ui/react';
+
+function MIDIImport({ onMIDIImported }) {
+  const fileInputRef = useRef(null);
+  const [importStatus, setImportStatus] = useState('');
+  const [isImporting, setIsImporting] = useState(false);
+
+  const handleFileChange = async e => {
+    const file = e.target.files && e.target.files[0];
+    if (!file) return;
+
+    try {
+      setIsImporting(true);
+      const compositionData = await importMIDIFile(file);
+
+      if (onMIDIImported) {
+        onMIDIImported(compositionData);
+      }
+
+      setImportStatus(`Imported ${file.name}`);
+    } catch (error) {
+      console.error('Error importing MIDI file:', error);
+      setImportStatus(`Error importing ${file.name}: ${error.message}`);
+    } finally {
+      setIsImporting(false);
+      // Allow the same file to be picked again
+      e.target.value = '';
+    }
+  };
+
+  return (
+    <Box>
+      <HStack spacing={4}>
+        <Button
+          onClick={() => fileInputRef.current && fileInputRef.current.click()}
+          variant="outline"
+          colorScheme="primary"
+          isLoading={isImporting}
+          loadingText="Importing..."
+          leftIcon={
+            <Box as="span" className="icon">
+              📂
+            </Box>
+          }
+        >
+          Open MIDI File
+        </Button>
+        <Text fontSize="sm" color="gray.300">
+          Load a .mid file to view, play and re-export it
+        </Text>
+      </HStack>
+
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept=".mid,.midi,audio/midi"
+        style={{ display: 'none' }}
+        onChange={handleFileChange}
+      />
+
+      {importStatus && (
+        <Alert
+          status={importStatus.includes('Error') ? 'error' : 'success'}
+          borderRadius="md"
+          mt={4}
+        >
+          <AlertIcon />
+          {importStatus}
+        </Alert>
+      )}
+    </Box>
+  );
+}
+
+export default MIDIImport;
@@ -0,0 +1,145 @@
+import { useState, useEffect, useCallback } from 'react';
+import {
+  Button,
+  Modal,
+  ModalOverlay,
+  ModalContent,
+  ModalHeader,
+  ModalBody,
+  ModalCloseButton,
+  ModalFooter,
+  FormControl,
+  FormLabel,
+  Select,
+  NumberInput,
+  NumberInputField,
+  NumberInputStepper,
+  NumberIncrementStepper,
+  NumberDecrementStepper,
+  SimpleGrid,
+  VStack,
+  Text,
+  useDisclosure,
+} from '@chakra-ui/react';
+import { usePlayback } from '../utils/PlaybackContext';
+import { getPlaybackTracks, listMIDIOutputs } from '../utils/midiOutput';
+
+// Picks the MIDI output port playback is sent to and the channel each part plays on
+function MIDIOutputSelector({ data, type }) {
+  const { midiOutputName, setMidiOutputName, midiChannels, setMidiChannel } = usePlayback();
+  const [outputs, setOutputs] = useState([]);
+  const [status, setStatus] = useState('');
+  const { isOpen, onOpen, onClose } = useDisclosure();
+
+  const refreshOutputs = useCallback(async () => {
+    try {
+      const names = await listMIDIOutputs();
+      setOutputs(names);
+      setStatus(names.length === 0 ? 'No MIDI outputs found' : '');
+    } catch (error) {
+      console.error('Error listing MIDI outputs:', error);
+      setStatus('MIDI output is not available in this browser');
+    }
+  }, []);
+
+  useEffect(() => {
+    if (isOpen) refreshOutputs();
+  }, [isOpen, refreshOutputs]);
+
+  const tracks = data ? getPlaybackTracks(data, type) : [];
+
+  return (
+    <>
+      <Button
+        size="md"
+        variant={midiOutputName ? 'solid' : 'outline'}
+        colorScheme="primary"
+        leftIcon={
+          <span role="img" aria-label="MIDI output">
+            🔌
+          </span>
+        }
+        onClick={onOpen}
+      >
+        MIDI Out
+      </Button>
+
+      <Modal isOpen={isOpen} onClose={onClose} isCentered size="md">
+        <ModalOverlay backdropFilter="blur(10px)" />
+        <ModalContent
+          bg="rgba(30, 41, 59, 0.95)"
+          borderColor="rgba(255, 255, 255, 0.1)"
+          boxShadow="0 4px 12px rgba(0, 0, 0, 0.5)"
+        >
+          <ModalHeader borderColor="rgba(255, 255, 255, 0.1)" fontWeight="bold" color="primary.300">
+            MIDI Output
+          </ModalHeader>
+          <ModalCloseButton color="white" />
+          <ModalBody>
+            <VStack spacing={4} align="stretch">
+              <FormControl>
+                <FormLabel color="white">Play Through</FormLabel>
+                <Select
+                  value={midiOutputName || ''}
+                  onChange={e => setMidiOutputName(e.target.value || null)}
+                  bg="rgba(255, 255, 255, 0.1)"
+                  borderColor="rgba(255, 255, 255, 0.15)"
+                  _hover={{ borderColor: 'primary.400' }}
+                  color="white"
+                >
+                  <option value="">This browser</option>
+                  {outputs.map(name => (
+                    <option key={name} value={name}>
+                      {name}
+                    </option>
+                  ))}
+                </Select>
+              </FormControl>
+
+              {status && (
+                <Text color="gray.300" fontSize="sm">
+                  {status}
+                </Text>
+              )}
+
+              {midiOutputName && tracks.length > 0 && (
+                <SimpleGrid columns={2} spacing={3}>
+                  {tracks.map(track => (
+                    <FormControl key={track.id}>
+                      <FormLabel color="white">{track.name} Channel</FormLabel>
+                      <NumberInput
+                        value={(midiChannels[track.id] ?? track.channel) + 1}
+                        min={1}
+                        max={16}
+                        onChange={(_, value) => {
+                          if (value >= 1 && value <= 16) setMidiChannel(track.id, value - 1);
+                        }}
+                        color="white"
+                      >
+                        <NumberInputField />
+                        <NumberInputStepper>
+                          <NumberIncrementStepper />
+                          <NumberDecrementStepper />
+                        </NumberInputStepper>
+                      </NumberInput>
+                    </FormControl>
+                  ))}
+                </SimpleGrid>
+              )}
+            </VStack>
+          </ModalBody>
+          <ModalFooter>
+            <Button variant="ghost" mr={3} onClick={refreshOutputs}>
+              Refresh
+            </Button>
+            <Button colorScheme="primary" onClick={onClose}>
+              Close
+            </Button>
+          </ModalFooter>
+        </ModalContent>
+      </Modal>
+    </>
+  );
+}
+
+export default MIDIOutputSelector;
@@ -35,26 +35,44 @@ import {
   AccordionIcon,
   Spinner,
   Tooltip,
+  Textarea,
 } from '@chakra-ui/react';
 import { AccordionButton } from '@chakra-ui/react';
 
-import { defaultScales } from '../utils/scales';
+import {
+  getScale,
+  isScaleName,
+  octaveRangeOptions,
+  parseScaleName,
+  scaleRoots,
+  scaleTypeNames,
+} from '../utils/scales';
 import {
   rhythmPatterns,
   contourTypes,
   generateMotif,
   applyMotifVariation,
+  createMotifFromNotes,
 } from '../utils/patterns';
 import { humanizeNotes, applyArticulation, applyDynamics } from '../utils/humanize';
 import { getAvailableInstruments } from '../utils/soundfontUtils';
+import { parseABC, createABC } from '../utils/abcNotation';
+import { alignLyrics, parseLyrics } from '../utils/lyrics';
+import {
+  DEFAULT_TIME_SIGNATURE,
+  timeSignatureOptions,
+  getBeatsPerBar,
+} from '../utils/timeSignature';
+import MelodyRecorder from './MelodyRecorder';
 
 const availableInstruments = getAvailableInstruments();
-const scales = defaultScales;
 
 function MelodyGenerator({ onMelodyGenerated }) {
   const [selectedScale, setSelectedScale] = useState('C Major');
+  const [octaveRange, setOctaveRange] = useState(1);
   const [tempo, setTempo] = useState(120);
   const [bars, setBars] = useState(4);
+  const [timeSignature, setTimeSignature] = useState(DEFAULT_TIME_SIGNATURE);
   const [complexity, setComplexity] = useState(5);
   const [melody, setMelody] = useState(null);
   const [isPlaying, setIsPlaying] = useState(false);
@@ -67,6 +85,11 @@ function MelodyGenerator({ onMelodyGenerated }) {
   const [dynamics, setDynamics] = useState('none');
   const [humanize, setHumanize] = useState(true);
   const [autoRandomize, setAutoRandomize] = useState(false);
+  const [abcText, setAbcText] = useState('');
+  const [abcStatus, setAbcStatus] = useState('');
+  const [lyricsText, setLyricsText] = useState('');
+  const [recordedMotif, setRecordedMotif] = useState(null);
+  const [useRecordedMotif, setUseRecordedMotif] = useState(false);
 
   const audioContextRef = useRef(null);
 
@@ -79,6 +102,8 @@ function MelodyGenerator({ onMelodyGenerated }) {
     }
   }, []);
 
+  const { tonic: scaleTonic, type: scaleType } = parseScaleName(selectedScale);
+
   const randomizeOptions = () => {
     const rhythmPatternKeys = Object.keys(rhythmPatterns);
     const randomRhythmPattern =
@@ -115,7 +140,7 @@ function MelodyGenerator({ onMelodyGenerated }) {
       randomizeOptions();
     }
 
-    const scale = scales[selectedScale];
+    const scale = getScale(selectedScale, { octaves: octaveRange });
     let notes = [];
     let currentTime = 0;
 
@@ -123,10 +148,11 @@ function MelodyGenerator({ onMelodyGenerated }) {
 
     const contourFn = contourTypes[contourType] || contourTypes.random;
 
-    const motif = useMotif ? generateMotif(scale, 4) : null;
+    const motif = useMotif ? (useRecordedMotif && recordedMotif) || generateMotif(scale, 4) : null;
 
+    const beatsPerBar = getBeatsPerBar(timeSignature);
     const patternTotalDuration = selectedPattern.reduce((sum, duration) => sum + duration, 0);
-    const patternsPerBar = 4 / patternTotalDuration; // Assuming 4/4 time
+    const patternsPerBar = beatsPerBar / patternTotalDuration;
     const totalPatterns = Math.ceil(bars * patternsPerBar);
 
     if (useMotif && motif) {
@@ -180,7 +206,7 @@ function MelodyGenerator({ onMelodyGenerated }) {
       }
     }
 
-    const totalDuration = bars * 4; // 4 beats per bar
+    const totalDuration = bars * beatsPerBar;
     notes = notes.filter(note => note.startTime < totalDuration);
 
     if (articulation !== 'none') {
@@ -202,6 +228,7 @@ function MelodyGenerator({ onMelodyGenerated }) {
     const melodyData = {
       scale: selectedScale,
       tempo: tempo,
+      timeSignature: timeSignature,
       length: bars,
       complexity: complexity,
       rhythmPattern: rhythmPattern,
@@ -214,6 +241,7 @@ function MelodyGenerator({ onMelodyGenerated }) {
       useSoundFont: false,
       instrument: 'acoustic_grand_piano',
       notes: notes,
+      lyricsText,
     };
 
     setMelody(melodyData);
@@ -225,6 +253,92 @@ function MelodyGenerator({ onMelodyGenerated }) {
     return notes;
   };
 
+  // Use a pasted ABC tune as the melody
+  const loadABC = () => {
+    try {
+      const { melodyData: abcMelody } = parseABC(abcText);
+
+      const melodyData = {
+        ...abcMelody,
+        complexity,
+        rhythmPattern: 'abc',
+        contourType: 'abc',
+        useMotif: false,
+        motifVariation,
+        articulation: 'none',
+        dynamics: 'none',
+        humanize: false,
+        useSoundFont: false,
+        instrument: 'acoustic_grand_piano',
+        lyricsText,
+      };
+
+      if (isScaleName(melodyData.scale)) setSelectedScale(melodyData.scale);
+      if (timeSignatureOptions.includes(melodyData.timeSignature)) {
+        setTimeSignature(melodyData.timeSignature);
+      }
+      setTempo(melodyData.tempo);
+      setBars(melodyData.length);
+      setMelody(melodyData);
+
+      if (onMelodyGenerated) {
+        onMelodyGenerated(melodyData);
+      }
+
+      setAbcStatus(
+        `Loaded ${melodyData.notes.length} notes${abcMelody.title ? ` from "${abcMelody.title}"` : ''}`
+      );
+    } catch (error) {
+      console.error('Error reading ABC:', error);
+      setAbcStatus(`Error reading ABC: ${error.message}`);
+    }
+  };
+
+  // Use a recording as the melody, and keep it as a motif the generator can develop
+  const loadRecording = recordedMelody => {
+    const melodyData = { ...recordedMelody, complexity, motifVariation, lyricsText };
+    setMelody(melodyData);
+
+    if (melodyData.notes.length > 0) {
+      setRecordedMotif(
+        createMotifFromNotes(melodyData.notes, getScale(selectedScale, { octaves: octaveRange }))
+      );
+    }
+
+    if (onMelodyGenerated) {
+      onMelodyGenerated(melodyData);
+    }
+  };
+
+  // Write the current melody as ABC and copy it for sharing
+  const copyAsABC = async () => {
+    if (!melody) return;
+
+    const abc = createABC(melody, null, { title: melody.title || 'Melody' });
+    setAbcText(abc);
+
+    try {
+      await navigator.clipboard.writeText(abc);
+      setAbcStatus('ABC copied to clipboard');
+    } catch (error) {
+      console.warn('Clipboard not available:', error);
+      setAbcStatus('ABC written below');
+    }
+  };
+
+  // Sing the lyrics to the current melody; they are kept for the next melody generated too
+  const updateLyrics = text => {
+    setLyricsText(text);
+    if (!melody) return;
+
+    const melodyData = { ...melody, lyricsText: text };
+    setMelody(melodyData);
+
+    if (onMelodyGenerated) {
+      onMelodyGenerated(melodyData);
+    }
+  };
+
   // This function is not currently used in the UI as playback has been moved to the PlaybackContext
   // Keeping it for reference or future use
   const _playMelodyLegacy = async () => {
@@ -308,19 +422,36 @@ function MelodyGenerator({ onMelodyGenerated }) {
           <SimpleGrid columns={{ base: 1, md: 2 }} spacing={6}>
             <FormControl>
               <FormLabel>Scale</FormLabel>
-              <Select
-                value={selectedScale}
-                onChange={e => setSelectedScale(e.target.value)}
-                bg="rgba(255, 255, 255, 0.1)"
-                borderColor="rgba(255, 255, 255, 0.15)"
-                _hover={{ borderColor: 'primary.400' }}
-              >
-                {Object.keys(scales).map(scale => (
-                  <option key={scale} value={scale}>
-                    {scale}
-                  </option>
-                ))}
-              </Select>
+              <HStack>
+                <Select
+                  aria-label="Scale root"
+                  value={scaleTonic}
+                  onChange={e => setSelectedScale(`${e.target.value} ${scaleType}`)}
+                  bg="rgba(255, 255, 255, 0.1)"
+                  borderColor="rgba(255, 255, 255, 0.15)"
+                  _hover={{ borderColor: 'primary.400' }}
+                >
+                  {scaleRoots.map(root => (
+                    <option key={root} value={root}>
+                      {root}
+                    </option>
+                  ))}
+                </Select>
+                <Select
+                  aria-label="Scale type"
+                  value={scaleType}
+                  onChange={e => setSelectedScale(`${scaleTonic} ${e.target.value}`)}
+                  bg="rgba(255, 255, 255, 0.1)"
+                  borderColor="rgba(255, 255, 255, 0.15)"
+                  _hover={{ borderColor: 'primary.400' }}
+                >
+                  {scaleTypeNames.map(type => (
+                    <option key={type} value={type}>
+                      {type}
+                    </option>
+                  ))}
+                </Select>
+              </HStack>
             </FormControl>
 
             <FormControl>
@@ -357,6 +488,40 @@ function MelodyGenerator({ onMelodyGenerated }) {
               </NumberInput>
             </FormControl>
 
+            <FormControl>
+              <FormLabel>Time Signature</FormLabel>
+              <Select
+                value={timeSignature}
+                onChange={e => setTimeSignature(e.target.value)}
+                bg="rgba(255, 255, 255, 0.1)"
+                borderColor="rgba(255, 255, 255, 0.15)"
+                _hover={{ borderColor: 'primary.400' }}
+              >
+                {timeSignatureOptions.map(option => (
+                  <option key={option} value={option}>
+                    {option}
+                  </option>
+                ))}
+              </Select>
+            </FormControl>
+
+            <FormControl>
+              <FormLabel>Octave Range</FormLabel>
+              <Select
+                value={octaveRange}
+                onChange={e => setOctaveRange(Number(e.target.value))}
+                bg="rgba(255, 255, 255, 0.1)"
+                borderColor="rgba(255, 255, 255, 0.15)"
+                _hover={{ borderColor: 'primary.400' }}
+              >
+                {octaveRangeOptions.map(octaves => (
+                  <option key={octaves} value={octaves}>
+                    {octaves === 1 ? '1 octave' : `${octaves} octaves`}
+                  </option>
+                ))}
+              </Select>
+            </FormControl>
+
             <FormControl>
               <FormLabel>Complexity: {complexity}</FormLabel>
               <Slider
@@ -473,6 +638,19 @@ function MelodyGenerator({ onMelodyGenerated }) {
                       </FormControl>
                     )}
 
+                    {useMotif && recordedMotif && (
+                      <FormControl>
+                        <Flex align="center">
+                          <FormLabel mb={0}>Use Recording as Motif</FormLabel>
+                          <Checkbox
+                            isChecked={useRecordedMotif}
+                            onChange={e => setUseRecordedMotif(e.target.checked)}
+                            colorScheme="primary"
+                          />
+                        </Flex>
+                      </FormControl>
+                    )}
+
                     <FormControl>
                       <FormLabel>Articulation</FormLabel>
                       <Select
@@ -521,6 +699,80 @@ function MelodyGenerator({ onMelodyGenerated }) {
                   </SimpleGrid>
                 </AccordionPanel>
               </AccordionItem>
+
+              {/* ABC Notation */}
+              <AccordionItem border="none" mt={2}>
+                <AccordionButton
+                  bg="rgba(255, 255, 255, 0.05)"
+                  borderRadius="md"
+                  _hover={{ bg: 'rgba(255, 255, 255, 0.1)' }}
+                >
+                  <Box flex="1" textAlign="left">
+                    <Heading size="sm">ABC Notation</Heading>
+                  </Box>
+                  <AccordionIcon />
+                </AccordionButton>
+                <AccordionPanel pb={4}>
+                  <FormControl mt={2}>
+                    <FormLabel>Paste an ABC tune to use as the melody</FormLabel>
+                    <Textarea
+                      value={abcText}
+                      onChange={e => setAbcText(e.target.value)}
+                      placeholder={'X:1\nT:Seed\nM:6/8\nL:1/8\nK:G\n"G"GAG GAB | "D"ABA ABd |]'}
+                      fontFamily="mono"
+                      rows={6}
+                      bg="rgba(255, 255, 255, 0.1)"
+                      borderColor="rgba(255, 255, 255, 0.15)"
+                      _hover={{ borderColor: 'primary.400' }}
+                    />
+                  </FormControl>
+                  <HStack spacing={4} mt={3}>
+                    <Button onClick={loadABC} isDisabled={!abcText.trim()} colorScheme="primary">
+                      Load ABC
+                    </Button>
+                    <Button
+                      onClick={copyAsABC}
+                      isDisabled={!melody}
+                      variant="outline"
+                      colorScheme="primary"
+                    >
+                      Copy Melody as ABC
+                    </Button>
+                  </HStack>
+                  {abcStatus && (
+                    <Text
+                      mt={2}
+                      fontSize="sm"
+                      color={abcStatus.includes('Error') ? 'red.300' : 'gray.300'}
+                    >
+                      {abcStatus}
+                    </Text>
+                  )}
+                </AccordionPanel>
+              </AccordionItem>
+
+              {/* Recording */}
+              <AccordionItem border="none" mt={2}>
+                <AccordionButton
+                  bg="rgba(255, 255, 255, 0.05)"
+                  borderRadius="md"
+                  _hover={{ bg: 'rgba(255, 255, 255, 0.1)' }}
+                >
+                  <Box flex="1" textAlign="left">
+                    <Heading size="sm">Record</Heading>
+                  </Box>
+                  <AccordionIcon />
+                </AccordionButton>
+                <AccordionPanel pb={4}>
+                  <MelodyRecorder
+                    scale={selectedScale}
+                    tempo={tempo}
+                    timeSignature={timeSignature}
+                    bars={bars}
+                    onRecorded={loadRecording}
+                  />
+                </AccordionPanel>
+              </AccordionItem>
             </Accordion>
           </Box>
 
@@ -630,6 +882,27 @@ function MelodyGenerator({ onMelodyGenerated }) {
                   </Text>
                 )}
               </SimpleGrid>
+
+              <FormControl mt={4}>
+                <FormLabel>Lyrics</FormLabel>
+                <Textarea
+                  value={lyricsText}
+                  onChange={e => updateLyrics(e.target.value)}
+                  placeholder={'Hap-py birth-day to you\nA_ _ men'}
+                  rows={4}
+                  bg="rgba(255, 255, 255, 0.1)"
+                  borderColor="rgba(255, 255, 255, 0.15)"
+                  _hover={{ borderColor: 'primary.400' }}
+                />
+              </FormControl>
+              <Text mt={2} fontSize="sm" color="gray.300">
+                Syllables are sung one per note: split words with hyphens and hold a syllable over
+                the next note with _.
+                {lyricsText.trim() &&
+                  ` ${alignLyrics(melody.notes, lyricsText).length} of ${
+                    parseLyrics(lyricsText).filter(token => !token.melisma).length
+                  } syllables fit the melody.`}
+              </Text>
             </Box>
           )}
         </VStack>
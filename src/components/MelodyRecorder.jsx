@@ -0,0 +1,282 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import * as Tone from 'tone';
+import {
+  Button,
+  Checkbox,
+  Flex,
+  FormControl,
+  FormLabel,
+  HStack,
+  Select,
+  SimpleGrid,
+  Text,
+} from '@chakra-ui/react';
+import { initializeTone, createSynth } from '../utils/toneContext';
+import { listMIDIInputs, openMIDIInput, listenForNotes } from '../utils/midiInput';
+import {
+  OCTAVE_DOWN_KEY,
+  OCTAVE_UP_KEY,
+  createRecordedMelody,
+  createRecorder,
+  getMetronomeClicks,
+  qwertyKeyToMidi,
+  quantizeGrids,
+} from '../utils/recording';
+import { getBeatsPerBar } from '../utils/timeSignature';
+
+const COMPUTER_KEYBOARD = 'keyboard';
+
+// Records a melody from a MIDI keyboard or the computer keyboard against a metronome
+function MelodyRecorder({ scale, tempo, timeSignature, bars, onRecorded }) {
+  const [inputs, setInputs] = useState([]);
+  const [source, setSource] = useState(COMPUTER_KEYBOARD);
+  const [countInBars, setCountInBars] = useState(1);
+  const [metronome, setMetronome] = useState(true);
+  const [quantize, setQuantize] = useState('1/16');
+  const [octave, setOctave] = useState(4);
+  const [isRecording, setIsRecording] = useState(false);
+  const [status, setStatus] = useState('');
+
+  const recorderRef = useRef(null);
+  const monitorRef = useRef(null);
+  const octaveRef = useRef(octave);
+  const cleanupRef = useRef([]);
+
+  useEffect(() => {
+    octaveRef.current = octave;
+  }, [octave]);
+
+  useEffect(() => {
+    listMIDIInputs()
+      .then(setInputs)
+      .catch(error => console.warn('MIDI input is not available:', error));
+  }, []);
+
+  const playNote = useCallback((pitch, velocity) => {
+    recorderRef.current?.noteOn(pitch, velocity);
+    monitorRef.current?.triggerAttack(Tone.Frequency(pitch, 'midi').toNote(), undefined, velocity);
+  }, []);
+
+  const releaseNote = useCallback(pitch => {
+    recorderRef.current?.noteOff(pitch);
+    monitorRef.current?.triggerRelease(Tone.Frequency(pitch, 'midi').toNote());
+  }, []);
+
+  const stopRecording = useCallback(() => {
+    const recorder = recorderRef.current;
+    if (!recorder) return;
+
+    recorderRef.current = null;
+    cleanupRef.current.forEach(cleanup => cleanup());
+    cleanupRef.current = [];
+    monitorRef.current?.releaseAll();
+    setIsRecording(false);
+
+    const melodyData = createRecordedMelody(recorder.stop(), {
+      scale,
+      tempo,
+      timeSignature,
+      bars,
+      quantize: quantizeGrids[quantize],
+    });
+    setStatus(`Recorded ${melodyData.notes.length} notes`);
+    onRecorded(melodyData);
+  }, [scale, tempo, timeSignature, bars, quantize, onRecorded]);
+
+  const startRecording = async () => {
+    try {
+      const success = await initializeTone();
+      if (!success) throw new Error('Audio could not be started');
+
+      if (!monitorRef.current) monitorRef.current = createSynth();
+      // A synth of its own per take, so disposing it silences clicks still to come
+      const clickSynth = new Tone.Synth().toDestination();
+      cleanupRef.current.push(() => clickSynth.dispose());
+
+      const secondsPerBeat = 60 / tempo;
+      const beatsPerBar = getBeatsPerBar(timeSignature);
+      const startTime = Tone.now() + 0.1 + countInBars * beatsPerBar * secondsPerBeat;
+      const endTime = startTime + bars * beatsPerBar * secondsPerBeat;
+
+      recorderRef.current = createRecorder({
+        tempo,
+        startTime,
+        now: () => Tone.now(),
+        key: scale,
+      });
+
+      // The count-in always clicks; the metronome keeps clicking through the recording if on
+      getMetronomeClicks(timeSignature, countInBars + (metronome ? bars : 0)).forEach(click => {
+        const time = startTime + (click.time - countInBars * beatsPerBar) * secondsPerBeat;
+        clickSynth.triggerAttackRelease(click.accent ? 'C6' : 'G5', 0.05, time);
+      });
+
+      if (source === COMPUTER_KEYBOARD) {
+        // Pitch sounded by each held key, so changing octave while holding it releases that note.
+        // Keys are told apart by event.code, which Shift and Caps Lock do not change
+        const heldKeys = new Map();
+        const releaseHeldKeys = () => {
+          heldKeys.forEach(pitch => releaseNote(pitch));
+          heldKeys.clear();
+        };
+        const onKeyDown = event => {
+          if (event.repeat || ['INPUT', 'TEXTAREA', 'SELECT'].includes(event.target.tagName)) {
+            return;
+          }
+          if (event.key === OCTAVE_DOWN_KEY) setOctave(current => Math.max(0, current - 1));
+          if (event.key === OCTAVE_UP_KEY) setOctave(current => Math.min(8, current + 1));
+
+          const pitch = qwertyKeyToMidi(event.key, octaveRef.current);
+          if (pitch !== null && !heldKeys.has(event.code)) {
+            heldKeys.set(event.code, pitch);
+            playNote(pitch, 0.8);
+          }
+        };
+        const onKeyUp = event => {
+          if (!heldKeys.has(event.code)) return;
+          releaseNote(heldKeys.get(event.code));
+          heldKeys.delete(event.code);
+        };
+        // Key-ups are not sent to a window without focus, so its held notes end when it loses it
+        window.addEventListener('keydown', onKeyDown);
+        window.addEventListener('keyup', onKeyUp);
+        window.addEventListener('blur', releaseHeldKeys);
+        cleanupRef.current.push(() => {
+          window.removeEventListener('keydown', onKeyDown);
+          window.removeEventListener('keyup', onKeyUp);
+          window.removeEventListener('blur', releaseHeldKeys);
+          releaseHeldKeys();
+        });
+      } else {
+        const port = await openMIDIInput(source);
+        const stopListening = listenForNotes(port, note =>
+          note.type === 'noteOn' ? playNote(note.pitch, note.velocity) : releaseNote(note.pitch)
+        );
+        cleanupRef.current.push(stopListening, () => port.close());
+      }
+
+      const countInTimer = setTimeout(
+        () => setStatus('Recording...'),
+        (startTime - Tone.now()) * 1000
+      );
+      const endTimer = setTimeout(stopRecording, (endTime - Tone.now()) * 1000);
+      cleanupRef.current.push(
+        () => clearTimeout(countInTimer),
+        () => clearTimeout(endTimer)
+      );
+
+      setIsRecording(true);
+      setStatus(countInBars > 0 ? 'Counting in...' : 'Recording...');
+    } catch (error) {
+      console.error('Error starting recording:', error);
+      recorderRef.current = null;
+      cleanupRef.current.forEach(cleanup => cleanup());
+      cleanupRef.current = [];
+      setStatus(`Error starting recording: ${error.message}`);
+    }
+  };
+
+  // Release the keyboard and MIDI port if the recorder goes away mid-recording
+  useEffect(
+    () => () => {
+      recorderRef.current = null;
+      cleanupRef.current.forEach(cleanup => cleanup());
+    },
+    []
+  );
+
+  return (
+    <>
+      <SimpleGrid columns={{ base: 1, md: 2 }} spacing={4} mt={2}>
+        <FormControl>
+          <FormLabel>Input</FormLabel>
+          <Select
+            value={source}
+            onChange={e => setSource(e.target.value)}
+            isDisabled={isRecording}
+            bg="rgba(255, 255, 255, 0.1)"
+            borderColor="rgba(255, 255, 255, 0.15)"
+            _hover={{ borderColor: 'primary.400' }}
+          >
+            <option value={COMPUTER_KEYBOARD}>Computer keyboard</option>
+            {inputs.map(name => (
+              <option key={name} value={name}>
+                {name}
+              </option>
+            ))}
+          </Select>
+        </FormControl>
+
+        <FormControl>
+          <FormLabel>Count-in Bars</FormLabel>
+          <Select
+            value={countInBars}
+            onChange={e => setCountInBars(parseInt(e.target.value))}
+            isDisabled={isRecording}
+            bg="rgba(255, 255, 255, 0.1)"
+            borderColor="rgba(255, 255, 255, 0.15)"
+            _hover={{ borderColor: 'primary.400' }}
+          >
+            <option value={0}>None</option>
+            <option value={1}>1</option>
+            <option value={2}>2</option>
+          </Select>
+        </FormControl>
+
+        <FormControl>
+          <FormLabel>Quantize</FormLabel>
+          <Select
+            value={quantize}
+            onChange={e => setQuantize(e.target.value)}
+            isDisabled={isRecording}
+            bg="rgba(255, 255, 255, 0.1)"
+            borderColor="rgba(255, 255, 255, 0.15)"
+            _hover={{ borderColor: 'primary.400' }}
+          >
+            <option value="">Off</option>
+            {Object.keys(quantizeGrids).map(grid => (
+              <option key={grid} value={grid}>
+                {grid}
+              </option>
+            ))}
+          </Select>
+        </FormControl>
+
+        <FormControl>
+          <Flex align="center" h="100%">
+            <FormLabel mb={0}>Metronome</FormLabel>
+            <Checkbox
+              isChecked={metronome}
+              onChange={e => setMetronome(e.target.checked)}
+              isDisabled={isRecording}
+              colorScheme="primary"
+            />
+          </Flex>
+        </FormControl>
+      </SimpleGrid>
+
+      {source === COMPUTER_KEYBOARD && (
+        <Text mt={3} fontSize="sm" color="gray.300">
+          Play with A W S E D F T G Y H U J K; {OCTAVE_DOWN_KEY.toUpperCase()} and{' '}
+          {OCTAVE_UP_KEY.toUpperCase()} change octave (now C{octave}).
+        </Text>
+      )}
+
+      <HStack spacing={4} mt={3}>
+        <Button
+          onClick={isRecording ? stopRecording : startRecording}
+          colorScheme={isRecording ? 'red' : 'primary'}
+        >
+          {isRecording ? 'Stop' : 'Record'}
+        </Button>
+        {status && (
+          <Text fontSize="sm" color={status.includes('Error') ? 'red.300' : 'gray.300'}>
+            {status}
+          </Text>
+        )}
+      </HStack>
+    </>
+  );
+}
+
+export default MelodyRecorder;
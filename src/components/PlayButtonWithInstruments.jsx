@@ -22,7 +22,7 @@ import {
   Text,
 } from '@chakra-ui/react';
 import { usePlayback } from '../utils/PlaybackContext';
-import { getAvailableInstruments } from '../utils/soundfontUtils';
+import InstrumentOptions from './InstrumentOptions';
 
 function PlayButtonWithInstruments({ data, type }) {
   const {
@@ -43,12 +43,6 @@ function PlayButtonWithInstruments({ data, type }) {
   } = usePlayback();
 
   const [isThisPlaying, setIsThisPlaying] = useState(false);
-  const [availableInstruments, setAvailableInstruments] = useState({});
-
-  // Load available instruments on component mount
-  useEffect(() => {
-    setAvailableInstruments(getAvailableInstruments());
-  }, []);
 
   useEffect(() => {
     setIsThisPlaying(isPlaying && activePlayingPart === type);
@@ -160,11 +154,7 @@ function PlayButtonWithInstruments({ data, type }) {
                           color="white"
                           mr={2}
                         >
-                          {Object.entries(availableInstruments).map(([value, name]) => (
-                            <option key={value} value={value}>
-                              {name}
-                            </option>
-                          ))}
+                          <InstrumentOptions />
                         </Select>
                         {instrumentsLoading && <Spinner size="sm" color="primary.400" />}
                       </Flex>
@@ -185,11 +175,7 @@ function PlayButtonWithInstruments({ data, type }) {
                           color="white"
                           mr={2}
                         >
-                          {Object.entries(availableInstruments).map(([value, name]) => (
-                            <option key={value} value={value}>
-                              {name}
-                            </option>
-                          ))}
+                          <InstrumentOptions />
                         </Select>
                         {instrumentsLoading && <Spinner size="sm" color="primary.400" />}
                       </Flex>
@@ -211,11 +197,7 @@ function PlayButtonWithInstruments({ data, type }) {
                             color="white"
                             mr={2}
                           >
-                            {Object.entries(availableInstruments).map(([value, name]) => (
-                              <option key={value} value={value}>
-                                {name}
-                              </option>
-                            ))}
+                            <InstrumentOptions />
                           </Select>
                           {instrumentsLoading && <Spinner size="sm" color="primary.400" />}
                         </Flex>
@@ -234,11 +216,7 @@ function PlayButtonWithInstruments({ data, type }) {
                             color="white"
                             mr={2}
                           >
-                            {Object.entries(availableInstruments).map(([value, name]) => (
-                              <option key={value} value={value}>
-                                {name}
-                              </option>
-                            ))}
+                            <InstrumentOptions />
                           </Select>
                           {instrumentsLoading && <Spinner size="sm" color="primary.400" />}
                         </Flex>
@@ -257,11 +235,7 @@ function PlayButtonWithInstruments({ data, type }) {
                             color="white"
                             mr={2}
                           >
-                            {Object.entries(availableInstruments).map(([value, name]) => (
-                              <option key={value} value={value}>
-                                {name}
-                              </option>
-                            ))}
+                            <InstrumentOptions />
                           </Select>
                           {instrumentsLoading && <Spinner size="sm" color="primary.400" />}
                         </Flex>
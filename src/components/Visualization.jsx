@@ -6,7 +6,6 @@ import {
   Card,
   CardHeader,
   CardBody,
-
   Tooltip,
   HStack,
   VStack,
@@ -15,7 +14,18 @@ import {
 } from '@chakra-ui/react';
 import PlayButton from './PlayButton';
 import InstrumentSelector from './InstrumentSelector';
+import MIDIOutputSelector from './MIDIOutputSelector';
 import { usePlayback } from '../utils/PlaybackContext';
+import { getBeatsPerBar, getPulseLength, formatTimeSignature } from '../utils/timeSignature';
+import {
+  getCompositionTracks,
+  getTrackEndTime,
+  getTrackNotes,
+  isChordTrack,
+} from '../utils/tracks';
+import { getNoteSyllables } from '../utils/lyrics';
+import { noteNameToMidi } from '../utils/pitch';
+import { formatChordSymbol } from '../utils/chordSymbols';
 
 function Visualisation({ data, type }) {
   const canvasRef = useRef(null);
@@ -59,6 +69,50 @@ function Visualisation({ data, type }) {
   const BLACK_KEY_HEIGHT = 12;
   const NOTE_HEIGHT = 16;
   const HEADER_HEIGHT = 30;
+  const DRUM_ROW_HEIGHT = 14;
+
+  // Drum lane rows from top to bottom, with labels short enough for the key column
+  const DRUM_ROW_ORDER = [
+    'crash',
+    'ride',
+    'openHat',
+    'closedHat',
+    'pedalHat',
+    'highTom',
+    'midTom',
+    'lowTom',
+    'lowFloorTom',
+    'snare',
+    'sideStick',
+    'clap',
+    'kick',
+    'other',
+  ];
+  const DRUM_LABELS = {
+    crash: 'Crash',
+    ride: 'Ride',
+    openHat: 'Open',
+    closedHat: 'Hat',
+    pedalHat: 'Pedal',
+    highTom: 'Tom 1',
+    midTom: 'Tom 2',
+    lowTom: 'Tom 3',
+    lowFloorTom: 'Floor',
+    snare: 'Snare',
+    sideStick: 'Stick',
+    clap: 'Clap',
+    kick: 'Kick',
+    other: 'Perc',
+  };
+
+  // Tooltip badge colour of each track role
+  const partColorSchemes = {
+    melody: 'primary',
+    counterMelody: 'primary',
+    chord: 'secondary',
+    pad: 'secondary',
+    bass: 'accent',
+  };
 
   const handleMouseMove = e => {
     if (!canvasRef.current || !data) return;
@@ -105,61 +159,46 @@ function Visualisation({ data, type }) {
 
       setHoveredNote(foundNote);
     } else if (type === 'composition' && data) {
-      // For composition data, we need to check melody, chord, and bass notes
+      // For composition data, we need to check the notes of every track
       let foundNote = null;
-
-      // Check melody notes
-      if (data.melody && data.melody.notes) {
-        data.melody.notes.forEach(note => {
-          if (!note.visualData) return;
-          const { x: noteX, y: noteY, width: noteWidth, height: noteHeight } = note.visualData;
-          if (x >= noteX && x <= noteX + noteWidth && y >= noteY && y <= noteY + noteHeight) {
-            foundNote = {
-              ...note,
-              part: 'melody',
-              instrument: data.melody.instrument,
-            };
-          }
+      const tracks = getCompositionTracks(data);
+      const isInside = ({ x: noteX, y: noteY, width: noteWidth, height: noteHeight }) =>
+        x >= noteX && x <= noteX + noteWidth && y >= noteY && y <= noteY + noteHeight;
+
+      // Check single notes first, as they are drawn over the chords
+      tracks
+        .filter(track => !isChordTrack(track))
+        .forEach(track => {
+          track.notes.forEach(note => {
+            if (!foundNote && note.visualData && isInside(note.visualData)) {
+              foundNote = {
+                ...note,
+                part: track.role,
+                trackName: track.name,
+                instrument: track.instrument,
+              };
+            }
+          });
         });
-      }
 
       // Check chord notes
-      if (!foundNote && data.chord && data.chord.progression) {
-        data.chord.progression.forEach(chord => {
+      tracks.filter(isChordTrack).forEach(track => {
+        track.progression.forEach(chord => {
           if (!chord.visualData) return;
 
           chord.visualData.forEach(noteData => {
-            if (
-              x >= noteData.x &&
-              x <= noteData.x + noteData.width &&
-              y >= noteData.y &&
-              y <= noteData.y + noteData.height
-            ) {
+            if (!foundNote && isInside(noteData)) {
               foundNote = {
                 ...noteData,
                 chord: chord,
-                part: 'chord',
-                instrument: data.chord.instrument,
+                part: track.role,
+                trackName: track.name,
+                instrument: track.instrument,
               };
             }
           });
         });
-      }
-
-      // Check bass notes
-      if (!foundNote && data.bass && data.bass.notes) {
-        data.bass.notes.forEach(note => {
-          if (!note.visualData) return;
-          const { x: noteX, y: noteY, width: noteWidth, height: noteHeight } = note.visualData;
-          if (x >= noteX && x <= noteX + noteWidth && y >= noteY && y <= noteY + noteHeight) {
-            foundNote = {
-              ...note,
-              part: 'bass',
-              instrument: data.bass.instrument,
-            };
-          }
-        });
-      }
+      });
 
       setHoveredNote(foundNote);
     }
@@ -292,7 +331,7 @@ function Visualisation({ data, type }) {
 
     notes.forEach(note => {
       // Convert note name to MIDI number for comparison
-      const midiNumber = noteNameToMidiNumber(note.pitch);
+      const midiNumber = noteNameToMidi(note.pitch);
       highestNote = Math.max(highestNote, midiNumber);
       lowestNote = Math.min(lowestNote, midiNumber);
     });
@@ -322,7 +361,8 @@ function Visualisation({ data, type }) {
     ctx.font = '12px Arial';
     ctx.textAlign = 'center';
 
-    const beatsPerBar = 4; // Assuming 4/4 time
+    const beatsPerBar = getBeatsPerBar(melody.timeSignature);
+    const pulseLength = getPulseLength(melody.timeSignature);
     const barWidth = beatsPerBar * timeScale;
     const totalBars = Math.ceil(totalDuration / beatsPerBar);
 
@@ -342,8 +382,8 @@ function Visualisation({ data, type }) {
 
       // Draw beat lines within each bar
       if (i < totalBars) {
-        for (let beat = 1; beat < beatsPerBar; beat++) {
-          const beatX = x + beat * timeScale;
+        for (let pulse = 1; pulse * pulseLength < beatsPerBar; pulse++) {
+          const beatX = x + pulse * pulseLength * timeScale;
           ctx.strokeStyle = 'rgba(255, 255, 255, 0.1)';
           ctx.lineWidth = 1;
           ctx.beginPath();
@@ -396,9 +436,12 @@ function Visualisation({ data, type }) {
       ctx.stroke();
     }
 
+    // Syllables sung on each note, drawn under the notes
+    const syllables = getNoteSyllables(notes, melody.lyricsText);
+
     // Draw notes
     notes.forEach((note, index) => {
-      const midiNumber = noteNameToMidiNumber(note.pitch);
+      const midiNumber = noteNameToMidi(note.pitch);
       const x = PIANO_KEY_WIDTH + note.startTime * timeScale;
       const noteWidth = Math.max(note.duration * timeScale, 5); // Minimum width for visibility
       const y = height - (midiNumber - lowestNote) * keyHeight - keyHeight;
@@ -440,6 +483,13 @@ function Visualisation({ data, type }) {
         ctx.fillText(note.pitch, x + noteWidth / 2, y + keyHeight / 2 + 3);
       }
 
+      if (syllables[index]) {
+        ctx.fillStyle = textColor;
+        ctx.font = 'italic 11px Arial';
+        ctx.textAlign = 'left';
+        ctx.fillText(syllables[index], x, y + keyHeight + 11);
+      }
+
       // Store note data for hover interaction
       note.visualData = {
         x,
@@ -482,27 +532,13 @@ function Visualisation({ data, type }) {
     if (!composition) return;
 
     // Extract data
-    const melodyNotes = composition.melody?.notes || [];
-    const chords = composition.chord?.progression || [];
-    const bassNotes = composition.bass?.notes || [];
+    const tracks = getCompositionTracks(composition);
+    const beatsPerBar = getBeatsPerBar(composition.timeSignature);
+    const pitchedTracks = tracks.filter(track => track.role !== 'drums');
+    const drumNotes = tracks.filter(track => track.role === 'drums').flatMap(track => track.notes);
 
     // Calculate total duration
-    const melodyDuration =
-      melodyNotes.length > 0
-        ? melodyNotes.reduce((max, note) => Math.max(max, note.startTime + note.duration), 0)
-        : 0;
-
-    const chordDuration =
-      chords.length > 0
-        ? chords.reduce((sum, chord) => sum + chord.duration * 4, 0) // Convert from bars to beats
-        : 0;
-
-    const bassDuration =
-      bassNotes.length > 0
-        ? bassNotes.reduce((max, note) => Math.max(max, note.startTime + note.duration), 0)
-        : 0;
-
-    const totalDuration = Math.max(melodyDuration, chordDuration, bassDuration);
+    const totalDuration = Math.max(0, ...tracks.map(track => getTrackEndTime(track, beatsPerBar)));
 
     // If no data, return
     if (totalDuration === 0) return;
@@ -515,35 +551,27 @@ function Visualisation({ data, type }) {
     let highestNote = -Infinity;
     let lowestNote = Infinity;
 
-    // Check melody notes
-    melodyNotes.forEach(note => {
-      const midiNumber = noteNameToMidiNumber(note.pitch);
-      highestNote = Math.max(highestNote, midiNumber);
-      lowestNote = Math.min(lowestNote, midiNumber);
-    });
-
-    // Check chord notes
-    chords.forEach(chord => {
-      chord.notes.forEach(note => {
-        const midiNumber = noteNameToMidiNumber(note);
+    pitchedTracks.forEach(track => {
+      getTrackNotes(track, beatsPerBar).forEach(note => {
+        const midiNumber = noteNameToMidi(note.pitch);
         highestNote = Math.max(highestNote, midiNumber);
         lowestNote = Math.min(lowestNote, midiNumber);
       });
     });
 
-    // Check bass notes
-    bassNotes.forEach(note => {
-      const midiNumber = noteNameToMidiNumber(note.pitch);
-      highestNote = Math.max(highestNote, midiNumber);
-      lowestNote = Math.min(lowestNote, midiNumber);
-    });
-
     // Add padding to note range
     highestNote += 2;
     lowestNote = Math.max(0, lowestNote - 2);
 
+    // Drums get one row per drum below the piano roll
+    const drumRows = DRUM_ROW_ORDER.filter(drum => drumNotes.some(note => note.drum === drum));
+    const drumRowHeight =
+      drumRows.length > 0 ? Math.min(DRUM_ROW_HEIGHT, 100 / drumRows.length) : 0;
+    const drumLaneTop = height - drumRows.length * drumRowHeight;
+    const rollBottom = drumLaneTop;
+
     const noteRange = highestNote - lowestNote;
-    const contentHeight = height - HEADER_HEIGHT;
+    const contentHeight = rollBottom - HEADER_HEIGHT;
     const keyHeight = contentHeight / (noteRange || 1); // Avoid division by zero
 
     // Get theme colors
@@ -553,6 +581,14 @@ function Visualisation({ data, type }) {
     const primaryColor = theme.colors.primary[500];
     const secondaryColor = theme.colors.secondary[500];
     const accentColor = theme.colors.accent ? theme.colors.accent[500] : '#f59e0b';
+    // Note colour of each track role; extra tracks of a role use the same colour
+    const trackColors = {
+      melody: primaryColor,
+      counterMelody: theme.colors.primary[300],
+      chord: secondaryColor,
+      pad: theme.colors.secondary[300],
+      bass: accentColor,
+    };
 
     // Draw background
     ctx.fillStyle = bgColor;
@@ -567,7 +603,7 @@ function Visualisation({ data, type }) {
     ctx.font = '12px Arial';
     ctx.textAlign = 'center';
 
-    const beatsPerBar = 4; // Assuming 4/4 time
+    const pulseLength = getPulseLength(composition.timeSignature);
     const barWidth = beatsPerBar * timeScale;
     const totalBars = Math.ceil(totalDuration / beatsPerBar);
 
@@ -587,8 +623,8 @@ function Visualisation({ data, type }) {
 
       // Draw beat lines within each bar
       if (i < totalBars) {
-        for (let beat = 1; beat < beatsPerBar; beat++) {
-          const beatX = x + beat * timeScale;
+        for (let pulse = 1; pulse * pulseLength < beatsPerBar; pulse++) {
+          const beatX = x + pulse * pulseLength * timeScale;
           ctx.strokeStyle = 'rgba(255, 255, 255, 0.1)';
           ctx.lineWidth = 1;
           ctx.beginPath();
@@ -607,7 +643,7 @@ function Visualisation({ data, type }) {
       const note = i % 12;
       const octave = Math.floor(i / 12) - 1;
       const isBlackKey = [1, 3, 6, 8, 10].includes(note);
-      const y = height - (i - lowestNote) * keyHeight - keyHeight;
+      const y = rollBottom - (i - lowestNote) * keyHeight - keyHeight;
 
       // Draw key background
       if (isBlackKey) {
@@ -640,176 +676,185 @@ function Visualisation({ data, type }) {
       ctx.stroke();
     }
 
-    // Draw chord blocks
-    chords.forEach((chord, chordIndex) => {
-      const chordDuration = chord.duration * 4; // Convert from bars to beats
-      const chordStartX = PIANO_KEY_WIDTH + chord.position * 4 * timeScale; // Convert position from bars to beats
-      const chordWidth = chordDuration * timeScale;
+    // Draw a chord track as blocks, labelled with the chord names for the first chord track
+    const drawChordTrack = (track, showLabels) => {
+      const noteColor = `rgba(${hexToRgb(trackColors[track.role] || secondaryColor)}, 0.7)`;
+
+      track.progression.forEach((chord, chordIndex) => {
+        const chordDuration = chord.duration * beatsPerBar; // Convert from bars to beats
+        const chordStartX = PIANO_KEY_WIDTH + chord.position * beatsPerBar * timeScale; // Convert position from bars to beats
+        const chordWidth = chordDuration * timeScale;
+
+        chord.visualData = [];
+
+        // Draw chord label at the top
+        if (showLabels) {
+          const chordLabelBg = `rgba(${hexToRgb(primaryColor)}, 0.2)`;
+          ctx.fillStyle = chordLabelBg;
+          ctx.fillRect(chordStartX, HEADER_HEIGHT, chordWidth, 20);
+
+          // Add a subtle gradient to the chord label
+          const gradient = ctx.createLinearGradient(
+            chordStartX,
+            HEADER_HEIGHT,
+            chordStartX,
+            HEADER_HEIGHT + 20
+          );
+          gradient.addColorStop(0, `rgba(${hexToRgb(primaryColor)}, 0.3)`);
+          gradient.addColorStop(1, `rgba(${hexToRgb(primaryColor)}, 0.1)`);
+          ctx.fillStyle = gradient;
+          ctx.fillRect(chordStartX, HEADER_HEIGHT, chordWidth, 20);
+
+          // Draw chord name with a subtle text shadow
+          ctx.fillStyle = textColor;
+          ctx.font = 'bold 12px Arial';
+          ctx.textAlign = 'center';
 
-      // Draw chord label at the top
-      const chordLabelBg = `rgba(${hexToRgb(primaryColor)}, 0.2)`;
-      ctx.fillStyle = chordLabelBg;
-      ctx.fillRect(chordStartX, HEADER_HEIGHT, chordWidth, 20);
+          // Text shadow effect - enhanced for better readability
+          ctx.shadowColor = 'rgba(0, 0, 0, 0.7)';
+          ctx.shadowBlur = 3;
+          ctx.shadowOffsetX = 1;
+          ctx.shadowOffsetY = 1;
 
-      // Add a subtle gradient to the chord label
-      const gradient = ctx.createLinearGradient(
-        chordStartX,
-        HEADER_HEIGHT,
-        chordStartX,
-        HEADER_HEIGHT + 20
-      );
-      gradient.addColorStop(0, `rgba(${hexToRgb(primaryColor)}, 0.3)`);
-      gradient.addColorStop(1, `rgba(${hexToRgb(primaryColor)}, 0.1)`);
-      ctx.fillStyle = gradient;
-      ctx.fillRect(chordStartX, HEADER_HEIGHT, chordWidth, 20);
+          ctx.fillText(
+            `${formatChordSymbol(chord)}${chord.degree ? ` (${chord.degree})` : ''}`,
+            chordStartX + chordWidth / 2,
+            HEADER_HEIGHT + 14
+          );
 
-      // Draw chord name with a subtle text shadow
-      ctx.fillStyle = textColor;
-      ctx.font = 'bold 12px Arial';
-      ctx.textAlign = 'center';
+          // Reset shadow
+          ctx.shadowColor = 'transparent';
+          ctx.shadowBlur = 0;
+          ctx.shadowOffsetX = 0;
+          ctx.shadowOffsetY = 0;
+        }
 
-      // Text shadow effect - enhanced for better readability
-      ctx.shadowColor = 'rgba(0, 0, 0, 0.7)';
-      ctx.shadowBlur = 3;
-      ctx.shadowOffsetX = 1;
-      ctx.shadowOffsetY = 1;
+        // Draw each note in the chord
+        chord.notes.forEach((note, noteIndex) => {
+          const midiNumber = noteNameToMidi(note);
+          const y = rollBottom - (midiNumber - lowestNote) * keyHeight - keyHeight;
 
-      ctx.fillText(
-        `${chord.symbol || chord.root.slice(0, -1) + chord.type} (${chord.degree})`,
-        chordStartX + chordWidth / 2,
-        HEADER_HEIGHT + 14
-      );
+          // Draw note rectangle with a gradient
+          ctx.fillStyle = noteColor;
+          ctx.fillRect(chordStartX + 2, y + 1, chordWidth - 4, keyHeight - 2);
 
-      // Reset shadow
-      ctx.shadowColor = 'transparent';
-      ctx.shadowBlur = 0;
-      ctx.shadowOffsetX = 0;
-      ctx.shadowOffsetY = 0;
+          // Add a subtle gradient to the note
+          const noteGradient = ctx.createLinearGradient(0, y, 0, y + keyHeight);
+          noteGradient.addColorStop(0, `rgba(255, 255, 255, 0.2)`);
+          noteGradient.addColorStop(1, `rgba(0, 0, 0, 0.1)`);
+          ctx.fillStyle = noteGradient;
+          ctx.fillRect(chordStartX + 2, y + 1, chordWidth - 4, keyHeight - 2);
 
-      // Draw each note in the chord
-      chord.notes.forEach((note, noteIndex) => {
-        const midiNumber = noteNameToMidiNumber(note);
-        const y = height - (midiNumber - lowestNote) * keyHeight - keyHeight;
+          // Draw note border
+          ctx.strokeStyle = 'rgba(0, 0, 0, 0.3)';
+          ctx.lineWidth = 1;
+          ctx.strokeRect(chordStartX + 2, y + 1, chordWidth - 4, keyHeight - 2);
+
+          // Draw note name if there's enough space
+          if (chordWidth > 30) {
+            ctx.fillStyle = '#ffffff';
+            ctx.font = 'bold 10px Arial';
+            ctx.textAlign = 'center';
+            ctx.fillText(note, chordStartX + chordWidth / 2, y + keyHeight / 2 + 3);
+          }
 
-        // Draw note rectangle with a gradient
-        const noteColor = `rgba(${hexToRgb(secondaryColor)}, 0.7)`;
+          // Store note data for hover interaction
+          chord.visualData.push({
+            x: chordStartX + 2,
+            y: y + 1,
+            width: chordWidth - 4,
+            height: keyHeight - 2,
+            note: note,
+            chordIndex: chordIndex,
+            noteIndex: noteIndex,
+          });
+        });
+      });
+    };
+
+    // Draw a note track in the colour of its role
+    const drawNoteTrack = track => {
+      const color = trackColors[track.role] || primaryColor;
+
+      track.notes.forEach((note, index) => {
+        const midiNumber = noteNameToMidi(note.pitch);
+        const x = PIANO_KEY_WIDTH + note.startTime * timeScale;
+        const noteWidth = Math.max(note.duration * timeScale, 5); // Minimum width for visibility
+        const y = rollBottom - (midiNumber - lowestNote) * keyHeight - keyHeight;
+
+        // Draw note rectangle with base color
+        const noteColor = `rgba(${hexToRgb(color)}, ${note.velocity})`;
         ctx.fillStyle = noteColor;
-        ctx.fillRect(chordStartX + 2, y + 1, chordWidth - 4, keyHeight - 2);
+        ctx.fillRect(x, y + 1, noteWidth, keyHeight - 2);
 
         // Add a subtle gradient to the note
         const noteGradient = ctx.createLinearGradient(0, y, 0, y + keyHeight);
         noteGradient.addColorStop(0, `rgba(255, 255, 255, 0.2)`);
         noteGradient.addColorStop(1, `rgba(0, 0, 0, 0.1)`);
         ctx.fillStyle = noteGradient;
-        ctx.fillRect(chordStartX + 2, y + 1, chordWidth - 4, keyHeight - 2);
+        ctx.fillRect(x, y + 1, noteWidth, keyHeight - 2);
 
         // Draw note border
         ctx.strokeStyle = 'rgba(0, 0, 0, 0.3)';
         ctx.lineWidth = 1;
-        ctx.strokeRect(chordStartX + 2, y + 1, chordWidth - 4, keyHeight - 2);
+        ctx.strokeRect(x, y + 1, noteWidth, keyHeight - 2);
 
         // Draw note name if there's enough space
-        if (chordWidth > 30) {
+        if (noteWidth > 30) {
           ctx.fillStyle = '#ffffff';
           ctx.font = 'bold 10px Arial';
           ctx.textAlign = 'center';
-          ctx.fillText(note, chordStartX + chordWidth / 2, y + keyHeight / 2 + 3);
+          ctx.fillText(note.pitch, x + noteWidth / 2, y + keyHeight / 2 + 3);
         }
 
         // Store note data for hover interaction
-        if (!chord.visualData) chord.visualData = [];
-        chord.visualData.push({
-          x: chordStartX + 2,
-          y: y + 1,
-          width: chordWidth - 4,
-          height: keyHeight - 2,
-          note: note,
-          chordIndex: chordIndex,
-          noteIndex: noteIndex,
-        });
+        note.visualData = {
+          x,
+          y,
+          width: noteWidth,
+          height: keyHeight,
+          index,
+        };
       });
-    });
-
-    // Draw melody notes
-    melodyNotes.forEach((note, index) => {
-      const midiNumber = noteNameToMidiNumber(note.pitch);
-      const x = PIANO_KEY_WIDTH + note.startTime * timeScale;
-      const noteWidth = Math.max(note.duration * timeScale, 5); // Minimum width for visibility
-      const y = height - (midiNumber - lowestNote) * keyHeight - keyHeight;
-
-      // Draw note rectangle with base color
-      const noteColor = `rgba(${hexToRgb(primaryColor)}, ${note.velocity})`;
-      ctx.fillStyle = noteColor;
-      ctx.fillRect(x, y + 1, noteWidth, keyHeight - 2);
+    };
 
-      // Add a subtle gradient to the note
-      const noteGradient = ctx.createLinearGradient(0, y, 0, y + keyHeight);
-      noteGradient.addColorStop(0, `rgba(255, 255, 255, 0.2)`);
-      noteGradient.addColorStop(1, `rgba(0, 0, 0, 0.1)`);
-      ctx.fillStyle = noteGradient;
-      ctx.fillRect(x, y + 1, noteWidth, keyHeight - 2);
+    // Chords go underneath, so melodies and bass lines over them stay visible
+    const firstChordTrack = pitchedTracks.find(isChordTrack);
+    pitchedTracks
+      .filter(isChordTrack)
+      .forEach(track => drawChordTrack(track, track === firstChordTrack));
+    pitchedTracks.filter(track => !isChordTrack(track)).forEach(drawNoteTrack);
 
-      // Draw note border
-      ctx.strokeStyle = 'rgba(0, 0, 0, 0.3)';
-      ctx.lineWidth = 1;
-      ctx.strokeRect(x, y + 1, noteWidth, keyHeight - 2);
+    // Draw drum lane
+    drumRows.forEach((drum, row) => {
+      const y = drumLaneTop + row * drumRowHeight;
 
-      // Draw note name if there's enough space
-      if (noteWidth > 30) {
-        ctx.fillStyle = '#ffffff';
-        ctx.font = 'bold 10px Arial';
-        ctx.textAlign = 'center';
-        ctx.fillText(note.pitch, x + noteWidth / 2, y + keyHeight / 2 + 3);
-      }
+      ctx.fillStyle = row % 2 === 0 ? 'rgba(40, 40, 55, 0.9)' : 'rgba(50, 50, 65, 0.9)';
+      ctx.fillRect(0, y, width, drumRowHeight);
 
-      // Store note data for hover interaction
-      note.visualData = {
-        x,
-        y,
-        width: noteWidth,
-        height: keyHeight,
-        index,
-      };
+      ctx.fillStyle = textColor;
+      ctx.font = '10px Arial';
+      ctx.textAlign = 'left';
+      ctx.fillText(DRUM_LABELS[drum] || drum, 5, y + drumRowHeight / 2 + 3);
     });
 
-    // Draw bass notes
-    bassNotes.forEach((note, index) => {
-      const midiNumber = noteNameToMidiNumber(note.pitch);
-      const x = PIANO_KEY_WIDTH + note.startTime * timeScale;
-      const noteWidth = Math.max(note.duration * timeScale, 5); // Minimum width for visibility
-      const y = height - (midiNumber - lowestNote) * keyHeight - keyHeight;
-
-      // Draw note rectangle with base color
-      const noteColor = `rgba(${hexToRgb(accentColor)}, ${note.velocity})`;
-      ctx.fillStyle = noteColor;
-      ctx.fillRect(x, y + 1, noteWidth, keyHeight - 2);
-
-      // Add a subtle gradient to the note
-      const noteGradient = ctx.createLinearGradient(0, y, 0, y + keyHeight);
-      noteGradient.addColorStop(0, `rgba(255, 255, 255, 0.2)`);
-      noteGradient.addColorStop(1, `rgba(0, 0, 0, 0.1)`);
-      ctx.fillStyle = noteGradient;
-      ctx.fillRect(x, y + 1, noteWidth, keyHeight - 2);
+    drumNotes.forEach((note, index) => {
+      const row = drumRows.indexOf(note.drum);
+      if (row === -1) return;
 
-      // Draw note border
-      ctx.strokeStyle = 'rgba(0, 0, 0, 0.3)';
-      ctx.lineWidth = 1;
-      ctx.strokeRect(x, y + 1, noteWidth, keyHeight - 2);
+      const x = PIANO_KEY_WIDTH + note.startTime * timeScale;
+      const y = drumLaneTop + row * drumRowHeight;
+      const noteWidth = Math.max(Math.min(note.duration, 0.25) * timeScale - 1, 3);
 
-      // Draw note name if there's enough space
-      if (noteWidth > 30) {
-        ctx.fillStyle = '#ffffff';
-        ctx.font = 'bold 10px Arial';
-        ctx.textAlign = 'center';
-        ctx.fillText(note.pitch, x + noteWidth / 2, y + keyHeight / 2 + 3);
-      }
+      ctx.fillStyle = `rgba(${hexToRgb(secondaryColor)}, ${note.velocity})`;
+      ctx.fillRect(x, y + 2, noteWidth, drumRowHeight - 4);
 
       // Store note data for hover interaction
       note.visualData = {
         x,
         y,
         width: noteWidth,
-        height: keyHeight,
+        height: drumRowHeight,
         index,
       };
     });
@@ -836,7 +881,13 @@ function Visualisation({ data, type }) {
     ctx.font = '12px Arial';
     ctx.textAlign = 'left';
     ctx.fillText(
-      `Key: ${composition.key} | Tempo: ${composition.tempo} BPM | Melody: ${melodyNotes.length} notes | Chords: ${chords.length} | Bass: ${bassNotes.length} notes`,
+      `Key: ${composition.key} | Tempo: ${composition.tempo} BPM | Time: ${formatTimeSignature(composition.timeSignature)} | ${tracks
+        .map(track =>
+          isChordTrack(track)
+            ? `${track.name}: ${track.progression.length}`
+            : `${track.name}: ${track.notes.length} ${track.role === 'drums' ? 'hits' : 'notes'}`
+        )
+        .join(' | ')}`,
       PIANO_KEY_WIDTH + 20,
       height - 15
     );
@@ -847,7 +898,8 @@ function Visualisation({ data, type }) {
     if (!progression || !progression.progression || progression.progression.length === 0) return;
 
     const chords = progression.progression;
-    const totalDuration = chords.reduce((sum, chord) => sum + chord.duration * 4, 0); // Convert from bars to beats
+    const beatsPerBar = getBeatsPerBar(progression.timeSignature);
+    const totalDuration = chords.reduce((sum, chord) => sum + chord.duration * beatsPerBar, 0); // Convert from bars to beats
 
     // Calculate the available width for the piano roll (excluding piano keys)
     const pianoRollWidth = width - PIANO_KEY_WIDTH;
@@ -859,7 +911,7 @@ function Visualisation({ data, type }) {
 
     chords.forEach(chord => {
       chord.notes.forEach(note => {
-        const midiNumber = noteNameToMidiNumber(note);
+        const midiNumber = noteNameToMidi(note);
         highestNote = Math.max(highestNote, midiNumber);
         lowestNote = Math.min(lowestNote, midiNumber);
       });
@@ -894,7 +946,7 @@ function Visualisation({ data, type }) {
     ctx.font = '12px Arial';
     ctx.textAlign = 'center';
 
-    const beatsPerBar = 4; // Assuming 4/4 time
+    const pulseLength = getPulseLength(progression.timeSignature);
     const barWidth = beatsPerBar * timeScale;
     const totalBars = Math.ceil(totalDuration / beatsPerBar);
 
@@ -914,8 +966,8 @@ function Visualisation({ data, type }) {
 
       // Draw beat lines within each bar
       if (i < totalBars) {
-        for (let beat = 1; beat < beatsPerBar; beat++) {
-          const beatX = x + beat * timeScale;
+        for (let pulse = 1; pulse * pulseLength < beatsPerBar; pulse++) {
+          const beatX = x + pulse * pulseLength * timeScale;
           ctx.strokeStyle = 'rgba(255, 255, 255, 0.1)';
           ctx.lineWidth = 1;
           ctx.beginPath();
@@ -971,7 +1023,7 @@ function Visualisation({ data, type }) {
     let currentBeat = 0;
 
     chords.forEach((chord, chordIndex) => {
-      const chordDuration = chord.duration * 4; // Convert from bars to beats
+      const chordDuration = chord.duration * beatsPerBar; // Convert from bars to beats
       const chordStartX = PIANO_KEY_WIDTH + currentBeat * timeScale;
       const chordWidth = chordDuration * timeScale;
 
@@ -1004,7 +1056,7 @@ function Visualisation({ data, type }) {
       ctx.shadowOffsetY = 1;
 
       ctx.fillText(
-        `${chord.symbol || chord.root.slice(0, -1) + chord.type} (${chord.degree})`,
+        `${formatChordSymbol(chord)}${chord.degree ? ` (${chord.degree})` : ''}`,
         chordStartX + chordWidth / 2,
         HEADER_HEIGHT + 14
       );
@@ -1025,7 +1077,7 @@ function Visualisation({ data, type }) {
 
       // Draw each note in the chord
       chord.notes.forEach((note, noteIndex) => {
-        const midiNumber = noteNameToMidiNumber(note);
+        const midiNumber = noteNameToMidi(note);
         const y = height - (midiNumber - lowestNote) * keyHeight - keyHeight;
 
         // Draw note rectangle with a gradient
@@ -1121,14 +1173,6 @@ function Visualisation({ data, type }) {
     );
   };
 
-  // Helper function to convert note name to MIDI number
-  const noteNameToMidiNumber = noteName => {
-    const notes = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
-    const note = noteName.slice(0, -1);
-    const octave = parseInt(noteName.slice(-1));
-    return notes.indexOf(note) + (octave + 1) * 12;
-  };
-
   // Helper function to get color based on velocity
   const getColorForVelocity = (velocity, alpha = 1.0) => {
     // Normalize velocity to 0-1 range if it's in MIDI range (0-127)
@@ -1243,7 +1287,8 @@ function Visualisation({ data, type }) {
           <HStack>
             <Badge colorScheme="blue">Chord:</Badge>
             <Text>
-              {chord.symbol || `${chord.root.slice(0, -1)}${chord.type}`} ({chord.degree})
+              {formatChordSymbol(chord)}
+              {chord.degree && ` (${chord.degree})`}
             </Text>
           </HStack>
           <HStack>
@@ -1261,21 +1306,18 @@ function Visualisation({ data, type }) {
         </VStack>
       );
     } else if (type === 'composition') {
-      // For composition, we need to check which part the note belongs to
-      if (hoveredNote.part === 'melody') {
+      // For composition, we need to check which kind of part the note belongs to
+      const partColor = partColorSchemes[hoveredNote.part] || 'primary';
+      if (hoveredNote.part === 'drums') {
         return (
           <VStack align="start" spacing={1} p={2}>
             <HStack>
-              <Badge colorScheme="primary">Part:</Badge>
-              <Text>Melody</Text>
-            </HStack>
-            <HStack>
-              <Badge colorScheme="blue">Note:</Badge>
-              <Text>{hoveredNote.pitch}</Text>
+              <Badge colorScheme="secondary">Part:</Badge>
+              <Text>Drums</Text>
             </HStack>
             <HStack>
-              <Badge colorScheme="green">Duration:</Badge>
-              <Text>{hoveredNote.duration.toFixed(2)} beats</Text>
+              <Badge colorScheme="blue">Drum:</Badge>
+              <Text>{DRUM_LABELS[hoveredNote.drum] || hoveredNote.drum}</Text>
             </HStack>
             <HStack>
               <Badge colorScheme="purple">Velocity:</Badge>
@@ -1285,26 +1327,21 @@ function Visualisation({ data, type }) {
               <Badge colorScheme="orange">Start Time:</Badge>
               <Text>{hoveredNote.startTime.toFixed(2)} beats</Text>
             </HStack>
-            {hoveredNote.instrument && (
-              <HStack>
-                <Badge colorScheme="teal">Instrument:</Badge>
-                <Text>{hoveredNote.instrument}</Text>
-              </HStack>
-            )}
           </VStack>
         );
-      } else if (hoveredNote.part === 'chord') {
+      } else if (hoveredNote.chord) {
         const chord = hoveredNote.chord;
         return (
           <VStack align="start" spacing={1} p={2}>
             <HStack>
-              <Badge colorScheme="secondary">Part:</Badge>
-              <Text>Chord</Text>
+              <Badge colorScheme={partColor}>Part:</Badge>
+              <Text>{hoveredNote.trackName}</Text>
             </HStack>
             <HStack>
               <Badge colorScheme="blue">Chord:</Badge>
               <Text>
-                {chord.symbol || `${chord.root.slice(0, -1)}${chord.type}`} ({chord.degree})
+                {formatChordSymbol(chord)}
+                {chord.degree && ` (${chord.degree})`}
               </Text>
             </HStack>
             <HStack>
@@ -1327,12 +1364,12 @@ function Visualisation({ data, type }) {
             )}
           </VStack>
         );
-      } else if (hoveredNote.part === 'bass') {
+      } else {
         return (
           <VStack align="start" spacing={1} p={2}>
             <HStack>
-              <Badge colorScheme="accent">Part:</Badge>
-              <Text>Bass</Text>
+              <Badge colorScheme={partColor}>Part:</Badge>
+              <Text>{hoveredNote.trackName}</Text>
             </HStack>
             <HStack>
               <Badge colorScheme="blue">Note:</Badge>
@@ -1389,6 +1426,7 @@ function Visualisation({ data, type }) {
               onInstrumentChange={handleInstrumentChange}
               isLoading={instrumentsLoading}
             />
+            <MIDIOutputSelector data={data} type={type} />
             <PlayButton data={data} type={type} />
           </HStack>
         </HStack>
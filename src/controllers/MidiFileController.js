@@ -13,7 +13,7 @@ import {
   updateMidiFile,
   deleteMidiFile,
 } from '../models/MidiFileModel';
-import { exportMIDIWithJZZ } from '../utils/jzzMidi.js';
+import { createExport } from '../utils/exporters';
 
 /**
  * Generate and save a MIDI file
@@ -45,7 +45,7 @@ export const generateAndSaveMidiFile = async (
     }
 
     // Generate MIDI data
-    const midiData = await exportMIDIWithJZZ(melodyData, chordData, options);
+    const midiData = await createExport('midi', melodyData, chordData, options, fileName);
 
     if (!midiData) {
       throw new Error('Failed to generate MIDI data');
@@ -5,13 +5,14 @@ import MIDIExport from '../components/MIDIExport';
 // Mock window.scrollTo to avoid JSDOM errors
 window.scrollTo = vi.fn();
 
-// Mock the firebase/midiExport module
-vi.mock('../utils/firebase/midiExport', () => ({
-  exportAndDownloadMIDI: vi.fn().mockResolvedValue(true),
+// Mock the download of the export service, keeping its format registry
+vi.mock('../utils/exporters', async importOriginal => ({
+  ...(await importOriginal()),
+  exportAndDownload: vi.fn().mockResolvedValue(true),
 }));
 
 // Import the mocked module
-import { exportAndDownloadMIDI } from '../utils/firebase/midiExport';
+import { exportAndDownload } from '../utils/exporters';
 
 describe('MIDIExport Component', () => {
   const mockMelodyData = {
@@ -46,6 +47,15 @@ describe('MIDIExport Component', () => {
     expect(screen.getByText('Export as MIDI')).toBeInTheDocument();
   });
 
+  it('only lists the formats with something to export', () => {
+    const { unmount } = render(<MIDIExport data={mockMelodyData} type="melody" />);
+    expect(screen.queryByRole('option', { name: 'Karaoke' })).not.toBeInTheDocument();
+    unmount();
+
+    render(<MIDIExport data={{ ...mockMelodyData, lyricsText: 'La la la' }} type="melody" />);
+    expect(screen.getByRole('option', { name: 'Karaoke' })).toBeInTheDocument();
+  });
+
   it('allows changing the file name', () => {
     render(<MIDIExport data={mockMelodyData} type="melody" />);
 
@@ -70,13 +80,14 @@ describe('MIDIExport Component', () => {
     expect(screen.queryByText('Include Melody Track')).not.toBeInTheDocument();
   });
 
-  it('calls exportAndDownloadMIDI with correct parameters for melody', async () => {
+  it('exports MIDI with correct parameters for melody', async () => {
     render(<MIDIExport data={mockMelodyData} type="melody" />);
 
     const exportButton = screen.getByText('Export as MIDI');
     fireEvent.click(exportButton);
 
-    expect(exportAndDownloadMIDI).toHaveBeenCalledWith(
+    expect(exportAndDownload).toHaveBeenCalledWith(
+      'midi',
       mockMelodyData,
       null,
       'my-music-melody',
@@ -87,13 +98,14 @@ describe('MIDIExport Component', () => {
     );
   });
 
-  it('calls exportAndDownloadMIDI with correct parameters for chord', async () => {
+  it('exports MIDI with correct parameters for chord', async () => {
     render(<MIDIExport data={mockChordData} type="chord" />);
 
     const exportButton = screen.getByText('Export as MIDI');
     fireEvent.click(exportButton);
 
-    expect(exportAndDownloadMIDI).toHaveBeenCalledWith(
+    expect(exportAndDownload).toHaveBeenCalledWith(
+      'midi',
       null,
       mockChordData,
       'my-music-chord',
@@ -104,9 +116,29 @@ describe('MIDIExport Component', () => {
     );
   });
 
+  it('exports in the format picked from the export registry', () => {
+    render(<MIDIExport data={mockChordData} type="chord" />);
+
+    const picker = screen.getByLabelText('Export format');
+    const formats = Array.from(picker.querySelectorAll('option')).map(option => option.value);
+    expect(formats).toContain('musicxml');
+    expect(formats).not.toContain('karaoke');
+
+    fireEvent.change(picker, { target: { value: 'musicxml' } });
+    fireEvent.click(screen.getByText('Export as MusicXML'));
+
+    expect(exportAndDownload).toHaveBeenCalledWith(
+      'musicxml',
+      null,
+      mockChordData,
+      'my-music-chord',
+      expect.any(Object)
+    );
+  });
+
   it('shows success message when export succeeds', async () => {
-    // Mock the exportAndDownloadMIDI function to resolve with true
-    exportAndDownloadMIDI.mockResolvedValueOnce(true);
+    // Mock the exportAndDownload function to resolve with true
+    exportAndDownload.mockResolvedValueOnce(true);
 
     render(<MIDIExport data={mockMelodyData} type="melody" />);
 
@@ -124,7 +156,7 @@ describe('MIDIExport Component', () => {
 
   it('shows error message when export fails', async () => {
     // Mock the export function to fail
-    exportAndDownloadMIDI.mockResolvedValueOnce(false);
+    exportAndDownload.mockResolvedValueOnce(false);
 
     render(<MIDIExport data={mockMelodyData} type="melody" />);
 
@@ -139,7 +171,7 @@ describe('MIDIExport Component', () => {
 
   it('handles export errors gracefully', async () => {
     // Mock the export function to throw an error
-    exportAndDownloadMIDI.mockRejectedValueOnce(new Error('Test error'));
+    exportAndDownload.mockRejectedValueOnce(new Error('Test error'));
 
     render(<MIDIExport data={mockMelodyData} type="melody" />);
 
@@ -179,7 +211,8 @@ describe('MIDIExport Component', () => {
     fireEvent.click(exportButton);
 
     // Use expect.objectContaining to match only the properties we care about
-    expect(exportAndDownloadMIDI).toHaveBeenCalledWith(
+    expect(exportAndDownload).toHaveBeenCalledWith(
+      'midi',
       mockMelodyData,
       null,
       'my-music-melody',
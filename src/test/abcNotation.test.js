@@ -0,0 +1,177 @@
+import { describe, it, expect } from 'vitest';
+import { parseABC, createABC, parseABCKey, formatABCKey } from '../utils/abcNotation';
+import { createTrack } from '../utils/tracks';
+
+const pitchesOf = melodyData => melodyData.notes.map(note => note.pitch);
+const round = time => Math.round(time * 1000) / 1000;
+const timesOf = melodyData =>
+  melodyData.notes.map(note => [round(note.startTime), round(note.duration)]);
+
+describe('abcNotation Utility Functions', () => {
+  describe('keys', () => {
+    it('reads ABC keys and modes as scale names', () => {
+      expect(parseABCKey('G')).toEqual({ name: 'G Major', fifths: 1 });
+      expect(parseABCKey('Em')).toEqual({ name: 'E Minor', fifths: 1 });
+      expect(parseABCKey('Bb')).toEqual({ name: 'Bb Major', fifths: -2 });
+      expect(parseABCKey('D dor')).toEqual({ name: 'D Dorian', fifths: 0 });
+      expect(parseABCKey('Amix')).toEqual({ name: 'A Mixolydian', fifths: 2 });
+    });
+
+    it('writes scale names as ABC keys', () => {
+      expect(formatABCKey('Eb Major')).toBe('Eb');
+      expect(formatABCKey('A Minor')).toBe('Am');
+      expect(formatABCKey('D Dorian')).toBe('Ddor');
+      expect(formatABCKey('Imported')).toBe('C');
+    });
+  });
+
+  describe('parseABC', () => {
+    it('reads header fields', () => {
+      const { title, melodyData } = parseABC(
+        ['X:1', 'T:The Kesh', 'M:6/8', 'L:1/8', 'Q:3/8=100', 'K:G', 'GAG GAB|'].join('\n')
+      );
+
+      expect(title).toBe('The Kesh');
+      expect(melodyData.scale).toBe('G Major');
+      expect(melodyData.timeSignature).toBe('6/8');
+      expect(melodyData.tempo).toBe(150);
+      expect(melodyData.length).toBe(1);
+    });
+
+    it('applies the key signature, bar accidentals and octave marks', () => {
+      const { melodyData } = parseABC("K:D\nF ^G G =F | G c C, d'");
+
+      expect(pitchesOf(melodyData)).toEqual(['F#4', 'G#4', 'G#4', 'F4', 'G4', 'C#5', 'C#3', 'D6']);
+    });
+
+    it('reads note lengths, rests, ties, tuplets and broken rhythms', () => {
+      const { melodyData } = parseABC('L:1/8\nK:C\nC2 D/E/ z F- | F (3GAB c>d e<f');
+
+      expect(timesOf(melodyData)).toEqual([
+        [0, 1],
+        [1, 0.25],
+        [1.25, 0.25],
+        [2, 1],
+        [3, 0.333],
+        [3.333, 0.333],
+        [3.667, 0.333],
+        [4, 0.75],
+        [4.75, 0.25],
+        [5, 0.25],
+        [5.25, 0.75],
+      ]);
+      expect(pitchesOf(melodyData)[3]).toBe('F4');
+    });
+
+    it('reads chords in brackets and quoted chord symbols', () => {
+      const { melodyData, chordData } = parseABC(
+        'M:3/4\nL:1/4\nK:Am\n"Am"[A,CE] B c | "E7"B2 ^G |'
+      );
+
+      expect(melodyData.notes.slice(0, 3).map(note => note.pitch)).toEqual(['A3', 'C4', 'E4']);
+      expect(chordData.progression.map(chord => chord.symbol)).toEqual(['Am', 'E7']);
+      expect(chordData.progression[1]).toMatchObject({
+        root: 'E',
+        type: '7',
+        position: 1,
+        duration: 1,
+      });
+    });
+
+    it('reads slash chords and altered chord symbols', () => {
+      const { chordData } = parseABC('L:1/4\nK:C\n"C/E"C D "G7b9/B"B2 |');
+
+      expect(chordData.progression[0]).toMatchObject({
+        root: 'C',
+        type: 'maj',
+        notes: ['E3', 'C4', 'E4', 'G4'],
+      });
+      expect(chordData.progression[1]).toMatchObject({ root: 'G', type: '7b9', symbol: 'G7b9/B' });
+      expect(chordData.progression[1].notes).toEqual(['B3', 'G4', 'B4', 'D5', 'F5', 'Ab5']);
+    });
+
+    it('throws when the tune has no notes', () => {
+      expect(() => parseABC('X:1\nT:Empty\nK:C\n')).toThrow('No notes found in ABC tune');
+    });
+  });
+
+  describe('createABC', () => {
+    it('writes headers, key-aware accidentals and ties across barlines', () => {
+      const melodyData = {
+        scale: 'F Major',
+        tempo: 90,
+        timeSignature: '3/4',
+        notes: [
+          { pitch: 'A#4', startTime: 0, duration: 1, velocity: 0.8 },
+          { pitch: 'B4', startTime: 1, duration: 0.5, velocity: 0.8 },
+          { pitch: 'C5', startTime: 1.5, duration: 2.5, velocity: 0.8 },
+        ],
+      };
+
+      const abc = createABC(melodyData, null, { title: 'Seed' });
+
+      expect(abc).toContain('T:Seed\nM:3/4\nL:1/8\nQ:1/4=90\nK:F\n');
+      expect(abc).toContain('B2 =Bc3- | c2 z4 |]');
+    });
+
+    it('writes triplets and chord symbols', () => {
+      const melodyData = {
+        scale: 'C Major',
+        timeSignature: '4/4',
+        notes: [0, 1, 2].map(i => ({
+          pitch: ['C4', 'D4', 'E4'][i],
+          startTime: i / 3,
+          duration: 1 / 3,
+          velocity: 0.8,
+        })),
+      };
+      const chordData = {
+        progression: [{ root: 'A', type: 'min7', notes: [], position: 0, duration: 1 }],
+      };
+
+      expect(createABC(melodyData, chordData)).toContain('(3:2:3"Am7"CDE z6 |]');
+    });
+
+    it('round-trips through parseABC', () => {
+      const source = 'M:6/8\nL:1/8\nQ:3/8=80\nK:Em\n"Em"E2F G2A | "D"(3:2:3FED B3- | B6 |]';
+      const { melodyData, chordData } = parseABC(source);
+      const roundTrip = parseABC(createABC(melodyData, chordData));
+
+      expect(roundTrip.melodyData.notes).toEqual(melodyData.notes);
+      expect(roundTrip.melodyData.scale).toBe('E Minor');
+      expect(roundTrip.chordData.progression.map(chord => chord.symbol)).toEqual(['Em', 'D']);
+    });
+
+    it('round-trips triplets that start off the quarter-note grid in compound meters', () => {
+      const { melodyData } = parseABC('M:6/8\nL:1/8\nK:D\nF2A (3Bcd f |]');
+      const abc = createABC(melodyData, null);
+
+      expect(abc).toContain('F2A (3:2:3Bcdf |]');
+      expect(timesOf(parseABC(abc).melodyData)).toEqual(timesOf(melodyData));
+    });
+
+    it('writes a voice for each pitched track and reads back the first', () => {
+      const tracks = [
+        { role: 'melody', notes: [{ pitch: 'E5', startTime: 0, duration: 4, velocity: 0.8 }] },
+        { role: 'counterMelody', notes: [{ pitch: 'G4', startTime: 0, duration: 4 }] },
+        {
+          role: 'chord',
+          progression: [
+            { root: 'C', type: 'maj', notes: ['C4', 'E4', 'G4'], position: 0, duration: 1 },
+          ],
+        },
+        { role: 'bass', notes: [{ pitch: 'C2', startTime: 0, duration: 4 }] },
+      ].reduce((list, fields) => [...list, createTrack(fields, list)], []);
+
+      const abc = createABC({ scale: 'C Major', notes: tracks[0].notes }, null, { tracks });
+
+      expect(abc).toContain('K:C\nV:1 name="Melody"\n%%MIDI program 0\n"C"e8 |]\n');
+      expect(abc).toContain('V:2 name="Counter-melody"\n%%MIDI program 73\nG8 |]\n');
+      expect(abc).toContain('V:3 name="Bass" clef=bass\n');
+
+      const { melodyData, chordData } = parseABC(abc);
+      expect(melodyData.notes.map(note => note.pitch)).toEqual(['E5']);
+      expect(chordData.progression.map(chord => chord.symbol)).toEqual(['C']);
+    });
+  });
+});
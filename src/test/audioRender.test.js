@@ -0,0 +1,182 @@
+import { describe, it, expect, vi } from 'vitest';
+import { encodeWAV, renderTracks, renderWAV } from '../utils/audioRender';
+import { createPlaybackSchedule } from '../utils/playbackSchedule';
+import {
+  playChordProgressionWithSoundFont,
+  playMelodyWithSoundFont,
+} from '../utils/soundfontUtils';
+import { createTrack } from '../utils/tracks';
+
+const SAMPLE_RATE = 8000;
+
+const melodyData = {
+  tempo: 120,
+  timeSignature: '4/4',
+  notes: [
+    { pitch: 'A4', startTime: 0, duration: 1, velocity: 0.8 },
+    { pitch: 'E5', startTime: 2, duration: 1, velocity: 0.8 },
+  ],
+};
+
+const chordData = {
+  tempo: 120,
+  timeSignature: '4/4',
+  progression: [{ root: 'C', type: 'maj', notes: ['C4', 'E4', 'G4'], position: 0, duration: 1 }],
+};
+
+// Peak level of the samples between two times in seconds
+const peakBetween = (samples, from, to) =>
+  samples
+    .slice(Math.round(from * SAMPLE_RATE), Math.round(to * SAMPLE_RATE))
+    .reduce((max, sample) => Math.max(max, Math.abs(sample)), 0);
+
+describe('audioRender Utility Functions', () => {
+  describe('createPlaybackSchedule', () => {
+    it('times notes and chords in seconds through the tempo map', () => {
+      const tracks = [
+        createTrack({ role: 'melody', notes: melodyData.notes }),
+        createTrack({ role: 'chord', progression: chordData.progression }),
+      ];
+      const schedule = createPlaybackSchedule(tracks, {
+        tempo: 120,
+        tempoMap: [
+          { startTime: 0, tempo: 120 },
+          { startTime: 2, tempo: 60 },
+        ],
+        timeSignature: '4/4',
+      });
+
+      expect(schedule.parts[0].notes.map(note => [note.time, note.duration])).toEqual([
+        [0, 0.5],
+        [1, 1],
+      ]);
+      expect(schedule.parts[1].notes[0]).toMatchObject({
+        time: 0,
+        duration: 3,
+        pitch: ['C4', 'E4', 'G4'],
+      });
+      expect(schedule.duration).toBe(3);
+    });
+
+    it('is what live SoundFont playback plays, with the chord velocity', async () => {
+      const progression = [{ ...chordData.progression[0], velocity: 0.5 }];
+      const tracks = [
+        createTrack({ role: 'melody', notes: melodyData.notes }),
+        createTrack({ role: 'chord', progression }),
+      ];
+      const schedule = createPlaybackSchedule(tracks, { tempo: 60, timeSignature: '4/4' });
+      const instrument = { context: { currentTime: 10 }, play: vi.fn() };
+
+      await playMelodyWithSoundFont(instrument, schedule.parts[0].notes);
+      await playChordProgressionWithSoundFont(instrument, schedule.parts[1].notes);
+
+      expect(instrument.play.mock.calls).toEqual([
+        [69, 10, { duration: 1, gain: 0.8 }],
+        [76, 12, { duration: 1, gain: 0.8 }],
+        [60, 10, { duration: 4, gain: 0.5 }],
+        [64, 10, { duration: 4, gain: 0.5 }],
+        [67, 10, { duration: 4, gain: 0.5 }],
+      ]);
+    });
+  });
+
+  describe('renderTracks', () => {
+    it('sounds each note at its scheduled time and lets it ring out', () => {
+      const tracks = [createTrack({ role: 'melody', notes: melodyData.notes })];
+      const samples = renderTracks(tracks, { tempo: 120, sampleRate: SAMPLE_RATE, tail: 1 });
+
+      expect(samples.length).toBe(2.5 * SAMPLE_RATE);
+      expect(peakBetween(samples, 0, 0.5)).toBeGreaterThan(0.1);
+      expect(peakBetween(samples, 0.9, 0.99)).toBeLessThan(0.01);
+      expect(peakBetween(samples, 1, 1.5)).toBeGreaterThan(0.1);
+    });
+
+    it('renders drums and keeps loud mixes from clipping', () => {
+      const notes = Array.from({ length: 8 }, (_, i) => ({
+        pitch: `C${i % 2 ? 3 : 4}`,
+        startTime: 0,
+        duration: 1,
+        velocity: 1,
+      }));
+      const tracks = [
+        createTrack({ role: 'bass', notes }),
+        createTrack({
+          role: 'drums',
+          notes: [
+            { pitch: 'C2', drum: 'kick', startTime: 1, duration: 0.25, velocity: 1 },
+            { pitch: 'F#2', drum: 'closedHat', startTime: 1.5, duration: 0.25, velocity: 1 },
+          ],
+        }),
+      ];
+      const samples = renderTracks(tracks, { sampleRate: SAMPLE_RATE });
+
+      expect(peakBetween(samples, 0, 2)).toBeCloseTo(1);
+      expect(peakBetween(samples, 0.5, 0.7)).toBeGreaterThan(0.05);
+      expect(peakBetween(samples, 0.75, 0.8)).toBeGreaterThan(0.001);
+    });
+
+    it('clamps notes outside the MIDI range rather than failing the render', () => {
+      const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+      const notes = [
+        { pitch: 'C10', startTime: 0, duration: 1, velocity: 0.8 },
+        { pitch: 'A4', startTime: 2, duration: 1, velocity: 0.8 },
+      ];
+      const samples = renderTracks([createTrack({ role: 'melody', notes })], {
+        sampleRate: SAMPLE_RATE,
+      });
+      error.mockRestore();
+
+      expect(peakBetween(samples, 0, 0.5)).toBeGreaterThan(0.01);
+      expect(peakBetween(samples, 1, 1.5)).toBeGreaterThan(0.01);
+    });
+
+    it('renders the same composition the same way every time', () => {
+      const tracks = [createTrack({ role: 'drums', notes: [{ drum: 'snare', startTime: 0 }] })];
+
+      expect(renderTracks(tracks, { sampleRate: SAMPLE_RATE })).toEqual(
+        renderTracks(tracks, { sampleRate: SAMPLE_RATE })
+      );
+    });
+  });
+
+  describe('encodeWAV', () => {
+    it('writes a PCM header and 16 or 24-bit little-endian samples', () => {
+      const samples = new Float32Array([0, 1, -1, 0.5]);
+      const view = data => new DataView(data.buffer);
+
+      const wav16 = encodeWAV(samples, { sampleRate: SAMPLE_RATE });
+      expect(new TextDecoder().decode(wav16.slice(0, 4))).toBe('RIFF');
+      expect(new TextDecoder().decode(wav16.slice(8, 16))).toBe('WAVEfmt ');
+      expect(view(wav16).getUint32(24, true)).toBe(SAMPLE_RATE);
+      expect(view(wav16).getUint16(34, true)).toBe(16);
+      expect(view(wav16).getUint32(40, true)).toBe(8);
+      expect([0, 1, 2, 3].map(i => view(wav16).getInt16(44 + i * 2, true))).toEqual([
+        0, 32767, -32767, 16384,
+      ]);
+
+      const wav24 = encodeWAV(samples, { bitDepth: 24 });
+      expect(wav24.length).toBe(44 + 12);
+      expect(Array.from(wav24.slice(47, 50))).toEqual([0xff, 0xff, 0x7f]);
+      expect(Array.from(wav24.slice(50, 53))).toEqual([0x01, 0x00, 0x80]);
+    });
+
+    it('rejects unsupported bit depths', () => {
+      expect(() => encodeWAV(new Float32Array(1), { bitDepth: 8 })).toThrow(
+        'Unsupported WAV bit depth: 8'
+      );
+    });
+  });
+
+  describe('renderWAV', () => {
+    it('renders melody and chord data with the chosen instruments', () => {
+      const wav = renderWAV(melodyData, chordData, {
+        sampleRate: SAMPLE_RATE,
+        melodyInstrument: 'violin',
+        bitDepth: 24,
+      });
+
+      expect(new DataView(wav.buffer).getUint16(34, true)).toBe(24);
+      expect(wav.length).toBe(44 + Math.ceil(3 * SAMPLE_RATE) * 3);
+    });
+  });
+});
@@ -0,0 +1,139 @@
+import { describe, it, expect } from 'vitest';
+import {
+  formatChordSymbol,
+  isChordSymbol,
+  parseChordSymbol,
+  readChord,
+  spellChord,
+} from '../utils/chordSymbols';
+import {
+  applyVoiceLeading,
+  extendedChordTypes,
+  getChordIntervals,
+  midiToNote,
+  noteToMidi,
+} from '../utils/chords';
+import { getChordNotes } from '../utils/tonalUtils';
+import { getPitchClass, noteNameToMidi } from '../utils/pitch';
+
+describe('chordSymbols Utility Functions', () => {
+  describe('parseChordSymbol', () => {
+    it('reads every chord type the generators use as its own pitch set', () => {
+      Object.entries(extendedChordTypes).forEach(([type, intervals]) => {
+        expect(parseChordSymbol(`C${type}`).intervals).toEqual(intervals);
+      });
+    });
+
+    it('tells major sevenths from dominant and minor ones', () => {
+      expect(parseChordSymbol('Cmaj7')).toMatchObject({ quality: 'major', seventh: 'major' });
+      expect(parseChordSymbol('CΔ').intervals).toEqual([0, 4, 7, 11]);
+      expect(parseChordSymbol('C7')).toMatchObject({ quality: 'dominant', seventh: 'minor' });
+      expect(parseChordSymbol('Cm7')).toMatchObject({ quality: 'minor', seventh: 'minor' });
+      expect(parseChordSymbol('Cm(maj7)')).toMatchObject({ quality: 'minor', seventh: 'major' });
+      expect(parseChordSymbol('C-7').intervals).toEqual([0, 3, 7, 10]);
+    });
+
+    it('reads alterations, added and omitted tones and suspensions', () => {
+      expect(parseChordSymbol('Bbm7b5')).toMatchObject({
+        root: 'Bb',
+        quality: 'half-diminished',
+        alterations: [],
+        intervals: [0, 3, 6, 10],
+      });
+      expect(parseChordSymbol('D7(#9,#11)')).toMatchObject({
+        alterations: [
+          { degree: 9, alter: 1 },
+          { degree: 11, alter: 1 },
+        ],
+        intervals: [0, 4, 7, 10, 15, 18],
+      });
+      expect(parseChordSymbol('Fmadd9').intervals).toEqual([0, 3, 7, 14]);
+      expect(parseChordSymbol('C6/9')).toMatchObject({ bass: null, intervals: [0, 4, 7, 9, 14] });
+      expect(parseChordSymbol('C7sus')).toMatchObject({
+        suspension: 'sus4',
+        intervals: [0, 5, 7, 10],
+      });
+      expect(parseChordSymbol('C9no3').intervals).toEqual([0, 7, 10, 14]);
+      expect(parseChordSymbol('G5').intervals).toEqual([0, 7]);
+    });
+
+    it('reads a slash bass', () => {
+      expect(parseChordSymbol('G7b9/B')).toMatchObject({
+        root: 'G',
+        bass: 'B',
+        suffix: '7b9',
+        intervals: [0, 4, 7, 10, 13],
+      });
+      expect(parseChordSymbol('Eb/Bb')).toMatchObject({ root: 'Eb', bass: 'Bb', quality: 'major' });
+    });
+
+    it('rejects symbols it cannot read', () => {
+      expect(() => parseChordSymbol('H7')).toThrow('Invalid chord symbol: H7');
+      expect(() => parseChordSymbol('Cmaj7/9')).toThrow('Invalid chord symbol: Cmaj7/9');
+      expect(isChordSymbol('Cdimmaj7')).toBe(false);
+      expect(isChordSymbol('F#m11')).toBe(true);
+    });
+  });
+
+  describe('spellChord', () => {
+    it('spells each degree on its own letter with the bass underneath', () => {
+      expect(spellChord(parseChordSymbol('C7#9'))).toEqual(['C4', 'E4', 'G4', 'Bb4', 'D#5']);
+      expect(spellChord(parseChordSymbol('Bbm7b5'), 3)).toEqual(['Bb3', 'Db4', 'Fb4', 'Ab4']);
+      expect(spellChord(parseChordSymbol('G7b9/B'))).toEqual(['B3', 'G4', 'B4', 'D5', 'F5', 'Ab5']);
+      expect(getChordNotes('Am')).toEqual(['A4', 'C5', 'E5']);
+      expect(getChordNotes('not a chord')).toEqual(['C4', 'E4', 'G4']);
+    });
+  });
+
+  describe('progression chords', () => {
+    it('read entries by symbol or by root and type, and label them', () => {
+      expect(readChord({ root: 'A3', type: 'min7' }).intervals).toEqual([0, 3, 7, 10]);
+      expect(readChord({ root: 'C', type: 'maj', symbol: 'C/E' }).bass).toBe('E');
+      expect(readChord({ root: 'C', type: 'nonsense' })).toBeNull();
+      expect(formatChordSymbol({ root: 'A', type: 'min7' })).toBe('Am7');
+      expect(formatChordSymbol({ root: 'C4', type: 'maj' })).toBe('C');
+      expect(formatChordSymbol({ root: 'C', type: 'maj', symbol: 'C/G' })).toBe('C/G');
+      expect(getChordIntervals('7#9')).toEqual([0, 4, 7, 10, 15]);
+      expect(getChordIntervals('13#11')).toEqual([0, 4, 7, 10, 14, 18, 21]);
+    });
+
+    it('voice-lead chords given only by symbol, keeping the slash bass', () => {
+      const chords = applyVoiceLeading([
+        { symbol: 'Dm7', notes: ['D4', 'F4', 'A4', 'C5'] },
+        { symbol: 'G7b9/B', notes: [] },
+        { symbol: 'Cmaj7', notes: [] },
+      ]);
+
+      expect(chords[1].notes[0]).toBe('B3');
+      expect(chords[1].notes.slice(1).map(note => getPitchClass(note))).toEqual(
+        expect.arrayContaining([7, 11, 2, 5, 8])
+      );
+      expect(chords[2].notes.map(note => note.replace(/\d/, '')).sort()).toEqual([
+        'B',
+        'C',
+        'E',
+        'G',
+      ]);
+    });
+
+    it('puts the slash bass right below the lowest note of the voicing', () => {
+      const chords = applyVoiceLeading([
+        { symbol: 'C', notes: ['C2', 'E2', 'G2'] },
+        { symbol: 'F/A', notes: [] },
+        { symbol: 'G/D', notes: [] },
+      ]);
+
+      chords.slice(1).forEach(({ notes }) => {
+        const [bass, ...voicing] = notes.map(noteNameToMidi);
+        expect(bass).toBeLessThan(Math.min(...voicing));
+        expect(Math.min(...voicing) - bass).toBeLessThanOrEqual(12);
+      });
+      expect(chords.map(({ notes }) => getPitchClass(notes[0]))).toEqual([0, 9, 2]);
+    });
+
+    it('keeps the note conversions of the chord module', () => {
+      expect(noteToMidi('Eb4')).toBe(63);
+      expect(midiToNote(61)).toBe('C#4');
+    });
+  });
+});
@@ -0,0 +1,90 @@
+import { describe, it, expect } from 'vitest';
+import { drumStyles, generateDrumPart, generateFill, gmDrumKit } from '../utils/drums';
+
+const hitsOf = (notes, drum) =>
+  notes.filter(note => note.drum === drum).map(note => note.startTime);
+
+describe('drums Utility Functions', () => {
+  describe('generateDrumPart', () => {
+    it('plays a rock beat with kick, snare and eighth-note hi-hats', () => {
+      const notes = generateDrumPart({ style: 'rock', totalBeats: 4 });
+
+      expect(hitsOf(notes, 'kick')).toEqual([0, 2, 3]);
+      expect(hitsOf(notes, 'snare')).toEqual([1, 3]);
+      expect(hitsOf(notes, 'closedHat')).toEqual([0, 0.5, 1, 1.5, 2, 2.5, 3, 3.5]);
+    });
+
+    it('uses General MIDI percussion keys as pitches', () => {
+      const notes = generateDrumPart({ style: 'rock', totalBeats: 4 });
+      const kick = notes.find(note => note.drum === 'kick');
+      const hat = notes.find(note => note.drum === 'closedHat');
+
+      expect(kick.pitch).toBe('C2');
+      expect(hat.pitch).toBe('F#2');
+      expect(gmDrumKit.kick).toBe(36);
+    });
+
+    it('fits patterns to the bar length of the time signature', () => {
+      const notes = generateDrumPart({ style: 'waltz', totalBeats: 6, timeSignature: '3/4' });
+
+      expect(hitsOf(notes, 'kick')).toEqual([0, 3]);
+      expect(notes.every(note => note.startTime < 6)).toBe(true);
+    });
+
+    it('plays a fill and a crash into each new section', () => {
+      const notes = generateDrumPart({
+        style: 'rock',
+        totalBeats: 16,
+        sections: [
+          { name: 'verse', startTime: 0 },
+          { name: 'chorus', startTime: 8 },
+        ],
+      });
+
+      // The last two beats before the chorus are a fill
+      const fill = notes.filter(note => note.startTime >= 6 && note.startTime < 8);
+      expect(fill).toHaveLength(8);
+      expect(fill.every(note => note.drum !== 'kick' && note.drum !== 'closedHat')).toBe(true);
+
+      expect(hitsOf(notes, 'crash')).toEqual([8]);
+      // Choruses are played on the ride
+      expect(hitsOf(notes, 'ride')[0]).toBe(8.5);
+      expect(hitsOf(notes, 'closedHat').every(time => time < 6)).toBe(true);
+    });
+
+    it('leaves out fills when they are turned off', () => {
+      const notes = generateDrumPart({
+        style: 'rock',
+        totalBeats: 16,
+        fills: false,
+        sections: [
+          { name: 'verse', startTime: 0 },
+          { name: 'chorus', startTime: 8 },
+        ],
+      });
+
+      expect(hitsOf(notes, 'snare')).toEqual([1, 3, 5, 7, 9, 11, 13, 15]);
+      expect(hitsOf(notes, 'crash')).toEqual([8]);
+    });
+
+    it('generates every style', () => {
+      Object.keys(drumStyles).forEach(style => {
+        const notes = generateDrumPart({ style, totalBeats: 8 });
+        expect(notes.length).toBeGreaterThan(0);
+      });
+    });
+
+    it('throws for unknown styles', () => {
+      expect(() => generateDrumPart({ style: 'polka', totalBeats: 4 })).toThrow(
+        'Unknown drum style: polka'
+      );
+    });
+  });
+
+  describe('generateFill', () => {
+    it('plays triplets for the shuffle style', () => {
+      const fill = generateFill('shuffle', 2, 1);
+      expect(fill.map(note => note.startTime)).toEqual([2, 2 + 1 / 3, 2 + 2 / 3]);
+    });
+  });
+});
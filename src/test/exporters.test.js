@@ -0,0 +1,181 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { saveAs } from 'file-saver';
+import {
+  createExport,
+  exportAndDownload,
+  getDefaultExporterOptions,
+  getExportData,
+  getExportFileName,
+  getExportOptions,
+  getExporter,
+  getExporterOptions,
+  getExporters,
+  registerExporter,
+} from '../utils/exporters';
+import { parseMIDIFile } from '../utils/midiImport';
+
+vi.mock('file-saver', () => ({ saveAs: vi.fn() }));
+
+const melodyData = {
+  tempo: 120,
+  timeSignature: '4/4',
+  scale: 'C Major',
+  notes: [
+    { pitch: 'C4', startTime: 0, duration: 1, velocity: 0.8 },
+    { pitch: 'E4', startTime: 1, duration: 1, velocity: 0.8 },
+  ],
+};
+
+const chordData = {
+  tempo: 120,
+  progression: [{ root: 'C', type: 'maj', notes: ['C4', 'E4', 'G4'], position: 0, duration: 1 }],
+};
+
+describe('exporters Utility Functions', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe('registry', () => {
+    it('declares the built-in formats with their capabilities and options', () => {
+      expect(getExporters().map(format => format.id)).toEqual([
+        'midi',
+        'musicxml',
+        'lilypond',
+        'abc',
+        'stems',
+        'karaoke',
+        'wav',
+        'json',
+      ]);
+      expect(getExporter('wav').capabilities).toMatchObject({ audio: true });
+      expect(getExporter('midi').options.map(option => option.id)).toEqual([
+        'midiFormat',
+        'ticksPerBeat',
+      ]);
+      expect(getExporterOptions([getExporter('midi'), getExporter('stems')])).toHaveLength(2);
+      expect(getDefaultExporterOptions()).toEqual({
+        midiFormat: 1,
+        ticksPerBeat: 96,
+        bitDepth: 16,
+      });
+    });
+
+    it('lists only the formats that can export the data', () => {
+      const chordFormats = getExporters({ type: 'chord' }).map(format => format.id);
+      expect(chordFormats).toContain('midi');
+      expect(chordFormats).not.toContain('karaoke');
+
+      expect(getExporters({ type: 'melody', melodyData }).map(format => format.id)).not.toContain(
+        'karaoke'
+      );
+      expect(
+        getExporters({ type: 'melody', melodyData: { ...melodyData, lyricsText: 'La la' } }).map(
+          format => format.id
+        )
+      ).toContain('karaoke');
+    });
+
+    it('rejects incomplete, duplicate and unknown formats', () => {
+      expect(() => registerExporter({ id: 'broken' })).toThrow(
+        'Export formats need an id and a create function'
+      );
+      expect(() => registerExporter({ id: 'midi', create: () => '' })).toThrow(
+        'Export format already registered: midi'
+      );
+      expect(() => getExporter('mp3')).toThrow('Unknown export format: mp3');
+    });
+
+    it('takes new formats', async () => {
+      registerExporter({
+        id: 'csv',
+        name: 'CSV',
+        extension: 'csv',
+        mimeType: 'text/csv',
+        capabilities: { types: ['melody'] },
+        create: melody => melody.notes.map(note => `${note.startTime},${note.pitch}`).join('\n'),
+      });
+
+      expect(getExporters({ type: 'melody' }).map(format => format.id)).toContain('csv');
+      expect(getExporters({ type: 'chord' }).map(format => format.id)).not.toContain('csv');
+      await expect(createExport('csv', melodyData, null)).resolves.toBe('0,C4\n1,E4');
+    });
+  });
+
+  describe('createExport', () => {
+    it('writes the MIDI format with the options it declares', async () => {
+      const midiData = await createExport('midi', melodyData, chordData, { ticksPerBeat: 480 });
+      const midi = parseMIDIFile(midiData);
+
+      expect(midi.division).toBe(480);
+      expect(midi.tracks).toHaveLength(4);
+    });
+
+    it('writes the data itself as JSON', async () => {
+      const json = await createExport('json', melodyData, chordData);
+      expect(JSON.parse(json)).toEqual({ melody: melodyData, chord: chordData });
+    });
+
+    it('refuses formats with nothing to export', async () => {
+      await expect(createExport('karaoke', melodyData, null)).rejects.toThrow(
+        'Nothing to export as Karaoke'
+      );
+    });
+  });
+
+  describe('getExportOptions', () => {
+    it('switches off the parts a data type does not have', () => {
+      const picked = { includeMelody: true, includeChords: true, includeBass: true };
+      const options = getExportOptions(melodyData, 'melody', picked);
+
+      expect(getExportData(melodyData, 'melody')).toEqual({ melodyData, chordData: null });
+      expect(options).toMatchObject({ includeMelody: true, includeChords: false, bassData: null });
+      expect(options.tracks).toBeUndefined();
+    });
+
+    it('passes the bass, drums, key and tracks of a composition', () => {
+      const composition = {
+        key: 'D minor',
+        melody: melodyData,
+        chord: chordData,
+        bass: { notes: [{ pitch: 'D2', startTime: 0, duration: 4 }] },
+        drums: { notes: [] },
+      };
+      const options = getExportOptions(composition, 'composition', {
+        includeMelody: true,
+        includeChords: true,
+        includeBass: true,
+      });
+
+      expect(getExportData(composition, 'composition')).toEqual({ melodyData, chordData });
+      expect(options).toMatchObject({
+        includeBass: true,
+        bassData: composition.bass,
+        drumData: composition.drums,
+        key: 'D minor',
+      });
+      expect(options.tracks.map(track => track.role)).toEqual(['melody', 'chord', 'bass']);
+    });
+  });
+
+  describe('exportAndDownload', () => {
+    it('saves the file under the format name and extension', async () => {
+      expect(await exportAndDownload('lilypond', melodyData, null, 'tune')).toBe(true);
+      expect(await exportAndDownload('stems', melodyData, chordData, 'song')).toBe(true);
+
+      expect(saveAs.mock.calls.map(([blob, name]) => [blob.type, name])).toEqual([
+        ['text/x-lilypond', 'tune.ly'],
+        ['application/zip', 'song-stems.zip'],
+      ]);
+      expect(getExportFileName('midi', 'song')).toBe('song.mid');
+    });
+
+    it('reports failures instead of throwing', async () => {
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+
+      expect(await exportAndDownload('midi', null, null, 'empty')).toBe(false);
+      expect(await exportAndDownload('mp3', melodyData, null, 'song')).toBe(false);
+      expect(saveAs).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,60 @@
+import { describe, it, expect } from 'vitest';
+import {
+  generalMidiInstruments,
+  getInstrument,
+  getInstrumentByProgram,
+  getInstrumentsByFamily,
+} from '../utils/generalMidi';
+
+describe('generalMidi Utility Functions', () => {
+  describe('generalMidiInstruments', () => {
+    it('has every GM1 program once in bank LSB 0 and unique ids', () => {
+      const gm1 = generalMidiInstruments.filter(instrument => instrument.bankLsb === 0);
+
+      expect(gm1.map(instrument => instrument.program)).toEqual([...Array(128).keys()]);
+      expect(new Set(generalMidiInstruments.map(instrument => instrument.id)).size).toBe(
+        generalMidiInstruments.length
+      );
+    });
+
+    it('numbers the GM2 variations of a program from bank LSB 1', () => {
+      const pianos = generalMidiInstruments.filter(instrument => instrument.program === 0);
+
+      expect(pianos.map(instrument => [instrument.id, instrument.bankLsb])).toEqual([
+        ['acoustic_grand_piano', 0],
+        ['wide_acoustic_grand', 1],
+        ['dark_acoustic_grand', 2],
+      ]);
+      expect(pianos.every(instrument => instrument.soundfont === 'acoustic_grand_piano')).toBe(
+        true
+      );
+    });
+  });
+
+  describe('getInstrument', () => {
+    it('finds instruments by id or GM1 program number', () => {
+      expect(getInstrument('60s_electric_piano')).toMatchObject({ program: 4, bankLsb: 3 });
+      expect(getInstrument(73).id).toBe('flute');
+      expect(getInstrument('saxophone')).toBeUndefined();
+    });
+  });
+
+  describe('getInstrumentByProgram', () => {
+    it('falls back to the GM1 sound for unknown variations and other banks', () => {
+      expect(getInstrumentByProgram(24, 121, 1).id).toBe('ukulele');
+      expect(getInstrumentByProgram(24, 121, 9).id).toBe('acoustic_guitar_nylon');
+      expect(getInstrumentByProgram(24, 0, 1).id).toBe('acoustic_guitar_nylon');
+      expect(getInstrumentByProgram(200).id).toBe('acoustic_grand_piano');
+    });
+  });
+
+  describe('getInstrumentsByFamily', () => {
+    it('groups the instruments into the 16 GM families', () => {
+      const families = getInstrumentsByFamily();
+
+      expect(families).toHaveLength(16);
+      expect(families[4].family).toBe('Bass');
+      expect(families[4].instruments[0].id).toBe('acoustic_bass');
+    });
+  });
+});
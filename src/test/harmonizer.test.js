@@ -0,0 +1,143 @@
+import { describe, it, expect } from 'vitest';
+import { getBeatStrength, getHarmonizerChords, harmonizeMelody } from '../utils/harmonizer';
+
+// Notes one after another, a beat each unless durations are given
+const melodyOf = (pitches, durations = []) => {
+  let time = 0;
+  return pitches.map((pitch, index) => {
+    const duration = durations[index] ?? 1;
+    const note = { pitch, startTime: time, duration, velocity: 0.8 };
+    time += duration;
+    return note;
+  });
+};
+
+describe('harmonizer Utility Functions', () => {
+  describe('getBeatStrength', () => {
+    it('weights downbeats, half bars, beats and offbeats', () => {
+      expect([0, 2, 1, 0.5, 4].map(time => getBeatStrength(time, '4/4'))).toEqual([
+        1, 0.75, 0.5, 0.25, 1,
+      ]);
+      expect([0, 1, 2].map(time => getBeatStrength(time, '3/4'))).toEqual([1, 0.5, 0.5]);
+      expect([0, 1.5, 1, 0.5].map(time => getBeatStrength(time, '6/8'))).toEqual([
+        1, 0.75, 0.25, 0.25,
+      ]);
+    });
+  });
+
+  describe('getHarmonizerChords', () => {
+    it('offers the chords of the key and borrows from the parallel key', () => {
+      const chords = getHarmonizerChords('C major');
+      const degrees = chords.map(chord => chord.degree);
+
+      expect(degrees.slice(0, 7)).toEqual(['I', 'ii', 'iii', 'IV', 'V', 'vi', 'vii°']);
+      expect(degrees).toEqual(expect.arrayContaining(['iv', 'bVI', 'bVII']));
+      expect(chords.find(chord => chord.degree === 'bVI')).toMatchObject({
+        root: 'Ab',
+        type: 'maj',
+        borrowed: true,
+      });
+      expect(getHarmonizerChords('C major', { useBorrowedChords: false })).toHaveLength(7);
+    });
+
+    it('stacks sevenths and raises the leading tone in minor keys', () => {
+      const sevenths = getHarmonizerChords('C major', {
+        useSevenths: true,
+        useBorrowedChords: false,
+      });
+      expect(sevenths.map(chord => chord.type)).toEqual([
+        'maj7',
+        'min7',
+        'min7',
+        'maj7',
+        '7',
+        'min7',
+        'hdim7',
+      ]);
+      expect(sevenths.map(chord => chord.degree)).toContain('viiø7');
+
+      const minor = getHarmonizerChords('A minor');
+      expect(minor.find(chord => chord.degree === 'V')).toMatchObject({ root: 'E', type: 'maj' });
+      expect(minor.find(chord => chord.degree === 'vii°')).toMatchObject({ root: 'G#' });
+    });
+
+    it('rejects keys that are not seven-note scales', () => {
+      expect(() => getHarmonizerChords('C Major Pentatonic')).toThrow(
+        'Cannot harmonize in C Major Pentatonic'
+      );
+    });
+  });
+
+  describe('harmonizeMelody', () => {
+    const cMajor = melodyOf(
+      ['C5', 'E5', 'G5', 'E5', 'F5', 'A5', 'C6', 'A5', 'G5', 'B4', 'D5', 'F5', 'E5'],
+      [1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 4]
+    );
+
+    it('covers the melody on strong beats and ends on an authentic cadence', () => {
+      const progression = harmonizeMelody({ notes: cMajor }, { key: 'C major' });
+
+      expect(progression.map(chord => chord.symbol)).toEqual(['C', 'F', 'G', 'C']);
+      expect(progression.map(chord => chord.degree)).toEqual(['I', 'IV', 'V', 'I']);
+      expect(progression[2]).toEqual({
+        root: 'G',
+        type: 'maj',
+        notes: ['G3', 'B3', 'D4'],
+        duration: 1,
+        position: 2,
+        symbol: 'G',
+        degree: 'V',
+      });
+      expect(
+        harmonizeMelody({ notes: cMajor }, { key: 'C major', useSevenths: true })[2].symbol
+      ).toBe('G7');
+    });
+
+    it('follows the harmonic rhythm in bars of the time signature', () => {
+      const waltz = melodyOf(
+        ['A4', 'C5', 'E5', 'G4', 'B4', 'D5', 'F4', 'A4', 'C5', 'C5'],
+        [1, 1, 1, 1, 1, 1, 1, 1, 1, 3]
+      );
+      const progression = harmonizeMelody(
+        { notes: waltz, timeSignature: '3/4', length: 4 },
+        { key: 'C major', chordDuration: 2 }
+      );
+
+      expect(progression.map(({ position, duration }) => [position, duration])).toEqual([
+        [0, 2],
+        [2, 2],
+      ]);
+      expect(
+        harmonizeMelody({ notes: waltz, timeSignature: '3/4' }, { key: 'C major' }).map(
+          chord => chord.symbol
+        )
+      ).toEqual(['Am', 'G', 'F', 'C']);
+    });
+
+    it('borrows chords the melody asks for', () => {
+      const minor = melodyOf(
+        ['A4', 'C5', 'E5', 'C5', 'G#4', 'B4', 'E5', 'B4', 'A4'],
+        [1, 1, 1, 1, 1, 1, 1, 1, 4]
+      );
+      expect(
+        harmonizeMelody({ notes: minor }, { key: 'A minor' }).map(chord => chord.symbol)
+      ).toEqual(['Am', 'E', 'Am']);
+
+      const darkened = melodyOf(
+        ['E5', 'G5', 'C6', 'G5', 'F5', 'Ab5', 'C6', 'Ab5', 'G5', 'E5'],
+        [1, 1, 1, 1, 1, 1, 1, 1, 2, 2]
+      );
+      const progression = harmonizeMelody({ notes: darkened }, { key: 'C major' });
+      expect(progression.map(chord => chord.degree)).toEqual(['I', 'iv', 'I']);
+      expect(
+        harmonizeMelody({ notes: darkened }, { key: 'C major', useBorrowedChords: false })[1].degree
+      ).not.toBe('iv');
+    });
+
+    it('rejects melodies without notes', () => {
+      expect(() => harmonizeMelody({ notes: [] }, { key: 'C major' })).toThrow(
+        'No melody notes to harmonize'
+      );
+    });
+  });
+});
@@ -0,0 +1,102 @@
+import { describe, it, expect } from 'vitest';
+import { detectKey, findKeyOption, getPitchClassHistogram } from '../utils/keyDetection';
+import { midiFileToComposition } from '../utils/midiImport';
+import { createMIDIFile } from '../utils/simpleMidi';
+
+// Notes one after another, a beat each unless durations are given
+const melodyOf = (pitches, durations = []) => {
+  let time = 0;
+  return pitches.map((pitch, index) => {
+    const duration = durations[index] ?? 1;
+    const note = { pitch, startTime: time, duration, velocity: 0.8 };
+    time += duration;
+    return note;
+  });
+};
+
+// A tune in A minor that leans on the tonic and the raised leading tone
+const A_MINOR = melodyOf(
+  ['A3', 'B3', 'C4', 'D4', 'E4', 'F4', 'G#4', 'A4', 'E4', 'C4', 'A3'],
+  [2, 1, 1, 1, 2, 1, 1, 2, 1, 1, 3]
+);
+
+describe('keyDetection Utility Functions', () => {
+  describe('getPitchClassHistogram', () => {
+    it('weights each pitch class by how long it sounds', () => {
+      const histogram = getPitchClassHistogram(
+        melodyOf(['C4', 'Eb4', 'D#5', 'C5'], [1, 0.5, 1, 2])
+      );
+      expect(histogram[0]).toBe(3);
+      expect(histogram[3]).toBe(1.5);
+      expect(histogram.reduce((sum, total) => sum + total, 0)).toBe(4.5);
+    });
+  });
+
+  describe('detectKey', () => {
+    it('ranks keys with the best first and confidences that add up to one', () => {
+      const candidates = detectKey(A_MINOR, { modes: ['major', 'minor'] });
+
+      expect(candidates).toHaveLength(24);
+      expect(candidates[0]).toMatchObject({ name: 'A minor', tonic: 'A', mode: 'minor' });
+      expect(candidates[0].confidence).toBeGreaterThan(candidates[1].confidence);
+      expect(candidates.reduce((sum, key) => sum + key.confidence, 0)).toBeCloseTo(1);
+    });
+
+    it('lets note lengths decide between keys sharing the same notes', () => {
+      const scale = ['C4', 'D4', 'E4', 'F4', 'G4', 'A4', 'B4', 'C5'];
+      expect(detectKey(melodyOf(scale, [3, 1, 2, 1, 2, 1, 1, 3]))[0].name).toBe('C major');
+
+      const dorian = ['D4', 'E4', 'F4', 'G4', 'A4', 'B4', 'C5', 'D5', 'A4', 'F4', 'D4'];
+      const durations = [3, 1, 1, 1, 2, 1, 1, 2, 1, 1, 3];
+      expect(detectKey(melodyOf(dorian, durations))[0].name).toBe('D dorian');
+      expect(detectKey(melodyOf(dorian, durations), { modes: ['major', 'minor'] })[0].name).toBe(
+        'D minor'
+      );
+    });
+
+    it('names tonics with the fewer accidentals and finds them among key options', () => {
+      const melody = melodyOf(
+        ['Eb4', 'F4', 'G4', 'Ab4', 'Bb4', 'C5', 'D5', 'Eb5', 'Bb4', 'G4', 'Eb4'],
+        [2, 1, 1, 1, 2, 1, 1, 2, 1, 1, 3]
+      );
+      const [best] = detectKey(melody, { modes: ['major'] });
+
+      expect(best.name).toBe('Eb major');
+      expect(findKeyOption(best, ['C major', 'D# major', 'Eb minor'])).toBe('D# major');
+      expect(findKeyOption(best, ['C major', 'Eb minor'])).toBeNull();
+    });
+
+    it('finds nothing in melodies without pitches', () => {
+      expect(detectKey([])).toEqual([]);
+      expect(detectKey([{ startTime: 0, duration: 1 }])).toEqual([]);
+    });
+  });
+
+  describe('MIDI import', () => {
+    it('gives imported files the detected key and spells their notes in it', () => {
+      const flatMelody = melodyOf(['F4', 'Bb4', 'A4', 'G4', 'F4', 'C5', 'Bb4', 'F4'], [2, 1, 1, 1]);
+      const data = createMIDIFile({ tempo: 120, notes: flatMelody }, null);
+      const composition = midiFileToComposition(data);
+
+      expect(composition.key).toBe('F major');
+      expect(composition.melody.notes.map(note => note.pitch)).toContain('Bb4');
+      expect(midiFileToComposition(data, { key: 'Imported' }).melody.notes[1].pitch).toBe('A#4');
+    });
+
+    it('keeps the key signature of a file over the detected key', () => {
+      // The notes alone read as Eb major, the relative major
+      const notes = melodyOf(['Eb4', 'G4', 'Bb4', 'Eb5', 'D5', 'Bb4', 'G4', 'Eb4'], [2, 1, 1, 2]);
+      const data = createMIDIFile({ tempo: 120, scale: 'C Minor', notes }, null);
+      const composition = midiFileToComposition(data);
+
+      expect(detectKey(notes, { modes: ['major', 'minor'] })[0].name).toBe('Eb major');
+      expect(composition.key).toBe('C minor');
+      expect(composition.melody.notes.map(note => note.pitch)).toEqual(
+        notes.map(note => note.pitch)
+      );
+      expect(
+        midiFileToComposition(createMIDIFile({ tempo: 120, scale: 'F# Minor', notes }, null)).key
+      ).toBe('F# minor');
+    });
+  });
+});
@@ -0,0 +1,180 @@
+import { describe, it, expect } from 'vitest';
+import { createLilyPond } from '../utils/lilypond';
+import { createTrack } from '../utils/tracks';
+
+const chordData = {
+  key: 'Bb major',
+  tempo: 96,
+  timeSignature: '4/4',
+  progression: [
+    {
+      root: 'Bb',
+      type: 'maj7',
+      notes: ['Bb3', 'D4', 'F4', 'A4'],
+      position: 0,
+      duration: 1,
+      section: 'verse',
+    },
+    {
+      root: 'G',
+      type: 'min7',
+      notes: ['G3', 'Bb3', 'D4', 'F4'],
+      position: 1,
+      duration: 1,
+      section: 'verse',
+    },
+    {
+      root: 'Eb',
+      type: 'maj',
+      notes: ['Eb4', 'G4', 'Bb4'],
+      position: 2,
+      duration: 2,
+      section: 'chorus',
+    },
+  ],
+};
+
+const melodyData = {
+  scale: 'Bb Major',
+  tempo: 96,
+  timeSignature: '4/4',
+  notes: [
+    { pitch: 'A#4', startTime: 0, duration: 1, velocity: 0.8 },
+    { pitch: 'D5', startTime: 1, duration: 1, velocity: 0.8 },
+    { pitch: 'D#5', startTime: 3, duration: 2, velocity: 0.8 },
+    { pitch: 'C5', startTime: 8, duration: 1 / 3, velocity: 0.8 },
+    { pitch: 'D5', startTime: 8 + 1 / 3, duration: 1 / 3, velocity: 0.8 },
+    { pitch: 'A#4', startTime: 8 + 2 / 3, duration: 1 / 3, velocity: 0.8 },
+  ],
+};
+
+describe('lilypond Utility Functions', () => {
+  describe('createLilyPond', () => {
+    it('writes a lead sheet score with chord names above the melody', () => {
+      const source = createLilyPond(melodyData, chordData, { title: 'Rehearsal' });
+
+      expect(source).toContain('\\version "2.24.0"');
+      expect(source).toContain('title = "Rehearsal"');
+      expect(source).toContain('\\key bes \\major');
+      expect(source).toContain('\\time 4/4');
+      expect(source).toMatch(
+        /\\new ChordNames \\harmonies\n {4}\\new Staff \\with \{ instrumentName = "Melody" \} \\melody/
+      );
+      expect(source).not.toContain('\\bass');
+    });
+
+    it('spells the melody for the key and ties notes across barlines', () => {
+      const source = createLilyPond(melodyData, chordData);
+
+      expect(source).toContain("bes'4 d''4 r4 es''4~ | % 1");
+      expect(source).toContain("es''4 r2. | % 2");
+    });
+
+    it('writes triplets and whole-measure rests', () => {
+      const source = createLilyPond(melodyData, chordData);
+
+      expect(source).toContain('R1 | % 4');
+      expect(source).toContain("\\tuplet 3/2 { c''8 d''8 bes'8 }");
+    });
+
+    it('writes chord names with chordmode modifiers', () => {
+      const source = createLilyPond(melodyData, chordData);
+
+      expect(source).toContain('\\set chordChanges = ##t');
+      expect(source).toContain('bes1:maj7 | % 1');
+      expect(source).toContain('g1:m7 | % 2');
+      expect(source).toContain('es1 | % 3');
+    });
+
+    it('writes altered chords and slash basses from chord symbols', () => {
+      const source = createLilyPond(null, {
+        ...chordData,
+        progression: [
+          {
+            root: 'F',
+            type: '7b9',
+            symbol: 'F7b9/A',
+            notes: ['A2', 'F3', 'A3', 'C4', 'Eb4'],
+            position: 0,
+            duration: 1,
+          },
+          {
+            root: 'Eb',
+            type: 'm7b5',
+            symbol: 'Ebm7b5',
+            notes: ['Eb3', 'Gb3', 'A3', 'Db4'],
+            position: 1,
+            duration: 1,
+          },
+          { root: 'C', type: 'add9', notes: ['C4', 'E4', 'G4', 'D5'], position: 2, duration: 1 },
+        ],
+      });
+
+      expect(source).toContain('f1:7.9-/a | % 1');
+      expect(source).toContain('es1:m7.5- | % 2');
+      expect(source).toContain('c1:5.9 | % 3');
+    });
+
+    it('marks each section with a double barline before new sections', () => {
+      const source = createLilyPond(melodyData, chordData);
+
+      expect(source).toContain('\\mark \\markup { \\box "Verse" } bes\'4');
+      expect(source).toContain('\\bar "||" \\mark \\markup { \\box "Chorus" } \\tuplet 3/2');
+    });
+
+    it('adds a bass staff from the chord roots when asked', () => {
+      const source = createLilyPond(melodyData, chordData, { includeBass: true });
+
+      expect(source).toContain('\\new Staff \\with { instrumentName = "Bass" } \\bass');
+      expect(source).toContain('\\clef bass');
+      expect(source).toContain('bes,1 | % 1');
+    });
+
+    it('plays the slash bass of slash chords on the bass staff', () => {
+      const progression = [
+        {
+          root: 'G',
+          symbol: 'G7b9/B',
+          notes: ['B3', 'G4', 'D5', 'F5', 'Ab5'],
+          position: 0,
+          duration: 1,
+        },
+      ];
+      const source = createLilyPond(null, { key: 'C major', progression }, { includeBass: true });
+
+      expect(source).toContain('b,1 |');
+      expect(source).not.toContain('g,1 |');
+    });
+
+    it('writes a staff for each pitched track and chord names for the chord track', () => {
+      const tracks = [
+        { role: 'melody', notes: melodyData.notes },
+        { role: 'counterMelody', notes: [{ pitch: 'F4', startTime: 0, duration: 4 }] },
+        { role: 'chord', progression: chordData.progression },
+        {
+          role: 'pad',
+          progression: [
+            { root: 'Bb', type: 'maj', notes: ['Bb3', 'D4', 'F4'], position: 0, duration: 1 },
+          ],
+        },
+        { role: 'bass', notes: [{ pitch: 'Bb1', startTime: 0, duration: 4 }] },
+        { role: 'bass', notes: [{ pitch: 'F2', startTime: 0, duration: 4 }] },
+      ].reduce((list, fields) => [...list, createTrack(fields, list)], []);
+
+      const source = createLilyPond(melodyData, chordData, { tracks });
+      const staffs = source.match(/instrumentName = "[^"]+" \} \\\w+/g);
+
+      expect(staffs).toEqual([
+        'instrumentName = "Melody" } \\melody',
+        'instrumentName = "Counter-melody" } \\countermelody',
+        'instrumentName = "Pad" } \\pad',
+        'instrumentName = "Bass" } \\bass',
+        'instrumentName = "Bass 2" } \\bassB',
+      ]);
+      expect(source).toContain('\\new ChordNames \\harmonies');
+      expect(source).toContain('countermelody = {');
+      expect(source).toContain("<bes d' f'>1 | % 1");
+      expect(source).toContain('f,1 | % 1');
+    });
+  });
+});
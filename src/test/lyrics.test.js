@@ -0,0 +1,143 @@
+import { describe, it, expect } from 'vitest';
+import { alignLyrics, getNoteSyllables, parseLyrics } from '../utils/lyrics';
+import { createKaraokeFile, toKaraokeLyrics } from '../utils/karaoke';
+import { parseMIDIFile } from '../utils/midiImport';
+import { createTrack } from '../utils/tracks';
+
+const notes = ['C4', 'D4', 'E4', 'F4', 'G4', 'A4', 'B4', 'C5'].map((pitch, index) => ({
+  pitch,
+  startTime: index,
+  duration: 1,
+  velocity: 0.8,
+}));
+
+describe('lyrics Utility Functions', () => {
+  describe('parseLyrics', () => {
+    it('splits words into syllables and marks line and verse starts', () => {
+      const tokens = parseLyrics('Hap-py day\nto_ you\n\nA-gain');
+
+      expect(tokens.map(token => (token.melisma ? '_' : token.text))).toEqual([
+        'Hap',
+        'py',
+        'day',
+        'to',
+        '_',
+        'you',
+        'A',
+        'gain',
+      ]);
+      expect(tokens.filter(token => token.wordEnd).map(token => token.text)).toEqual([
+        'py',
+        'day',
+        'to',
+        'you',
+        'gain',
+      ]);
+      expect(tokens.filter(token => token.lineStart).map(token => token.text)).toEqual([
+        'Hap',
+        'to',
+        'A',
+      ]);
+      expect(tokens.filter(token => token.paragraphStart).map(token => token.text)).toEqual([
+        'Hap',
+        'A',
+      ]);
+    });
+
+    it('carries words on over separate hyphens', () => {
+      const tokens = parseLyrics('hap -- py birth- day');
+
+      expect(tokens.map(token => [token.text, token.wordEnd])).toEqual([
+        ['hap', false],
+        ['py', true],
+        ['birth', false],
+        ['day', true],
+      ]);
+    });
+  });
+
+  describe('alignLyrics', () => {
+    it('sings one syllable per note in time order and holds melismas', () => {
+      const shuffled = [notes[2], notes[0], notes[1], notes[3]];
+      const syllables = alignLyrics(shuffled, 'A_ _ men and more');
+
+      expect(syllables.map(syllable => [syllable.text, syllable.startTime])).toEqual([
+        ['A', 0],
+        ['men', 3],
+      ]);
+      expect(syllables[0].noteIndexes).toEqual([1, 2, 0]);
+    });
+
+    it('gives the syllables to show under each note', () => {
+      expect(getNoteSyllables(notes.slice(0, 5), 'Hap-py day_ oh')).toEqual([
+        'Hap-',
+        'py',
+        'day',
+        '_',
+        'oh',
+      ]);
+      expect(getNoteSyllables(notes.slice(0, 2), '')).toEqual(['', '']);
+    });
+  });
+
+  describe('karaoke export', () => {
+    it('formats syllables the Soft Karaoke way', () => {
+      const syllables = alignLyrics(notes, 'Twin-kle twin-kle\nlit-tle\n\nstar');
+
+      expect(toKaraokeLyrics(syllables).map(lyric => lyric.text)).toEqual([
+        '\\Twin',
+        'kle',
+        ' twin',
+        'kle',
+        '/lit',
+        'tle',
+        '\\star',
+      ]);
+    });
+
+    it('writes lyric events at the note-ons and the karaoke header', () => {
+      const melodyData = { tempo: 120, notes, lyricsText: 'Hel-lo_ world' };
+      const { tracks } = parseMIDIFile(createKaraokeFile(melodyData, null, { title: 'Demo' }));
+
+      const texts = tracks[0].events.filter(event => event.subtype === 'text');
+      expect(texts.map(event => event.text)).toEqual(['@KMIDI KARAOKE FILE', '@V0100', '@TDemo']);
+
+      const lyrics = tracks[1].events.filter(event => event.subtype === 'lyric');
+      expect(lyrics.map(event => [event.tick, event.text])).toEqual([
+        [0, '\\Hel'],
+        [96, 'lo'],
+        [288, ' world'],
+      ]);
+
+      const noteOns = tracks[1].events.filter(event => event.type === 'noteOn');
+      lyrics.forEach(lyric => {
+        const lyricIndex = tracks[1].events.indexOf(lyric);
+        const noteOn = noteOns.find(event => event.tick === lyric.tick);
+        expect(tracks[1].events.indexOf(noteOn)).toBeGreaterThan(lyricIndex);
+      });
+    });
+
+    it('keeps the melody track and non-Latin lyrics whatever the export options', () => {
+      const melodyData = { tempo: 120, notes, lyricsText: 'Café 東京' };
+      const lyricsOf = data =>
+        parseMIDIFile(data)
+          .tracks.flatMap(track => track.events)
+          .filter(event => event.subtype === 'lyric')
+          .map(event => event.text);
+
+      expect(lyricsOf(createKaraokeFile(melodyData, null, { includeMelody: false }))).toEqual([
+        '\\Café',
+        ' 東京',
+      ]);
+      const bass = createTrack({
+        role: 'bass',
+        notes: [{ pitch: 'C2', startTime: 0, duration: 4 }],
+      });
+      expect(lyricsOf(createKaraokeFile(melodyData, null, { tracks: [bass] }))).toHaveLength(2);
+    });
+
+    it('rejects melodies without lyrics', () => {
+      expect(() => createKaraokeFile({ notes }, null)).toThrow('No lyrics to export');
+    });
+  });
+});
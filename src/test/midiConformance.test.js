@@ -0,0 +1,253 @@
+import { describe, it, expect, vi, afterAll, afterEach, beforeAll } from 'vitest';
+import {
+  checkMIDIConformance,
+  diffMIDIFiles,
+  getFileNotes,
+  readMIDIFile,
+  readVariableLength,
+} from '../utils/midiConformance';
+import { createMIDIFile, noteToMidiNumber } from '../utils/simpleMidi';
+import { exportMIDIWithJZZ } from '../utils/jzzMidi';
+import { encodeMIDIFile, ticksPerBeatOptions } from '../utils/midiWriter';
+import { humanizeNotes } from '../utils/humanize';
+import { generateDrumPart } from '../utils/drums';
+import { createTrack } from '../utils/tracks';
+
+// Sharps, flats and a double sharp, all read by the shared pitch parser
+const PITCHES = ['C4', 'D4', 'Eb4', 'F#4', 'G4', 'Ab4', 'B4', 'C5', 'C#5', 'F##4'];
+const CHORDS = [
+  { root: 'C', notes: ['C3', 'E3', 'G3'] },
+  { root: 'A', notes: ['A2', 'C3', 'E3'] },
+  { root: 'F', notes: ['F2', 'A2', 'C3'] },
+  { root: 'G', notes: ['G2', 'B2', 'D3'] },
+];
+
+// Small seeded generator so the corpus, and the humanizing done on it, is the same every run
+const createRandom = seed => {
+  let state = seed;
+  return () => {
+    state = (state * 1664525 + 1013904223) % 4294967296;
+    return state / 4294967296;
+  };
+};
+
+const pick = (random, items) => items[Math.floor(random() * items.length)];
+
+// A generated composition: a melody with repeated and overlapping notes, chords, bass and drums
+const createComposition = seed => {
+  const random = createRandom(seed);
+  vi.spyOn(Math, 'random').mockImplementation(random);
+
+  const timeSignature = pick(random, ['4/4', '3/4', '6/8']);
+  const melody = [];
+  let time = 0;
+  for (let i = 0; i < 24; i++) {
+    const pitch = i % 5 === 4 ? melody[i - 1].pitch : pick(random, PITCHES);
+    const step = pick(random, [0.25, 0.5, 1, 1 / 3]);
+    // Every third note rings past the next one
+    melody.push({
+      pitch,
+      startTime: time,
+      duration: i % 3 ? step : step * 2.5,
+      velocity: random(),
+    });
+    time += step;
+  }
+
+  const tracks = [];
+  const add = fields => tracks.push(createTrack(fields, tracks));
+  add({ role: 'melody', notes: seed % 2 ? humanizeNotes(melody) : melody });
+  add({
+    role: 'chord',
+    progression: CHORDS.map((chord, position) => ({
+      ...chord,
+      position,
+      duration: 1,
+      section: position < 2 ? 'verse' : 'chorus',
+    })),
+  });
+  add({
+    role: 'bass',
+    notes: CHORDS.map((chord, bar) => ({
+      pitch: chord.notes[0].replace('3', '2').replace('2', '1'),
+      startTime: bar * 3,
+      duration: 3,
+      velocity: 0.9,
+    })),
+  });
+  add({ role: 'drums', notes: generateDrumPart({ totalBeats: 12, timeSignature }) });
+
+  return {
+    tracks,
+    timeSignature,
+    tempo: 80 + Math.floor(random() * 80),
+    tempoMap:
+      seed % 3 === 0
+        ? [
+            { startTime: 0, tempo: 90 },
+            { startTime: 4, tempo: 120 },
+          ]
+        : undefined,
+    ticksPerBeat: ticksPerBeatOptions[seed % ticksPerBeatOptions.length],
+    midiFormat: seed % 4 === 3 ? 0 : 1,
+    applyExpression: seed % 2 === 0,
+    lyrics: [
+      { startTime: 0, text: 'La' },
+      { startTime: 1, text: 'lá' },
+      { startTime: 2, text: '東' },
+    ],
+    seed,
+  };
+};
+
+const SEEDS = [1, 2, 3, 4, 5, 6, 7, 8];
+
+// Write through both export entry points from the same random state, so generated expression matches
+const writeBoth = async composition => {
+  vi.spyOn(Math, 'random').mockImplementation(createRandom(composition.seed));
+  const smf = createMIDIFile(null, null, composition);
+  vi.spyOn(Math, 'random').mockImplementation(createRandom(composition.seed));
+  const jzz = await exportMIDIWithJZZ(null, null, 'corpus', composition);
+  return { smf, jzz };
+};
+
+// A short file: a conductor track and one melody note
+const writeSimpleFile = () =>
+  createMIDIFile(
+    { tempo: 120, notes: [{ pitch: 'C4', startTime: 0, duration: 1, velocity: 1 }] },
+    null,
+    { ticksPerBeat: 96 }
+  );
+
+describe('midiConformance Utility Functions', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe('readVariableLength', () => {
+    it('reads quantities and rejects padded or overlong ones', () => {
+      expect(readVariableLength([0x81, 0x00], 0)).toEqual({ value: 128, length: 2, problem: null });
+      expect(readVariableLength([0x80, 0x05], 0).problem).toBe(
+        'variable-length quantity with a padding byte'
+      );
+      expect(readVariableLength([0xff, 0xff, 0xff, 0xff, 0x7f], 0).problem).toBe(
+        'variable-length quantity of 5 bytes'
+      );
+      expect(readVariableLength([0x81], 0).problem).toBe(
+        'variable-length quantity runs past the data'
+      );
+    });
+  });
+
+  describe('readMIDIFile', () => {
+    it('reads a conforming file without problems', () => {
+      const file = readMIDIFile(writeSimpleFile());
+
+      expect(file).toMatchObject({ format: 1, ticksPerBeat: 96, problems: [] });
+      expect(getFileNotes(file).notes).toEqual([
+        { track: 1, channel: 0, pitch: 60, velocity: 127, startTick: 0, endTick: 96 },
+      ]);
+    });
+
+    it('reports broken chunk lengths, end-of-track events and event order', () => {
+      const data = writeSimpleFile();
+
+      const longChunk = data.slice();
+      longChunk[21] += 1; // Conductor chunk length
+      expect(readMIDIFile(longChunk).problems.join('\n')).toMatch(/runs past|data byte/);
+
+      const noEnd = data.slice(0, -4);
+      expect(readMIDIFile(noEnd).problems.join('\n')).toMatch(
+        /MTrk chunk length \d+ runs past the end of the file[^]*missing end of track/
+      );
+
+      const outOfOrder = encodeMIDIFile([[{ tick: 0, type: 'noteOn', data: [0x90, 60, 100] }], []]);
+      // Put a program change after the note-on at the same tick
+      const bytes = Array.from(outOfOrder);
+      bytes.splice(bytes.indexOf(0x90) + 3, 0, 0x00, 0xc0, 0x05);
+      bytes[21] += 3;
+      expect(readMIDIFile(new Uint8Array(bytes)).problems).toContain(
+        'Track 0: event out of order at tick 0'
+      );
+    });
+
+    it('reports notes that never end', () => {
+      const data = encodeMIDIFile([[{ tick: 0, type: 'noteOn', data: [0x90, 60, 100] }]]);
+      expect(getFileNotes(readMIDIFile(data)).problems).toEqual([
+        'Track 0: note 60 at 0 never ends',
+      ]);
+    });
+  });
+
+  describe('checkMIDIConformance', () => {
+    it('finds notes written at the wrong time', () => {
+      const track = createTrack({
+        role: 'melody',
+        notes: [{ pitch: 'C4', startTime: 0, duration: 1, velocity: 1 }],
+      });
+      const data = createMIDIFile(null, null, { tracks: [track], ticksPerBeat: 96 });
+      const options = { ticksPerBeat: 96, timeSignature: '4/4', noteToMidiNumber };
+
+      expect(checkMIDIConformance(data, [track], options)).toEqual([]);
+
+      const late = { ...track, notes: [{ ...track.notes[0], startTime: 0.5, duration: 0.5 }] };
+      expect(checkMIDIConformance(data, [late], options)).toEqual([
+        'missing note ch0 60 v127 48-96',
+        'unexpected note ch0 60 v127 0-96',
+      ]);
+    });
+
+    it('accepts a note ended where the same pitch starts again, and nowhere else', () => {
+      const track = createTrack({
+        role: 'melody',
+        notes: [
+          { pitch: 'C4', startTime: 0, duration: 2, velocity: 1 },
+          { pitch: 'C4', startTime: 1, duration: 1, velocity: 1 },
+        ],
+      });
+      const data = createMIDIFile(null, null, { tracks: [track], ticksPerBeat: 96 });
+      const options = { ticksPerBeat: 96, timeSignature: '4/4', noteToMidiNumber };
+
+      expect(
+        getFileNotes(readMIDIFile(data)).notes.map(note => [note.startTick, note.endTick])
+      ).toEqual([
+        [0, 96],
+        [96, 192],
+      ]);
+      expect(checkMIDIConformance(data, [track], options)).toEqual([]);
+
+      const held = { ...track, notes: [track.notes[0]] };
+      const cut = { ...track, notes: [{ ...track.notes[0], duration: 1 }] };
+      const cutData = createMIDIFile(null, null, { tracks: [cut], ticksPerBeat: 96 });
+      expect(checkMIDIConformance(cutData, [held], options)).toEqual([
+        'note ch0 60 v127 0-192 ends at 96',
+      ]);
+    });
+  });
+
+  describe('generated corpus', () => {
+    let corpus;
+
+    // Humanizing reads Math.random, so the corpus is built with it seeded and restored after
+    beforeAll(() => {
+      corpus = SEEDS.map(createComposition);
+    });
+
+    afterAll(() => {
+      vi.restoreAllMocks();
+    });
+
+    it.each(SEEDS)(
+      'writes composition %i with every note at its exact tick from both writers',
+      async seed => {
+        const composition = corpus[SEEDS.indexOf(seed)];
+        const { smf, jzz } = await writeBoth(composition);
+        const options = { ...composition, noteToMidiNumber };
+
+        expect(checkMIDIConformance(smf, composition.tracks, options)).toEqual([]);
+        expect(checkMIDIConformance(jzz, composition.tracks, options)).toEqual([]);
+        expect(diffMIDIFiles(smf, jzz)).toEqual([]);
+      }
+    );
+  });
+});
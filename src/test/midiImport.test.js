@@ -0,0 +1,203 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parseMIDIFile,
+  extractNotes,
+  identifyChord,
+  midiFileToComposition,
+} from '../utils/midiImport';
+import { createMIDIFile } from '../utils/simpleMidi';
+
+// Format 0, 480 PPQ, one track using running status and a two-byte delta
+// prettier-ignore
+const format0File = new Uint8Array([
+  0x4d, 0x54, 0x68, 0x64, 0x00, 0x00, 0x00, 0x06, 0x00, 0x00, 0x00, 0x01, 0x01, 0xe0,
+  0x4d, 0x54, 0x72, 0x6b, 0x00, 0x00, 0x00, 0x1b,
+  0x00, 0xff, 0x51, 0x03, 0x07, 0xa1, 0x20, // Tempo 120 BPM
+  0x00, 0x90, 0x3c, 0x64, // C4 on
+  0x83, 0x60, 0x3c, 0x00, // C4 off (running status, velocity 0), delta 480
+  0x00, 0x40, 0x50, // E4 on (running status)
+  0x83, 0x60, 0x80, 0x40, 0x00, // E4 off, delta 480
+  0x00, 0xff, 0x2f, 0x00,
+]);
+
+describe('midiImport Utility Functions', () => {
+  describe('parseMIDIFile', () => {
+    it('reads the header of a format 0 file', () => {
+      const result = parseMIDIFile(format0File);
+      expect(result.format).toBe(0);
+      expect(result.division).toBe(480);
+      expect(result.tracks).toHaveLength(1);
+    });
+
+    it('handles running status and variable-length deltas', () => {
+      const { tracks } = parseMIDIFile(format0File);
+      const noteEvents = tracks[0].events.filter(
+        event => event.type === 'noteOn' || event.type === 'noteOff'
+      );
+
+      expect(noteEvents.map(event => [event.type, event.note, event.tick])).toEqual([
+        ['noteOn', 60, 0],
+        ['noteOff', 60, 480],
+        ['noteOn', 64, 480],
+        ['noteOff', 64, 960],
+      ]);
+    });
+
+    it('decodes tempo meta events', () => {
+      const { tracks } = parseMIDIFile(format0File);
+      const tempo = tracks[0].events.find(event => event.subtype === 'tempo');
+      expect(tempo.bpm).toBe(120);
+    });
+
+    it('rejects data without an MThd header', () => {
+      expect(() => parseMIDIFile(new Uint8Array([0, 1, 2, 3]))).toThrow('MThd');
+    });
+  });
+
+  describe('extractNotes', () => {
+    it('pairs overlapping notes of the same pitch in order', () => {
+      const notes = extractNotes([
+        { tick: 0, type: 'noteOn', channel: 0, note: 60, velocity: 100 },
+        { tick: 10, type: 'noteOn', channel: 0, note: 60, velocity: 90 },
+        { tick: 20, type: 'noteOff', channel: 0, note: 60, velocity: 0 },
+        { tick: 30, type: 'noteOff', channel: 0, note: 60, velocity: 0 },
+      ]);
+
+      expect(notes.map(note => [note.startTick, note.endTick])).toEqual([
+        [0, 20],
+        [10, 30],
+      ]);
+    });
+  });
+
+  describe('identifyChord', () => {
+    it('identifies triads and seventh chords', () => {
+      expect(identifyChord([60, 64, 67])).toEqual({ root: 'C', type: 'maj' });
+      expect(identifyChord([62, 65, 69, 72])).toEqual({ root: 'D', type: 'min7' });
+    });
+
+    it('keeps the real root for inversions', () => {
+      expect(identifyChord([64, 67, 72])).toEqual({ root: 'C', type: 'maj' });
+    });
+  });
+
+  describe('midiFileToComposition', () => {
+    it('converts a format 0 file into melody notes', () => {
+      const composition = midiFileToComposition(format0File);
+      expect(composition.tempo).toBe(120);
+      expect(composition.melody.notes).toEqual([
+        { pitch: 'C4', startTime: 0, duration: 1, velocity: 100 / 127 },
+        { pitch: 'E4', startTime: 1, duration: 1, velocity: 80 / 127 },
+      ]);
+    });
+
+    it('round-trips a melody exported by createMIDIFile', () => {
+      const melodyData = {
+        tempo: 90,
+        notes: [
+          { pitch: 'C4', duration: 1, startTime: 0, velocity: 0.8 },
+          { pitch: 'E4', duration: 0.5, startTime: 1, velocity: 0.7 },
+          { pitch: 'G4', duration: 1.5, startTime: 2, velocity: 0.9 },
+        ],
+      };
+
+      const composition = midiFileToComposition(createMIDIFile(melodyData, null));
+
+      expect(composition.tempo).toBe(90);
+      expect(
+        composition.melody.notes.map(note => [note.pitch, note.startTime, note.duration])
+      ).toEqual([
+        ['C4', 0, 1],
+        ['E4', 1, 0.5],
+        ['G4', 2, 1.5],
+      ]);
+    });
+
+    it('reads the GM2 variation picked with bank select as the instrument', () => {
+      const melodyData = {
+        tempo: 120,
+        notes: [{ pitch: 'C4', duration: 1, startTime: 0, velocity: 0.8 }],
+      };
+      const exported = createMIDIFile(melodyData, null, { melodyInstrument: 'mandolin' });
+
+      expect(midiFileToComposition(exported).melody.instrument).toBe('mandolin');
+      expect(midiFileToComposition(format0File).melody.instrument).toBe('acoustic_grand_piano');
+    });
+
+    it('groups chord track notes into a progression', () => {
+      const chordData = {
+        tempo: 120,
+        progression: [{ root: 'C', notes: ['C4', 'E4', 'G4'], duration: 1, position: 0 }],
+      };
+
+      const composition = midiFileToComposition(
+        createMIDIFile(null, chordData, { includeBass: false })
+      );
+      const [chord] = composition.chord.progression;
+
+      expect(chord.root).toBe('C');
+      expect(chord.type).toBe('maj');
+      expect(chord.notes).toEqual(['C4', 'E4', 'G4']);
+      expect(chord.position).toBe(0);
+    });
+
+    it('measures chord positions in bars of the file time signature', () => {
+      const chordData = {
+        tempo: 120,
+        timeSignature: '6/8',
+        progression: [
+          { root: 'C', notes: ['C4', 'E4', 'G4'], duration: 1, position: 0 },
+          { root: 'F', notes: ['F4', 'A4', 'C5'], duration: 1, position: 1 },
+        ],
+      };
+
+      const composition = midiFileToComposition(
+        createMIDIFile(null, chordData, { includeChords: false })
+      );
+
+      expect(composition.timeSignature).toBe('6/8');
+      expect(composition.bass.notes.map(note => note.startTime)).toEqual([0, 3]);
+      expect(composition.bars).toBe(2);
+    });
+
+    it('reads tempo changes into a tempo map', () => {
+      const melodyData = {
+        tempo: 100,
+        tempoMap: [
+          { startTime: 0, tempo: 100 },
+          { startTime: 2, tempo: 80 },
+        ],
+        notes: [{ pitch: 'C4', duration: 4, startTime: 0, velocity: 0.8 }],
+      };
+
+      const composition = midiFileToComposition(createMIDIFile(melodyData, null));
+
+      expect(composition.tempo).toBe(100);
+      expect(composition.tempoMap).toEqual([
+        { startTime: 0, tempo: 100 },
+        { startTime: 2, tempo: 80 },
+      ]);
+    });
+
+    it('reads channel 10 notes as drums', () => {
+      const drumData = {
+        notes: [
+          { pitch: 'C2', drum: 'kick', startTime: 0, duration: 0.25, velocity: 1 },
+          { pitch: 'F#2', drum: 'closedHat', startTime: 0.5, duration: 0.25, velocity: 1 },
+        ],
+      };
+      const melodyData = {
+        tempo: 120,
+        notes: [{ pitch: 'C4', duration: 1, startTime: 0, velocity: 0.8 }],
+      };
+
+      const composition = midiFileToComposition(createMIDIFile(melodyData, null, { drumData }));
+
+      expect(composition.melody.notes).toHaveLength(1);
+      expect(composition.drums.notes.map(note => [note.drum, note.startTime])).toEqual([
+        ['kick', 0],
+        ['closedHat', 0.5],
+      ]);
+    });
+  });
+});
@@ -0,0 +1,135 @@
+import { describe, it, expect, beforeAll, afterEach, vi } from 'vitest';
+import JZZ from 'jzz';
+import {
+  createOutputMessages,
+  getPlaybackTracks,
+  listMIDIOutputs,
+  openMIDIOutput,
+  playOnMIDIOutput,
+} from '../utils/midiOutput';
+import { createTrack } from '../utils/tracks';
+
+const PORT_NAME = 'Test Synth';
+
+// Messages received by the virtual port
+const received = [];
+
+const melodyNotes = [
+  { pitch: 'C4', startTime: 0, duration: 1, velocity: 1 },
+  { pitch: 'E4', startTime: 1, duration: 1, velocity: 0.5 },
+];
+
+describe('midiOutput Utility Functions', () => {
+  beforeAll(() => {
+    JZZ.addMidiOut(
+      PORT_NAME,
+      JZZ.Widget({
+        _receive(message) {
+          received.push(Array.from(message));
+        },
+      })
+    );
+  });
+
+  afterEach(() => {
+    received.length = 0;
+    vi.useRealTimers();
+  });
+
+  describe('createOutputMessages', () => {
+    it('sends the bank, program, notes and controllers of each track in seconds', () => {
+      const track = createTrack({
+        role: 'melody',
+        instrument: 'slow_violin',
+        notes: melodyNotes,
+        expressionEvents: [{ type: 'controller', controllerNumber: 11, value: 90, time: 1 }],
+      });
+      const messages = createOutputMessages([track], { tempo: 60 });
+
+      expect(messages.map(message => [message.time, message.data])).toEqual([
+        [0, [0xb0, 0, 121]],
+        [0, [0xb0, 32, 1]],
+        [0, [0xc0, 40]],
+        [0, [0x90, 60, 127]],
+        [1, [0x80, 60, 0]],
+        [1, [0xb0, 11, 90]],
+        [1, [0x90, 64, 64]],
+        [2, [0x80, 64, 0]],
+      ]);
+    });
+
+    it('moves parts to the channels they are mapped to', () => {
+      const tracks = getPlaybackTracks(
+        { tempo: 120, progression: [{ root: 'C', notes: ['C4', 'E4'], position: 0, duration: 1 }] },
+        'chord'
+      );
+      const messages = createOutputMessages(tracks, { channels: { 'chord-1': 5 } });
+
+      expect(tracks.map(track => track.role)).toEqual(['chord']);
+      expect(new Set(messages.map(message => message.data[0] & 0x0f))).toEqual(new Set([5]));
+    });
+
+    it('leaves out the bank select of GM1 sounds', () => {
+      const track = createTrack({ role: 'melody', instrument: 'violin', notes: melodyNotes });
+      const messages = createOutputMessages([track], { tempo: 60 });
+
+      expect(messages[0].data).toEqual([0xc0, 40]);
+      expect(messages.some(message => message.data[0] === 0xb0)).toBe(false);
+    });
+  });
+
+  describe('playOnMIDIOutput', () => {
+    it('lists and opens the virtual port', async () => {
+      expect(await listMIDIOutputs()).toContain(PORT_NAME);
+      await expect(openMIDIOutput('No Such Port')).rejects.toThrow(
+        'Cannot open MIDI output: No Such Port'
+      );
+    });
+
+    it('sends each message to the port when it is due', async () => {
+      const port = await openMIDIOutput(PORT_NAME);
+      vi.useFakeTimers();
+
+      const player = playOnMIDIOutput(port, [createTrack({ role: 'melody', notes: melodyNotes })], {
+        tempo: 120,
+      });
+
+      vi.advanceTimersByTime(0);
+      expect(received.filter(message => message[0] === 0x90)).toEqual([[0x90, 60, 127]]);
+
+      vi.advanceTimersByTime(500);
+      expect(received.slice(-2)).toEqual([
+        [0x80, 60, 0],
+        [0x90, 64, 64],
+      ]);
+
+      vi.advanceTimersByTime(500);
+      expect(received[received.length - 1]).toEqual([0x80, 64, 0]);
+      await expect(player.finished).resolves.toBe(true);
+    });
+
+    it('stops with all notes and sound off on the channels used', async () => {
+      const port = await openMIDIOutput(PORT_NAME);
+      vi.useFakeTimers();
+
+      const tracks = [
+        createTrack({ role: 'melody', notes: melodyNotes }),
+        createTrack({ role: 'bass', channel: 2, notes: melodyNotes }),
+      ];
+      const player = playOnMIDIOutput(port, tracks);
+      vi.advanceTimersByTime(0);
+      player.stop();
+      const sentBeforeStop = received.length;
+      vi.advanceTimersByTime(5000);
+
+      expect(received.slice(-4)).toEqual([
+        [0xb0, 123, 0],
+        [0xb0, 120, 0],
+        [0xb2, 123, 0],
+        [0xb2, 120, 0],
+      ]);
+      expect(received.length).toBe(sentBeforeStop);
+      await expect(player.finished).resolves.toBe(false);
+    });
+  });
+});
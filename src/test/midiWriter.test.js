@@ -0,0 +1,148 @@
+import { describe, it, expect } from 'vitest';
+import {
+  writeVariableLength,
+  resolveNoteOverlaps,
+  notesToEvents,
+  sortTrackEvents,
+  createTrackEvents,
+  mergeTracks,
+  metaEvent,
+  keySignatureEvent,
+} from '../utils/midiWriter';
+import { createMIDIFile } from '../utils/simpleMidi';
+import { parseMIDIFile, extractNotes } from '../utils/midiImport';
+
+const note = (pitch, startTick, endTick, channel = 0) => ({
+  channel,
+  pitch,
+  velocity: 100,
+  startTick,
+  endTick,
+});
+
+// Note events of the given track as [type, note, tick]
+const trackNotes = (midiFile, trackIndex) =>
+  parseMIDIFile(midiFile)
+    .tracks[trackIndex].events.filter(event => event.type === 'noteOn' || event.type === 'noteOff')
+    .map(event => [event.type, event.note, event.tick]);
+
+describe('midiWriter Utility Functions', () => {
+  describe('writeVariableLength', () => {
+    it('encodes single and multi-byte quantities', () => {
+      expect(writeVariableLength(0)).toEqual([0x00]);
+      expect(writeVariableLength(0x7f)).toEqual([0x7f]);
+      expect(writeVariableLength(0x80)).toEqual([0x81, 0x00]);
+      expect(writeVariableLength(0x3fff)).toEqual([0xff, 0x7f]);
+    });
+  });
+
+  describe('keySignatureEvent', () => {
+    it('writes the sharps or flats and the mode of the key', () => {
+      expect(keySignatureEvent(0, 'Eb Major').data).toEqual([0xff, 0x59, 0x02, 0xfd, 0x00]);
+      expect(keySignatureEvent(0, 'F# minor').data).toEqual([0xff, 0x59, 0x02, 0x03, 0x01]);
+      expect(keySignatureEvent(0, 'D Dorian').data).toEqual([0xff, 0x59, 0x02, 0x00, 0x00]);
+      expect(keySignatureEvent(0, 'Imported')).toBeNull();
+    });
+  });
+
+  describe('mergeTracks', () => {
+    it('merges tracks in time order and keeps only the first track name', () => {
+      const merged = mergeTracks([
+        [metaEvent(0, 0x03, [0x41]), metaEvent(192, 0x51, [0x07, 0xa1, 0x20])],
+        createTrackEvents('Melody', 0, 0, notesToEvents([note(60, 0, 96)])),
+        createTrackEvents('Bass', 2, 32, notesToEvents([note(36, 96, 288, 2)])),
+      ]);
+
+      expect(merged.map(event => [event.tick, event.data[0]])).toEqual([
+        [0, 0xff],
+        [0, 0xc0],
+        [0, 0xc2],
+        [0, 0x90],
+        [96, 0x80],
+        [96, 0x92],
+        [192, 0xff],
+        [288, 0x82],
+      ]);
+    });
+  });
+
+  describe('resolveNoteOverlaps', () => {
+    it('ends a note when the same pitch starts again on the same channel', () => {
+      const notes = resolveNoteOverlaps([note(60, 0, 96), note(60, 48, 144)]);
+      expect(notes.map(n => [n.startTick, n.endTick])).toEqual([
+        [0, 48],
+        [48, 144],
+      ]);
+    });
+
+    it('leaves overlapping notes on other pitches and channels alone', () => {
+      const notes = resolveNoteOverlaps([note(60, 0, 96), note(64, 48, 144), note(60, 48, 144, 1)]);
+      expect(notes.map(n => [n.startTick, n.endTick])).toEqual([
+        [0, 96],
+        [48, 144],
+        [48, 144],
+      ]);
+    });
+
+    it('gives zero-length notes one tick', () => {
+      expect(resolveNoteOverlaps([note(60, 10, 10)])[0].endTick).toBe(11);
+    });
+  });
+
+  describe('sortTrackEvents', () => {
+    it('writes note-offs before note-ons on the same tick', () => {
+      const events = sortTrackEvents(notesToEvents([note(60, 0, 96), note(60, 96, 192)]));
+      expect(events.map(event => [event.type, event.tick])).toEqual([
+        ['noteOn', 0],
+        ['noteOff', 96],
+        ['noteOn', 96],
+        ['noteOff', 192],
+      ]);
+    });
+  });
+
+  describe('createMIDIFile', () => {
+    it('keeps the timing of humanized, overlapping melody notes', () => {
+      const melodyData = {
+        tempo: 120,
+        notes: [
+          { pitch: 'C4', duration: 1.1, startTime: 0, velocity: 0.8 },
+          { pitch: 'E4', duration: 1, startTime: 0.98, velocity: 0.8 },
+          { pitch: 'G4', duration: 0.5, startTime: 2.02, velocity: 0.8 },
+        ],
+      };
+
+      expect(trackNotes(createMIDIFile(melodyData, null), 1)).toEqual([
+        ['noteOn', 60, 0],
+        ['noteOn', 64, 94],
+        ['noteOff', 60, 106],
+        ['noteOff', 64, 190],
+        ['noteOn', 67, 194],
+        ['noteOff', 67, 242],
+      ]);
+    });
+
+    it('writes chords that ring into the next chord', () => {
+      const chordData = {
+        tempo: 120,
+        progression: [
+          { root: 'C', notes: ['C4', 'E4', 'G4'], duration: 1.5, position: 0 },
+          { root: 'C', notes: ['C4', 'F4', 'A4'], duration: 1, position: 1 },
+        ],
+      };
+
+      const notes = extractNotes(
+        parseMIDIFile(createMIDIFile(null, chordData, { includeBass: false })).tracks[1].events
+      );
+
+      expect(notes.map(n => [n.midi, n.startTick, n.endTick])).toEqual([
+        [60, 0, 384],
+        [64, 0, 576],
+        [67, 0, 576],
+        [60, 384, 768],
+        [65, 384, 768],
+        [69, 384, 768],
+      ]);
+    });
+  });
+});
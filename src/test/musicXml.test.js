@@ -0,0 +1,180 @@
+import { describe, it, expect } from 'vitest';
+import { createMusicXML } from '../utils/musicXml';
+import { createTrack } from '../utils/tracks';
+
+const parseXml = xml => new DOMParser().parseFromString(xml, 'application/xml');
+
+const noteNames = part =>
+  Array.from(part.querySelectorAll('note')).map(note => {
+    const pitch = note.querySelector('pitch');
+    if (!pitch) return 'rest';
+    const alter = pitch.querySelector('alter')?.textContent;
+    const accidental = alter === '-1' ? 'b' : alter === '1' ? '#' : '';
+    return `${pitch.querySelector('step').textContent}${accidental}${pitch.querySelector('octave').textContent}`;
+  });
+
+describe('musicXml Utility Functions', () => {
+  describe('createMusicXML', () => {
+    const melodyData = {
+      scale: 'Eb Major',
+      tempo: 100,
+      timeSignature: '3/4',
+      notes: [
+        { pitch: 'Eb4', startTime: 0, duration: 1, velocity: 0.8 },
+        { pitch: 'D#4', startTime: 1, duration: 1, velocity: 0.8 },
+        { pitch: 'Bb4', startTime: 2, duration: 2, velocity: 0.8 },
+      ],
+    };
+
+    it('writes the key, time signature and tempo in the first measure', () => {
+      const doc = parseXml(createMusicXML(melodyData, null));
+      const measure = doc.querySelector('part measure');
+
+      expect(measure.querySelector('key fifths').textContent).toBe('-3');
+      expect(measure.querySelector('time beats').textContent).toBe('3');
+      expect(measure.querySelector('time beat-type').textContent).toBe('4');
+      expect(measure.querySelector('sound').getAttribute('tempo')).toBe('100');
+    });
+
+    it('spells notes for the key and ties notes across barlines', () => {
+      const doc = parseXml(createMusicXML(melodyData, null));
+      const part = doc.querySelector('part');
+
+      expect(noteNames(part)).toEqual(['Eb4', 'Eb4', 'Bb4', 'Bb4', 'rest']);
+
+      const [first, second] = part.querySelectorAll('measure');
+      const tiedFrom = first.querySelectorAll('note')[2];
+      const tiedTo = second.querySelectorAll('note')[0];
+      expect(tiedFrom.querySelector('tie').getAttribute('type')).toBe('start');
+      expect(tiedTo.querySelector('tie').getAttribute('type')).toBe('stop');
+      expect(tiedTo.querySelector('type').textContent).toBe('quarter');
+    });
+
+    it('writes chords as stacked notes with chord symbols', () => {
+      const chordData = {
+        key: 'Bb major',
+        tempo: 120,
+        progression: [
+          { root: 'Bb', type: 'maj7', notes: ['Bb3', 'D4', 'F4', 'A4'], position: 0, duration: 1 },
+          { root: 'C', type: 'min7', notes: ['C4', 'Eb4', 'G4', 'Bb4'], position: 1, duration: 1 },
+        ],
+      };
+
+      const doc = parseXml(createMusicXML(null, chordData, { includeBass: false }));
+      const harmonies = Array.from(doc.querySelectorAll('harmony'));
+
+      expect(harmonies.map(h => h.querySelector('root-step').textContent)).toEqual(['B', 'C']);
+      expect(harmonies[0].querySelector('root-alter').textContent).toBe('-1');
+      expect(harmonies.map(h => h.querySelector('kind').textContent)).toEqual([
+        'major-seventh',
+        'minor-seventh',
+      ]);
+
+      const secondMeasure = doc.querySelectorAll('measure')[1];
+      expect(secondMeasure.querySelectorAll('note chord')).toHaveLength(3);
+      expect(noteNames(secondMeasure)).toEqual(['C4', 'Eb4', 'G4', 'Bb4']);
+    });
+
+    it('writes slash basses and altered tones of chord symbols', () => {
+      const chordData = {
+        key: 'C major',
+        tempo: 120,
+        progression: [
+          { symbol: 'G7b9/B', notes: ['B3', 'G4', 'D5', 'F5', 'Ab5'], position: 0, duration: 1 },
+          { symbol: 'C7sus4', notes: ['C4', 'F4', 'G4', 'Bb4'], position: 1, duration: 1 },
+        ],
+      };
+
+      const doc = parseXml(createMusicXML(null, chordData, { includeBass: false }));
+      const [dominant, suspended] = Array.from(doc.querySelectorAll('harmony'));
+      const degreesOf = harmony =>
+        Array.from(harmony.querySelectorAll('degree')).map(degree =>
+          ['degree-value', 'degree-alter', 'degree-type']
+            .map(name => degree.querySelector(name).textContent)
+            .join(' ')
+        );
+
+      expect(dominant.querySelector('kind').textContent).toBe('dominant');
+      expect(dominant.querySelector('kind').getAttribute('text')).toBe('7b9');
+      expect(dominant.querySelector('bass-step').textContent).toBe('B');
+      expect(degreesOf(dominant)).toEqual(['9 -1 add']);
+      expect(degreesOf(suspended)).toEqual(['3 0 subtract', '4 0 add']);
+    });
+
+    it('writes a bass part from the chord roots', () => {
+      const chordData = {
+        key: 'C major',
+        progression: [
+          { root: 'F', type: 'maj', notes: ['F4', 'A4', 'C5'], position: 0, duration: 1 },
+        ],
+      };
+
+      const doc = parseXml(createMusicXML(null, chordData));
+      const parts = doc.querySelectorAll('part');
+
+      expect(Array.from(doc.querySelectorAll('part-name')).map(p => p.textContent)).toEqual([
+        'Chords',
+        'Bass',
+      ]);
+      expect(noteNames(parts[1])).toEqual(['F2']);
+      expect(parts[1].querySelector('clef sign').textContent).toBe('F');
+    });
+
+    it('plays the slash bass of slash chords in the bass part', () => {
+      const chordData = {
+        key: 'C major',
+        progression: [
+          {
+            root: 'G',
+            symbol: 'G7b9/B',
+            notes: ['B3', 'G4', 'D5', 'F5', 'Ab5'],
+            position: 0,
+            duration: 1,
+          },
+          { root: 'C', type: 'maj', notes: ['C4', 'E4', 'G4'], position: 1, duration: 1 },
+        ],
+      };
+
+      const parts = parseXml(createMusicXML(null, chordData)).querySelectorAll('part');
+
+      expect(noteNames(parts[1])).toEqual(['B2', 'C2']);
+    });
+
+    it('writes a part for each pitched track with its name, channel and instrument', () => {
+      const tracks = [
+        { role: 'melody', notes: [{ pitch: 'E5', startTime: 0, duration: 4, velocity: 0.8 }] },
+        { role: 'counterMelody', notes: [{ pitch: 'G4', startTime: 0, duration: 4 }] },
+        {
+          role: 'pad',
+          progression: [
+            { root: 'C', type: 'maj', notes: ['C4', 'E4', 'G4'], position: 0, duration: 1 },
+          ],
+        },
+        { role: 'bass', notes: [{ pitch: 'C2', startTime: 0, duration: 4 }] },
+        { role: 'bass', notes: [{ pitch: 'C3', startTime: 0, duration: 4 }] },
+        { role: 'drums', notes: [{ pitch: 'C2', startTime: 0, duration: 1 }] },
+      ].reduce((list, fields) => [...list, createTrack(fields, list)], []);
+
+      const doc = parseXml(createMusicXML(null, null, { tracks, key: 'C major' }));
+      const parts = doc.querySelectorAll('part');
+      const instruments = Array.from(doc.querySelectorAll('midi-instrument'));
+
+      expect(Array.from(doc.querySelectorAll('part-name')).map(p => p.textContent)).toEqual([
+        'Melody',
+        'Counter-melody',
+        'Pad',
+        'Bass',
+        'Bass 2',
+      ]);
+      expect(instruments[1].querySelector('midi-program').textContent).toBe('74');
+      expect(instruments.map(i => i.querySelector('midi-channel').textContent)).toEqual(
+        tracks.slice(0, 5).map(track => `${track.channel + 1}`)
+      );
+      expect(noteNames(parts[1])).toEqual(['G4']);
+      expect(noteNames(parts[2])).toEqual(['C4', 'E4', 'G4']);
+      expect(noteNames(parts[4])).toEqual(['C3']);
+      // Without a chord track the chord symbols sit on the pad
+      expect(parts[2].querySelector('harmony kind').textContent).toBe('major');
+    });
+  });
+});
@@ -0,0 +1,18 @@
+import { describe, it, expect } from 'vitest';
+import { toVoice, layOutMeasures } from '../utils/notation';
+
+describe('notation Utility Functions', () => {
+  describe('layOutMeasures', () => {
+    it('splits notes at barlines into tied note values and fills empty measures', () => {
+      const voice = toVoice([{ pitches: [60], start: 36, end: 60 }]);
+      const [first, second, third] = layOutMeasures(voice, 48, 3);
+
+      expect(first.map(item => [item.pitches, item.duration, item.tieStart])).toEqual([
+        [[], 36, false],
+        [[60], 12, true],
+      ]);
+      expect(second[0]).toMatchObject({ pitches: [60], duration: 12, tieStop: true });
+      expect(third).toEqual([{ pitches: [], start: 96, duration: 48, measureRest: true }]);
+    });
+  });
+});
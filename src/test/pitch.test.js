@@ -0,0 +1,135 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  formatNoteName,
+  getKeySignature,
+  getPitchClass,
+  midiToNoteName,
+  noteNameToMidi,
+  noteNameToMidiClamped,
+  parseNoteName,
+  spellPitch,
+  stripOctave,
+  transposeOctaves,
+} from '../utils/pitch';
+import { generateChord } from '../utils/chords';
+import { generateScale } from '../utils/scales';
+import { noteToMidiNumber } from '../utils/simpleMidi';
+import { noteToMidiNumber as jzzNoteToMidiNumber } from '../utils/jzzMidi';
+
+describe('pitch Utility Functions', () => {
+  describe('parseNoteName', () => {
+    it('reads accidentals and octaves, or no octave', () => {
+      expect(parseNoteName('F##3')).toEqual({ step: 'F', alter: 2, octave: 3 });
+      expect(parseNoteName('Fx3')).toEqual({ step: 'F', alter: 2, octave: 3 });
+      expect(parseNoteName('A-1')).toEqual({ step: 'A', alter: 0, octave: -1 });
+      expect(parseNoteName('Cb')).toEqual({ step: 'C', alter: -1, octave: null });
+      expect(() => parseNoteName('H2')).toThrow('Invalid note name: H2');
+      expect(() => parseNoteName('C#b4')).toThrow('Invalid note name: C#b4');
+    });
+  });
+
+  describe('noteNameToMidi', () => {
+    it('reads sharps, flats and double flats', () => {
+      expect(noteNameToMidi('C4')).toBe(60);
+      expect(noteNameToMidi('Eb4')).toBe(63);
+      expect(noteNameToMidi('D#4')).toBe(63);
+      expect(noteNameToMidi('Bbb3')).toBe(57);
+      expect(() => noteNameToMidi('H2')).toThrow('Invalid note name: H2');
+    });
+
+    it('reads the octaves at both ends of the MIDI range', () => {
+      expect(noteNameToMidi('C-1')).toBe(0);
+      expect(noteNameToMidi('Cb4')).toBe(59);
+      expect(noteNameToMidi('B#3')).toBe(60);
+      expect(noteNameToMidi('G9')).toBe(127);
+      expect(() => noteNameToMidi('C10')).toThrow('Note outside the MIDI range: C10');
+      expect(() => noteNameToMidi('Eb')).toThrow('Invalid note name: Eb');
+    });
+
+    it('is the parser the MIDI writers use', () => {
+      expect(noteToMidiNumber('Eb4')).toBe(63);
+      expect(jzzNoteToMidiNumber('Eb4')).toBe(63);
+      expect(jzzNoteToMidiNumber('A-1')).toBe(9);
+    });
+
+    it('clamps and defaults the same way in every MIDI writer', () => {
+      const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      [noteNameToMidiClamped, noteToMidiNumber, jzzNoteToMidiNumber].forEach(convert => {
+        expect(convert('C10')).toBe(127);
+        expect(convert('Cb-1')).toBe(0);
+        expect(convert('Eb')).toBe(63);
+        expect(convert('H2')).toBe(60);
+      });
+      expect(warn).toHaveBeenCalledWith('Note without octave:', 'Eb', '- defaulting to octave 4');
+      error.mockRestore();
+      warn.mockRestore();
+    });
+  });
+
+  describe('getKeySignature', () => {
+    it('reads major, minor and modal keys', () => {
+      expect(getKeySignature('C major')).toEqual({ fifths: 0, mode: 'major' });
+      expect(getKeySignature('Eb major')).toEqual({ fifths: -3, mode: 'major' });
+      expect(getKeySignature('F Major')).toEqual({ fifths: -1, mode: 'major' });
+      expect(getKeySignature('C# Minor')).toEqual({ fifths: 4, mode: 'minor' });
+      expect(getKeySignature('D Dorian')).toEqual({ fifths: 0, mode: 'dorian' });
+      expect(getKeySignature('Imported')).toEqual({ fifths: 0, mode: 'major' });
+    });
+  });
+
+  describe('spellPitch', () => {
+    it('spells black keys with flats in flat keys and sharps in sharp keys', () => {
+      expect(spellPitch(63, -3)).toEqual({ step: 'E', alter: -1, octave: 4 });
+      expect(spellPitch(63, 2)).toEqual({ step: 'D', alter: 1, octave: 4 });
+      expect(spellPitch(63, 0)).toEqual({ step: 'E', alter: -1, octave: 4 });
+    });
+
+    it('spells the scale degrees of six and seven accidental keys on their own letters', () => {
+      const spellIn = (key, pitches) =>
+        pitches
+          .map(midi => formatNoteName(spellPitch(midi, getKeySignature(key).fifths)))
+          .join(' ');
+
+      expect(spellIn('Gb major', [66, 68, 70, 71, 73, 75, 77])).toBe('Gb4 Ab4 Bb4 Cb5 Db5 Eb5 F5');
+      expect(spellIn('F# major', [66, 68, 70, 71, 73, 75, 77])).toBe('F#4 G#4 A#4 B4 C#5 D#5 E#5');
+      expect(spellIn('C# major', [61, 63, 65, 66, 68, 70, 72])).toBe('C#4 D#4 E#4 F#4 G#4 A#4 B#4');
+      expect(midiToNoteName(60, 'C# major')).toBe('B#3');
+      expect(midiToNoteName(62, 'F# major')).toBe('D4');
+    });
+  });
+
+  describe('midiToNoteName', () => {
+    it('spells with sharps unless a key is given', () => {
+      expect(midiToNoteName(70)).toBe('A#4');
+      expect(midiToNoteName(70, 'F major')).toBe('Bb4');
+      expect(midiToNoteName(0)).toBe('C-1');
+      expect(formatNoteName({ step: 'F', alter: 2, octave: 3 })).toBe('F##3');
+    });
+  });
+
+  describe('note name helpers', () => {
+    it('find pitch classes and move octaves without respelling', () => {
+      expect(getPitchClass('Eb')).toBe(3);
+      expect(getPitchClass('D#5')).toBe(3);
+      expect(getPitchClass('Cb4')).toBe(11);
+      expect(stripOctave('Bb-1')).toBe('Bb');
+      expect(transposeOctaves('Eb4', 1)).toBe('Eb5');
+      expect(transposeOctaves('C0', -1)).toBe('C-1');
+    });
+
+    it('spell chords and scales for their key', () => {
+      expect(generateChord('C4', 'min7')).toEqual(['C4', 'Eb4', 'G4', 'Bb4']);
+      expect(generateChord('Eb4', 'maj')).toEqual(['Eb4', 'G4', 'Bb4']);
+      expect(generateScale('D4', [0, 2, 3, 5, 7, 9, 10], 'D Dorian')).toEqual([
+        'D4',
+        'E4',
+        'F4',
+        'G4',
+        'A4',
+        'B4',
+        'C5',
+      ]);
+    });
+  });
+});
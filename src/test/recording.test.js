@@ -0,0 +1,185 @@
+import { describe, it, expect } from 'vitest';
+import JZZ from 'jzz';
+import {
+  createRecordedMelody,
+  createRecorder,
+  getMetronomeClicks,
+  parseNoteMessage,
+  quantizeNotes,
+  qwertyKeyToMidi,
+} from '../utils/recording';
+import { listMIDIInputs, listenForNotes, openMIDIInput } from '../utils/midiInput';
+import { createMotifFromNotes } from '../utils/patterns';
+import { getScale } from '../utils/scales';
+
+const PORT_NAME = 'Test Keyboard';
+
+// Recorder on a clock the test moves by hand
+const createTestRecorder = (tempo, key) => {
+  let time = 10;
+  const recorder = createRecorder({ tempo, startTime: 10, now: () => time, key });
+  return { recorder, setTime: seconds => (time = 10 + seconds) };
+};
+
+describe('recording Utility Functions', () => {
+  describe('qwertyKeyToMidi', () => {
+    it('plays the home row as white keys from C in the chosen octave', () => {
+      expect(['a', 's', 'd', 'f', 'g', 'h', 'j', 'k'].map(key => qwertyKeyToMidi(key))).toEqual([
+        60, 62, 64, 65, 67, 69, 71, 72,
+      ]);
+      expect(qwertyKeyToMidi('W', 3)).toBe(49);
+      expect(qwertyKeyToMidi('q')).toBeNull();
+    });
+  });
+
+  describe('parseNoteMessage', () => {
+    it('reads note-ons and treats a zero velocity note-on as a note-off', () => {
+      expect(parseNoteMessage([0x92, 64, 127])).toEqual({
+        type: 'noteOn',
+        channel: 2,
+        pitch: 64,
+        velocity: 1,
+      });
+      expect(parseNoteMessage([0x90, 64, 0])).toMatchObject({ type: 'noteOff', pitch: 64 });
+      expect(parseNoteMessage([0x80, 64, 40])).toMatchObject({ type: 'noteOff', pitch: 64 });
+      expect(parseNoteMessage([0xb0, 64, 127])).toBeNull();
+    });
+  });
+
+  describe('getMetronomeClicks', () => {
+    it('clicks each pulse and accents downbeats', () => {
+      expect(getMetronomeClicks('3/4', 1)).toEqual([
+        { time: 0, accent: true },
+        { time: 1, accent: false },
+        { time: 2, accent: false },
+      ]);
+      expect(getMetronomeClicks('6/8', 2).map(click => click.time)).toEqual([0, 1.5, 3, 4.5]);
+    });
+  });
+
+  describe('createRecorder', () => {
+    it('times notes in beats and ends held notes when stopped', () => {
+      const { recorder, setTime } = createTestRecorder(120);
+
+      recorder.noteOn(60, 0.5);
+      setTime(0.5);
+      recorder.noteOn(64);
+      recorder.noteOff(60);
+      setTime(1);
+      recorder.noteOff(61);
+      setTime(2);
+
+      expect(recorder.stop()).toEqual([
+        { pitch: 'C4', startTime: 0, duration: 1, velocity: 0.5 },
+        { pitch: 'E4', startTime: 1, duration: 3, velocity: 0.8 },
+      ]);
+    });
+
+    it('spells notes in the key of the recording', () => {
+      const { recorder, setTime } = createTestRecorder(120, 'Eb Major');
+
+      [63, 67, 68, 70].forEach((pitch, index) => {
+        setTime(index * 0.5);
+        recorder.noteOn(pitch);
+      });
+      setTime(2);
+
+      expect(recorder.stop().map(note => note.pitch)).toEqual(['Eb4', 'G4', 'Ab4', 'Bb4']);
+    });
+  });
+
+  describe('quantizeNotes', () => {
+    it('snaps starts and ends to the grid without losing short notes', () => {
+      const notes = [
+        { pitch: 'C4', startTime: 0.1, duration: 0.4 },
+        { pitch: 'D4', startTime: 0.9, duration: 0.05 },
+      ];
+
+      expect(quantizeNotes(notes, 0.5)).toEqual([
+        { pitch: 'C4', startTime: 0, duration: 0.5 },
+        { pitch: 'D4', startTime: 1, duration: 0.5 },
+      ]);
+    });
+  });
+
+  describe('createRecordedMelody', () => {
+    it('keeps the recording within its bars', () => {
+      const melodyData = createRecordedMelody(
+        [
+          { pitch: 'B3', startTime: -2, duration: 1, velocity: 0.8 },
+          { pitch: 'C4', startTime: -0.1, duration: 1.1, velocity: 0.8 },
+          { pitch: 'E4', startTime: 3.5, duration: 2, velocity: 0.8 },
+          { pitch: 'G4', startTime: 4, duration: 1, velocity: 0.8 },
+        ],
+        { scale: 'C Major', tempo: 100, timeSignature: '4/4', bars: 1 }
+      );
+
+      expect(melodyData).toMatchObject({
+        scale: 'C Major',
+        tempo: 100,
+        timeSignature: '4/4',
+        length: 1,
+        rhythmPattern: 'recorded',
+      });
+      expect(melodyData.notes.map(note => [note.pitch, note.startTime, note.duration])).toEqual([
+        ['C4', 0, 1],
+        ['E4', 3.5, 0.5],
+      ]);
+    });
+
+    it('quantizes when a grid is given', () => {
+      const melodyData = createRecordedMelody(
+        [{ pitch: 'C4', startTime: 0.9, duration: 0.9, velocity: 0.8 }],
+        { scale: 'C Major', tempo: 120, timeSignature: '4/4', bars: 1, quantize: 0.5 }
+      );
+
+      expect(melodyData.notes[0]).toMatchObject({ startTime: 1, duration: 1 });
+    });
+  });
+
+  describe('createMotifFromNotes', () => {
+    it('finds the nearest scale degree and lasts until the next note', () => {
+      const motif = createMotifFromNotes(
+        [
+          { pitch: 'G4', startTime: 1, duration: 0.5 },
+          { pitch: 'C4', startTime: 0, duration: 0.5 },
+          { pitch: 'F#4', startTime: 1.5, duration: 2 },
+        ],
+        getScale('C Major')
+      );
+
+      expect(motif).toEqual([
+        { scaleIndex: 0, duration: 1 },
+        { scaleIndex: 4, duration: 0.5 },
+        { scaleIndex: 3, duration: 2 },
+      ]);
+    });
+  });
+
+  describe('MIDI input', () => {
+    it('passes note messages from an input port to the listener', async () => {
+      const keyboard = JZZ.Widget();
+      JZZ.addMidiIn(PORT_NAME, keyboard);
+
+      expect(await listMIDIInputs()).toContain(PORT_NAME);
+      await expect(openMIDIInput('No Such Port')).rejects.toThrow(
+        'Cannot open MIDI input: No Such Port'
+      );
+
+      const port = await openMIDIInput(PORT_NAME);
+      const notes = [];
+      const stopListening = listenForNotes(port, note => notes.push(note));
+
+      keyboard.noteOn(0, 60, 127);
+      keyboard.control(0, 64, 127);
+      keyboard.noteOff(0, 60);
+      stopListening();
+      keyboard.noteOn(0, 62, 127);
+
+      expect(notes.map(note => [note.type, note.pitch])).toEqual([
+        ['noteOn', 60],
+        ['noteOff', 60],
+      ]);
+    });
+  });
+});
@@ -0,0 +1,44 @@
+import { describe, it, expect } from 'vitest';
+import { getScale, isScaleName, parseScaleName, scaleRoots, scaleTypeNames } from '../utils/scales';
+
+describe('scales Utility Functions', () => {
+  describe('parseScaleName', () => {
+    it('reads the tonic and the scale type under any of its names', () => {
+      expect(parseScaleName('F# Dorian')).toMatchObject({ tonic: 'F#', type: 'Dorian' });
+      expect(parseScaleName('Bb minor')).toMatchObject({ tonic: 'Bb', type: 'Minor' });
+      expect(parseScaleName('D Aeolian')).toMatchObject({ type: 'Minor' });
+      expect(parseScaleName('C Hungarian Minor').intervals).toEqual([0, 2, 3, 6, 7, 8, 11]);
+    });
+
+    it('rejects unknown keys instead of falling back to C major', () => {
+      expect(() => parseScaleName('H Major')).toThrow('Invalid note name: H');
+      expect(() => parseScaleName('C Bebop')).toThrow('Unknown scale: C Bebop');
+      expect(() => getScale('C4 Major')).toThrow('Unknown scale: C4 Major');
+      expect(isScaleName('Eb Lydian')).toBe(true);
+      expect(isScaleName('')).toBe(false);
+    });
+  });
+
+  describe('getScale', () => {
+    it('spells seven-note scales with each letter once', () => {
+      expect(getScale('C Major')).toEqual(['C4', 'D4', 'E4', 'F4', 'G4', 'A4', 'B4', 'C5']);
+      expect(getScale('Eb Minor')).toEqual(['Eb4', 'F4', 'Gb4', 'Ab4', 'Bb4', 'Cb5', 'Db5', 'Eb5']);
+      expect(getScale('F# Dorian')).toEqual(['F#3', 'G#3', 'A3', 'B3', 'C#4', 'D#4', 'E4', 'F#4']);
+      expect(getScale('G Harmonic Minor')).toContain('F#4');
+    });
+
+    it('spans more than one octave when asked', () => {
+      const scale = getScale('A Minor Pentatonic', { octaves: 2 });
+      expect(scale).toEqual(['A3', 'C4', 'D4', 'E4', 'G4', 'A4', 'C5', 'D5', 'E5', 'G5', 'A5']);
+      expect(getScale('D Major', { octaves: 2, octave: 3 })).toHaveLength(15);
+    });
+
+    it('generates every root and scale type', () => {
+      scaleRoots.forEach(root => {
+        scaleTypeNames.forEach(type => {
+          expect(getScale(`${root} ${type}`).length).toBeGreaterThan(5);
+        });
+      });
+    });
+  });
+});
@@ -1,6 +1,10 @@
-import { describe, it, expect, vi, beforeEach } from 'vitest';
-/* global global */
-import { noteToMidiNumber, createMIDIFile, exportAndDownloadMIDI } from '../utils/simpleMidi';
+import { describe, it, expect } from 'vitest';
+import { noteToMidiNumber, createMIDIFile } from '../utils/simpleMidi';
+import { parseMIDIFile } from '../utils/midiImport';
+
+// Bank select controllers written in front of every program change
+const isBankSelect = event =>
+  event.type === 'controller' && (event.controllerNumber === 0 || event.controllerNumber === 32);
 
 describe('simpleMidi Utility Functions', () => {
   describe('noteToMidiNumber', () => {
@@ -61,81 +65,217 @@ describe('simpleMidi Utility Functions', () => {
       expect(result).toBeInstanceOf(Uint8Array);
       expect(result.length).toBeGreaterThan(0);
     });
-  });
 
-  describe('exportAndDownloadMIDI', () => {
-    const mockMelodyData = {
-      tempo: 120,
-      notes: [{ pitch: 'C4', duration: 1, startTime: 0, velocity: 0.8 }],
-    };
+    it('writes a 4/4 time signature meta event by default', () => {
+      const result = Array.from(createMIDIFile(mockMelodyData, null));
+      const index = result.findIndex(
+        (byte, i) => byte === 0xff && result[i + 1] === 0x58 && result[i + 2] === 0x04
+      );
+      expect(result.slice(index + 3, index + 7)).toEqual([4, 2, 24, 8]);
+    });
 
-    beforeEach(() => {
-      // Mock document.createElement and related methods
-      const mockAnchor = {
-        href: '',
-        download: '',
-        click: vi.fn(),
-        style: {},
-      };
+    it('uses the time signature for the meta event and chord positions', () => {
+      const result = createMIDIFile(
+        null,
+        { ...mockChordData, timeSignature: '3/4' },
+        { includeChords: false }
+      );
+      const { tracks } = parseMIDIFile(result);
+      const timeSignature = tracks[0].events.find(event => event.subtype === 'timeSignature');
+      const bassNotes = tracks[1].events.filter(event => event.type === 'noteOn');
 
-      document.createElement = vi.fn().mockReturnValue(mockAnchor);
-      document.body.appendChild = vi.fn();
-      document.body.removeChild = vi.fn();
+      expect([timeSignature.numerator, timeSignature.denominator]).toEqual([3, 4]);
+      // The second chord starts one 3/4 bar (3 x 96 ticks) after the first
+      expect(bassNotes.map(event => event.tick)).toEqual([0, 288]);
+    });
 
-      // Mock URL.createObjectURL and URL.revokeObjectURL
-      URL.createObjectURL = vi.fn().mockReturnValue('mock-url');
-      URL.revokeObjectURL = vi.fn();
+    it('writes one tempo meta event per tempo map change', () => {
+      const melodyData = {
+        ...mockMelodyData,
+        tempoMap: [
+          { startTime: 0, tempo: 120 },
+          { startTime: 1, tempo: 60 },
+        ],
+      };
+      const { tracks } = parseMIDIFile(createMIDIFile(melodyData, null));
+      const tempos = tracks[0].events.filter(event => event.subtype === 'tempo');
 
-      // Store the mock anchor for tests to access
-      // Define global if it doesn't exist (for Node.js environment)
-      if (typeof global === 'undefined' && typeof window !== 'undefined') {
-        window.global = window;
-      }
+      expect(tempos.map(event => [event.tick, event.bpm])).toEqual([
+        [0, 120],
+        [96, 60],
+      ]);
+    });
 
-      global.mockAnchor = mockAnchor;
+    it('merges controller and pitch-bend events into the melody track in time order', () => {
+      const melodyData = {
+        ...mockMelodyData,
+        expressionEvents: [
+          { type: 'controller', controllerNumber: 11, value: 70, time: 1 },
+          { type: 'pitchBend', value: -1024, time: 0.5 },
+          { type: 'controller', controllerNumber: 7, value: 100, time: 0 },
+        ],
+      };
+      const { tracks } = parseMIDIFile(createMIDIFile(melodyData, null));
+      const events = tracks[1].events
+        .filter(event => event.type !== 'meta' && event.type !== 'programChange')
+        .filter(event => !isBankSelect(event))
+        .map(event => [event.tick, event.type, event.controllerNumber ?? event.value]);
 
-      // Mock setTimeout
-      vi.spyOn(global, 'setTimeout').mockImplementation(callback => {
-        callback();
-        return 1;
-      });
+      expect(events).toEqual([
+        [0, 'controller', 7],
+        [0, 'noteOn', undefined],
+        [48, 'pitchBend', -1024],
+        [96, 'noteOff', undefined],
+        [96, 'controller', 11],
+        [96, 'noteOn', undefined],
+        [192, 'noteOff', undefined],
+      ]);
     });
 
-    it('returns false when no data is provided', () => {
-      const result = exportAndDownloadMIDI(null, null, 'test-file');
-      expect(result).toBe(false);
+    it('only generates expression when applyExpression is set', () => {
+      const countControllers = options => {
+        const { tracks } = parseMIDIFile(createMIDIFile(mockMelodyData, mockChordData, options));
+        return tracks
+          .flatMap(track => track.events)
+          .filter(event => event.type === 'controller' && !isBankSelect(event)).length;
+      };
+
+      expect(countControllers({})).toBe(0);
+      expect(countControllers({ applyExpression: true })).toBeGreaterThan(0);
     });
 
-    it('creates and triggers download of a MIDI file', () => {
-      const result = exportAndDownloadMIDI(mockMelodyData, null, 'test-file');
+    it('lifts and presses the sustain pedal at each chord change', () => {
+      const { tracks } = parseMIDIFile(
+        createMIDIFile(null, mockChordData, { includeBass: false, applyExpression: true })
+      );
+      const pedal = tracks[1].events
+        .filter(event => event.type === 'controller' && event.controllerNumber === 64)
+        .map(event => [event.tick, event.value]);
 
-      expect(result).toBe(true);
-      expect(document.createElement).toHaveBeenCalledWith('a');
-      expect(document.body.appendChild).toHaveBeenCalled();
-      expect(document.body.removeChild).toHaveBeenCalled();
-      expect(URL.createObjectURL).toHaveBeenCalled();
-      expect(URL.revokeObjectURL).toHaveBeenCalled();
+      expect(pedal).toEqual([
+        [0, 127],
+        [384, 0],
+        [384, 127],
+        [768, 0],
+      ]);
     });
 
-    it('handles file name correctly', () => {
-      exportAndDownloadMIDI(mockMelodyData, null, 'custom-name');
+    it('writes drums on channel 10 and counts only the tracks written', () => {
+      const drumData = {
+        notes: [
+          { pitch: 'C2', drum: 'kick', startTime: 0, duration: 0.25, velocity: 1 },
+          { pitch: 'D2', drum: 'snare', startTime: 1, duration: 0.25, velocity: 0.8 },
+        ],
+      };
+      const { tracks } = parseMIDIFile(createMIDIFile(mockMelodyData, null, { drumData }));
+      const drumNotes = tracks[2].events.filter(event => event.type === 'noteOn');
 
-      expect(global.mockAnchor.download).toBe('custom-name.mid');
+      expect(tracks).toHaveLength(3);
+      expect(tracks[2].name).toBe('Drums');
+      expect(drumNotes.map(event => [event.channel, event.note, event.tick])).toEqual([
+        [9, 36, 0],
+        [9, 38, 96],
+      ]);
     });
 
-    it('handles errors gracefully', () => {
-      // Mock console.error
-      vi.spyOn(console, 'error').mockImplementation(() => {});
+    it('converts every time with the chosen resolution', () => {
+      const result = createMIDIFile(mockMelodyData, mockChordData, {
+        includeBass: false,
+        ticksPerBeat: 960,
+        tempoMap: [
+          { startTime: 0, tempo: 120 },
+          { startTime: 4, tempo: 90 },
+        ],
+      });
+      const { division, tracks } = parseMIDIFile(result);
+      const tempoTicks = tracks[0].events
+        .filter(event => event.subtype === 'tempo')
+        .map(event => event.tick);
+
+      expect(Array.from(result.slice(12, 14))).toEqual([0x03, 0xc0]);
+      expect(division).toBe(960);
+      expect(tempoTicks).toEqual([0, 3840]);
+      expect(
+        tracks[1].events.filter(event => event.type === 'noteOn').map(event => event.tick)
+      ).toEqual([0, 960]);
+      expect(
+        tracks[2].events.filter(event => event.type === 'noteOn').map(event => event.tick)
+      ).toEqual([0, 0, 0, 3840, 3840, 3840]);
+    });
 
-      // Mock document.createElement to throw an error
-      document.createElement = vi.fn().mockImplementation(() => {
-        throw new Error('Test error');
+    it('writes every part into a single track for format 0', () => {
+      const result = createMIDIFile(mockMelodyData, mockChordData, {
+        midiFormat: 0,
+        ticksPerBeat: 480,
       });
+      const { format, division, tracks } = parseMIDIFile(result);
+      const noteOns = tracks[0].events.filter(event => event.type === 'noteOn');
 
-      const result = exportAndDownloadMIDI(mockMelodyData, null, 'test-file');
+      expect(Array.from(result.slice(8, 14))).toEqual([0, 0, 0, 1, 0x01, 0xe0]);
+      expect(format).toBe(0);
+      expect(division).toBe(480);
+      expect(tracks).toHaveLength(1);
+      expect(tracks[0].name).toBe('Control Track');
+      expect(new Set(noteOns.map(event => event.channel))).toEqual(new Set([0, 1, 2]));
+      expect(noteOns.filter(event => event.channel === 0).map(event => event.tick)).toEqual([
+        0, 480,
+      ]);
+    });
+
+    it('writes the key signature and a marker at each section start', () => {
+      const chordData = {
+        key: 'Bb major',
+        timeSignature: '3/4',
+        progression: [
+          { root: 'A#', notes: ['A#3', 'D4', 'F4'], duration: 1, position: 0, section: 'verse' },
+          { root: 'D#', notes: ['D#4', 'G4', 'A#4'], duration: 1, position: 1, section: 'verse' },
+          { root: 'F', notes: ['F4', 'A4', 'C5'], duration: 2, position: 2, section: 'chorus' },
+        ],
+      };
+      const { tracks } = parseMIDIFile(createMIDIFile(null, chordData, { key: 'G minor' }));
+      const keySignature = tracks[0].events.find(event => event.subtype === 'keySignature');
+      const markers = tracks[0].events.filter(event => event.subtype === 'marker');
+
+      expect([keySignature.sharpsFlats, keySignature.mode]).toEqual([-2, 'minor']);
+      expect(markers.map(event => [event.tick, event.text])).toEqual([
+        [0, 'Verse'],
+        [576, 'Chorus'],
+      ]);
+
+      const unmarked = parseMIDIFile(createMIDIFile(null, chordData, { includeMarkers: false }));
+      expect(unmarked.tracks[0].events.some(event => event.subtype === 'marker')).toBe(false);
+    });
+
+    it('writes lyrics on the melody track and text events on the conductor track', () => {
+      const { tracks } = parseMIDIFile(
+        createMIDIFile(mockMelodyData, null, {
+          lyrics: [
+            { startTime: 0, text: 'Hel' },
+            { startTime: 1, text: 'lo' },
+          ],
+          textEvents: [{ startTime: 0, text: 'Take 2' }],
+        })
+      );
+      const textOf = (track, subtype) =>
+        track.events
+          .filter(event => event.subtype === subtype)
+          .map(event => [event.tick, event.text]);
+
+      expect(textOf(tracks[1], 'lyric')).toEqual([
+        [0, 'Hel'],
+        [96, 'lo'],
+      ]);
+      expect(textOf(tracks[0], 'text')).toEqual([[0, 'Take 2']]);
+      expect(tracks[0].events.some(event => event.subtype === 'keySignature')).toBe(false);
+    });
 
-      expect(result).toBe(false);
-      expect(console.error).toHaveBeenCalled();
+    it('rejects unsupported file formats and resolutions', () => {
+      expect(() => createMIDIFile(mockMelodyData, null, { midiFormat: 2 })).toThrow(
+        'Unsupported MIDI file format: 2'
+      );
+      expect(() => createMIDIFile(mockMelodyData, null, { ticksPerBeat: 0x8000 })).toThrow(
+        'Invalid ticks per beat: 32768'
+      );
     });
   });
 });
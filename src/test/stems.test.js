@@ -0,0 +1,99 @@
+import { describe, it, expect } from 'vitest';
+import JSZip from 'jszip';
+import { createStemsZip, getStemFileName } from '../utils/stems';
+import { createTrack } from '../utils/tracks';
+import { parseMIDIFile } from '../utils/midiImport';
+
+const melodyData = {
+  tempo: 90,
+  timeSignature: '3/4',
+  notes: [
+    { pitch: 'E5', startTime: 0, duration: 1, velocity: 0.8 },
+    { pitch: 'D5', startTime: 1, duration: 2, velocity: 0.8 },
+  ],
+};
+
+const chordData = {
+  tempo: 90,
+  timeSignature: '3/4',
+  progression: [{ root: 'C', type: 'maj', notes: ['C4', 'E4', 'G4'], position: 0, duration: 1 }],
+};
+
+const readZip = async (melody, chords, options) =>
+  JSZip.loadAsync(await createStemsZip(melody, chords, { zipType: 'uint8array', ...options }));
+
+const readMIDI = async (zip, file) => parseMIDIFile(await zip.file(file).async('uint8array'));
+
+describe('stems Utility Functions', () => {
+  describe('getStemFileName', () => {
+    it('names stems after their track and numbers repeated names', () => {
+      const usedNames = new Set();
+
+      expect(getStemFileName({ name: 'Chords' }, usedNames)).toBe('chords.mid');
+      expect(getStemFileName({ name: 'Counter-melody' }, usedNames)).toBe('counter-melody.mid');
+      expect(getStemFileName({ name: 'Chords' }, usedNames)).toBe('chords-2.mid');
+      expect(getStemFileName({ role: 'bass' }, usedNames)).toBe('bass.mid');
+    });
+  });
+
+  describe('createStemsZip', () => {
+    it('zips a file per part, a combined file and a manifest', async () => {
+      const zip = await readZip(melodyData, chordData, { name: 'idea' });
+
+      expect(Object.keys(zip.files).sort()).toEqual([
+        'bass.mid',
+        'chords.mid',
+        'idea.mid',
+        'manifest.json',
+        'melody.mid',
+      ]);
+
+      const manifest = JSON.parse(await zip.file('manifest.json').async('string'));
+      expect(manifest).toMatchObject({ name: 'idea', tempo: 90, timeSignature: '3/4' });
+      expect(manifest.combined).toBe('idea.mid');
+      expect(manifest.stems.map(stem => [stem.file, stem.role, stem.channel, stem.notes])).toEqual([
+        ['melody.mid', 'melody', 0, 2],
+        ['chords.mid', 'chord', 1, 3],
+        ['bass.mid', 'bass', 2, 1],
+      ]);
+
+      const combined = await readMIDI(zip, 'idea.mid');
+      expect(combined.tracks.slice(1).map(track => track.name)).toEqual([
+        'Melody',
+        'Chords',
+        'Bass',
+      ]);
+    });
+
+    it('gives every stem the tempo and time signature and only its own part', async () => {
+      const zip = await readZip(melodyData, chordData);
+      const stem = await readMIDI(zip, 'chords.mid');
+      const conductor = stem.tracks[0].events;
+
+      expect(stem.tracks.map(track => track.name)).toEqual(['Control Track', 'Chords']);
+      expect(conductor.find(event => event.subtype === 'tempo').bpm).toBeCloseTo(90);
+      expect(conductor.find(event => event.subtype === 'timeSignature')).toMatchObject({
+        numerator: 3,
+        denominator: 4,
+      });
+    });
+
+    it('writes extra tracks of a composition as their own stems', async () => {
+      const tracks = [
+        createTrack({ role: 'melody', notes: melodyData.notes }),
+        createTrack({ role: 'counterMelody', channel: 3, notes: melodyData.notes }),
+        createTrack({ role: 'pad', channel: 4 }),
+      ];
+      const zip = await readZip(null, null, { tracks, tempo: 90 });
+
+      expect(zip.file('counter-melody.mid')).not.toBeNull();
+      expect(zip.file('pad.mid')).toBeNull();
+    });
+
+    it('rejects compositions without notes', async () => {
+      await expect(createStemsZip({ notes: [] }, null)).rejects.toThrow(
+        'No tracks with notes to export'
+      );
+    });
+  });
+});
@@ -0,0 +1,143 @@
+import { describe, it, expect } from 'vitest';
+import {
+  normalizeTempoMap,
+  getTempoEvents,
+  createBeatToSeconds,
+  getTempoAt,
+  buildTempoMap,
+} from '../utils/tempoMap';
+
+describe('tempoMap Utility Functions', () => {
+  describe('normalizeTempoMap', () => {
+    it('falls back to a single tempo without a map', () => {
+      expect(normalizeTempoMap(undefined, 90)).toEqual([{ startTime: 0, tempo: 90 }]);
+    });
+
+    it('sorts segments and starts the map at beat 0', () => {
+      expect(
+        normalizeTempoMap([
+          { startTime: 8, tempo: 140 },
+          { startTime: 4, tempo: 100 },
+        ])
+      ).toEqual([
+        { startTime: 0, tempo: 100 },
+        { startTime: 4, tempo: 100 },
+        { startTime: 8, tempo: 140 },
+      ]);
+    });
+
+    it('rejects non-positive tempos', () => {
+      expect(() => normalizeTempoMap([{ startTime: 0, tempo: 0 }])).toThrow('Invalid tempo');
+    });
+  });
+
+  describe('getTempoEvents', () => {
+    it('keeps step changes as they are', () => {
+      const events = getTempoEvents([
+        { startTime: 0, tempo: 120 },
+        { startTime: 8, tempo: 90 },
+      ]);
+      expect(events).toEqual([
+        { time: 0, tempo: 120 },
+        { time: 8, tempo: 90 },
+      ]);
+    });
+
+    it('splits ramps into quarter-beat steps', () => {
+      const events = getTempoEvents([
+        { startTime: 0, tempo: 120, endTempo: 60 },
+        { startTime: 4, tempo: 60 },
+      ]);
+      expect(events).toHaveLength(17);
+      expect(events[1].time).toBe(0.25);
+      expect(events[0].tempo).toBeLessThan(120);
+      expect(events[15].tempo).toBeGreaterThan(60);
+      expect(events[16]).toEqual({ time: 4, tempo: 60 });
+    });
+  });
+
+  describe('createBeatToSeconds', () => {
+    it('converts beats linearly without a map', () => {
+      const toSeconds = createBeatToSeconds(undefined, 120);
+      expect(toSeconds(4)).toBe(2);
+    });
+
+    it('accumulates time across tempo changes', () => {
+      const toSeconds = createBeatToSeconds([
+        { startTime: 0, tempo: 120 },
+        { startTime: 4, tempo: 60 },
+      ]);
+      expect(toSeconds(4)).toBe(2);
+      expect(toSeconds(6)).toBe(4);
+    });
+
+    it('matches the exact duration of a linear ramp', () => {
+      const toSeconds = createBeatToSeconds([
+        { startTime: 0, tempo: 120, endTempo: 60 },
+        { startTime: 4, tempo: 60 },
+      ]);
+      // Integral of 60 / tempo over a linear ramp from 120 to 60 BPM across 4 beats
+      const exact = ((60 * 4) / (60 - 120)) * Math.log(60 / 120);
+      expect(toSeconds(4)).toBeCloseTo(exact, 10);
+    });
+  });
+
+  describe('buildTempoMap', () => {
+    it('changes tempo at section boundaries', () => {
+      const tempoMap = buildTempoMap({
+        tempo: 100,
+        totalBeats: 32,
+        sections: [
+          { startTime: 0, tempo: 100 },
+          { startTime: 16, tempo: 120 },
+        ],
+      });
+      expect(getTempoAt(tempoMap, 15)).toBe(100);
+      expect(getTempoAt(tempoMap, 16)).toBe(120);
+    });
+
+    it('ramps into a new section over the previous bar', () => {
+      const tempoMap = buildTempoMap({
+        tempo: 100,
+        totalBeats: 32,
+        sections: [
+          { startTime: 0, tempo: 100 },
+          { startTime: 16, tempo: 120 },
+        ],
+        transition: 'ramp',
+      });
+      expect(tempoMap[1]).toEqual({ startTime: 12, tempo: 100, endTempo: 120 });
+      const rampTempo = getTempoAt(tempoMap, 14);
+      expect(rampTempo).toBeGreaterThan(100);
+      expect(rampTempo).toBeLessThan(120);
+    });
+
+    it('slows down into a final fermata', () => {
+      const tempoMap = buildTempoMap({
+        tempo: 120,
+        totalBeats: 16,
+        ending: 'ritardando-fermata',
+      });
+      expect(tempoMap).toEqual([
+        { startTime: 0, tempo: 120 },
+        { startTime: 4, tempo: 120, endTempo: 90 },
+        { startTime: 12, tempo: 45, fermata: true },
+      ]);
+    });
+
+    it('holds only the final note with the fermata', () => {
+      const tempoMap = buildTempoMap({
+        tempo: 120,
+        totalBeats: 16,
+        ending: 'fermata',
+        lastOnset: 14,
+      });
+      expect(tempoMap).toEqual([
+        { startTime: 0, tempo: 120 },
+        { startTime: 14, tempo: 60, fermata: true },
+      ]);
+      expect(getTempoAt(tempoMap, 13)).toBe(120);
+      expect(getTempoAt(tempoMap, 14)).toBe(60);
+    });
+  });
+});
@@ -0,0 +1,58 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parseTimeSignature,
+  formatTimeSignature,
+  getBeatsPerBar,
+  getPulseLength,
+  isCompoundTimeSignature,
+  getTimeSignatureMetaData,
+} from '../utils/timeSignature';
+
+describe('timeSignature Utility Functions', () => {
+  describe('parseTimeSignature', () => {
+    it('parses strings and objects', () => {
+      expect(parseTimeSignature('6/8')).toEqual({ numerator: 6, denominator: 8 });
+      expect(parseTimeSignature({ numerator: 7, denominator: 8 })).toEqual({
+        numerator: 7,
+        denominator: 8,
+      });
+    });
+
+    it('defaults to 4/4 when no time signature is set', () => {
+      expect(parseTimeSignature()).toEqual({ numerator: 4, denominator: 4 });
+      expect(parseTimeSignature(null)).toEqual({ numerator: 4, denominator: 4 });
+    });
+
+    it('rejects malformed time signatures', () => {
+      expect(() => parseTimeSignature('3/5')).toThrow('Invalid time signature');
+      expect(() => parseTimeSignature('waltz')).toThrow('Invalid time signature');
+    });
+  });
+
+  describe('getBeatsPerBar', () => {
+    it('measures bars in quarter-note beats', () => {
+      expect(getBeatsPerBar('4/4')).toBe(4);
+      expect(getBeatsPerBar('3/4')).toBe(3);
+      expect(getBeatsPerBar('6/8')).toBe(3);
+      expect(getBeatsPerBar('7/8')).toBe(3.5);
+    });
+  });
+
+  it('reports the pulse length and compound meters', () => {
+    expect(getPulseLength('6/8')).toBe(0.5);
+    expect(isCompoundTimeSignature('6/8')).toBe(true);
+    expect(isCompoundTimeSignature('3/8')).toBe(false);
+    expect(formatTimeSignature({ numerator: 12, denominator: 8 })).toBe('12/8');
+  });
+
+  describe('getTimeSignatureMetaData', () => {
+    it('builds the 0xFF 0x58 data bytes', () => {
+      expect(getTimeSignatureMetaData('4/4')).toEqual([4, 2, 24, 8]);
+      expect(getTimeSignatureMetaData('3/4')).toEqual([3, 2, 24, 8]);
+      expect(getTimeSignatureMetaData('6/8')).toEqual([6, 3, 36, 8]);
+      expect(getTimeSignatureMetaData('7/8')).toEqual([7, 3, 12, 8]);
+      expect(getTimeSignatureMetaData('6/16')).toEqual([6, 4, 18, 8]);
+      expect(getTimeSignatureMetaData('12/16')).toEqual([12, 4, 18, 8]);
+    });
+  });
+});
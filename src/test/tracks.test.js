@@ -0,0 +1,182 @@
+import { describe, it, expect } from 'vitest';
+import {
+  applyExportOptions,
+  createTrack,
+  getCompositionTracks,
+  getTrackEndTime,
+  getTrackNotes,
+} from '../utils/tracks';
+import { createMIDIFile } from '../utils/simpleMidi';
+import { parseMIDIFile } from '../utils/midiImport';
+
+const progression = [
+  { root: 'C', type: 'maj', notes: ['C4', 'E4', 'G4'], position: 0, duration: 1 },
+  { root: 'F', type: 'maj', notes: ['F4', 'A4', 'C5'], position: 1, duration: 1 },
+];
+
+const composition = {
+  key: 'C major',
+  tempo: 120,
+  timeSignature: '4/4',
+  melody: {
+    instrument: 'violin',
+    notes: [{ pitch: 'E5', startTime: 0, duration: 2, velocity: 0.8 }],
+  },
+  chord: { instrument: 'acoustic_guitar_nylon', progression },
+  bass: {
+    instrument: 'electric_bass_finger',
+    notes: [{ pitch: 'C2', startTime: 0, duration: 4, velocity: 0.9 }],
+  },
+  drums: { notes: [{ pitch: 'C2', drum: 'kick', startTime: 0, duration: 0.25, velocity: 1 }] },
+};
+
+describe('tracks Utility Functions', () => {
+  describe('createTrack', () => {
+    it('fills in the name, channel, program and instrument of the role', () => {
+      expect(createTrack({ role: 'counterMelody' })).toEqual({
+        id: 'counterMelody-1',
+        name: 'Counter-melody',
+        role: 'counterMelody',
+        channel: 0,
+        program: 73,
+        bankMsb: undefined,
+        bankLsb: undefined,
+        instrument: 'flute',
+        notes: [],
+      });
+      expect(createTrack({ role: 'pad' }).progression).toEqual([]);
+    });
+
+    it('picks a free channel, skipping the drum channel, and numbers repeated roles', () => {
+      const tracks = [];
+      for (let i = 0; i < 10; i++) {
+        tracks.push(createTrack({ role: 'bass' }, tracks));
+      }
+
+      expect(tracks[1].name).toBe('Bass 2');
+      expect(tracks[1].id).toBe('bass-2');
+      expect(tracks.map(track => track.channel)).toEqual([0, 1, 2, 3, 4, 5, 6, 7, 8, 10]);
+      expect(createTrack({ role: 'drums' }, tracks).channel).toBe(9);
+    });
+
+    it('derives the instrument from a program and the program from an instrument', () => {
+      expect(createTrack({ role: 'melody', program: 40 }).instrument).toBe('violin');
+      expect(createTrack({ role: 'melody', instrument: 'cello' }).program).toBe(42);
+    });
+
+    it('rejects unknown roles', () => {
+      expect(() => createTrack({ role: 'kazoo' })).toThrow('Unknown track role: kazoo');
+    });
+  });
+
+  describe('getCompositionTracks', () => {
+    it('builds tracks from the melody, chord, bass and drums of older compositions', () => {
+      const tracks = getCompositionTracks(composition);
+
+      expect(tracks.map(track => [track.role, track.channel, track.program])).toEqual([
+        ['melody', 0, 40],
+        ['chord', 1, 24],
+        ['bass', 2, 33],
+        ['drums', 9, 0],
+      ]);
+      expect(tracks[1].progression).toBe(progression);
+    });
+
+    it('returns the track list of compositions that have one', () => {
+      const tracks = [createTrack({ role: 'pad', progression })];
+
+      expect(getCompositionTracks({ ...composition, tracks })).toBe(tracks);
+    });
+  });
+
+  describe('getTrackNotes', () => {
+    it('spreads chords into notes with times in beats', () => {
+      const track = createTrack({ role: 'chord', progression });
+
+      expect(getTrackNotes(track, 3).map(note => [note.pitch, note.startTime])).toEqual([
+        ['C4', 0],
+        ['E4', 0],
+        ['G4', 0],
+        ['F4', 3],
+        ['A4', 3],
+        ['C5', 3],
+      ]);
+      expect(getTrackEndTime(track, 3)).toBe(6);
+    });
+  });
+
+  describe('applyExportOptions', () => {
+    it('switches extra parts with their family and only reprograms the first track', () => {
+      const tracks = [
+        ...getCompositionTracks(composition),
+        createTrack({ role: 'counterMelody', channel: 3 }),
+        createTrack({ role: 'bass', channel: 4, id: 'bass-2' }),
+      ];
+      const exported = applyExportOptions(tracks, {
+        includeMelody: false,
+        includeDrums: false,
+        bassInstrument: 34,
+      });
+
+      expect(exported.map(track => [track.id, track.program])).toEqual([
+        ['chord-1', 24],
+        ['bass-1', 34],
+        ['bass-2', 33],
+      ]);
+    });
+  });
+
+  describe('createMIDIFile with tracks', () => {
+    it('writes one MIDI track per part with its channel and program', () => {
+      const tracks = getCompositionTracks(composition);
+      tracks.push(
+        createTrack(
+          {
+            role: 'counterMelody',
+            notes: [{ pitch: 'G4', startTime: 1, duration: 1, velocity: 0.6 }],
+          },
+          tracks
+        )
+      );
+      tracks.push(createTrack({ role: 'pad', progression }, tracks));
+
+      const result = parseMIDIFile(
+        createMIDIFile(null, null, { tracks, tempo: 120, timeSignature: '4/4' })
+      );
+      const parts = result.tracks.slice(1).map(track => {
+        const programChange = track.events.find(event => event.type === 'programChange');
+        return [track.name, programChange.channel, programChange.program];
+      });
+
+      expect(parts).toEqual([
+        ['Melody', 0, 40],
+        ['Chords', 1, 24],
+        ['Bass', 2, 33],
+        ['Drums', 9, 0],
+        ['Counter-melody', 3, 73],
+        ['Pad', 4, 89],
+      ]);
+      expect(
+        result.tracks[6].events.filter(event => event.type === 'noteOn').map(event => event.tick)
+      ).toEqual([0, 0, 0, 384, 384, 384]);
+    });
+
+    it('writes the bank select in front of the program change of GM2 sounds only', () => {
+      const tracks = [
+        createTrack({ role: 'melody', instrument: 'ukulele', notes: composition.melody.notes }),
+        createTrack({ role: 'drums', notes: composition.drums.notes }),
+        createTrack({ role: 'bass', instrument: 'fretless_bass', notes: composition.bass.notes }),
+      ];
+      const result = parseMIDIFile(createMIDIFile(null, null, { tracks }));
+      const setup = result.tracks
+        .slice(1)
+        .map(track =>
+          track.events
+            .filter(event => event.type === 'controller' || event.type === 'programChange')
+            .map(event => event.program ?? [event.controllerNumber, event.value])
+        );
+
+      expect(setup).toEqual([[[0, 121], [32, 1], 24], [[0, 120], [32, 0], 0], [35]]);
+    });
+  });
+});
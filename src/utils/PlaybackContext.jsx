@@ -1,4 +1,4 @@
-import { createContext, useContext, useState, useRef, useEffect } from 'react';
+import { useContext, useState, useRef, useEffect } from 'react';
 import { initializeTone } from './toneContext';
 import { ensureAudioContext, hasHadUserInteraction } from './audioContext';
 import {
@@ -6,29 +6,52 @@ import {
   playMelodyWithSoundFont,
   playChordProgressionWithSoundFont,
 } from './soundfontUtils';
+import { DEFAULT_TIME_SIGNATURE, getBeatsPerBar } from './timeSignature';
+import { createBeatToSeconds } from './tempoMap';
+import { applyExportOptions, getCompositionTracks, getTrackEndTime, isChordTrack } from './tracks';
+import { PlaybackContext, defaultInstruments } from './playbackInstruments';
+import {
+  createPlaybackSchedule,
+  cymbalDecays,
+  drumVolumes,
+  scheduleTrack,
+  synthVolumes,
+  tomPitches,
+} from './playbackSchedule';
+import { getPlaybackTracks, openMIDIOutput, playOnMIDIOutput } from './midiOutput';
 import * as Tone from 'tone';
 
-const PlaybackContext = createContext();
-
 export function PlaybackProvider({ children }) {
   const [isPlaying, setIsPlaying] = useState(false);
   const [activePlayingPart, setActivePlayingPart] = useState(null);
   const [useSoundFont, setUseSoundFont] = useState(true); // Default to using SoundFont
   const [instrumentsLoading, setInstrumentsLoading] = useState(false);
 
-  const [melodyInstrument, setMelodyInstrument] = useState('acoustic_grand_piano');
-  const [chordInstrument, setChordInstrument] = useState('acoustic_guitar_nylon');
-  const [bassInstrument, setBassInstrument] = useState('electric_bass_finger');
+  const [melodyInstrument, setMelodyInstrument] = useState(defaultInstruments.melodyInstrument);
+  const [chordInstrument, setChordInstrument] = useState(defaultInstruments.chordInstrument);
+  const [bassInstrument, setBassInstrument] = useState(defaultInstruments.bassInstrument);
+
+  // MIDI output port playback is sent to instead of being played here (null plays here), and
+  // the MIDI channel of each part by track id
+  const [midiOutputName, setMidiOutputName] = useState(null);
+  const [midiChannels, setMidiChannels] = useState({});
 
   const melodySynthRef = useRef(null);
   const chordSynthRef = useRef(null);
   const bassSynthRef = useRef(null);
+  const drumKitRef = useRef(null);
+  // Tone.js synths for the tracks of a composition, by track id
+  const trackSynthsRef = useRef({});
 
   const melodyInstrumentRef = useRef(null);
   const chordInstrumentRef = useRef(null);
   const bassInstrumentRef = useRef(null);
 
   const audioContextRef = useRef(null);
+  // Playback running on the MIDI output, from midiOutput.playOnMIDIOutput
+  const midiPlayerRef = useRef(null);
+  // Open MIDI output port as { name, port }, kept open between plays
+  const midiPortRef = useRef(null);
 
   const createSynth = async (type = 'default') => {
     // Ensure Tone.js is initialized before creating synths
@@ -38,29 +61,69 @@ export function PlaybackProvider({ children }) {
       return null;
     }
 
-    let synth;
-
-    switch (type) {
-      case 'melody':
-        synth = new Tone.PolySynth(Tone.Synth).toDestination();
-        synth.volume.value = -6; // Slightly quieter
-        break;
-      case 'chord':
-        synth = new Tone.PolySynth(Tone.Synth).toDestination();
-        synth.volume.value = -8; // Even quieter
-        break;
-      case 'bass':
-        synth = new Tone.PolySynth(Tone.Synth).toDestination();
-        synth.volume.value = -4; // Louder
-        break;
-      default:
-        synth = new Tone.PolySynth(Tone.Synth).toDestination();
-        synth.volume.value = -6;
-    }
+    const synth = new Tone.PolySynth(Tone.Synth).toDestination();
+    synth.volume.value = synthVolumes[type] ?? synthVolumes.default;
 
     return synth;
   };
 
+  // Drums are always synthesized with Tone.js, SoundFonts only provide pitched instruments
+  const createDrumKit = async () => {
+    const success = await initializeTone();
+    if (!success) {
+      console.error('Failed to initialize Tone.js, cannot create drum kit');
+      return null;
+    }
+
+    const kick = new Tone.MembraneSynth({ octaves: 6, pitchDecay: 0.05 }).toDestination();
+    const toms = new Tone.PolySynth(Tone.MembraneSynth).toDestination();
+    const snare = new Tone.NoiseSynth({
+      noise: { type: 'white' },
+      envelope: { attack: 0.001, decay: 0.15, sustain: 0 },
+    }).toDestination();
+    const hat = new Tone.MetalSynth({
+      envelope: { attack: 0.001, decay: 0.08, release: 0.01 },
+    }).toDestination();
+    const cymbal = new Tone.MetalSynth({
+      envelope: { attack: 0.001, decay: 1.2, release: 0.3 },
+    }).toDestination();
+
+    const kit = { kick, toms, snare, hat, cymbal };
+    Object.entries(kit).forEach(([voice, synth]) => {
+      synth.volume.value = drumVolumes[voice];
+    });
+
+    return kit;
+  };
+
+  const triggerDrum = (kit, note, time) => {
+    if (note.drum === 'kick') {
+      kit.kick.triggerAttackRelease('C1', '16n', time, note.velocity);
+    } else if (tomPitches[note.drum]) {
+      kit.toms.triggerAttackRelease(tomPitches[note.drum], '16n', time, note.velocity);
+    } else if (cymbalDecays[note.drum]) {
+      const synth = note.drum === 'crash' || note.drum === 'ride' ? kit.cymbal : kit.hat;
+      synth.triggerAttackRelease('C6', cymbalDecays[note.drum], time, note.velocity);
+    } else {
+      // Snare, side stick, clap and anything else in the kit
+      kit.snare.triggerAttackRelease('16n', time, note.velocity);
+    }
+  };
+
+  // Schedule drum notes with Tone.js, starting at `now` (or as soon as the kit is ready)
+  const scheduleDrums = async (notes, toSeconds, now) => {
+    if (!drumKitRef.current) {
+      drumKitRef.current = await createDrumKit();
+      if (!drumKitRef.current) return false;
+    }
+
+    const startTime = now ?? Tone.now();
+    notes.forEach(note => {
+      triggerDrum(drumKitRef.current, note, startTime + toSeconds(note.startTime));
+    });
+    return true;
+  };
+
   // Load SoundFont instruments
   const loadSoundFontInstruments = async () => {
     try {
@@ -141,12 +204,25 @@ export function PlaybackProvider({ children }) {
       bassSynthRef.current.releaseAll();
     }
 
+    Object.values(trackSynthsRef.current).forEach(synth => synth.releaseAll());
+
+    if (midiPlayerRef.current) {
+      midiPlayerRef.current.stop();
+      midiPlayerRef.current = null;
+    }
+
+    // Drum hits are one-shots scheduled ahead, so the kit is disposed to cancel the rest
+    if (drumKitRef.current) {
+      Object.values(drumKitRef.current).forEach(synth => synth.dispose());
+      drumKitRef.current = null;
+    }
+
     setIsPlaying(false);
     setActivePlayingPart(null);
   };
 
   // Play melody
-  const playMelody = async (notes, tempo = 120) => {
+  const playMelody = async (notes, tempo = 120, tempoMap) => {
     try {
       // Stop any existing playback
       stopPlayback();
@@ -154,6 +230,9 @@ export function PlaybackProvider({ children }) {
       setIsPlaying(true);
       setActivePlayingPart('melody');
 
+      // Notes are timed as in composition playback and the WAV renderer
+      const schedule = scheduleTrack({ notes }, createBeatToSeconds(tempoMap, tempo));
+
       // Try to play with SoundFont first
       if (useSoundFont) {
         try {
@@ -162,7 +241,7 @@ export function PlaybackProvider({ children }) {
 
           if (soundFontReady && melodyInstrumentRef.current) {
             // Play with SoundFont
-            await playMelodyWithSoundFont(melodyInstrumentRef.current, notes, tempo);
+            await playMelodyWithSoundFont(melodyInstrumentRef.current, schedule);
             setIsPlaying(false);
             setActivePlayingPart(null);
             return;
@@ -196,25 +275,17 @@ export function PlaybackProvider({ children }) {
       Tone.Transport.bpm.value = tempo;
 
       const now = Tone.now();
-      notes.forEach(note => {
-        const durationSeconds = (note.duration * 60) / tempo;
-        const startTime = now + (note.startTime * 60) / tempo;
-
+      schedule.forEach(note => {
         melodySynthRef.current.triggerAttackRelease(
           note.pitch,
-          durationSeconds,
-          startTime,
+          note.duration,
+          now + note.time,
           note.velocity
         );
       });
 
       // Calculate when playback will end
-      const lastNote = notes.reduce((latest, note) => {
-        const endTime = note.startTime + note.duration;
-        return endTime > latest ? endTime : latest;
-      }, 0);
-
-      const playbackDuration = (lastNote * 60) / tempo;
+      const playbackDuration = Math.max(0, ...schedule.map(note => note.time + note.duration));
 
       // Automatically stop playing after the melody finishes
       setTimeout(
@@ -232,7 +303,12 @@ export function PlaybackProvider({ children }) {
   };
 
   // Play chords
-  const playChords = async (chords, tempo = 120) => {
+  const playChords = async (
+    chords,
+    tempo = 120,
+    timeSignature = DEFAULT_TIME_SIGNATURE,
+    tempoMap
+  ) => {
     try {
       // Stop any existing playback
       stopPlayback();
@@ -240,6 +316,13 @@ export function PlaybackProvider({ children }) {
       setIsPlaying(true);
       setActivePlayingPart('chord');
 
+      // Chords are timed as in composition playback and the WAV renderer
+      const schedule = scheduleTrack(
+        { progression: chords },
+        createBeatToSeconds(tempoMap, tempo),
+        getBeatsPerBar(timeSignature)
+      );
+
       // Try to play with SoundFont first
       if (useSoundFont) {
         try {
@@ -248,7 +331,7 @@ export function PlaybackProvider({ children }) {
 
           if (soundFontReady && chordInstrumentRef.current) {
             // Play with SoundFont
-            await playChordProgressionWithSoundFont(chordInstrumentRef.current, chords, tempo);
+            await playChordProgressionWithSoundFont(chordInstrumentRef.current, schedule);
             setIsPlaying(false);
             setActivePlayingPart(null);
             return;
@@ -282,22 +365,17 @@ export function PlaybackProvider({ children }) {
       Tone.Transport.bpm.value = tempo;
 
       const now = Tone.now();
-      const secondsPerBar = (60 / tempo) * 4; // 4 beats per bar
-
-      chords.forEach(chord => {
-        const startTime = now + chord.position * secondsPerBar;
-        const duration = chord.duration * secondsPerBar;
-
-        chordSynthRef.current.triggerAttackRelease(chord.notes, duration, startTime);
+      schedule.forEach(chord => {
+        chordSynthRef.current.triggerAttackRelease(
+          chord.pitch,
+          chord.duration,
+          now + chord.time,
+          chord.velocity
+        );
       });
 
       // Calculate when playback will end
-      const lastChord = chords.reduce((latest, chord) => {
-        const endPosition = chord.position + chord.duration;
-        return endPosition > latest ? endPosition : latest;
-      }, 0);
-
-      const playbackDuration = lastChord * secondsPerBar;
+      const playbackDuration = Math.max(0, ...schedule.map(chord => chord.time + chord.duration));
 
       // Automatically stop playing after the chords finish
       setTimeout(
@@ -315,7 +393,7 @@ export function PlaybackProvider({ children }) {
   };
 
   // Play bass
-  const playBass = async (notes, tempo = 120) => {
+  const playBass = async (notes, tempo = 120, tempoMap) => {
     try {
       // Stop any existing playback
       stopPlayback();
@@ -323,6 +401,9 @@ export function PlaybackProvider({ children }) {
       setIsPlaying(true);
       setActivePlayingPart('bass');
 
+      // Notes are timed as in composition playback and the WAV renderer
+      const schedule = scheduleTrack({ notes }, createBeatToSeconds(tempoMap, tempo));
+
       // Try to play with SoundFont first
       if (useSoundFont) {
         try {
@@ -331,7 +412,7 @@ export function PlaybackProvider({ children }) {
 
           if (soundFontReady && bassInstrumentRef.current) {
             // Play with SoundFont
-            await playMelodyWithSoundFont(bassInstrumentRef.current, notes, tempo);
+            await playMelodyWithSoundFont(bassInstrumentRef.current, schedule);
             setIsPlaying(false);
             setActivePlayingPart(null);
             return;
@@ -365,25 +446,17 @@ export function PlaybackProvider({ children }) {
       Tone.Transport.bpm.value = tempo;
 
       const now = Tone.now();
-      notes.forEach(note => {
-        const durationSeconds = (note.duration * 60) / tempo;
-        const startTime = now + (note.startTime * 60) / tempo;
-
+      schedule.forEach(note => {
         bassSynthRef.current.triggerAttackRelease(
           note.pitch,
-          durationSeconds,
-          startTime,
+          note.duration,
+          now + note.time,
           note.velocity
         );
       });
 
       // Calculate when playback will end
-      const lastNote = notes.reduce((latest, note) => {
-        const endTime = note.startTime + note.duration;
-        return endTime > latest ? endTime : latest;
-      }, 0);
-
-      const playbackDuration = (lastNote * 60) / tempo;
+      const playbackDuration = Math.max(0, ...schedule.map(note => note.time + note.duration));
 
       // Automatically stop playing after the bass finishes
       setTimeout(
@@ -400,7 +473,7 @@ export function PlaybackProvider({ children }) {
     }
   };
 
-  // Play composition (melody, chords, and bass)
+  // Play composition (melody, chords, bass and drums)
   const playComposition = async (composition, tempo = 120) => {
     try {
       // Stop any existing playback
@@ -410,9 +483,26 @@ export function PlaybackProvider({ children }) {
       setActivePlayingPart('composition');
 
       // Extract data
-      const melodyNotes = composition.melody?.notes || [];
-      const chords = composition.chord?.progression || [];
-      const bassNotes = composition.bass?.notes || [];
+      const tracks = getCompositionTracks(composition);
+      const pitchedTracks = tracks.filter(track => track.role !== 'drums');
+      const drumNotes = tracks
+        .filter(track => track.role === 'drums')
+        .flatMap(track => track.notes);
+      const beatsPerBar = getBeatsPerBar(composition.timeSignature);
+      const drumEndTime = drumNotes.reduce(
+        (latest, note) => Math.max(latest, note.startTime + note.duration),
+        0
+      );
+      const tempoMap = composition.tempoMap;
+      const toSeconds = createBeatToSeconds(tempoMap, tempo);
+      const schedule = createPlaybackSchedule(pitchedTracks, {
+        tempo,
+        tempoMap,
+        timeSignature: composition.timeSignature,
+      });
+
+      // The first track of each of these roles plays the instrument picked in the selector
+      const isFirstOfRole = track => tracks.find(other => other.role === track.role) === track;
 
       // Try to play with SoundFont first
       if (useSoundFont) {
@@ -424,23 +514,36 @@ export function PlaybackProvider({ children }) {
             // Create an array of promises for each part
             const promises = [];
 
-            // Play melody with SoundFont
-            if (melodyNotes.length > 0 && melodyInstrumentRef.current) {
+            // Drums play through Tone.js alongside the SoundFont instruments
+            if (drumNotes.length > 0 && (await scheduleDrums(drumNotes, toSeconds))) {
               promises.push(
-                playMelodyWithSoundFont(melodyInstrumentRef.current, melodyNotes, tempo)
+                new Promise(resolve => setTimeout(resolve, toSeconds(drumEndTime) * 1000))
               );
             }
 
-            // Play chords with SoundFont
-            if (chords.length > 0 && chordInstrumentRef.current) {
-              promises.push(
-                playChordProgressionWithSoundFont(chordInstrumentRef.current, chords, tempo)
-              );
-            }
-
-            // Play bass with SoundFont
-            if (bassNotes.length > 0 && bassInstrumentRef.current) {
-              promises.push(playMelodyWithSoundFont(bassInstrumentRef.current, bassNotes, tempo));
+            const selectedInstruments = {
+              melody: melodyInstrumentRef.current,
+              chord: chordInstrumentRef.current,
+              bass: bassInstrumentRef.current,
+            };
+
+            for (const { track, notes } of schedule.parts) {
+              let instrument = isFirstOfRole(track) ? selectedInstruments[track.role] : null;
+              if (!instrument && track.instrument) {
+                try {
+                  instrument = await loadInstrument(track.instrument, audioContextRef.current);
+                } catch (error) {
+                  console.error(`Error loading instrument for ${track.name}:`, error);
+                }
+              }
+              if (!instrument) continue;
+
+              // Play the track with SoundFont
+              if (isChordTrack(track)) {
+                promises.push(playChordProgressionWithSoundFont(instrument, notes));
+              } else {
+                promises.push(playMelodyWithSoundFont(instrument, notes));
+              }
             }
 
             // Wait for all parts to finish playing
@@ -468,115 +571,43 @@ export function PlaybackProvider({ children }) {
 
       Tone.Transport.bpm.value = tempo;
 
-      // Create synths lazily if they don't exist
-      if (!melodySynthRef.current) {
-        melodySynthRef.current = await createSynth('melody');
-        if (!melodySynthRef.current) {
-          console.error('Failed to create melody synth');
-          setIsPlaying(false);
-          setActivePlayingPart(null);
-          return;
-        }
-      }
-
-      if (!chordSynthRef.current) {
-        chordSynthRef.current = await createSynth('chord');
-        if (!chordSynthRef.current) {
-          console.error('Failed to create chord synth');
-          setIsPlaying(false);
-          setActivePlayingPart(null);
-          return;
+      // Create a synth for each track lazily if it doesn't exist
+      for (const track of pitchedTracks) {
+        if (!trackSynthsRef.current[track.id]) {
+          const synth = await createSynth(isChordTrack(track) ? 'chord' : track.role);
+          if (!synth) {
+            console.error(`Failed to create synth for ${track.name}`);
+            setIsPlaying(false);
+            setActivePlayingPart(null);
+            return;
+          }
+          trackSynthsRef.current[track.id] = synth;
         }
       }
 
-      if (!bassSynthRef.current) {
-        bassSynthRef.current = await createSynth('bass');
-        if (!bassSynthRef.current) {
-          console.error('Failed to create bass synth');
-          setIsPlaying(false);
-          setActivePlayingPart(null);
-          return;
-        }
+      if (drumNotes.length > 0 && !drumKitRef.current) {
+        drumKitRef.current = await createDrumKit();
       }
 
       const now = Tone.now();
-      const secondsPerBar = (60 / tempo) * 4; // 4 beats per bar
-
-      // Play melody
-      if (melodyNotes.length > 0) {
-        melodyNotes.forEach(note => {
-          const durationSeconds = (note.duration * 60) / tempo;
-          const startTime = now + (note.startTime * 60) / tempo;
-
-          melodySynthRef.current.triggerAttackRelease(
-            note.pitch,
-            durationSeconds,
-            startTime,
-            note.velocity
-          );
-        });
-      }
 
-      // Play chords
-      if (chords.length > 0) {
-        chords.forEach(chord => {
-          const startTime = now + chord.position * secondsPerBar;
-          const duration = chord.duration * secondsPerBar;
-
-          chordSynthRef.current.triggerAttackRelease(chord.notes, duration, startTime);
+      // Play chords and notes
+      schedule.parts.forEach(({ track, notes }) => {
+        const synth = trackSynthsRef.current[track.id];
+        notes.forEach(note => {
+          synth.triggerAttackRelease(note.pitch, note.duration, now + note.time, note.velocity);
         });
-      }
+      });
 
-      // Play bass
-      if (bassNotes.length > 0) {
-        bassNotes.forEach(note => {
-          const durationSeconds = (note.duration * 60) / tempo;
-          const startTime = now + (note.startTime * 60) / tempo;
-
-          bassSynthRef.current.triggerAttackRelease(
-            note.pitch,
-            durationSeconds,
-            startTime,
-            note.velocity
-          );
-        });
+      // Play drums
+      if (drumNotes.length > 0) {
+        await scheduleDrums(drumNotes, toSeconds, now);
       }
 
       // Calculate when playback will end
-      let lastTime = 0;
-
-      // Check melody end time
-      if (melodyNotes.length > 0) {
-        const melodyEndTime = melodyNotes.reduce((latest, note) => {
-          const endTime = note.startTime + note.duration;
-          return endTime > latest ? endTime : latest;
-        }, 0);
-
-        lastTime = Math.max(lastTime, melodyEndTime);
-      }
+      const lastTime = Math.max(0, ...tracks.map(track => getTrackEndTime(track, beatsPerBar)));
 
-      // Check chord end time
-      if (chords.length > 0) {
-        const chordEndTime =
-          chords.reduce((latest, chord) => {
-            const endPosition = chord.position + chord.duration;
-            return endPosition > latest ? endPosition : latest;
-          }, 0) * 4; // Convert from bars to beats
-
-        lastTime = Math.max(lastTime, chordEndTime);
-      }
-
-      // Check bass end time
-      if (bassNotes.length > 0) {
-        const bassEndTime = bassNotes.reduce((latest, note) => {
-          const endTime = note.startTime + note.duration;
-          return endTime > latest ? endTime : latest;
-        }, 0);
-
-        lastTime = Math.max(lastTime, bassEndTime);
-      }
-
-      const playbackDuration = (lastTime * 60) / tempo;
+      const playbackDuration = toSeconds(lastTime);
 
       // Automatically stop playing after the composition finishes
       setTimeout(
@@ -593,17 +624,94 @@ export function PlaybackProvider({ children }) {
     }
   };
 
+  const closeMIDIOutputPort = () => {
+    midiPortRef.current?.port.close();
+    midiPortRef.current = null;
+  };
+
+  // The port picked for playback, opened the first time it is played on
+  const getMIDIOutputPort = async name => {
+    if (midiPortRef.current?.name === name) return midiPortRef.current.port;
+
+    closeMIDIOutputPort();
+    const port = await openMIDIOutput(name);
+    midiPortRef.current = { name, port };
+    return port;
+  };
+
+  // Close the port when another one is picked, and stop and close it when the provider goes away
+  useEffect(() => {
+    if (midiPortRef.current && midiPortRef.current.name !== midiOutputName) {
+      midiPlayerRef.current?.stop();
+      closeMIDIOutputPort();
+    }
+  }, [midiOutputName]);
+
+  useEffect(
+    () => () => {
+      midiPlayerRef.current?.stop();
+      midiPlayerRef.current = null;
+      closeMIDIOutputPort();
+    },
+    []
+  );
+
+  const setMidiChannel = (trackId, channel) => {
+    setMidiChannels(channels => ({ ...channels, [trackId]: channel }));
+  };
+
+  // Send the parts to the MIDI output with the instruments picked for playback
+  const playOnMIDIOutputPort = async (data, type) => {
+    stopPlayback();
+
+    setIsPlaying(true);
+    setActivePlayingPart(type);
+
+    let player = null;
+    try {
+      const port = await getMIDIOutputPort(midiOutputName);
+      const tracks = applyExportOptions(getPlaybackTracks(data, type), {
+        melodyInstrument,
+        chordInstrument,
+        bassInstrument,
+      });
+
+      player = playOnMIDIOutput(port, tracks, {
+        tempo: data.tempo || 120,
+        tempoMap: data.tempoMap,
+        timeSignature: data.timeSignature,
+        channels: midiChannels,
+      });
+      midiPlayerRef.current = player;
+      await player.finished;
+    } catch (error) {
+      console.error('Error playing on MIDI output:', error);
+    } finally {
+      // Stopping, or starting other playback, resets the state itself
+      if (!player || midiPlayerRef.current === player) {
+        midiPlayerRef.current = null;
+        setIsPlaying(false);
+        setActivePlayingPart(null);
+      }
+    }
+  };
+
   // Play data based on type
   const playData = async (data, type) => {
     if (!data) return;
 
+    if (midiOutputName) {
+      await playOnMIDIOutputPort(data, type);
+      return;
+    }
+
     try {
       switch (type) {
         case 'melody':
-          await playMelody(data.notes, data.tempo);
+          await playMelody(data.notes, data.tempo, data.tempoMap);
           break;
         case 'chord':
-          await playChords(data.progression, data.tempo);
+          await playChords(data.progression, data.tempo, data.timeSignature, data.tempoMap);
           break;
         case 'composition':
           await playComposition(data, data.tempo || 120);
@@ -631,6 +739,10 @@ export function PlaybackProvider({ children }) {
         setMelodyInstrument,
         setChordInstrument,
         setBassInstrument,
+        midiOutputName,
+        setMidiOutputName,
+        midiChannels,
+        setMidiChannel,
         loadInstruments,
         playMelody,
         playChords,
@@ -0,0 +1,669 @@
+// ABC notation import and export for melodies and chord symbols
+
+import { getChordNotes } from './tonalUtils';
+import { formatChordSymbol, readChord } from './chordSymbols';
+import { DIVISIONS, quantize } from './notation';
+import { getTrackNotes, isChordTrack } from './tracks';
+import {
+  STEP_SEMITONES,
+  getKeySignature,
+  midiToNoteName,
+  noteNameToMidi,
+  spellPitch,
+} from './pitch';
+import {
+  DEFAULT_TIME_SIGNATURE,
+  formatTimeSignature,
+  getBeatsPerBar,
+  getPulseLength,
+  isCompoundTimeSignature,
+} from './timeSignature';
+
+// Order in which key signatures add sharps; flats are added in reverse
+const SHARP_ORDER = ['F', 'C', 'G', 'D', 'A', 'E', 'B'];
+
+// ABC mode abbreviations (first three letters are significant) and the scale names they map to
+const ABC_MODES = {
+  '': 'Major',
+  maj: 'Major',
+  ion: 'Major',
+  m: 'Minor',
+  min: 'Minor',
+  aeo: 'Minor',
+  dor: 'Dorian',
+  phr: 'Phrygian',
+  lyd: 'Lydian',
+  mix: 'Mixolydian',
+  loc: 'Locrian',
+};
+
+// Default q of a (p tuplet: p notes in the time of q
+const TUPLET_DEFAULTS = { 2: 3, 3: 2, 4: 3, 6: 2, 8: 3 };
+
+const DECORATIONS = '.~HLMOPSTuv';
+
+/**
+ * Read the value of an ABC K: field
+ * @param {string} value - Key field (e.g., 'G', 'Em', 'F#min', 'D dor', 'none')
+ * @returns {Object} - { name, fifths } where name is a scale name like 'E Minor'
+ */
+export const parseABCKey = value => {
+  const match = /^([A-G])([#b]?)\s*([A-Za-z]*)/.exec(String(value || '').trim());
+  if (!match) {
+    return { name: 'C Major', fifths: 0 };
+  }
+
+  const modeWord = match[3].toLowerCase();
+  const mode = ABC_MODES[modeWord.slice(0, 3)] || ABC_MODES[modeWord] || 'Major';
+  const name = `${match[1]}${match[2]} ${mode}`;
+  return { name, fifths: getKeySignature(name).fifths };
+};
+
+/**
+ * Write a key or scale name as an ABC K: field value
+ * @param {string} key - Key or scale name (e.g., 'Eb Major', 'A Minor', 'D Dorian')
+ * @returns {string} - ABC key (e.g., 'Eb', 'Am', 'Ddor'), C when the key cannot be read
+ */
+export const formatABCKey = key => {
+  const [tonic, ...rest] = String(key || '')
+    .trim()
+    .split(/\s+/);
+  if (!/^[A-G][#b]?$/.test(tonic || '')) {
+    return 'C';
+  }
+
+  const words = rest.map(word => word.toLowerCase());
+  if (words.includes('minor') || words.includes('aeolian')) return `${tonic}m`;
+  const mode = ['dorian', 'phrygian', 'lydian', 'mixolydian', 'locrian'].find(m =>
+    words.includes(m)
+  );
+  return mode ? `${tonic}${mode.slice(0, 3)}` : tonic;
+};
+
+// Alteration of each step in a key signature
+const keySignatureAlters = fifths => {
+  const alters = {};
+  if (fifths > 0) SHARP_ORDER.slice(0, fifths).forEach(step => (alters[step] = 1));
+  if (fifths < 0) {
+    [...SHARP_ORDER]
+      .reverse()
+      .slice(0, -fifths)
+      .forEach(step => (alters[step] = -1));
+  }
+  return alters;
+};
+
+// Value of a fraction such as '1/8'
+const parseFraction = text => {
+  const [numerator, denominator = '1'] = text.trim().split('/');
+  return parseInt(numerator) / parseInt(denominator);
+};
+
+// Read an M: field, where C is common time and C| is cut time
+const parseMeter = value => {
+  const meter = value.trim();
+  if (meter === 'C') return '4/4';
+  if (meter === 'C|') return '2/2';
+  try {
+    return formatTimeSignature(meter);
+  } catch {
+    return null;
+  }
+};
+
+// Read a Q: field as quarter notes per minute
+const parseTempo = (value, unitLength) => {
+  const beatMatch = /(\d+\/\d+(?:\s+\d+\/\d+)*)\s*=\s*(\d+)/.exec(value);
+  if (beatMatch) {
+    const beat = beatMatch[1].split(/\s+/).reduce((sum, part) => sum + parseFraction(part), 0);
+    return Math.round(parseInt(beatMatch[2]) * beat * 4);
+  }
+
+  // A bare number counts unit note lengths per minute
+  const bpmMatch = /^\s*(\d+)\s*$/.exec(value);
+  return bpmMatch ? Math.round(parseInt(bpmMatch[1]) * unitLength * 4) : null;
+};
+
+// Read a note length suffix (e.g., '2', '/', '//', '3/2', '/4') at the start of text
+const readLength = text => {
+  const match = /^(\d*)(\/*)(\d*)/.exec(text);
+  const numerator = match[1] ? parseInt(match[1]) : 1;
+  let denominator = 1;
+  if (match[2]) {
+    denominator = match[3] ? parseInt(match[3]) : 2 ** match[2].length;
+  }
+  return { length: numerator / denominator, size: match[0].length };
+};
+
+const roundTime = time => Math.round(time * 1e6) / 1e6;
+
+/**
+ * Parse an ABC tune into melody data and chord data
+ *
+ * Header fields T:, M:, L:, Q: and K: are read (K:, L: and M: may also change inline), along
+ * with notes, rests, chords in brackets, ties, tuplets, broken rhythms and quoted chord
+ * symbols. Repeats are played once; decorations, grace notes and lyrics are skipped, and of a
+ * tune with several V: voices only the first is read.
+ * @param {string} text - ABC tune
+ * @returns {Object} - { title, melodyData, chordData } (chordData is null without chord symbols)
+ */
+export const parseABC = text => {
+  let title = '';
+  let timeSignature = null;
+  let unitLength = null;
+  let tempoField = null;
+  let key = parseABCKey('C');
+  let keyAlters = {};
+  let barAlters = {};
+  // Snippets without a K: field are read as tune body
+  let inBody = !/^K:/m.test(String(text));
+  let firstVoice = null;
+  let inFirstVoice = true;
+
+  const notes = [];
+  const chordSymbols = [];
+  let time = 0;
+  let tuplet = null;
+  let nextFactor = 1;
+  let lastEvent = null;
+  let tiedNotes = [];
+
+  const getUnitLength = () => {
+    if (unitLength === null) {
+      // ABC default: sixteenths for meters below 3/4, eighths otherwise
+      const beatsPerBar = getBeatsPerBar(timeSignature || DEFAULT_TIME_SIGNATURE);
+      unitLength = beatsPerBar / 4 < 0.75 ? 1 / 16 : 1 / 8;
+    }
+    return unitLength;
+  };
+
+  const applyField = (field, value) => {
+    if (field === 'T' && !title) title = value.trim();
+    if (field === 'M') timeSignature = parseMeter(value) || timeSignature;
+    if (field === 'L') unitLength = parseFraction(value);
+    if (field === 'Q') tempoField = value;
+    if (field === 'V') {
+      const voice = value.trim().split(/\s+/)[0];
+      if (firstVoice === null) firstVoice = voice;
+      inFirstVoice = voice === firstVoice;
+    }
+    if (field === 'K') {
+      key = parseABCKey(value);
+      keyAlters = keySignatureAlters(key.fifths);
+      barAlters = {};
+      inBody = true;
+    }
+  };
+
+  // Duration in quarter beats of a note or rest written with the given length
+  const eventDuration = length => {
+    let duration = length * getUnitLength() * 4 * nextFactor;
+    nextFactor = 1;
+    if (tuplet) {
+      duration *= tuplet.ratio;
+      tuplet.remaining -= 1;
+      if (tuplet.remaining <= 0) tuplet = null;
+    }
+    return duration;
+  };
+
+  // Add notes (or a rest when pitches is empty) starting at the current time
+  const addEvent = (pitches, length) => {
+    const duration = eventDuration(length);
+    const eventNotes = [];
+    const stillTied = [];
+
+    pitches.forEach(({ midi, tie }) => {
+      // A tie from the previous note extends it instead of starting a new one
+      const tied = tiedNotes.find(note => note.midi === midi);
+      const note = tied || { midi, startTime: time, duration: 0 };
+      note.duration = time + duration - note.startTime;
+      if (!tied) notes.push(note);
+      if (tie) stillTied.push(note);
+      eventNotes.push(note);
+    });
+
+    tiedNotes = stillTied;
+    lastEvent = { notes: eventNotes, duration };
+    time += duration;
+  };
+
+  // Stretch the previous event and shrink the next one for > and <
+  const applyBrokenRhythm = (symbol, count) => {
+    if (!lastEvent) return;
+    const short = 1 / 2 ** count;
+    const previousFactor = symbol === '>' ? 2 - short : short;
+    const extra = lastEvent.duration * (previousFactor - 1);
+    lastEvent.notes.forEach(note => (note.duration += extra));
+    time += extra;
+    nextFactor = symbol === '>' ? short : 2 - short;
+  };
+
+  // Read a pitch (accidentals, letter, octave marks) at the start of text
+  const readPitch = text => {
+    const match = /^(\^\^|\^|__|_|=)?([A-Ga-g])([',]*)/.exec(text);
+    if (!match) return null;
+
+    const [, accidental, letter, marks] = match;
+    const step = letter.toUpperCase();
+    let octave = letter === step ? 4 : 5;
+    Array.from(marks).forEach(mark => (octave += mark === "'" ? 1 : -1));
+
+    const barKey = `${step}${octave}`;
+    if (accidental) {
+      barAlters[barKey] = { '^^': 2, '^': 1, '=': 0, _: -1, __: -2 }[accidental];
+    }
+    const alter = barKey in barAlters ? barAlters[barKey] : keyAlters[step] || 0;
+    const midi = STEP_SEMITONES[step] + alter + (octave + 1) * 12;
+    return { midi, size: match[0].length };
+  };
+
+  const parseBody = line => {
+    let i = 0;
+    while (i < line.length) {
+      const rest = line.slice(i);
+      const char = line[i];
+
+      if (char === '%') break;
+
+      // Chord symbols and annotations
+      if (char === '"') {
+        const end = line.indexOf('"', i + 1);
+        const symbol = line.slice(i + 1, end === -1 ? line.length : end).trim();
+        if (symbol && !'^_<>@'.includes(symbol[0])) {
+          chordSymbols.push({ symbol, time });
+        }
+        i = end === -1 ? line.length : end + 1;
+        continue;
+      }
+
+      // Decorations and grace notes
+      if (char === '!' || char === '+') {
+        const end = line.indexOf(char, i + 1);
+        i = end === -1 ? line.length : end + 1;
+        continue;
+      }
+      if (char === '{') {
+        const end = line.indexOf('}', i + 1);
+        i = end === -1 ? line.length : end + 1;
+        continue;
+      }
+
+      // Inline fields such as [K:Dm]
+      const inlineField = /^\[([A-Za-z]):([^\]]*)\]/.exec(rest);
+      if (inlineField) {
+        applyField(inlineField[1], inlineField[2]);
+        i += inlineField[0].length;
+        continue;
+      }
+
+      // Bar lines, repeats and endings reset accidentals
+      const barLine = /^(\[\d+|[|:][|:\]]*(?:\[?\d+(?:[,-]\d+)*)?|\[\|[|:\]]*)/.exec(rest);
+      if (barLine && barLine[0] !== ':') {
+        barAlters = {};
+        i += barLine[0].length;
+        continue;
+      }
+
+      // Tuplets: (p, (p:q or (p:q:r
+      const tupletMatch = /^\((\d)(?::(\d*))?(?::(\d*))?/.exec(rest);
+      if (tupletMatch) {
+        const p = parseInt(tupletMatch[1]);
+        const compound = isCompoundTimeSignature(timeSignature || DEFAULT_TIME_SIGNATURE);
+        const q = tupletMatch[2]
+          ? parseInt(tupletMatch[2])
+          : TUPLET_DEFAULTS[p] || (compound ? 3 : 2);
+        const r = tupletMatch[3] ? parseInt(tupletMatch[3]) : p;
+        tuplet = { ratio: q / p, remaining: r };
+        i += tupletMatch[0].length;
+        continue;
+      }
+
+      // Broken rhythm
+      const broken = /^(>+|<+)/.exec(rest);
+      if (broken) {
+        applyBrokenRhythm(broken[0][0], broken[0].length);
+        i += broken[0].length;
+        continue;
+      }
+
+      // Rests, including whole-measure rests Z and X
+      if ('zx'.includes(char)) {
+        const { length, size } = readLength(line.slice(i + 1));
+        addEvent([], length);
+        i += 1 + size;
+        continue;
+      }
+      if ('ZX'.includes(char)) {
+        const { length, size } = readLength(line.slice(i + 1));
+        const barLength = getBeatsPerBar(timeSignature || DEFAULT_TIME_SIGNATURE);
+        addEvent([], (Math.round(length) * barLength) / (getUnitLength() * 4));
+        i += 1 + size;
+        continue;
+      }
+
+      // Chords in brackets: [CEG]2, lasting as long as their first note
+      if (char === '[') {
+        let j = i + 1;
+        const pitches = [];
+        let firstLength = null;
+        while (j < line.length && line[j] !== ']') {
+          const pitch = readPitch(line.slice(j));
+          if (!pitch) {
+            j += 1;
+            continue;
+          }
+          j += pitch.size;
+          const { length, size } = readLength(line.slice(j));
+          j += size;
+          if (firstLength === null) firstLength = length;
+          const tie = line[j] === '-';
+          if (tie) j += 1;
+          pitches.push({ midi: pitch.midi, tie });
+        }
+        const outer = readLength(line.slice(j + 1));
+        j += 1 + outer.size;
+        const tieAll = line[j] === '-';
+        if (tieAll) j += 1;
+        if (pitches.length > 0) {
+          addEvent(
+            pitches.map(pitch => ({ ...pitch, tie: pitch.tie || tieAll })),
+            (firstLength ?? 1) * outer.length
+          );
+        }
+        i = j;
+        continue;
+      }
+
+      const pitch = readPitch(rest);
+      if (pitch) {
+        let j = i + pitch.size;
+        const { length, size } = readLength(line.slice(j));
+        j += size;
+        const tie = line[j] === '-';
+        if (tie) j += 1;
+        addEvent([{ midi: pitch.midi, tie }], length);
+        i = j;
+        continue;
+      }
+
+      // Slurs, spacing, continuations and decorations carry no timing
+      if (!DECORATIONS.includes(char) && !/[\s()\\`y&-]/.test(char)) {
+        console.warn(`Skipping unsupported ABC character: ${char}`);
+      }
+      i += 1;
+    }
+  };
+
+  String(text)
+    .split(/\r?\n/)
+    .forEach(line => {
+      const field = /^([A-Za-z]):(.*)$/.exec(line);
+      if (field) {
+        applyField(field[1], field[2].replace(/%.*$/, ''));
+        return;
+      }
+      if (inBody && inFirstVoice && line.trim() !== '' && !line.startsWith('%')) {
+        parseBody(line);
+      }
+    });
+
+  if (notes.length === 0) {
+    throw new Error('No notes found in ABC tune');
+  }
+
+  const meter = timeSignature || DEFAULT_TIME_SIGNATURE;
+  const beatsPerBar = getBeatsPerBar(meter);
+  const tempo = (tempoField && parseTempo(tempoField, getUnitLength())) || 120;
+  const totalBeats = roundTime(time);
+
+  const melodyData = {
+    scale: key.name,
+    tempo,
+    timeSignature: meter,
+    length: Math.max(1, Math.ceil(totalBeats / beatsPerBar - 1e-9)),
+    title,
+    notes: notes.map(note => ({
+      pitch: midiToNoteName(note.midi, key.name),
+      duration: roundTime(note.duration),
+      velocity: 0.8,
+      startTime: roundTime(note.startTime),
+    })),
+  };
+
+  // Each chord symbol lasts until the next one or the end of the tune
+  const progression = chordSymbols.map(({ symbol, time: startTime }, index) => {
+    const endTime = index < chordSymbols.length - 1 ? chordSymbols[index + 1].time : totalBeats;
+    const chord = readChord({ symbol });
+    return {
+      root: chord ? chord.root : symbol.substring(0, 1),
+      type: chord?.suffix || 'maj',
+      symbol,
+      notes: getChordNotes(symbol),
+      position: roundTime(startTime / beatsPerBar),
+      duration: roundTime((endTime - startTime) / beatsPerBar),
+    };
+  });
+
+  const chordData =
+    progression.length > 0 ? { key: key.name, tempo, timeSignature: meter, progression } : null;
+
+  return { title, melodyData, chordData };
+};
+
+// Greatest common divisor, used to reduce note length fractions
+const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+
+// Write a note length as a multiple of the unit length (e.g., '', '2', '/', '3/2')
+const formatLength = (numerator, denominator) => {
+  const divisor = gcd(numerator, denominator);
+  const n = numerator / divisor;
+  const d = denominator / divisor;
+  if (d === 1) return n === 1 ? '' : `${n}`;
+  if (n === 1) return d === 2 ? '/' : `/${d}`;
+  return `${n}/${d}`;
+};
+
+/**
+ * Create an ABC tune from melody data and chord symbols, or from the tracks of a composition as
+ * one voice per pitched track with the chord track written as chord symbols
+ * @param {Object} melodyData - Melody data
+ * @param {Object} chordData - Chord progression data, written as quoted chord symbols
+ * @param {Object} options - Export options
+ * @returns {string} - ABC tune with L:1/8
+ */
+export const createABC = (melodyData, chordData, options = {}) => {
+  const {
+    title = melodyData?.title || 'Untitled',
+    key = melodyData?.scale || chordData?.key,
+    timeSignature = melodyData?.timeSignature || chordData?.timeSignature,
+    tempo = melodyData?.tempo || chordData?.tempo || 120,
+    barsPerLine = 4,
+    tracks = null, // Tracks of a composition (see tracks.js)
+  } = options;
+
+  const meter = formatTimeSignature(timeSignature || DEFAULT_TIME_SIGNATURE);
+  const beatsPerBar = getBeatsPerBar(meter);
+  const measureUnits = Math.round(beatsPerBar * DIVISIONS);
+  // Notes are beamed by the quarter, or by the dotted beat in compound meters
+  const beamUnits = isCompoundTimeSignature(meter)
+    ? Math.round(getPulseLength(meter) * 3 * DIVISIONS)
+    : DIVISIONS;
+  const abcKey = formatABCKey(key);
+  const { fifths } = parseABCKey(abcKey);
+  const keyAlters = keySignatureAlters(fifths);
+
+  // Drum tracks are left out: their notes stand for instruments, not pitches
+  const pitchedTracks = (tracks || [])
+    .filter(track => track.role !== 'drums')
+    .filter(track => getTrackNotes(track, beatsPerBar).length > 0);
+  const chordTrack =
+    pitchedTracks.find(track => track.role === 'chord') || pitchedTracks.find(isChordTrack);
+  const voiceTracks = pitchedTracks.filter(track => track !== chordTrack);
+  const voices = tracks
+    ? voiceTracks.map(track => ({ track, notes: getTrackNotes(track, beatsPerBar) }))
+    : [{ notes: melodyData?.notes || [] }];
+  if (voices.length === 0) voices.push({ notes: [] });
+
+  const chords = (chordTrack?.progression || chordData?.progression || []).map(chord => ({
+    start: quantize(chord.position * beatsPerBar, meter),
+    symbol: formatChordSymbol(chord),
+  }));
+
+  // Notes starting together are written as one bracketed chord, cut off at the next start
+  const toGroups = notes => {
+    const byStart = {};
+    notes.forEach(note => {
+      const start = quantize(note.startTime, meter);
+      const end = quantize(note.startTime + note.duration, meter);
+      const group = byStart[start] || { start, end, pitches: [] };
+      group.pitches.push(noteNameToMidi(note.pitch));
+      group.end = Math.max(group.end, end);
+      byStart[start] = group;
+    });
+    const groups = Object.values(byStart).sort((a, b) => a.start - b.start);
+    groups.forEach((group, index) => {
+      if (index < groups.length - 1) group.end = Math.min(group.end, groups[index + 1].start);
+    });
+    return groups.filter(group => group.end > group.start);
+  };
+  voices.forEach(voice => {
+    voice.groups = toGroups(voice.notes);
+  });
+
+  // Every voice runs to the end of the last note or chord symbol
+  const lastChordStart = Math.max(0, ...chords.map(chord => chord.start));
+  const lastEnd = Math.max(
+    lastChordStart + 1,
+    ...voices.flatMap(voice => voice.groups.map(group => group.end))
+  );
+  const end = Math.max(1, Math.ceil(lastEnd / measureUnits)) * measureUnits;
+
+  const toMeasures = (groups, splitPoints) => {
+    // Fill the gaps with rests
+    const events = [];
+    let time = 0;
+    groups.forEach(group => {
+      if (group.start > time) events.push({ pitches: [], start: time, end: group.start });
+      events.push({ ...group, pitches: [...new Set(group.pitches)].sort((a, b) => a - b) });
+      time = group.end;
+    });
+    if (end > time) events.push({ pitches: [], start: time, end });
+
+    // Split events at barlines and chord changes, tying the pieces of a note together
+    const pieces = events.flatMap(event => {
+      const cuts = splitPoints.filter(point => point > event.start && point < event.end);
+      const firstBarline = (Math.floor(event.start / measureUnits) + 1) * measureUnits;
+      for (let bar = firstBarline; bar < event.end; bar += measureUnits) {
+        cuts.push(bar);
+      }
+      const bounds = [event.start, ...[...new Set(cuts)].sort((a, b) => a - b), event.end];
+      return bounds.slice(0, -1).map((start, index) => ({
+        pitches: event.pitches,
+        start,
+        end: bounds[index + 1],
+        tie: event.pitches.length > 0 && index < bounds.length - 2,
+      }));
+    });
+
+    const measures = Array.from({ length: end / measureUnits }, () => []);
+    pieces.forEach(piece => measures[Math.floor(piece.start / measureUnits)].push(piece));
+    return measures;
+  };
+
+  const writeMeasure = (items, measureChords) => {
+    const barAlters = {};
+    const writePitch = midi => {
+      const { step, alter, octave } = spellPitch(midi, fifths);
+      const barKey = `${step}${octave}`;
+      const current = barKey in barAlters ? barAlters[barKey] : keyAlters[step] || 0;
+      let accidental = '';
+      if (alter !== current) {
+        accidental = { '-1': '_', 0: '=', 1: '^' }[alter];
+        barAlters[barKey] = alter;
+      }
+      const letter = octave >= 5 ? step.toLowerCase() : step;
+      const marks = octave >= 5 ? "'".repeat(octave - 5) : ','.repeat(Math.max(0, 4 - octave));
+      return `${accidental}${letter}${marks}`;
+    };
+
+    let text = '';
+    let tupletLeft = 0;
+    items.forEach((item, index) => {
+      const duration = item.end - item.start;
+      const isTuplet = item.start % 3 !== 0 || duration % 3 !== 0;
+
+      // Space between beats so notes are beamed by beat
+      if (index > 0 && item.start % beamUnits === 0) text += ' ';
+
+      if (isTuplet && tupletLeft === 0) {
+        let count = 0;
+        for (let j = index; j < items.length; j++) {
+          const d = items[j].end - items[j].start;
+          if (items[j].start % 3 === 0 && d % 3 === 0) break;
+          count += 1;
+        }
+        text += `(3:2:${count}`;
+        tupletLeft = count;
+      }
+
+      const chord = measureChords.find(c => c.start === item.start);
+      if (chord) text += `"${chord.symbol}"`;
+
+      // Units per eighth note are 6; inside a triplet notes are written 3/2 as long
+      const length = isTuplet ? formatLength(duration, 4) : formatLength(duration, 6);
+      if (item.pitches.length === 0) {
+        text += `z${length}`;
+      } else if (item.pitches.length === 1) {
+        text += `${writePitch(item.pitches[0])}${length}`;
+      } else {
+        text += `[${item.pitches.map(writePitch).join('')}]${length}`;
+      }
+      if (item.tie) text += '-';
+      if (isTuplet) tupletLeft -= 1;
+    });
+
+    return text;
+  };
+
+  // Lines of a voice, chord symbols written with the first voice only
+  const writeVoice = (voice, index) => {
+    const voiceChords = index === 0 ? chords : [];
+    const measures = toMeasures(voice.groups, [...new Set(voiceChords.map(chord => chord.start))]);
+    const lines = [];
+    for (let i = 0; i < measures.length; i += barsPerLine) {
+      lines.push(
+        measures
+          .slice(i, i + barsPerLine)
+          .map(items => writeMeasure(items, voiceChords))
+          .join(' | ')
+      );
+    }
+    return lines.map((line, lineIndex) => `${line} ${lineIndex === lines.length - 1 ? '|]' : '|'}`);
+  };
+
+  // Voices of a composition are named after their tracks and played with their instruments
+  const body = tracks
+    ? voices.flatMap((voice, index) => {
+        const pitches = voice.groups.flatMap(group => group.pitches);
+        const average = pitches.reduce((sum, midi) => sum + midi, 0) / (pitches.length || 1);
+        const name = String(voice.track?.name || 'Melody').replace(/"/g, "'");
+        return [
+          `V:${index + 1} name="${name}"${average < 55 ? ' clef=bass' : ''}`,
+          ...(voice.track ? [`%%MIDI program ${voice.track.program || 0}`] : []),
+          ...writeVoice(voice, index),
+        ];
+      })
+    : writeVoice(voices[0], 0);
+
+  return [
+    'X:1',
+    `T:${title}`,
+    `M:${meter}`,
+    'L:1/8',
+    `Q:1/4=${tempo}`,
+    `K:${abcKey}`,
+    ...body,
+    '',
+  ].join('\n');
+};
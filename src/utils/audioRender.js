@@ -0,0 +1,267 @@
+// Offline audio rendering to WAV with a small built-in synth. Notes are timed by the same
+// playback schedule as live playback, and each part gets a simple voice for its instrument
+// family. It needs no audio context, so it also runs headless.
+
+import { getInstrument } from './generalMidi';
+import { noteNameToMidi, noteNameToMidiClamped } from './pitch';
+import {
+  createPlaybackSchedule,
+  cymbalDecays,
+  drumVolumes,
+  synthVolumes,
+  tomPitches,
+} from './playbackSchedule';
+import { createExportTracks } from './tracks';
+
+export const DEFAULT_SAMPLE_RATE = 44100;
+
+// Sample sizes the WAV encoder can write
+export const wavBitDepths = [16, 24];
+
+// Envelope (in seconds, sustain 0-1) and waveform of a voice. The default matches the Tone.js
+// synth used by live playback; instrument families get a shape closer to their sound.
+const DEFAULT_VOICE = { wave: 'triangle', attack: 0.005, decay: 0.1, sustain: 0.3, release: 1 };
+
+const familyVoices = {
+  Piano: { wave: 'triangle', attack: 0.005, decay: 0.8, sustain: 0.2, release: 0.4 },
+  'Chromatic Percussion': { wave: 'sine', attack: 0.002, decay: 0.6, sustain: 0, release: 0.4 },
+  Organ: { wave: 'square', attack: 0.01, decay: 0.05, sustain: 0.7, release: 0.05 },
+  Guitar: { wave: 'triangle', attack: 0.003, decay: 0.6, sustain: 0.1, release: 0.2 },
+  Bass: { wave: 'triangle', attack: 0.005, decay: 0.3, sustain: 0.5, release: 0.1 },
+  Strings: { wave: 'sawtooth', attack: 0.08, decay: 0.2, sustain: 0.7, release: 0.3 },
+  Ensemble: { wave: 'sawtooth', attack: 0.1, decay: 0.2, sustain: 0.7, release: 0.4 },
+  Brass: { wave: 'sawtooth', attack: 0.03, decay: 0.1, sustain: 0.6, release: 0.15 },
+  Reed: { wave: 'square', attack: 0.02, decay: 0.1, sustain: 0.6, release: 0.1 },
+  Pipe: { wave: 'sine', attack: 0.04, decay: 0.1, sustain: 0.7, release: 0.15 },
+  'Synth Lead': { wave: 'sawtooth', attack: 0.005, decay: 0.1, sustain: 0.6, release: 0.2 },
+  'Synth Pad': { wave: 'triangle', attack: 0.4, decay: 0.5, sustain: 0.7, release: 1 },
+};
+
+// Waveforms by phase in cycles (0-1)
+const waveforms = {
+  sine: phase => Math.sin(2 * Math.PI * phase),
+  triangle: phase => 1 - 4 * Math.abs(phase - 0.5),
+  square: phase => (phase < 0.5 ? 1 : -1),
+  sawtooth: phase => 2 * phase - 1,
+};
+
+const dbToGain = db => Math.pow(10, db / 20);
+
+const midiToFrequency = midi => 440 * Math.pow(2, (midi - 69) / 12);
+
+/**
+ * Level of an ADSR envelope
+ * @param {Object} voice - Voice with attack, decay, sustain and release
+ * @param {number} time - Seconds since the note started
+ * @param {number} duration - Seconds the note is held
+ * @returns {number} - Level 0-1
+ */
+const envelopeLevel = (voice, time, duration) => {
+  const held = t => {
+    if (t < voice.attack) return t / voice.attack;
+    if (t < voice.attack + voice.decay) {
+      return 1 - ((1 - voice.sustain) * (t - voice.attack)) / voice.decay;
+    }
+    return voice.sustain;
+  };
+
+  if (time < duration) return held(time);
+  return held(duration) * Math.max(0, 1 - (time - duration) / voice.release);
+};
+
+/**
+ * Add a pitched note to the mix
+ * @param {Float32Array} samples - Mix
+ * @param {Object} note - { time, duration } in seconds
+ * @param {number} frequency - Frequency in Hz
+ * @param {number} gain - Peak gain
+ * @param {Object} voice - Voice
+ * @param {number} sampleRate - Sample rate
+ */
+const addTone = (samples, note, frequency, gain, voice, sampleRate) => {
+  const start = Math.round(note.time * sampleRate);
+  const length = Math.round((note.duration + voice.release) * sampleRate);
+  const wave = waveforms[voice.wave];
+
+  for (let i = 0; i < length && start + i < samples.length; i++) {
+    const time = i / sampleRate;
+    const phase = (frequency * time) % 1;
+    samples[start + i] += wave(phase) * envelopeLevel(voice, time, note.duration) * gain;
+  }
+};
+
+// Repeatable white noise, so renders of the same composition are identical
+const createNoise = (seed = 1) => {
+  let state = seed;
+  return () => {
+    state = (state * 1664525 + 1013904223) % 4294967296;
+    return (state / 4294967296) * 2 - 1;
+  };
+};
+
+/**
+ * Add a drum hit to the mix: membranes for the kick and toms, noise for snares and cymbals
+ * @param {Float32Array} samples - Mix
+ * @param {Object} note - Scheduled drum note with time in seconds
+ * @param {Function} noise - Noise source
+ * @param {number} sampleRate - Sample rate
+ */
+const addDrum = (samples, note, noise, sampleRate) => {
+  const start = Math.round(note.time * sampleRate);
+  const velocity = note.velocity ?? 1;
+  const membranePitch = note.drum === 'kick' ? 'C1' : tomPitches[note.drum];
+
+  if (membranePitch) {
+    // Pitch falls from six times the note over 50 ms, as the live membrane synth does
+    const frequency = midiToFrequency(noteNameToMidi(membranePitch));
+    const gain = dbToGain(note.drum === 'kick' ? drumVolumes.kick : drumVolumes.toms) * velocity;
+    const length = Math.round(0.5 * sampleRate);
+    let phase = 0;
+
+    for (let i = 0; i < length && start + i < samples.length; i++) {
+      const time = i / sampleRate;
+      const sweep = frequency * (1 + 5 * Math.exp(-time / 0.05));
+      phase = (phase + sweep / sampleRate) % 1;
+      samples[start + i] += Math.sin(2 * Math.PI * phase) * Math.exp(-time / 0.15) * gain;
+    }
+    return;
+  }
+
+  const cymbalDecay = cymbalDecays[note.drum];
+  const decay = cymbalDecay ?? 0.15;
+  const isCymbal = note.drum === 'crash' || note.drum === 'ride';
+  const volume = cymbalDecay ? drumVolumes[isCymbal ? 'cymbal' : 'hat'] : drumVolumes.snare;
+  const gain = dbToGain(volume) * velocity;
+  const length = Math.round(Math.min(decay * 4, 3) * sampleRate);
+  let previous = 0;
+
+  for (let i = 0; i < length && start + i < samples.length; i++) {
+    const value = noise();
+    // Cymbals keep only the top of the noise (first difference), snares the whole band
+    const sample = cymbalDecay ? (value - previous) / 2 : value;
+    previous = value;
+    samples[start + i] += sample * Math.exp(-(i / sampleRate) / (decay / 3)) * gain;
+  }
+};
+
+/**
+ * Render tracks to mono samples
+ * @param {Array} tracks - Tracks
+ * @param {Object} options - Render options
+ * @param {number} [options.tempo] - Tempo in BPM used when there is no tempo map
+ * @param {Array} [options.tempoMap] - Tempo map segments
+ * @param {string} [options.timeSignature] - Time signature
+ * @param {number} [options.sampleRate] - Sample rate in Hz
+ * @param {number} [options.tail] - Seconds added after the last note for releases to ring out
+ * @returns {Float32Array} - Samples, scaled down when the mix would clip
+ */
+export const renderTracks = (
+  tracks,
+  { tempo = 120, tempoMap, timeSignature, sampleRate = DEFAULT_SAMPLE_RATE, tail = 1 } = {}
+) => {
+  const schedule = createPlaybackSchedule(tracks, { tempo, tempoMap, timeSignature });
+  const samples = new Float32Array(Math.ceil((schedule.duration + tail) * sampleRate));
+  const noise = createNoise();
+
+  schedule.parts.forEach(({ track, notes }) => {
+    if (track.role === 'drums') {
+      notes.forEach(note => addDrum(samples, note, noise, sampleRate));
+      return;
+    }
+
+    const voice = familyVoices[getInstrument(track.instrument)?.family] || DEFAULT_VOICE;
+    const volume = dbToGain(synthVolumes[track.role] ?? synthVolumes.default);
+
+    notes.forEach(note => {
+      const gain = volume * (note.velocity ?? 1);
+      [note.pitch].flat().forEach(pitch => {
+        // Clamped as the MIDI writers and live output do, so one bad note cannot fail the render
+        const frequency = midiToFrequency(noteNameToMidiClamped(pitch));
+        addTone(samples, note, frequency, gain, voice, sampleRate);
+      });
+    });
+  });
+
+  const peak = samples.reduce((max, sample) => Math.max(max, Math.abs(sample)), 0);
+  if (peak > 1) {
+    samples.forEach((sample, i) => {
+      samples[i] = sample / peak;
+    });
+  }
+
+  return samples;
+};
+
+/**
+ * Encode mono samples as a PCM WAV file
+ * @param {Float32Array} samples - Samples from -1 to 1
+ * @param {Object} options - Encoding options
+ * @param {number} [options.sampleRate] - Sample rate in Hz
+ * @param {number} [options.bitDepth] - 16 or 24 bits per sample
+ * @returns {Uint8Array} - WAV file data
+ * @throws {Error} - When the bit depth is not supported
+ */
+export const encodeWAV = (samples, { sampleRate = DEFAULT_SAMPLE_RATE, bitDepth = 16 } = {}) => {
+  if (!wavBitDepths.includes(bitDepth)) {
+    throw new Error(`Unsupported WAV bit depth: ${bitDepth}`);
+  }
+
+  const bytesPerSample = bitDepth / 8;
+  const dataLength = samples.length * bytesPerSample;
+  const buffer = new ArrayBuffer(44 + dataLength);
+  const view = new DataView(buffer);
+  const writeString = (offset, text) => {
+    Array.from(text).forEach((c, i) => view.setUint8(offset + i, c.charCodeAt(0)));
+  };
+
+  writeString(0, 'RIFF');
+  view.setUint32(4, 36 + dataLength, true);
+  writeString(8, 'WAVE');
+  writeString(12, 'fmt ');
+  view.setUint32(16, 16, true); // fmt chunk length
+  view.setUint16(20, 1, true); // PCM
+  view.setUint16(22, 1, true); // Mono
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * bytesPerSample, true); // Bytes per second
+  view.setUint16(32, bytesPerSample, true); // Block align
+  view.setUint16(34, bitDepth, true);
+  writeString(36, 'data');
+  view.setUint32(40, dataLength, true);
+
+  const maxValue = Math.pow(2, bitDepth - 1) - 1;
+  samples.forEach((sample, i) => {
+    const value = Math.round(Math.max(-1, Math.min(1, sample)) * maxValue);
+    const offset = 44 + i * bytesPerSample;
+    if (bitDepth === 16) {
+      view.setInt16(offset, value, true);
+    } else {
+      view.setUint8(offset, value & 0xff);
+      view.setUint8(offset + 1, (value >> 8) & 0xff);
+      view.setUint8(offset + 2, (value >> 16) & 0xff);
+    }
+  });
+
+  return new Uint8Array(buffer);
+};
+
+/**
+ * Render melody and chord data, or the tracks of a composition, to a WAV file
+ * @param {Object} melodyData - Melody data
+ * @param {Object} chordData - Chord progression data
+ * @param {Object} options - Export and render options, the instruments as for the MIDI export
+ * @returns {Uint8Array} - WAV file data
+ */
+export const renderWAV = (melodyData, chordData, options = {}) => {
+  const {
+    // Parts to render, built from the melody, chord and drum data when omitted (see tracks.js)
+    tracks = createExportTracks(melodyData, chordData, options),
+    timeSignature = melodyData?.timeSignature || chordData?.timeSignature,
+    tempo = melodyData?.tempo || chordData?.tempo || 120,
+    tempoMap = melodyData?.tempoMap || chordData?.tempoMap,
+    sampleRate = DEFAULT_SAMPLE_RATE,
+    bitDepth = 16,
+  } = options;
+
+  const samples = renderTracks(tracks, { tempo, tempoMap, timeSignature, sampleRate });
+  return encodeWAV(samples, { sampleRate, bitDepth });
+};
@@ -0,0 +1,222 @@
+// Chord symbols: reading symbols like 'Cmaj7', 'F#m7b5', 'G7(b9,#11)', 'Dsus4' and 'C/E' into the
+// pitches they stand for, and writing chord labels for progression entries
+
+import {
+  formatNoteName,
+  midiToNoteName,
+  noteNameToMidi,
+  parseNoteName,
+  spellPitchOnStep,
+  stripOctave,
+  transposeOctaves,
+} from './pitch';
+
+const STEPS = ['C', 'D', 'E', 'F', 'G', 'A', 'B'];
+
+// Root, everything up to the slash, then the slash bass. A 6/9 chord keeps its slash because a
+// bass is a note name and 9 is not
+const SYMBOL_PATTERN = /^([A-G][#b]?)(.*?)(?:\/([A-G][#b]?))?$/;
+
+// Quality marks, longest first. Each gives the third and fifth of the chord and the seventh it
+// takes when it has one; ø, Δ and dom imply a seventh on their own
+const QUALITIES = [
+  [/^(mMaj|mmaj|minMaj|minmaj|mM)/, { quality: 'minor', seventh: 'major' }],
+  [/^(augmaj|augMaj|\+maj|\+M)/, { quality: 'augmented', seventh: 'major' }],
+  [/^(hdim|ø|Ø)/, { quality: 'half-diminished', seventh: 'minor', implied: true }],
+  [/^(dim|°|o(?!mit))/, { quality: 'diminished', seventh: 'diminished' }],
+  [/^(aug|\+)/, { quality: 'augmented', seventh: 'minor' }],
+  [/^(Δ|△)/, { quality: 'major', seventh: 'major', implied: true }],
+  [/^(maj|Maj|M)/, { quality: 'major', seventh: 'major' }],
+  [/^(min|mi|m|-)/, { quality: 'minor', seventh: 'minor' }],
+  [/^dom/, { quality: 'major', seventh: 'minor', implied: true }],
+  [/^5$/, { quality: 'power', seventh: null }],
+];
+
+const EXTENSION_PATTERN = /^(69|6|7|9|11|13)/;
+
+// Suspensions, added tones, omitted tones and altered fifths and tensions, in any order
+const MODIFIER_PATTERN =
+  /^(?:sus([24]?)|add([#b]?)(2|4|6|9|11|13)|(?:no|omit)(3|5)|([#b])(5|9|11|13))/;
+
+// Semitones above the root of the major or perfect chord degrees that can be added or altered
+const DEGREE_SEMITONES = { 2: 2, 4: 5, 5: 7, 6: 9, 9: 14, 11: 17, 13: 21 };
+
+const THIRDS = { minor: 3, diminished: 3, 'half-diminished': 3 };
+const FIFTHS = { diminished: 6, 'half-diminished': 6, augmented: 8 };
+const SEVENTHS = { major: 11, minor: 10, diminished: 9 };
+
+// Tensions stacked by each extension. 13th chords leave out the 11th, which clashes with the third
+const EXTENSION_TONES = { 6: [6], 9: [9], 11: [9, 11], 13: [9, 13] };
+
+const ACCIDENTAL_ALTERS = { '': 0, '#': 1, b: -1 };
+
+// Chord types written with a shorter suffix in chord symbols
+const SYMBOL_SUFFIXES = {
+  maj: '',
+  min: 'm',
+  min7: 'm7',
+  min6: 'm6',
+  min9: 'm9',
+  dom9: '9',
+  hdim7: 'm7b5',
+};
+
+/**
+ * Read a chord symbol (e.g., 'Cmaj7', 'Bbm7b5', 'G7b9/B', 'D7(#9,#11)', 'Fadd9', 'C6/9')
+ * @param {string} symbol - Chord symbol
+ * @returns {Object} - { root, bass, suffix, quality, seventh, extension, suspension, alterations,
+ *   added, omitted, tones, intervals }. Quality is 'major', 'minor', 'dominant', 'diminished',
+ *   'half-diminished', 'augmented' or 'power'; alterations and added tones are { degree, alter };
+ *   tones are the { degree, semitones } of each chord tone from the root up
+ * @throws {Error} - When the symbol cannot be read
+ */
+export const parseChordSymbol = symbol => {
+  const text = String(symbol).trim();
+  const match = SYMBOL_PATTERN.exec(text);
+  if (!match) {
+    throw new Error(`Invalid chord symbol: ${symbol}`);
+  }
+
+  const [, root, suffix, bass = null] = match;
+  // Brackets and commas only group the modifiers, as in G7(b9,#11)
+  let rest = suffix.replace(/[\s(),]/g, '').replace('6/9', '69');
+
+  const [qualityPattern, form] = QUALITIES.find(([pattern]) => pattern.test(rest)) || [
+    null,
+    { quality: 'major', seventh: 'minor' },
+  ];
+  if (qualityPattern) rest = rest.replace(qualityPattern, '');
+
+  let extension = null;
+  const added = [];
+  const extensionMatch = EXTENSION_PATTERN.exec(rest);
+  if (extensionMatch) {
+    rest = rest.slice(extensionMatch[0].length);
+    extension = extensionMatch[1] === '69' ? 6 : parseInt(extensionMatch[1]);
+    if (extensionMatch[1] === '69') added.push({ degree: 9, alter: 0 });
+  } else if (form.implied) {
+    extension = 7;
+  }
+
+  let suspension = null;
+  let alterations = [];
+  const omitted = [];
+  while (rest) {
+    const modifier = MODIFIER_PATTERN.exec(rest);
+    if (!modifier) {
+      throw new Error(`Invalid chord symbol: ${symbol}`);
+    }
+    rest = rest.slice(modifier[0].length);
+
+    const [, sus, addAccidental, addDegree, omitDegree, accidental, alteredDegree] = modifier;
+    if (sus !== undefined) suspension = `sus${sus || 4}`;
+    if (addDegree) {
+      added.push({ degree: parseInt(addDegree), alter: ACCIDENTAL_ALTERS[addAccidental] });
+    }
+    if (omitDegree) omitted.push(parseInt(omitDegree));
+    if (alteredDegree) {
+      alterations.push({ degree: parseInt(alteredDegree), alter: ACCIDENTAL_ALTERS[accidental] });
+    }
+  }
+
+  const hasSeventh = extension !== null && extension !== 6;
+  let chordQuality = form.quality;
+  if (hasSeventh && chordQuality === 'major' && form.seventh === 'minor') {
+    chordQuality = 'dominant';
+  }
+  // A minor seventh with a flat fifth is the half-diminished chord
+  const flatFifth = alterations.find(({ degree, alter }) => degree === 5 && alter === -1);
+  if (hasSeventh && chordQuality === 'minor' && form.seventh === 'minor' && flatFifth) {
+    chordQuality = 'half-diminished';
+    alterations = alterations.filter(alteration => alteration !== flatFifth);
+  }
+
+  // Chord tones by degree, so an alteration or suspension replaces the tone it changes
+  const tones = new Map([[1, 0]]);
+  if (chordQuality !== 'power') tones.set(3, THIRDS[chordQuality] ?? 4);
+  tones.set(5, FIFTHS[chordQuality] ?? 7);
+  if (hasSeventh) tones.set(7, SEVENTHS[form.seventh]);
+  (EXTENSION_TONES[extension] || []).forEach(degree => tones.set(degree, DEGREE_SEMITONES[degree]));
+  if (suspension) {
+    tones.delete(3);
+    tones.set(suspension === 'sus2' ? 2 : 4, suspension === 'sus2' ? 2 : 5);
+  }
+  [...alterations, ...added].forEach(({ degree, alter }) =>
+    tones.set(degree, DEGREE_SEMITONES[degree] + alter)
+  );
+  omitted.forEach(degree => tones.delete(degree));
+
+  const sortedTones = [...tones]
+    .map(([degree, semitones]) => ({ degree, semitones }))
+    .sort((a, b) => a.semitones - b.semitones);
+
+  return {
+    root,
+    bass,
+    suffix,
+    quality: chordQuality,
+    seventh: hasSeventh ? form.seventh : null,
+    extension,
+    suspension,
+    alterations,
+    added,
+    omitted,
+    tones: sortedTones,
+    intervals: sortedTones.map(tone => tone.semitones),
+  };
+};
+
+/**
+ * Check whether a chord symbol can be read
+ * @param {string} symbol - Chord symbol
+ * @returns {boolean} - True when parseChordSymbol reads it
+ */
+export const isChordSymbol = symbol => {
+  try {
+    parseChordSymbol(symbol);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Read the chord of a progression entry from its symbol, or its root and type
+ * @param {Object} chord - Progression entry ({ root, type, symbol })
+ * @returns {Object|null} - Parsed chord symbol, null when it cannot be read
+ */
+export const readChord = chord => {
+  const symbol = chord.symbol || `${stripOctave(chord.root || '')}${chord.type || ''}`;
+  return isChordSymbol(symbol) ? parseChordSymbol(symbol) : null;
+};
+
+/**
+ * Spell the notes of a parsed chord symbol, each degree on its own letter (the #9 of C7#9 is D#,
+ * the b5 of Cm7b5 is Gb), with a slash bass below the rest of the chord
+ * @param {Object} chord - Parsed chord symbol
+ * @param {number} octave - Octave of the root
+ * @returns {string[]} - Note names from the bass up
+ */
+export const spellChord = (chord, octave = 4) => {
+  const rootStep = parseNoteName(chord.root).step;
+  const rootMidi = noteNameToMidi(`${chord.root}${octave}`);
+
+  const notes = chord.tones.map(({ degree, semitones }) => {
+    const step = STEPS[(STEPS.indexOf(rootStep) + degree - 1) % 7];
+    const pitch = spellPitchOnStep(rootMidi + semitones, step);
+    return pitch ? formatNoteName(pitch) : midiToNoteName(rootMidi + semitones, chord.root);
+  });
+
+  if (!chord.bass) return notes;
+  const bass = `${chord.bass}${octave}`;
+  return [noteNameToMidi(bass) >= rootMidi ? transposeOctaves(bass, -1) : bass, ...notes];
+};
+
+/**
+ * Label of a progression entry: its symbol, or its root and the short form of its type
+ * @param {Object} chord - Progression entry ({ root, type, symbol })
+ * @returns {string} - Chord symbol (e.g., 'Am7' for root 'A', type 'min7')
+ */
+export const formatChordSymbol = chord =>
+  chord.symbol ||
+  `${stripOctave(chord.root || '')}${SYMBOL_SUFFIXES[chord.type] ?? chord.type ?? ''}`;
@@ -1,5 +1,14 @@
 // Advanced chord functions for chord generation
 
+import {
+  getPitchClass,
+  midiToNoteName,
+  noteNameToMidi,
+  stripOctave,
+  transposeOctaves,
+} from './pitch';
+import { parseChordSymbol, readChord } from './chordSymbols';
+
 /**
  * Extended chord types with intervals
  */
@@ -94,39 +103,47 @@ export const majorDegrees = {
   'V/IV': 0, // Secondary dominant (V of IV)
 };
 
+// Chord tones are spelled for the key of their root, so C minor reads C Eb G rather than C D# G
+const spellChordTone = (midi, rootNote) => midiToNoteName(midi, stripOctave(rootNote));
+
+/**
+ * Intervals of a chord type, from extendedChordTypes or read as a chord symbol suffix
+ * @param {string} chordType - Chord type (e.g., 'min7') or symbol suffix (e.g., '7b9', 'm(add9)')
+ * @returns {number[]} - Semitones above the root, a major triad when the type cannot be read
+ */
+export const getChordIntervals = chordType => {
+  if (extendedChordTypes[chordType]) return extendedChordTypes[chordType];
+  try {
+    return parseChordSymbol(`C${chordType || ''}`).intervals;
+  } catch {
+    return extendedChordTypes.maj;
+  }
+};
+
 /**
  * Convert note name to MIDI note number
  * @param {string} noteName - Note name (e.g., 'C4')
  * @returns {number} - MIDI note number
  */
-export const noteToMidi = noteName => {
-  const notes = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
-  const [note, octave] = [noteName.slice(0, -1), parseInt(noteName.slice(-1))];
-  return notes.indexOf(note) + (octave + 1) * 12;
-};
+export const noteToMidi = noteName => noteNameToMidi(noteName);
 
 /**
  * Convert MIDI note number to note name
  * @param {number} midiNumber - MIDI note number
  * @returns {string} - Note name
  */
-export const midiToNote = midiNumber => {
-  const notes = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
-  const octave = Math.floor(midiNumber / 12) - 1;
-  const note = notes[midiNumber % 12];
-  return `${note}${octave}`;
-};
+export const midiToNote = midiNumber => midiToNoteName(midiNumber);
 
 export const generateChord = (rootNote, chordType) => {
-  const rootMidi = noteToMidi(rootNote);
-  return (extendedChordTypes[chordType] || extendedChordTypes.maj).map(interval =>
-    midiToNote(rootMidi + interval)
+  const rootMidi = noteNameToMidi(rootNote);
+  return getChordIntervals(chordType).map(interval =>
+    spellChordTone(rootMidi + interval, rootNote)
   );
 };
 
 export const getChordInversion = (rootNote, chordType, inversion) => {
   const baseChord = generateChord(rootNote, chordType);
-  const midiNotes = baseChord.map(note => noteToMidi(note));
+  const midiNotes = baseChord.map(note => noteNameToMidi(note));
 
   // Apply inversion
   for (let i = 0; i < inversion; i++) {
@@ -134,12 +151,12 @@ export const getChordInversion = (rootNote, chordType, inversion) => {
     midiNotes.push(bass + 12); // Move bottom note up an octave
   }
 
-  return midiNotes.map(midi => midiToNote(midi));
+  return midiNotes.map(midi => spellChordTone(midi, rootNote));
 };
 
 export const generateChordVoicings = (rootNote, chordType) => {
   const voicings = [];
-  const intervals = extendedChordTypes[chordType] || extendedChordTypes.maj;
+  const intervals = getChordIntervals(chordType);
 
   // Base voicing
   voicings.push(generateChord(rootNote, chordType));
@@ -151,9 +168,9 @@ export const generateChordVoicings = (rootNote, chordType) => {
 
   // Spread voicing (wider intervals)
   const spreadVoicing = [];
-  const rootMidi = noteToMidi(rootNote);
+  const rootMidi = noteNameToMidi(rootNote);
   intervals.forEach((interval, idx) => {
-    spreadVoicing.push(midiToNote(rootMidi + interval + (idx > 0 ? 12 : 0)));
+    spreadVoicing.push(spellChordTone(rootMidi + interval + (idx > 0 ? 12 : 0), rootNote));
   });
   voicings.push(spreadVoicing);
 
@@ -169,13 +186,23 @@ export const generateChordVoicings = (rootNote, chordType) => {
 export const calculateTotalMovement = (voicing1, voicing2) => {
   let totalMovement = 0;
   for (let i = 0; i < Math.min(voicing1.length, voicing2.length); i++) {
-    const note1 = noteToMidi(voicing1[i]);
-    const note2 = noteToMidi(voicing2[i]);
+    const note1 = noteNameToMidi(voicing1[i]);
+    const note2 = noteNameToMidi(voicing2[i]);
     totalMovement += Math.abs(note1 - note2);
   }
   return totalMovement;
 };
 
+// A note letter in the highest octave below every note of a voicing
+const placeBelow = (noteName, voicing) => {
+  const lowest = Math.min(...voicing.map(noteNameToMidi));
+  let note = `${noteName}${Math.floor(lowest / 12)}`;
+  while (noteNameToMidi(note) >= lowest) {
+    note = transposeOctaves(note, -1);
+  }
+  return note;
+};
+
 export const applyVoiceLeading = chords => {
   const voiceLedChords = [];
   let previousVoicing = null;
@@ -186,35 +213,10 @@ export const applyVoiceLeading = chords => {
       previousVoicing = chord.notes;
       voiceLedChords.push(chord);
     } else {
-      let rootNote;
-      if (chord.root) {
-        rootNote = chord.root + '4';
-      } else {
-        const rootMatch = chord.symbol ? chord.symbol.match(/^[A-G][#b]?/) : null;
-        rootNote = rootMatch ? rootMatch[0] + '4' : 'C4';
-      }
-
-      let chordType;
-      if (chord.type) {
-        chordType = chord.type;
-      } else if (chord.symbol) {
-        chordType = 'maj';
-        if (chord.symbol.includes('m7')) {
-          chordType = 'min7';
-        } else if (chord.symbol.includes('maj7')) {
-          chordType = 'maj7';
-        } else if (chord.symbol.includes('7')) {
-          chordType = '7';
-        } else if (chord.symbol.includes('m')) {
-          chordType = 'min';
-        } else if (chord.symbol.includes('dim')) {
-          chordType = 'dim';
-        } else if (chord.symbol.includes('aug')) {
-          chordType = 'aug';
-        }
-      } else {
-        chordType = 'maj';
-      }
+      // Chord symbols carry the quality, extensions and slash bass that the type may leave out
+      const parsed = readChord(chord);
+      const rootNote = `${parsed ? parsed.root : 'C'}4`;
+      const chordType = parsed ? parsed.suffix : 'maj';
 
       // Find the closest voicing to the previous chord
       const possibleVoicings = generateChordVoicings(rootNote, chordType);
@@ -229,8 +231,11 @@ export const applyVoiceLeading = chords => {
         }
       });
 
-      // Use the best voicing
-      const voiceLedChord = { ...chord, notes: bestVoicing };
+      // Use the best voicing, with a slash bass underneath it
+      const notes = parsed?.bass
+        ? [placeBelow(parsed.bass, bestVoicing), ...bestVoicing]
+        : bestVoicing;
+      const voiceLedChord = { ...chord, notes };
       voiceLedChords.push(voiceLedChord);
       previousVoicing = bestVoicing;
     }
@@ -246,8 +251,7 @@ export const applyVoiceLeading = chords => {
  * @returns {number} - MIDI note number of the root
  */
 export const getSecondaryDominantRoot = (degree, key) => {
-  const notes = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
-  const keyIndex = notes.indexOf(key.split('/')[0]);
+  const keyIndex = getPitchClass(key.split('/')[0]);
 
   // Parse the secondary dominant notation (e.g., 'V/V')
   // We only need the target degree, the dominant is always V
@@ -0,0 +1,223 @@
+// Drum part generation for General MIDI percussion (channel 10)
+
+import { midiToNoteName } from './pitch';
+import { DEFAULT_TIME_SIGNATURE, getBeatsPerBar } from './timeSignature';
+
+// Zero-based MIDI channel 9 is channel 10, reserved for percussion in General MIDI
+export const DRUM_CHANNEL = 9;
+
+// General MIDI percussion key map
+export const gmDrumKit = {
+  kick: 36,
+  sideStick: 37,
+  snare: 38,
+  clap: 39,
+  lowFloorTom: 41,
+  closedHat: 42,
+  pedalHat: 44,
+  lowTom: 45,
+  openHat: 46,
+  midTom: 47,
+  crash: 49,
+  highTom: 50,
+  ride: 51,
+};
+
+// Velocity of each step character: X = accent, x = normal, o = ghost note
+const STEP_VELOCITIES = { X: 1.0, x: 0.8, o: 0.45 };
+
+// Patterns are step grids over `length` beats. Bars of other lengths repeat the pattern
+// from the start of the bar and cut it off at the barline.
+export const drumStyles = {
+  rock: {
+    name: 'Rock',
+    length: 4,
+    steps: 8,
+    hits: {
+      kick: 'X...x.x.',
+      snare: '..X...X.',
+      closedHat: 'xxxxxxxx',
+    },
+  },
+  'hip-hop': {
+    name: 'Hip-Hop',
+    length: 4,
+    steps: 16,
+    hits: {
+      kick: 'X......x..x.....',
+      snare: '....X.......X..o',
+      closedHat: 'x.x.x.x.x.x.x.x.',
+    },
+  },
+  bossa: {
+    name: 'Bossa Nova',
+    length: 4,
+    steps: 16,
+    hits: {
+      kick: 'X..xx..xX..xx..x',
+      sideStick: 'x..x..x...x..x..',
+      closedHat: 'oooooooooooooooo',
+    },
+  },
+  shuffle: {
+    name: 'Shuffle',
+    length: 4,
+    steps: 12,
+    hits: {
+      kick: 'X.....x.....',
+      snare: '...X.....X..',
+      closedHat: 'x.ox.ox.ox.o',
+    },
+  },
+  waltz: {
+    name: 'Waltz',
+    length: 3,
+    steps: 6,
+    hits: {
+      kick: 'X.....',
+      snare: '..o.o.',
+      closedHat: 'x.x.x.',
+    },
+  },
+};
+
+// How each section is played; choruses move from the hi-hat to the ride
+const sectionFeels = {
+  intro: { velocity: 0.8 },
+  verse: { velocity: 0.9 },
+  chorus: { velocity: 1.0, cymbal: 'ride' },
+  outro: { velocity: 0.85 },
+};
+
+// Toms used by fills, from high to low
+const FILL_DRUMS = ['snare', 'highTom', 'midTom', 'lowTom', 'lowFloorTom'];
+
+const CYMBALS = ['closedHat', 'openHat', 'ride'];
+
+const createDrumNote = (drum, startTime, velocity, duration = 0.25) => ({
+  pitch: midiToNoteName(gmDrumKit[drum]),
+  drum,
+  startTime,
+  duration,
+  velocity: Math.min(1, velocity),
+});
+
+/**
+ * Generate one bar of a drum style
+ * @param {Object} style - Entry of drumStyles
+ * @param {number} barStart - Start of the bar in beats
+ * @param {number} beatsPerBar - Length of the bar in beats
+ * @param {Object} feel - Section feel ({ velocity, cymbal })
+ * @returns {Array} - Drum notes
+ */
+const generatePatternBar = (style, barStart, beatsPerBar, feel) => {
+  const stepLength = style.length / style.steps;
+  const notes = [];
+
+  for (let offset = 0; offset < beatsPerBar; offset += style.length) {
+    Object.entries(style.hits).forEach(([drum, steps]) => {
+      const instrument = drum === 'closedHat' && feel.cymbal ? feel.cymbal : drum;
+
+      Array.from(steps).forEach((step, index) => {
+        const time = offset + index * stepLength;
+        if (!STEP_VELOCITIES[step] || time >= beatsPerBar - 1e-9) return;
+
+        notes.push(
+          createDrumNote(
+            instrument,
+            barStart + time,
+            STEP_VELOCITIES[step] * feel.velocity,
+            stepLength
+          )
+        );
+      });
+    });
+  }
+
+  return notes;
+};
+
+/**
+ * Generate a fill leading into the next section
+ * @param {string} styleName - Drum style (shuffle fills use triplets, the others 16ths)
+ * @param {number} fillStart - Start of the fill in beats
+ * @param {number} fillLength - Length of the fill in beats
+ * @returns {Array} - Drum notes
+ */
+export const generateFill = (styleName, fillStart, fillLength) => {
+  const hitsPerBeat = styleName === 'shuffle' ? 3 : 4;
+  const totalHits = Math.round(fillLength * hitsPerBeat);
+  const notes = [];
+
+  // Walk down the toms, getting louder towards the downbeat
+  for (let i = 0; i < totalHits; i++) {
+    const drum = FILL_DRUMS[Math.floor((i / totalHits) * FILL_DRUMS.length)];
+    notes.push(
+      createDrumNote(
+        drum,
+        fillStart + i / hitsPerBeat,
+        0.7 + (i / totalHits) * 0.3,
+        1 / hitsPerBeat
+      )
+    );
+  }
+
+  return notes;
+};
+
+/**
+ * Generate a drum part
+ * @param {Object} options - Drum options
+ * @param {string} options.style - Key of drumStyles
+ * @param {number} options.totalBeats - Length of the part in beats
+ * @param {string} options.timeSignature - Time signature
+ * @param {Array} options.sections - Array of { name, startTime } with start times in beats
+ * @param {boolean} options.fills - Play a fill into every new section
+ * @returns {Array} - Drum notes ({ pitch, drum, startTime, duration, velocity })
+ */
+export const generateDrumPart = ({
+  style = 'rock',
+  totalBeats,
+  timeSignature = DEFAULT_TIME_SIGNATURE,
+  sections = [],
+  fills = true,
+}) => {
+  const drumStyle = drumStyles[style];
+  if (!drumStyle) {
+    throw new Error(`Unknown drum style: ${style}`);
+  }
+
+  const beatsPerBar = getBeatsPerBar(timeSignature);
+  const bars = Math.ceil(totalBeats / beatsPerBar);
+  let notes = [];
+
+  for (let bar = 0; bar < bars; bar++) {
+    const barStart = bar * beatsPerBar;
+    const section = [...sections].reverse().find(s => s.startTime <= barStart);
+    const feel = sectionFeels[section?.name] || sectionFeels.verse;
+    notes.push(...generatePatternBar(drumStyle, barStart, beatsPerBar, feel));
+  }
+
+  // Fills take the last two beats before a section in long bars and the last beat in short ones
+  const fillLength = beatsPerBar >= 4 ? 2 : 1;
+
+  sections
+    .filter(section => section.startTime > 0)
+    .forEach(section => {
+      const fillStart = Math.max(0, section.startTime - fillLength);
+      const feel = sectionFeels[section.name] || sectionFeels.verse;
+
+      notes = notes.filter(
+        note =>
+          // Land on the new section with a crash in place of the first cymbal
+          !(note.startTime === section.startTime && CYMBALS.includes(note.drum)) &&
+          !(fills && note.startTime >= fillStart && note.startTime < section.startTime)
+      );
+      if (fills) {
+        notes.push(...generateFill(style, fillStart, section.startTime - fillStart));
+      }
+      notes.push(createDrumNote('crash', section.startTime, feel.velocity, 1));
+    });
+
+  return notes.sort((a, b) => a.startTime - b.startTime);
+};
@@ -0,0 +1,319 @@
+// Export service: a registry of named file formats and the one download path they all share.
+// Each format declares what it can export and the options it reads, so export screens can build
+// their format pickers and option controls from the registry.
+
+import { saveAs } from 'file-saver';
+import { createMIDIFile } from './simpleMidi';
+import { createMusicXML } from './musicXml';
+import { createLilyPond } from './lilypond';
+import { createABC } from './abcNotation';
+import { createKaraokeFile } from './karaoke';
+import { createStemsZip } from './stems';
+import { renderWAV, wavBitDepths } from './audioRender';
+import { DEFAULT_TICKS_PER_BEAT, ticksPerBeatOptions } from './midiWriter';
+import { applyExportOptions, getCompositionTracks } from './tracks';
+
+// Kinds of data an export screen can hand over
+const ALL_TYPES = ['melody', 'chord', 'composition'];
+
+// Options shared by the formats that read them
+const midiFormatOption = {
+  id: 'midiFormat',
+  label: 'MIDI File Type',
+  default: 1, // Format 0 merges every track for devices that only read single-track files
+  choices: [
+    { value: 1, label: 'Format 1 (multi-track)' },
+    { value: 0, label: 'Format 0 (single track)' },
+  ],
+};
+
+const ticksPerBeatOption = {
+  id: 'ticksPerBeat',
+  label: 'Resolution (PPQ)',
+  default: DEFAULT_TICKS_PER_BEAT,
+  choices: ticksPerBeatOptions.map(ppq => ({ value: ppq, label: `${ppq}` })),
+};
+
+const bitDepthOption = {
+  id: 'bitDepth',
+  label: 'WAV Bit Depth',
+  default: 16,
+  choices: wavBitDepths.map(bitDepth => ({ value: bitDepth, label: `${bitDepth}-bit` })),
+};
+
+const registry = new Map();
+
+/**
+ * Add a format to the registry
+ * @param {Object} format - Format description
+ * @param {string} format.id - Registry key, e.g. 'midi'
+ * @param {string} format.name - Name shown to users
+ * @param {string} format.extension - File extension without the dot
+ * @param {string} format.mimeType - MIME type of the file
+ * @param {string} [format.suffix] - Added to the file name before the extension
+ * @param {Object} format.capabilities - { types, tracks, notation, audio, lyrics }: the data
+ *   types it exports and whether it keeps separate tracks, writes notation, renders audio or
+ *   carries lyrics
+ * @param {Array} [format.options] - Options it reads, as { id, label, default, choices }
+ * @param {Function} [format.isAvailable] - (melodyData, chordData) => whether there is anything
+ *   to export in this format
+ * @param {Function} format.create - (melodyData, chordData, options, fileName) => file data as
+ *   a string, Uint8Array or Blob, or a promise of one
+ * @returns {Object} - The registered format
+ * @throws {Error} - When the format is incomplete or its id is taken
+ */
+export const registerExporter = format => {
+  if (!format?.id || typeof format.create !== 'function') {
+    throw new Error('Export formats need an id and a create function');
+  }
+  if (registry.has(format.id)) {
+    throw new Error(`Export format already registered: ${format.id}`);
+  }
+
+  const registered = {
+    options: [],
+    isAvailable: () => true,
+    ...format,
+    capabilities: { types: ALL_TYPES, ...format.capabilities },
+  };
+  registry.set(format.id, registered);
+  return registered;
+};
+
+/**
+ * Look up a registered format
+ * @param {string} id - Format id
+ * @returns {Object} - Format
+ * @throws {Error} - When no format has the id
+ */
+export const getExporter = id => {
+  const format = registry.get(id);
+  if (!format) {
+    throw new Error(`Unknown export format: ${id}`);
+  }
+  return format;
+};
+
+/**
+ * Registered formats in registration order, optionally only those that can export some data
+ * @param {Object} filter - Filter
+ * @param {string} [filter.type] - 'melody', 'chord' or 'composition'
+ * @param {Object} [filter.melodyData] - Melody data, checked with each format's isAvailable
+ * @param {Object} [filter.chordData] - Chord progression data
+ * @returns {Array} - Formats
+ */
+export const getExporters = ({ type, melodyData, chordData } = {}) =>
+  [...registry.values()].filter(
+    format =>
+      (!type || format.capabilities.types.includes(type)) &&
+      (!(melodyData || chordData) || format.isAvailable(melodyData, chordData))
+  );
+
+/**
+ * The options read by some formats, each once
+ * @param {Array} formats - Formats, all registered ones when omitted
+ * @returns {Array} - Options as { id, label, default, choices }
+ */
+export const getExporterOptions = (formats = getExporters()) => {
+  const options = new Map();
+  formats.forEach(format => format.options.forEach(option => options.set(option.id, option)));
+  return [...options.values()];
+};
+
+/**
+ * Default value of every option the registered formats read
+ * @returns {Object} - Option values by id
+ */
+export const getDefaultExporterOptions = () =>
+  Object.fromEntries(getExporterOptions().map(option => [option.id, option.default]));
+
+/**
+ * Melody and chord data of what an export screen exports
+ * @param {Object} data - Melody, chord progression or composition data
+ * @param {string} type - 'melody', 'chord' or 'composition'
+ * @returns {Object} - { melodyData, chordData }, null for the parts the data does not have
+ */
+export const getExportData = (data, type) => {
+  if (!data) return { melodyData: null, chordData: null };
+  if (type === 'composition') return { melodyData: data.melody, chordData: data.chord };
+  return type === 'chord'
+    ? { melodyData: null, chordData: data }
+    : { melodyData: data, chordData: null };
+};
+
+/**
+ * Options the formats are given for what an export screen exports: the values picked on the
+ * screen, with the parts the data type does not have switched off and the drums, bass, key and
+ * tracks of a composition. Every download and save builds its options here.
+ * @param {Object} data - Melody, chord progression or composition data
+ * @param {string} type - 'melody', 'chord' or 'composition'
+ * @param {Object} exportOptions - Option values picked on the screen
+ * @returns {Object} - Export options
+ */
+export const getExportOptions = (data, type, exportOptions = {}) => {
+  const isComposition = type === 'composition';
+  return {
+    ...exportOptions,
+    includeMelody: (type === 'melody' || isComposition) && exportOptions.includeMelody,
+    includeChords: (type === 'chord' || isComposition) && exportOptions.includeChords,
+    includeBass: isComposition && exportOptions.includeBass,
+    includeDrums: isComposition && exportOptions.includeDrums,
+    drumData: isComposition ? data.drums : null,
+    bassData: isComposition ? data.bass : null,
+    // Compositions keep the key on the composition rather than on the melody or chords
+    key: isComposition ? data.key : undefined,
+    // Every track of a composition, including extra parts such as a counter-melody or pad
+    tracks: isComposition
+      ? applyExportOptions(getCompositionTracks(data), exportOptions)
+      : undefined,
+  };
+};
+
+/**
+ * File name a format downloads as
+ * @param {string} id - Format id
+ * @param {string} fileName - File name without extension
+ * @returns {string} - File name with the format's suffix and extension
+ */
+export const getExportFileName = (id, fileName) => {
+  const { suffix = '', extension } = getExporter(id);
+  return `${fileName}${suffix}.${extension}`;
+};
+
+/**
+ * Create a file in a registered format
+ * @param {string} id - Format id
+ * @param {Object} melodyData - Melody data
+ * @param {Object} chordData - Chord progression data
+ * @param {Object} options - Export options
+ * @param {string} fileName - File name without extension, used as a title by some formats
+ * @returns {Promise<string|Uint8Array|Blob>} - File data
+ * @throws {Error} - When the format is unknown or has nothing to export
+ */
+export const createExport = async (
+  id,
+  melodyData,
+  chordData,
+  options = {},
+  fileName = 'untitled'
+) => {
+  const format = getExporter(id);
+  if (!format.isAvailable(melodyData, chordData)) {
+    throw new Error(`Nothing to export as ${format.name}`);
+  }
+  return format.create(melodyData, chordData, options, fileName);
+};
+
+/**
+ * Export in a registered format and download the file
+ * @param {string} id - Format id
+ * @param {Object} melodyData - Melody data
+ * @param {Object} chordData - Chord progression data
+ * @param {string} fileName - File name without extension
+ * @param {Object} options - Export options
+ * @returns {Promise<boolean>} - Whether the export was successful
+ */
+export const exportAndDownload = async (id, melodyData, chordData, fileName, options = {}) => {
+  try {
+    if (!melodyData && !chordData) {
+      console.error('No data to export');
+      return false;
+    }
+
+    const { mimeType } = getExporter(id);
+    const data = await createExport(id, melodyData, chordData, options, fileName);
+    const blob = data instanceof Blob ? data : new Blob([data], { type: mimeType });
+    saveAs(blob, getExportFileName(id, fileName));
+
+    return true;
+  } catch (error) {
+    console.error(`Error exporting ${id}:`, error);
+    return false;
+  }
+};
+
+registerExporter({
+  id: 'midi',
+  name: 'MIDI',
+  extension: 'mid',
+  mimeType: 'audio/midi',
+  capabilities: { tracks: true },
+  options: [midiFormatOption, ticksPerBeatOption],
+  create: (melodyData, chordData, options) => createMIDIFile(melodyData, chordData, options),
+});
+
+registerExporter({
+  id: 'musicxml',
+  name: 'MusicXML',
+  extension: 'musicxml',
+  mimeType: 'application/vnd.recordare.musicxml+xml',
+  capabilities: { tracks: true, notation: true },
+  create: (melodyData, chordData, options, fileName) =>
+    createMusicXML(melodyData, chordData, { title: fileName, ...options }),
+});
+
+registerExporter({
+  id: 'lilypond',
+  name: 'LilyPond',
+  extension: 'ly',
+  mimeType: 'text/x-lilypond',
+  capabilities: { tracks: true, notation: true },
+  create: (melodyData, chordData, options, fileName) =>
+    createLilyPond(melodyData, chordData, { title: fileName, ...options }),
+});
+
+registerExporter({
+  id: 'abc',
+  name: 'ABC',
+  extension: 'abc',
+  mimeType: 'text/vnd.abc',
+  capabilities: { types: ['melody', 'composition'], tracks: true, notation: true },
+  isAvailable: melodyData => melodyData?.notes?.length > 0,
+  create: (melodyData, chordData, options, fileName) =>
+    createABC(melodyData, chordData, { ...options, title: melodyData.title || fileName }),
+});
+
+registerExporter({
+  id: 'stems',
+  name: 'Stems zip',
+  extension: 'zip',
+  suffix: '-stems',
+  mimeType: 'application/zip',
+  capabilities: { tracks: true },
+  options: [midiFormatOption, ticksPerBeatOption],
+  create: (melodyData, chordData, options, fileName) =>
+    createStemsZip(melodyData, chordData, { name: fileName, ...options }),
+});
+
+registerExporter({
+  id: 'karaoke',
+  name: 'Karaoke',
+  extension: 'kar',
+  mimeType: 'audio/midi',
+  capabilities: { types: ['melody', 'composition'], tracks: true, lyrics: true },
+  options: [ticksPerBeatOption],
+  isAvailable: melodyData => Boolean(melodyData?.lyricsText?.trim()),
+  create: (melodyData, chordData, options, fileName) =>
+    createKaraokeFile(melodyData, chordData, { title: melodyData.title || fileName, ...options }),
+});
+
+registerExporter({
+  id: 'wav',
+  name: 'WAV',
+  extension: 'wav',
+  mimeType: 'audio/wav',
+  capabilities: { audio: true },
+  options: [bitDepthOption],
+  create: (melodyData, chordData, options) => renderWAV(melodyData, chordData, options),
+});
+
+// The data itself, for backups and for reloading into other tools
+registerExporter({
+  id: 'json',
+  name: 'JSON',
+  extension: 'json',
+  mimeType: 'application/json',
+  capabilities: { tracks: true },
+  create: (melodyData, chordData, options) =>
+    JSON.stringify({ melody: melodyData, chord: chordData, tracks: options.tracks }, null, 2),
+});
@@ -1,31 +1,16 @@
-import { exportAndDownloadMIDI as jzzExportAndDownloadMIDI } from '../jzzMidi.js';
-import { exportAndDownloadMIDI as simpleMidiExportAndDownloadMIDI } from '../simpleMidi';
+import { exportAndDownload } from '../exporters';
 import { generateAndSaveMidiFile } from '../../controllers/MidiFileController';
 
-export const exportAndDownloadMIDI = async (melodyData, chordData, fileName, options = {}) => {
-  try {
-    if (!melodyData && !chordData) {
-      console.error('No data to export');
-      return false;
-    }
-
-    try {
-      const success = await jzzExportAndDownloadMIDI(melodyData, chordData, fileName, options);
-      if (success) {
-        return true;
-      }
-
-      console.warn('JZZ MIDI export failed, falling back to simpleMidi');
-      return await simpleMidiExportAndDownloadMIDI(melodyData, chordData, fileName, options);
-    } catch (error) {
-      console.error('Error in JZZ MIDI export, falling back to simpleMidi:', error);
-      return await simpleMidiExportAndDownloadMIDI(melodyData, chordData, fileName, options);
-    }
-  } catch (error) {
-    console.error('Error exporting MIDI:', error);
-    return false;
-  }
-};
+/**
+ * Export a MIDI file and download it, through the export service's MIDI format
+ * @param {Object} melodyData - Melody data
+ * @param {Object} chordData - Chord progression data
+ * @param {string} fileName - File name
+ * @param {Object} options - Export options
+ * @returns {Promise<boolean>} - Whether the export was successful
+ */
+export const exportAndDownloadMIDI = (melodyData, chordData, fileName, options = {}) =>
+  exportAndDownload('midi', melodyData, chordData, fileName, options);
 
 /**
  * Export MIDI file and save it to Firebase
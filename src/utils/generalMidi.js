@@ -0,0 +1,311 @@
+// General MIDI instrument table shared by the instrument selectors, the SoundFont loader and the
+// exporters, so the instrument picked for playback is the one written to a MIDI file
+//
+// Each instrument has
+//   { id, name, family, program, bankMsb, bankLsb, soundfont }
+// where id is the value stored on tracks and in the selectors, and soundfont is the
+// MusyngKite instrument that plays it. GM2 variations play the SoundFont of their GM1 sound.
+
+// Bank select MSB (CC0) of the GM2 melodic and percussion banks. The bank select LSB (CC32)
+// picks the variation, 0 being the GM1 sound.
+export const GM2_MELODIC_BANK = 121;
+export const GM2_PERCUSSION_BANK = 120;
+
+// The 16 instrument families of General MIDI, 8 programs each
+export const instrumentFamilies = [
+  'Piano',
+  'Chromatic Percussion',
+  'Organ',
+  'Guitar',
+  'Bass',
+  'Strings',
+  'Ensemble',
+  'Brass',
+  'Reed',
+  'Pipe',
+  'Synth Lead',
+  'Synth Pad',
+  'Synth Effects',
+  'Ethnic',
+  'Percussive',
+  'Sound Effects',
+];
+
+// GM1 sounds by program number: SoundFont instrument name and display name
+const gm1Sounds = [
+  ['acoustic_grand_piano', 'Acoustic Grand Piano'],
+  ['bright_acoustic_piano', 'Bright Acoustic Piano'],
+  ['electric_grand_piano', 'Electric Grand Piano'],
+  ['honkytonk_piano', 'Honky-tonk Piano'],
+  ['electric_piano_1', 'Electric Piano 1'],
+  ['electric_piano_2', 'Electric Piano 2'],
+  ['harpsichord', 'Harpsichord'],
+  ['clavinet', 'Clavinet'],
+  ['celesta', 'Celesta'],
+  ['glockenspiel', 'Glockenspiel'],
+  ['music_box', 'Music Box'],
+  ['vibraphone', 'Vibraphone'],
+  ['marimba', 'Marimba'],
+  ['xylophone', 'Xylophone'],
+  ['tubular_bells', 'Tubular Bells'],
+  ['dulcimer', 'Dulcimer'],
+  ['drawbar_organ', 'Drawbar Organ'],
+  ['percussive_organ', 'Percussive Organ'],
+  ['rock_organ', 'Rock Organ'],
+  ['church_organ', 'Church Organ'],
+  ['reed_organ', 'Reed Organ'],
+  ['accordion', 'Accordion'],
+  ['harmonica', 'Harmonica'],
+  ['tango_accordion', 'Tango Accordion'],
+  ['acoustic_guitar_nylon', 'Acoustic Guitar (nylon)'],
+  ['acoustic_guitar_steel', 'Acoustic Guitar (steel)'],
+  ['electric_guitar_jazz', 'Electric Guitar (jazz)'],
+  ['electric_guitar_clean', 'Electric Guitar (clean)'],
+  ['electric_guitar_muted', 'Electric Guitar (muted)'],
+  ['overdriven_guitar', 'Overdriven Guitar'],
+  ['distortion_guitar', 'Distortion Guitar'],
+  ['guitar_harmonics', 'Guitar Harmonics'],
+  ['acoustic_bass', 'Acoustic Bass'],
+  ['electric_bass_finger', 'Electric Bass (finger)'],
+  ['electric_bass_pick', 'Electric Bass (pick)'],
+  ['fretless_bass', 'Fretless Bass'],
+  ['slap_bass_1', 'Slap Bass 1'],
+  ['slap_bass_2', 'Slap Bass 2'],
+  ['synth_bass_1', 'Synth Bass 1'],
+  ['synth_bass_2', 'Synth Bass 2'],
+  ['violin', 'Violin'],
+  ['viola', 'Viola'],
+  ['cello', 'Cello'],
+  ['contrabass', 'Contrabass'],
+  ['tremolo_strings', 'Tremolo Strings'],
+  ['pizzicato_strings', 'Pizzicato Strings'],
+  ['orchestral_harp', 'Orchestral Harp'],
+  ['timpani', 'Timpani'],
+  ['string_ensemble_1', 'String Ensemble 1'],
+  ['string_ensemble_2', 'String Ensemble 2'],
+  ['synth_strings_1', 'Synth Strings 1'],
+  ['synth_strings_2', 'Synth Strings 2'],
+  ['choir_aahs', 'Choir Aahs'],
+  ['voice_oohs', 'Voice Oohs'],
+  ['synth_choir', 'Synth Voice'],
+  ['orchestra_hit', 'Orchestra Hit'],
+  ['trumpet', 'Trumpet'],
+  ['trombone', 'Trombone'],
+  ['tuba', 'Tuba'],
+  ['muted_trumpet', 'Muted Trumpet'],
+  ['french_horn', 'French Horn'],
+  ['brass_section', 'Brass Section'],
+  ['synth_brass_1', 'Synth Brass 1'],
+  ['synth_brass_2', 'Synth Brass 2'],
+  ['soprano_sax', 'Soprano Sax'],
+  ['alto_sax', 'Alto Sax'],
+  ['tenor_sax', 'Tenor Sax'],
+  ['baritone_sax', 'Baritone Sax'],
+  ['oboe', 'Oboe'],
+  ['english_horn', 'English Horn'],
+  ['bassoon', 'Bassoon'],
+  ['clarinet', 'Clarinet'],
+  ['piccolo', 'Piccolo'],
+  ['flute', 'Flute'],
+  ['recorder', 'Recorder'],
+  ['pan_flute', 'Pan Flute'],
+  ['blown_bottle', 'Blown Bottle'],
+  ['shakuhachi', 'Shakuhachi'],
+  ['whistle', 'Whistle'],
+  ['ocarina', 'Ocarina'],
+  ['lead_1_square', 'Lead 1 (square)'],
+  ['lead_2_sawtooth', 'Lead 2 (sawtooth)'],
+  ['lead_3_calliope', 'Lead 3 (calliope)'],
+  ['lead_4_chiff', 'Lead 4 (chiff)'],
+  ['lead_5_charang', 'Lead 5 (charang)'],
+  ['lead_6_voice', 'Lead 6 (voice)'],
+  ['lead_7_fifths', 'Lead 7 (fifths)'],
+  ['lead_8_bass_lead', 'Lead 8 (bass + lead)'],
+  ['pad_1_new_age', 'Pad 1 (new age)'],
+  ['pad_2_warm', 'Pad 2 (warm)'],
+  ['pad_3_polysynth', 'Pad 3 (polysynth)'],
+  ['pad_4_choir', 'Pad 4 (choir)'],
+  ['pad_5_bowed', 'Pad 5 (bowed)'],
+  ['pad_6_metallic', 'Pad 6 (metallic)'],
+  ['pad_7_halo', 'Pad 7 (halo)'],
+  ['pad_8_sweep', 'Pad 8 (sweep)'],
+  ['fx_1_rain', 'FX 1 (rain)'],
+  ['fx_2_soundtrack', 'FX 2 (soundtrack)'],
+  ['fx_3_crystal', 'FX 3 (crystal)'],
+  ['fx_4_atmosphere', 'FX 4 (atmosphere)'],
+  ['fx_5_brightness', 'FX 5 (brightness)'],
+  ['fx_6_goblins', 'FX 6 (goblins)'],
+  ['fx_7_echoes', 'FX 7 (echoes)'],
+  ['fx_8_sci_fi', 'FX 8 (sci-fi)'],
+  ['sitar', 'Sitar'],
+  ['banjo', 'Banjo'],
+  ['shamisen', 'Shamisen'],
+  ['koto', 'Koto'],
+  ['kalimba', 'Kalimba'],
+  ['bagpipe', 'Bagpipe'],
+  ['fiddle', 'Fiddle'],
+  ['shanai', 'Shanai'],
+  ['tinkle_bell', 'Tinkle Bell'],
+  ['agogo', 'Agogo'],
+  ['steel_drums', 'Steel Drums'],
+  ['woodblock', 'Woodblock'],
+  ['taiko_drum', 'Taiko Drum'],
+  ['melodic_tom', 'Melodic Tom'],
+  ['synth_drum', 'Synth Drum'],
+  ['reverse_cymbal', 'Reverse Cymbal'],
+  ['guitar_fret_noise', 'Guitar Fret Noise'],
+  ['breath_noise', 'Breath Noise'],
+  ['seashore', 'Seashore'],
+  ['bird_tweet', 'Bird Tweet'],
+  ['telephone_ring', 'Telephone Ring'],
+  ['helicopter', 'Helicopter'],
+  ['applause', 'Applause'],
+  ['gunshot', 'Gunshot'],
+];
+
+// GM2 variation sounds by program number, in bank select LSB order starting at 1
+const gm2Variations = {
+  0: ['Wide Acoustic Grand', 'Dark Acoustic Grand'],
+  1: ['Wide Bright Acoustic'],
+  2: ['Wide Electric Grand'],
+  3: ['Wide Honky-tonk'],
+  4: ['Detuned Electric Piano 1', 'Electric Piano 1 Variation', "60's Electric Piano"],
+  5: [
+    'Detuned Electric Piano 2',
+    'Electric Piano 2 Variation',
+    'Electric Piano Legend',
+    'Electric Piano Phase',
+  ],
+  6: ['Coupled Harpsichord', 'Wide Harpsichord', 'Open Harpsichord'],
+  7: ['Pulse Clavinet'],
+  11: ['Wet Vibraphone'],
+  12: ['Wide Marimba'],
+  14: ['Church Bell', 'Carillon'],
+  16: ['Detuned Drawbar Organ', "Italian 60's Organ", 'Drawbar Organ 2'],
+  17: ['Detuned Percussive Organ', 'Percussive Organ 2'],
+  19: ['Church Organ (octave mix)', 'Detuned Church Organ'],
+  20: ['Puff Organ'],
+  21: ['Accordion 2'],
+  24: ['Ukulele', 'Open Nylon Guitar', 'Nylon Guitar 2'],
+  25: ['12-String Guitar', 'Mandolin', 'Steel Guitar with Body Sound'],
+  26: ['Pedal Steel Guitar'],
+  27: ['Detuned Clean Electric Guitar', 'Mid Tone Guitar'],
+  28: ['Funk Guitar', 'Funk Guitar 2', 'Jazz Man'],
+  29: ['Guitar Pinch'],
+  30: ['Feedback Distortion Guitar', 'Distortion Rhythm Guitar'],
+  31: ['Guitar Feedback'],
+  33: ['Finger Slap'],
+  38: ['Synth Bass 101', 'Synth Bass 3 (resonance)', 'Clavi Bass', 'Hammer'],
+  39: ['Synth Bass 4 (attack)', 'Synth Bass (rubber)', 'Attack Pulse'],
+  40: ['Slow Violin'],
+  46: ['Yang Chin'],
+  48: ['Strings and Brass', "60's Strings"],
+  50: ['Synth Strings 3'],
+  52: ['Choir Aahs 2'],
+  53: ['Humming'],
+  54: ['Analog Voice'],
+  55: ['Bass Hit Plus', '6th Hit', 'Euro Hit'],
+  56: ['Dark Trumpet Soft'],
+  57: ['Trombone 2', 'Bright Trombone'],
+  59: ['Muted Trumpet 2'],
+  60: ['French Horn 2 (warm)'],
+  61: ['Brass Section 2 (octave mix)'],
+  62: ['Synth Brass 3', 'Analog Synth Brass 1', 'Jump Brass'],
+  63: ['Synth Brass 4', 'Analog Synth Brass 2'],
+  80: ['Square Wave', 'Sine Wave'],
+  81: ['Saw Wave', 'Doctor Solo', 'Natural Lead', 'Sequenced Saw'],
+  84: ['Wire Lead'],
+  87: ['Delayed Lead'],
+  89: ['Sine Pad'],
+  91: ['Itopia'],
+  98: ['Synth Mallet'],
+  102: ['Echo Bell', 'Echo Pan'],
+  104: ['Sitar 2'],
+  107: ['Taisho Koto'],
+  115: ['Castanets'],
+  116: ['Concert Bass Drum'],
+  117: ['Melodic Tom 2 (power)'],
+  118: ['Rhythm Box Tom', 'Electric Drum'],
+  120: ['Guitar Cutting Noise', 'Acoustic Bass String Slap'],
+  121: ['Flute Key Click'],
+  122: ['Rain', 'Thunder', 'Wind', 'Stream', 'Bubble'],
+  123: ['Dog', 'Horse Gallop', 'Bird Tweet 2'],
+  124: ['Telephone Ring 2', 'Door Creaking', 'Door', 'Scratch', 'Wind Chime'],
+  125: [
+    'Car Engine',
+    'Car Stop',
+    'Car Pass',
+    'Car Crash',
+    'Siren',
+    'Train',
+    'Jetplane',
+    'Starship',
+    'Burst Noise',
+  ],
+  126: ['Laughing', 'Screaming', 'Punch', 'Heart Beat', 'Footsteps'],
+  127: ['Machine Gun', 'Lasergun', 'Explosion'],
+};
+
+// Id of a GM2 variation, e.g. "60's Electric Piano" becomes '60s_electric_piano'
+const toInstrumentId = name =>
+  name
+    .toLowerCase()
+    .replace(/'/g, '')
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_|_$/g, '');
+
+// Every instrument, each GM1 sound followed by its GM2 variations
+export const generalMidiInstruments = gm1Sounds.flatMap(([soundfont, name], program) => {
+  const family = instrumentFamilies[Math.floor(program / 8)];
+  return [
+    { id: soundfont, name, family, program, bankMsb: GM2_MELODIC_BANK, bankLsb: 0, soundfont },
+    ...(gm2Variations[program] || []).map((variation, index) => ({
+      id: toInstrumentId(variation),
+      name: variation,
+      family,
+      program,
+      bankMsb: GM2_MELODIC_BANK,
+      bankLsb: index + 1,
+      soundfont,
+    })),
+  ];
+});
+
+const instrumentsById = Object.fromEntries(
+  generalMidiInstruments.map(instrument => [instrument.id, instrument])
+);
+
+/**
+ * Look up an instrument by id, or by GM1 program number
+ * @param {string|number} instrument - Instrument id or program number (0-127)
+ * @returns {Object|undefined} - Instrument, undefined when unknown
+ */
+export const getInstrument = instrument =>
+  typeof instrument === 'number' ? getInstrumentByProgram(instrument) : instrumentsById[instrument];
+
+/**
+ * Look up an instrument by program and bank. Banks other than the GM2 melodic bank, and
+ * variations that do not exist, give the GM1 sound of the program, as a GM2 device would.
+ * @param {number} program - Program number (0-127)
+ * @param {number} [bankMsb] - Bank select MSB (CC0)
+ * @param {number} [bankLsb] - Bank select LSB (CC32)
+ * @returns {Object} - Instrument, the piano for programs out of range
+ */
+export const getInstrumentByProgram = (program, bankMsb = GM2_MELODIC_BANK, bankLsb = 0) => {
+  const sounds = generalMidiInstruments.filter(instrument => instrument.program === program);
+  if (sounds.length === 0) return generalMidiInstruments[0];
+
+  return (
+    (bankMsb === GM2_MELODIC_BANK && sounds.find(sound => sound.bankLsb === bankLsb)) || sounds[0]
+  );
+};
+
+/**
+ * Instruments grouped by family, in program order, for instrument pickers
+ * @returns {Array} - Array of { family, instruments }
+ */
+export const getInstrumentsByFamily = () =>
+  instrumentFamilies.map(family => ({
+    family,
+    instruments: generalMidiInstruments.filter(instrument => instrument.family === family),
+  }));
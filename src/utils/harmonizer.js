@@ -0,0 +1,256 @@
+// Melody harmonizer: chooses a chord progression for a melody that has none, from the chords of
+// its key and chords borrowed from the parallel key
+
+import { extendedChordTypes, generateChord } from './chords';
+import { formatChordSymbol } from './chordSymbols';
+import { getPitchClass, stripOctave } from './pitch';
+import { getScale, parseScaleName } from './scales';
+import {
+  getBeatsPerBar,
+  getPulseLength,
+  isCompoundTimeSignature,
+  DEFAULT_TIME_SIGNATURE,
+} from './timeSignature';
+
+const MAJOR_SCALE = [0, 2, 4, 5, 7, 9, 11];
+const NUMERALS = ['I', 'II', 'III', 'IV', 'V', 'VI', 'VII'];
+
+// Chord types that can be built by stacking thirds on a scale degree
+const TRIAD_TYPES = ['maj', 'min', 'dim', 'aug'];
+const SEVENTH_TYPES = ['7', 'maj7', 'min7', 'dim7', 'hdim7', 'aug7', 'augmaj7'];
+
+// Weights of the parts of a chord's score. Coverage, the share of the melody the chord holds as
+// chord tones, runs from 0 to 1 and outweighs the rest
+const BORROWED_PENALTY = 0.2;
+const PRIMARY_BONUS = 0.05;
+const OPENING_TONIC_BONUS = 0.2;
+const FINAL_TONIC_BONUS = 0.5;
+const AUTHENTIC_CADENCE_BONUS = 0.3;
+const PLAGAL_CADENCE_BONUS = 0.15;
+const REPEAT_PENALTY = 0.15;
+const FIFTH_MOTION_BONUS = 0.05;
+
+const isClose = (a, b) => Math.abs(a - b) < 1e-6;
+const isMultiple = (value, length) => isClose(value, Math.round(value / length) * length);
+
+/**
+ * Metric weight of a time in the bar: 1 on the downbeat, 0.75 on the middle of a bar that splits
+ * into two equal halves, 0.5 on other beats and 0.25 between them
+ * @param {number} time - Time in beats
+ * @param {string} timeSignature - Time signature
+ * @returns {number} - Beat strength
+ */
+export const getBeatStrength = (time, timeSignature = DEFAULT_TIME_SIGNATURE) => {
+  const beatsPerBar = getBeatsPerBar(timeSignature);
+  // Compound meters are counted in dotted quarters
+  const beat = isCompoundTimeSignature(timeSignature) ? 1.5 : getPulseLength(timeSignature);
+  const position = time - Math.floor(time / beatsPerBar + 1e-9) * beatsPerBar;
+
+  if (isClose(position, 0) || isClose(position, beatsPerBar)) return 1;
+  if (isMultiple(beatsPerBar / 2, beat) && isClose(position, beatsPerBar / 2)) return 0.75;
+  if (isMultiple(position, beat)) return 0.5;
+  return 0.25;
+};
+
+// Chord type of a stack of intervals, when extendedChordTypes has one
+const findChordType = (intervals, types) =>
+  types.find(type => extendedChordTypes[type].every((interval, i) => interval === intervals[i])) ||
+  null;
+
+// The chords of a seven-note scale, one on each degree, spelled for the scale
+const getScaleChords = (tonic, scaleType, useSevenths, borrowed) => {
+  const { intervals } = parseScaleName(`${tonic} ${scaleType}`);
+  const roots = getScale(`${tonic} ${scaleType}`).map(stripOctave);
+
+  return intervals.map((interval, degree) => {
+    const stacked = [0, 2, 4, 6].map(step => {
+      const index = degree + step;
+      return intervals[index % 7] + Math.floor(index / 7) * 12 - interval;
+    });
+    const type =
+      (useSevenths && findChordType(stacked, SEVENTH_TYPES)) ||
+      findChordType(stacked.slice(0, 3), TRIAD_TYPES);
+    if (!type) return null;
+
+    const chordIntervals = extendedChordTypes[type];
+    // Numerals count from the major scale, so chords on lowered degrees read bVI, bVII
+    const accidental = { '-1': 'b', 1: '#' }[interval - MAJOR_SCALE[degree]] || '';
+    const numeral = chordIntervals[1] === 3 ? NUMERALS[degree].toLowerCase() : NUMERALS[degree];
+    const quality = { dim: '°', dim7: '°7', hdim7: 'ø7', aug: '+', aug7: '+7', augmaj7: '+maj7' };
+    const suffix = quality[type] ?? (chordIntervals.length > 3 ? type.replace('min', '') : '');
+
+    return {
+      root: roots[degree],
+      type,
+      degree: `${accidental}${numeral}${suffix}`,
+      interval,
+      pitchClasses: chordIntervals.map(step => (getPitchClass(roots[degree]) + step) % 12),
+      borrowed,
+    };
+  });
+};
+
+/**
+ * Chords the harmonizer chooses from: those of the key, then those of its parallel keys that
+ * the key does not have (the minor key's iv, bVI and bVII in a major key; the major key's chords
+ * and the harmonic minor V and vii° in a minor key)
+ * @param {string} key - Key (e.g., 'C major', 'A minor', 'D Dorian')
+ * @param {Object} options - Options
+ * @param {boolean} [options.useSevenths] - Use seventh chords where extendedChordTypes has them
+ * @param {boolean} [options.useBorrowedChords] - Include chords from the parallel keys
+ * @returns {Object[]} - { root, type, degree, interval, pitchClasses, borrowed }
+ * @throws {Error} - When the key is not a seven-note scale
+ */
+export const getHarmonizerChords = (
+  key,
+  { useSevenths = false, useBorrowedChords = true } = {}
+) => {
+  const { tonic, type, intervals } = parseScaleName(key);
+  if (intervals.length !== 7) {
+    throw new Error(`Cannot harmonize in ${key}`);
+  }
+
+  const parallelScales = intervals[2] === 3 ? ['Harmonic Minor', 'Major'] : ['Minor'];
+  const sources = [
+    getScaleChords(tonic, type, useSevenths, false),
+    ...(useBorrowedChords
+      ? parallelScales.map(scale => getScaleChords(tonic, scale, useSevenths, true))
+      : []),
+  ];
+
+  const chords = [];
+  sources
+    .flat()
+    .filter(Boolean)
+    .forEach(chord => {
+      const known = chords.some(
+        other =>
+          getPitchClass(other.root) === getPitchClass(chord.root) && other.type === chord.type
+      );
+      if (!known) chords.push(chord);
+    });
+  return chords;
+};
+
+const isTonic = chord => chord.interval === 0;
+const isDominant = chord =>
+  (chord.interval === 7 && extendedChordTypes[chord.type][1] === 4) || chord.interval === 11;
+const isSubdominant = chord => chord.interval === 5;
+
+// Score of a chord over one stretch of the melody
+const scoreChord = (chord, notes, index, count) => {
+  let total = 0;
+  let covered = 0;
+  notes.forEach(({ pitchClass, weight }) => {
+    total += weight;
+    if (chord.pitchClasses.includes(pitchClass)) covered += weight;
+  });
+
+  let score = total > 0 ? covered / total : 0;
+  if (chord.borrowed) score -= BORROWED_PENALTY;
+  if (isTonic(chord) || isDominant(chord) || isSubdominant(chord)) score += PRIMARY_BONUS;
+  if (index === 0 && isTonic(chord)) score += OPENING_TONIC_BONUS;
+  if (index === count - 1 && isTonic(chord) && !chord.borrowed) score += FINAL_TONIC_BONUS;
+  return score;
+};
+
+// Score of moving from one chord to the next, with the cadence at the end of the melody
+const scoreMove = (previous, chord, isLast) => {
+  let score = 0;
+  if (previous === chord) score -= REPEAT_PENALTY;
+  if ((chord.pitchClasses[0] - previous.pitchClasses[0] + 12) % 12 === 5) {
+    score += FIFTH_MOTION_BONUS;
+  }
+  if (isLast && isTonic(chord)) {
+    if (isDominant(previous)) score += AUTHENTIC_CADENCE_BONUS;
+    else if (isSubdominant(previous)) score += PLAGAL_CADENCE_BONUS;
+  }
+  return score;
+};
+
+/**
+ * Choose a chord progression for a melody. Each chord is scored on how much of the melody under
+ * it is chord tones, counting notes on strong beats and long notes most, and the progression as
+ * a whole on its cadence, so the best-scoring path through all the choices is returned
+ * @param {Object} melodyData - Melody data
+ * @param {Object} options - Harmonizer options
+ * @param {string} options.key - Key (e.g., 'C major', 'A minor', 'D Dorian')
+ * @param {number} [options.chordDuration] - Harmonic rhythm in bars per chord
+ * @param {boolean} [options.useSevenths] - Use seventh chords
+ * @param {boolean} [options.useBorrowedChords] - Allow chords from the parallel keys
+ * @returns {Object[]} - Progression in the ChordGenerator shape ({ root, type, notes, duration,
+ *   position, symbol, degree }, position and duration in bars)
+ * @throws {Error} - When the melody has no notes or the key cannot be harmonized in
+ */
+export const harmonizeMelody = (
+  melodyData,
+  { key, chordDuration = 1, useSevenths = false, useBorrowedChords = true }
+) => {
+  const notes = (melodyData?.notes || []).filter(note => note.pitch && note.duration > 0);
+  if (notes.length === 0) {
+    throw new Error('No melody notes to harmonize');
+  }
+
+  const chords = getHarmonizerChords(key, { useSevenths, useBorrowedChords });
+  const timeSignature = melodyData.timeSignature || DEFAULT_TIME_SIGNATURE;
+  const beatsPerBar = getBeatsPerBar(timeSignature);
+  const chordLength = chordDuration * beatsPerBar;
+  const end = Math.max(...notes.map(note => note.startTime + note.duration));
+  const bars = Math.max(melodyData.length || 0, Math.ceil(end / beatsPerBar - 1e-9));
+  const count = Math.max(1, Math.ceil(bars / chordDuration - 1e-9));
+
+  // The melody under each chord, weighted by how long each note sounds there and the strength
+  // of the beat it is heard from (a note held over a chord change is heard from the change)
+  const stretches = Array.from({ length: count }, (_, index) => {
+    const start = index * chordLength;
+    const stop = start + chordLength;
+    return notes
+      .filter(note => note.startTime < stop && note.startTime + note.duration > start)
+      .map(note => {
+        const from = Math.max(note.startTime, start);
+        const sounding = Math.min(note.startTime + note.duration, stop) - from;
+        return {
+          pitchClass: getPitchClass(note.pitch),
+          weight: sounding * getBeatStrength(from, timeSignature),
+        };
+      });
+  });
+
+  // Best score of a progression ending on each chord, and the chord before it at each step
+  let scores = chords.map(chord => scoreChord(chord, stretches[0], 0, count));
+  const previousChoices = [];
+  for (let index = 1; index < count; index++) {
+    const isLast = index === count - 1;
+    const steps = chords.map(chord => {
+      let best = { previous: 0, score: -Infinity };
+      chords.forEach((previous, previousIndex) => {
+        const score = scores[previousIndex] + scoreMove(previous, chord, isLast);
+        if (score > best.score) best = { previous: previousIndex, score };
+      });
+      return { ...best, score: best.score + scoreChord(chord, stretches[index], index, count) };
+    });
+    scores = steps.map(step => step.score);
+    previousChoices.push(steps.map(step => step.previous));
+  }
+
+  // Walk back from the best final chord
+  let chordIndex = scores.indexOf(Math.max(...scores));
+  const path = [chordIndex];
+  for (let index = previousChoices.length - 1; index >= 0; index--) {
+    chordIndex = previousChoices[index][chordIndex];
+    path.unshift(chordIndex);
+  }
+
+  return path.map((pathIndex, index) => {
+    const { root, type, degree } = chords[pathIndex];
+    return {
+      root,
+      type,
+      notes: generateChord(`${root}3`, type),
+      duration: chordDuration,
+      position: index * chordDuration,
+      symbol: formatChordSymbol({ root, type }),
+      degree,
+    };
+  });
+};
@@ -111,5 +111,48 @@ export const generateExpressionEvents = (notes, expressionType) => {
     });
   }
 
+  if (expressionType === 'pitch-bend' || expressionType === 'all') {
+    // Scoop up into long notes from slightly below the pitch
+    notes.forEach(note => {
+      if (note.duration >= 2) {
+        events.push({
+          type: 'pitchBend',
+          value: -1024,
+          time: note.startTime,
+        });
+        events.push({
+          type: 'pitchBend',
+          value: 0,
+          time: note.startTime + 0.25,
+        });
+      }
+    });
+  }
+
+  return events;
+};
+
+// Sustain pedal (CC64) for a chord progression: lift and press again at every chord change
+export const generateSustainPedalEvents = (progression, beatsPerBar = 4) => {
+  if (!progression || progression.length === 0) return [];
+
+  const events = [];
+  const sortedChords = [...progression].sort((a, b) => a.position - b.position);
+
+  sortedChords.forEach((chord, index) => {
+    const time = chord.position * beatsPerBar;
+
+    if (index > 0) {
+      events.push({ type: 'controller', controllerNumber: 64, value: 0, time });
+    }
+    events.push({ type: 'controller', controllerNumber: 64, value: 127, time });
+  });
+
+  const end = sortedChords.reduce(
+    (max, chord) => Math.max(max, (chord.position + chord.duration) * beatsPerBar),
+    0
+  );
+  events.push({ type: 'controller', controllerNumber: 64, value: 0, time: end });
+
   return events;
 };
@@ -0,0 +1,70 @@
+// Karaoke (.kar) export: a Standard MIDI File with a lyric event on every sung note, formatted
+// the Soft Karaoke way so karaoke players can page and highlight the words
+
+import { createMIDIFile } from './simpleMidi';
+import { alignLyrics } from './lyrics';
+import { createTrack } from './tracks';
+
+// Text events karaoke players look for at the start of a .kar file
+const KARAOKE_HEADER = ['@KMIDI KARAOKE FILE', '@V0100'];
+
+/**
+ * Lyric events for a karaoke file. Each syllable is sung at its note's start; a new verse starts
+ * with '\', a new line with '/' and a new word with a space.
+ * @param {Array} syllables - Syllables from alignLyrics
+ * @returns {Array} - Array of { startTime, text }
+ */
+export const toKaraokeLyrics = syllables =>
+  syllables.map((syllable, index) => {
+    let prefix = '';
+    if (syllable.paragraphStart) {
+      prefix = '\\';
+    } else if (syllable.lineStart) {
+      prefix = '/';
+    } else if (index > 0 && syllables[index - 1].wordEnd) {
+      prefix = ' ';
+    }
+
+    return { startTime: syllable.startTime, text: `${prefix}${syllable.text}` };
+  });
+
+/**
+ * Create a karaoke MIDI file with the lyrics sung by the melody. The melody track is always
+ * written, whatever the include options, since the lyrics are sung by it
+ * @param {Object} melodyData - Melody data, its lyricsText sung by its notes
+ * @param {Object} chordData - Chord progression data
+ * @param {Object} options - Export options, as for createMIDIFile
+ * @returns {Uint8Array} - MIDI file data
+ * @throws {Error} - When there are no lyrics or melody notes to sing them to
+ */
+export const createKaraokeFile = (melodyData, chordData, options = {}) => {
+  const {
+    lyricsText = melodyData?.lyricsText,
+    title = melodyData?.title,
+    textEvents = [],
+  } = options;
+
+  const syllables = alignLyrics(melodyData?.notes, lyricsText);
+  if (syllables.length === 0) {
+    throw new Error('No lyrics to export');
+  }
+
+  const headerEvents = [...KARAOKE_HEADER, title && `@T${title}`]
+    .filter(Boolean)
+    .map(text => ({ startTime: 0, text }));
+
+  // Tracks of a composition without the melody get it back first
+  const { tracks } = options;
+  const melodyTracks =
+    tracks && !tracks.some(track => track.role === 'melody')
+      ? [createTrack({ role: 'melody', notes: melodyData.notes }, tracks), ...tracks]
+      : tracks;
+
+  return createMIDIFile(melodyData, chordData, {
+    ...options,
+    includeMelody: true,
+    tracks: melodyTracks,
+    lyrics: toKaraokeLyrics(syllables),
+    textEvents: [...headerEvents, ...textEvents],
+  });
+};
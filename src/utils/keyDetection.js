@@ -0,0 +1,146 @@
+// Key finding for melodies that arrive without one (recorded, pasted as ABC or read from a MIDI
+// file): the pitch classes of the melody, weighted by how long they sound, are compared with the
+// tone profile of every key
+
+import {
+  getKeySignature,
+  getPitchClass,
+  midiToNoteName,
+  parseNoteName,
+  stripOctave,
+} from './pitch';
+import { majorModes } from './scales';
+
+// Krumhansl-Kessler probe-tone profiles, from the tonic up
+const MAJOR_PROFILE = [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88];
+const MINOR_PROFILE = [6.33, 2.68, 3.52, 5.38, 2.6, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17];
+
+// Modal profiles give each scale degree the weight the same degree has in the major profile, and
+// notes outside the mode the average weight of notes outside the major scale
+const DEGREE_WEIGHTS = [6.35, 3.48, 4.38, 4.09, 5.19, 3.66, 2.88];
+const CHROMATIC_WEIGHT = 2.35;
+
+const modeProfile = intervals => {
+  const profile = new Array(12).fill(CHROMATIC_WEIGHT);
+  intervals.forEach((interval, degree) => {
+    profile[interval] = DEGREE_WEIGHTS[degree];
+  });
+  return profile;
+};
+
+const KEY_PROFILES = {
+  major: MAJOR_PROFILE,
+  minor: MINOR_PROFILE,
+  dorian: modeProfile(majorModes.Dorian),
+  phrygian: modeProfile(majorModes.Phrygian),
+  lydian: modeProfile(majorModes.Lydian),
+  mixolydian: modeProfile(majorModes.Mixolydian),
+  locrian: modeProfile(majorModes.Locrian),
+};
+
+// How sharply confidence favours the best correlations over the rest
+const CONFIDENCE_SHARPNESS = 10;
+
+/**
+ * Modes keys can be detected in
+ */
+export const keyModes = Object.keys(KEY_PROFILES);
+
+/**
+ * Time spent on each pitch class, in beats
+ * @param {Array} notes - Notes with pitch and duration
+ * @returns {number[]} - Twelve totals from C up to B
+ */
+export const getPitchClassHistogram = notes => {
+  const histogram = new Array(12).fill(0);
+  notes
+    .filter(note => note.pitch && note.duration > 0)
+    .forEach(note => {
+      histogram[getPitchClass(note.pitch)] += note.duration;
+    });
+  return histogram;
+};
+
+// Pearson correlation of two lists of twelve values
+const correlate = (values, profile) => {
+  const mean = list => list.reduce((sum, value) => sum + value, 0) / list.length;
+  const valuesMean = mean(values);
+  const profileMean = mean(profile);
+
+  let covariance = 0;
+  let valuesSpread = 0;
+  let profileSpread = 0;
+  values.forEach((value, index) => {
+    const a = value - valuesMean;
+    const b = profile[index] - profileMean;
+    covariance += a * b;
+    valuesSpread += a * a;
+    profileSpread += b * b;
+  });
+  return valuesSpread === 0 ? 0 : covariance / Math.sqrt(valuesSpread * profileSpread);
+};
+
+// Place of each note letter on the circle of fifths from C
+const LETTER_FIFTHS = { F: -1, C: 0, G: 1, D: 2, A: 3, E: 4, B: 5 };
+
+// Tonic spelled with the fewer accidentals in its key signature (Eb major, not D# major). The
+// signature is counted without wrapping round, so D# major has nine sharps
+const nameTonic = (pitchClass, mode) => {
+  const spellings = [
+    stripOctave(midiToNoteName(60 + pitchClass)),
+    stripOctave(midiToNoteName(60 + pitchClass, 'F major')),
+  ];
+  const modeFifths = getKeySignature(`C ${mode}`).fifths;
+  const accidentals = tonic => {
+    const { step, alter } = parseNoteName(tonic);
+    return Math.abs(LETTER_FIFTHS[step] + alter * 7 + modeFifths);
+  };
+  return accidentals(spellings[1]) < accidentals(spellings[0]) ? spellings[1] : spellings[0];
+};
+
+/**
+ * Find the most likely keys of a melody
+ * @param {Array} notes - Notes with pitch and duration
+ * @param {Object} options - Detection options
+ * @param {string[]} [options.modes] - Modes to consider, every entry of keyModes if omitted
+ * @returns {Object[]} - { name, tonic, pitchClass, mode, correlation, confidence } for each key,
+ *   best first. Confidence is the key's share of all candidates, from 0 to 1. Empty when no note
+ *   has a pitch
+ */
+export const detectKey = (notes, { modes = keyModes } = {}) => {
+  const histogram = getPitchClassHistogram(notes || []);
+  if (histogram.every(total => total === 0)) return [];
+
+  const candidates = modes.flatMap(mode =>
+    histogram.map((_, pitchClass) => {
+      // Rotate the melody so the candidate tonic lines up with the start of the profile
+      const rotated = histogram.map((__, index) => histogram[(index + pitchClass) % 12]);
+      const tonic = nameTonic(pitchClass, mode);
+      return {
+        name: `${tonic} ${mode}`,
+        tonic,
+        pitchClass,
+        mode,
+        correlation: correlate(rotated, KEY_PROFILES[mode]),
+      };
+    })
+  );
+
+  const weights = candidates.map(({ correlation }) => Math.exp(correlation * CONFIDENCE_SHARPNESS));
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  return candidates
+    .map((candidate, index) => ({ ...candidate, confidence: weights[index] / totalWeight }))
+    .sort((a, b) => b.correlation - a.correlation);
+};
+
+/**
+ * Find the entry of a key selector naming a detected key, whatever its spelling
+ * @param {Object} key - Detected key
+ * @param {string[]} options - Key names offered (e.g., 'C# major', 'Eb minor')
+ * @returns {string|null} - Matching key name, null when none matches
+ */
+export const findKeyOption = (key, options) =>
+  options.find(option => {
+    const [tonic, mode = ''] = option.trim().split(/\s+/);
+    return mode.toLowerCase() === key.mode && getPitchClass(tonic) === key.pitchClass;
+  }) || null;
@@ -0,0 +1,316 @@
+// LilyPond lead sheet export, engraved to PDF offline with the lilypond binary
+
+import { parseTimeSignature, getBeatsPerBar } from './timeSignature';
+import { DIVISIONS, quantize, toVoice, layOutMeasures } from './notation';
+import { noteNameToMidi, getKeySignature, spellPitch, stripOctave } from './pitch';
+import { readChord } from './chordSymbols';
+import { createExportTracks, isChordTrack } from './tracks';
+
+const LILYPOND_VERSION = '2.24.0';
+
+// LilyPond duration numbers of the note value types
+const DURATIONS = { whole: 1, half: 2, quarter: 4, eighth: 8, '16th': 16, '32nd': 32 };
+
+// Chord qualities as \chordmode modifiers, written before the extension
+const CHORD_QUALITIES = { minor: 'm', diminished: 'dim', augmented: 'aug' };
+
+// \chordmode modifier of a parsed chord symbol (e.g., 'm7.5-' for Cm7b5, '7.9-' for C7b9)
+const chordModifier = chord => {
+  const { quality, seventh, extension, suspension } = chord;
+  if (quality === 'power') return '5';
+
+  let modifier;
+  if (quality === 'major' && seventh) modifier = `maj${extension}`;
+  else if (quality === 'augmented' && seventh === 'major') modifier = `maj${extension}.5+`;
+  else if (quality === 'minor' && seventh === 'major') modifier = `m${extension}.7+`;
+  else if (quality === 'half-diminished') modifier = `m${extension}.5-`;
+  else modifier = `${CHORD_QUALITIES[quality] || ''}${extension || ''}`;
+  if (suspension) modifier += suspension;
+
+  // Added and altered steps follow the chord's extent, the fifth when it has no number
+  const steps = [...chord.alterations, ...chord.added].map(
+    ({ degree, alter }) => `${degree}${{ 1: '+', '-1': '-' }[alter] || ''}`
+  );
+  if (steps.length > 0) {
+    modifier = `${/\d$/.test(modifier) ? modifier : `${modifier}5`}.${steps.join('.')}`;
+  }
+  if (chord.omitted.length > 0) modifier += `^${chord.omitted.join('.')}`;
+  return modifier;
+};
+
+const escapeString = text => String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+
+// Dutch note names (LilyPond's default): 'is' raises and 'es' lowers, with es, as for E and A flat
+const pitchName = (step, alter) => {
+  const name = `${step.toLowerCase()}${alter > 0 ? 'is'.repeat(alter) : 'es'.repeat(-alter)}`;
+  return name.replace(/^([ea])e(?=s)/, '$1');
+};
+
+// Absolute pitch: c' is middle C
+const lilyPitch = (midi, fifths) => {
+  const { step, alter, octave } = spellPitch(midi, fifths);
+  const marks = octave >= 3 ? "'".repeat(octave - 3) : ','.repeat(3 - octave);
+  return `${pitchName(step, alter)}${marks}`;
+};
+
+const lilyDuration = value => `${DURATIONS[value.type]}${'.'.repeat(value.dots || 0)}`;
+
+// Whole-measure length as a multiple of a whole note (e.g., 1*3/4)
+const measureDuration = measureLength => {
+  const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+  const divisor = gcd(measureLength, DIVISIONS * 4);
+  const numerator = measureLength / divisor;
+  const denominator = (DIVISIONS * 4) / divisor;
+  return numerator === denominator ? '1' : `1*${numerator}/${denominator}`;
+};
+
+const capitalize = text => `${text.charAt(0).toUpperCase()}${text.slice(1)}`;
+
+// Music variable name for a staff: LilyPond identifiers are letters only, so 'Bass 2' becomes
+// 'bassB' next to 'bass'
+const variableName = (name, taken) => {
+  const base =
+    String(name)
+      .toLowerCase()
+      .replace(/[^a-z]/g, '') || 'part';
+  let variable = base;
+  for (let i = 1; taken.includes(variable); i++) {
+    variable = `${base}${String.fromCharCode(65 + i)}`;
+  }
+  return variable;
+};
+
+/**
+ * Write laid-out measures as LilyPond music, one measure per line
+ * @param {Array} measures - Items per measure from layOutMeasures
+ * @param {Function} writeItem - Writes a note, chord or rest item
+ * @param {Object} marks - Section names by start time in divisions, written before that item
+ * @returns {string[]} - Lines of music
+ */
+const writeMeasures = (measures, writeItem, marks = {}) =>
+  measures.map((items, measureIndex) => {
+    const tokens = [];
+    let inTuplet = false;
+
+    items.forEach(item => {
+      const mark = marks[item.start];
+      if (mark) {
+        if (inTuplet) tokens.push('}');
+        inTuplet = false;
+        // Double barline before every section after the first
+        if (item.start > 0 && item === items[0]) tokens.push('\\bar "||"');
+        tokens.push(`\\mark \\markup { \\box "${escapeString(mark)}" }`);
+      }
+
+      const triplet = Boolean(item.value?.triplet);
+      if (triplet && !inTuplet) tokens.push('\\tuplet 3/2 {');
+      if (!triplet && inTuplet) tokens.push('}');
+      inTuplet = triplet;
+
+      tokens.push(writeItem(item));
+    });
+    if (inTuplet) tokens.push('}');
+
+    return `  ${tokens.join(' ')} | % ${measureIndex + 1}`;
+  });
+
+/**
+ * Create LilyPond source for a lead sheet: chord names above a staff for each pitched track
+ * @param {Object} melodyData - Melody data
+ * @param {Object} chordData - Chord progression data
+ * @param {Object} options - Export options
+ * @returns {string} - LilyPond source
+ */
+export const createLilyPond = (melodyData, chordData, options = {}) => {
+  const {
+    includeBass = false,
+    title = 'Untitled',
+    key = melodyData?.scale || chordData?.key,
+    timeSignature = melodyData?.timeSignature || chordData?.timeSignature,
+    tempo = melodyData?.tempo || chordData?.tempo || 120,
+  } = options;
+  // Staffs to write, built from the melody, chord and bass data when omitted (see tracks.js)
+  const tracks =
+    options.tracks || createExportTracks(melodyData, chordData, { ...options, includeBass });
+
+  const { numerator, denominator } = parseTimeSignature(timeSignature);
+  const beatsPerBar = getBeatsPerBar(timeSignature);
+  const measureLength = Math.round(beatsPerBar * DIVISIONS);
+  const { fifths, mode } = getKeySignature(key);
+  const tonicMatch = /^([A-G])([#b]?)(\s|$)/.exec(String(key || '').trim());
+  const tonic = tonicMatch ? pitchName(tonicMatch[1], { '#': 1, b: -1 }[tonicMatch[2]] || 0) : 'c';
+
+  const fromNotes = notes =>
+    notes.map(note => ({
+      pitches: [noteNameToMidi(note.pitch)],
+      start: quantize(note.startTime, timeSignature),
+      end: quantize(note.startTime + note.duration, timeSignature),
+    }));
+  const fromChords = (chords, pitchesOf) =>
+    chords.map(chord => ({
+      pitches: pitchesOf(chord),
+      start: quantize(chord.position * beatsPerBar, timeSignature),
+      end: quantize((chord.position + chord.duration) * beatsPerBar, timeSignature),
+      chord,
+    }));
+
+  // Drum tracks are left out: their notes stand for instruments, not pitches
+  const pitchedTracks = tracks
+    .filter(track => track.role !== 'drums')
+    .filter(track => (isChordTrack(track) ? track.progression : track.notes || []).length > 0);
+
+  // The chord track is written as chord names; other chord tracks (pads) as stacked notes
+  const chordTrack =
+    pitchedTracks.find(track => track.role === 'chord') || pitchedTracks.find(isChordTrack);
+  const chordGroups = fromChords(chordTrack?.progression || [], chord => [
+    noteNameToMidi(`${stripOctave(chord.root)}4`),
+  ]);
+  const staffVoices = pitchedTracks
+    .filter(track => track !== chordTrack)
+    .map(track => ({
+      name: track.name,
+      voice: toVoice(
+        isChordTrack(track)
+          ? fromChords(track.progression, chord => chord.notes.map(noteNameToMidi))
+          : fromNotes(track.notes)
+      ),
+    }));
+
+  const allChords = chordTrack?.progression || chordData?.progression || [];
+  const chordVoice = chordGroups.length > 0 ? toVoice(chordGroups) : null;
+
+  const voices = [...staffVoices.map(staff => staff.voice), chordVoice].filter(Boolean);
+  const measureCount = Math.max(
+    1,
+    ...voices.map(voice => Math.ceil(Math.max(0, ...voice.map(group => group.end)) / measureLength))
+  );
+
+  // Section marks where the verse/chorus section of the progression (or melody) changes
+  const sectionSource = allChords.length > 0 ? allChords : melodyData?.notes || [];
+  const marks = {};
+  let currentSection = null;
+  sectionSource.forEach(item => {
+    if (!item.section || item.section === currentSection) return;
+    currentSection = item.section;
+    const start =
+      'position' in item
+        ? quantize(item.position * beatsPerBar, timeSignature)
+        : quantize(item.startTime, timeSignature);
+    marks[start] = capitalize(item.section);
+  });
+
+  // Marks are attached to the first item starting at or after the section start
+  const alignMarks = measures => {
+    const starts = measures.flat().map(item => item.start);
+    const aligned = {};
+    Object.entries(marks).forEach(([start, name]) => {
+      const itemStart = starts.find(s => s >= Number(start));
+      if (itemStart !== undefined) aligned[itemStart] = name;
+    });
+    return aligned;
+  };
+
+  const writeNote = item => {
+    const duration = item.measureRest ? measureDuration(measureLength) : lilyDuration(item.value);
+    if (item.pitches.length === 0) return `${item.measureRest ? 'R' : 'r'}${duration}`;
+
+    const tie = item.tieStart ? '~' : '';
+    if (item.pitches.length === 1) return `${lilyPitch(item.pitches[0], fifths)}${duration}${tie}`;
+    return `<${item.pitches.map(midi => lilyPitch(midi, fifths)).join(' ')}>${duration}${tie}`;
+  };
+
+  const staffs = [];
+  const definitions = [];
+  const variables = [];
+  let markStaff = null;
+
+  const addStaff = (name, voice) => {
+    const measures = layOutMeasures(voice, measureLength, measureCount);
+    const isFirst = markStaff === null;
+    if (isFirst) markStaff = name;
+
+    const pitches = voice.flatMap(group => group.pitches);
+    const averagePitch = pitches.reduce((sum, midi) => sum + midi, 0) / (pitches.length || 1);
+    const variable = variableName(name, variables);
+    variables.push(variable);
+
+    definitions.push(
+      `${variable} = {`,
+      '  \\global',
+      `  \\clef ${averagePitch < 55 ? 'bass' : 'treble'}`,
+      ...(isFirst ? [`  \\tempo 4 = ${tempo}`] : []),
+      ...writeMeasures(measures, writeNote, isFirst ? alignMarks(measures) : {}),
+      '  \\bar "|."',
+      '}',
+      ''
+    );
+    staffs.push(
+      `    \\new Staff \\with { instrumentName = "${escapeString(name)}" } \\${variable}`
+    );
+  };
+
+  staffVoices.forEach(staff => addStaff(staff.name, staff.voice));
+
+  if (chordVoice) {
+    const measures = layOutMeasures(chordVoice, measureLength, measureCount);
+    const chordAt = Object.fromEntries(chordGroups.map(group => [group.start, group.chord]));
+
+    // Tied pieces of a chord repeat the chord, which chordChanges leaves unprinted
+    let current = null;
+    const writeChord = item => {
+      const duration = item.measureRest ? measureDuration(measureLength) : lilyDuration(item.value);
+      if (item.pitches.length === 0) return `s${duration}`;
+
+      current = chordAt[item.start] || current;
+      const chord = current ? readChord(current) : null;
+      if (!chord) {
+        const lowest = spellPitch(item.pitches[0], fifths);
+        return `${pitchName(lowest.step, lowest.alter)}${duration}`;
+      }
+
+      const spell = name => spellPitch(noteNameToMidi(`${name}4`), fifths);
+      const root = spell(chord.root);
+      const modifier = chordModifier(chord);
+      const bass = chord.bass ? spell(chord.bass) : null;
+      return [
+        `${pitchName(root.step, root.alter)}${duration}`,
+        modifier ? `:${modifier}` : '',
+        bass ? `/${pitchName(bass.step, bass.alter)}` : '',
+      ].join('');
+    };
+
+    const isFirst = markStaff === null;
+    definitions.push(
+      'harmonies = \\chordmode {',
+      '  \\set chordChanges = ##t',
+      ...(isFirst ? [`  \\time ${numerator}/${denominator}`, `  \\tempo 4 = ${tempo}`] : []),
+      ...writeMeasures(measures, writeChord, isFirst ? alignMarks(measures) : {}),
+      '}',
+      ''
+    );
+    staffs.unshift('    \\new ChordNames \\harmonies');
+  }
+
+  return [
+    `\\version "${LILYPOND_VERSION}"`,
+    '',
+    '\\header {',
+    `  title = "${escapeString(title)}"`,
+    '  tagline = ##f',
+    '}',
+    '',
+    'global = {',
+    `  \\key ${tonic} \\${mode}`,
+    `  \\time ${numerator}/${denominator}`,
+    '}',
+    '',
+    ...definitions,
+    '\\score {',
+    '  <<',
+    ...staffs,
+    '  >>',
+    '  \\layout { }',
+    '}',
+    '',
+  ].join('\n');
+};
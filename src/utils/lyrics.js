@@ -0,0 +1,108 @@
+// Lyrics for a melody, split into syllables and sung one syllable per note
+//
+// Lyrics are written as plain text: words are separated by spaces, syllables of a word by
+// hyphens ('hap-py birth-day') and each underscore holds the previous syllable over one more note
+// (a melisma: 'a_ _ men' sings 'a' over three notes). New lines start a new lyric line and blank
+// lines a new verse.
+
+/**
+ * Split lyrics into syllables and melisma holds
+ * @param {string} text - Lyrics
+ * @returns {Array} - Array of { text, wordEnd, lineStart, paragraphStart } syllables and
+ *   { melisma: true } holds, in singing order
+ */
+export const parseLyrics = text => {
+  const tokens = [];
+  let lastSyllable = null;
+  let lineStart = true;
+  let paragraphStart = true;
+
+  (text || '').split(/\r?\n/).forEach(line => {
+    const words = line.trim().split(/\s+/).filter(Boolean);
+    if (words.length === 0) {
+      if (tokens.length > 0) paragraphStart = true;
+      return;
+    }
+
+    words.forEach(word => {
+      const [, body, holds] = word.match(/^(.*?)(_*)$/);
+
+      // A leading hyphen ('hap -py' or 'hap -- py') carries the previous word on
+      if (body.startsWith('-') && lastSyllable) {
+        lastSyllable.wordEnd = false;
+      }
+
+      const syllables = body.split('-').filter(Boolean);
+      syllables.forEach((syllable, index) => {
+        lastSyllable = {
+          text: syllable,
+          wordEnd: index === syllables.length - 1 && !body.endsWith('-'),
+          lineStart,
+          paragraphStart,
+        };
+        tokens.push(lastSyllable);
+        lineStart = false;
+        paragraphStart = false;
+      });
+
+      for (let i = 0; i < holds.length; i++) {
+        tokens.push({ melisma: true });
+      }
+    });
+
+    lineStart = true;
+  });
+
+  return tokens;
+};
+
+/**
+ * Assign syllables to the notes of a melody in start-time order. Syllables left over when the
+ * notes run out are dropped.
+ * @param {Array} notes - Melody notes with start times in beats
+ * @param {string} text - Lyrics
+ * @returns {Array} - Array of { text, startTime, noteIndexes, wordEnd, lineStart, paragraphStart },
+ *   noteIndexes being the indexes in notes of the note the syllable starts on and its melisma
+ */
+export const alignLyrics = (notes, text) => {
+  const order = (notes || [])
+    .map((note, index) => ({ note, index }))
+    .sort((a, b) => a.note.startTime - b.note.startTime || a.index - b.index);
+
+  const syllables = [];
+  let position = 0;
+
+  for (const token of parseLyrics(text)) {
+    if (position >= order.length) break;
+
+    const { note, index } = order[position++];
+    if (!token.melisma) {
+      syllables.push({ ...token, startTime: note.startTime, noteIndexes: [index] });
+    } else if (syllables.length > 0) {
+      syllables[syllables.length - 1].noteIndexes.push(index);
+    }
+  }
+
+  return syllables;
+};
+
+/**
+ * Syllable to show under each note: the syllable with a hyphen when the word goes on, '_' for the
+ * notes of a melisma and '' for notes without lyrics
+ * @param {Array} notes - Melody notes
+ * @param {string} text - Lyrics
+ * @returns {Array} - Strings in the order of notes
+ */
+export const getNoteSyllables = (notes, text) => {
+  const labels = (notes || []).map(() => '');
+
+  alignLyrics(notes, text).forEach(syllable => {
+    const [first, ...held] = syllable.noteIndexes;
+    labels[first] = syllable.wordEnd ? syllable.text : `${syllable.text}-`;
+    held.forEach(index => {
+      labels[index] = '_';
+    });
+  });
+
+  return labels;
+};
@@ -0,0 +1,382 @@
+// Conformance checks for the MIDI writers: a strict reader that reports every way a file breaks
+// the Standard MIDI File layout, note timing checked against the source tracks, and an
+// event-level diff between two files
+
+import { getBeatsPerBar } from './timeSignature';
+import { getTrackNotes } from './tracks';
+
+// The order midiWriter writes events sharing a tick in: meta, then bank select and program
+// changes, note-offs, other controllers and pitch bends, and note-ons last
+const eventRank = event => {
+  if (event.kind !== 'channel') return 0;
+
+  const command = event.data[0] & 0xf0;
+  const isBankSelect = command === 0xb0 && (event.data[1] === 0 || event.data[1] === 32);
+  if (command === 0xc0 || isBankSelect) return 1;
+  if (command === 0x80 || (command === 0x90 && event.data[2] === 0)) return 2;
+  if (command === 0x90) return 4;
+  return 3;
+};
+
+// Data bytes that follow each channel message status
+const CHANNEL_DATA_LENGTHS = {
+  0x80: 2,
+  0x90: 2,
+  0xa0: 2,
+  0xb0: 2,
+  0xc0: 1,
+  0xd0: 1,
+  0xe0: 2,
+};
+
+// Items of the first list not matched by one in the second, counting repeats
+const listDifference = (first, second) => {
+  const counts = new Map();
+  second.forEach(item => counts.set(item, (counts.get(item) || 0) + 1));
+  return first.filter(item => {
+    const count = counts.get(item) || 0;
+    counts.set(item, count - 1);
+    return count <= 0;
+  });
+};
+
+const readChunkType = (bytes, offset) => String.fromCharCode(...bytes.slice(offset, offset + 4));
+
+const readUint32 = (bytes, offset) =>
+  ((bytes[offset] << 24) |
+    (bytes[offset + 1] << 16) |
+    (bytes[offset + 2] << 8) |
+    bytes[offset + 3]) >>>
+  0;
+
+/**
+ * Read a variable-length quantity, checking it is at most four bytes and has no padding
+ * @param {Uint8Array} bytes - File data
+ * @param {number} offset - Offset of the first byte
+ * @returns {Object} - { value, length, problem } with problem null for a well-formed quantity
+ */
+export const readVariableLength = (bytes, offset) => {
+  let value = 0;
+  let length = 0;
+  let byte;
+
+  do {
+    if (offset + length >= bytes.length) {
+      return { value, length, problem: 'variable-length quantity runs past the data' };
+    }
+    byte = bytes[offset + length];
+    value = value * 128 + (byte & 0x7f);
+    length++;
+  } while (byte & 0x80);
+
+  if (length > 4) {
+    return { value, length, problem: `variable-length quantity of ${length} bytes` };
+  }
+  if (length > 1 && bytes[offset] === 0x80) {
+    return { value, length, problem: 'variable-length quantity with a padding byte' };
+  }
+  return { value, length, problem: null };
+};
+
+// Read the events of one MTrk chunk body, recording problems as they are found
+const readTrack = (bytes, start, end, trackIndex, problems) => {
+  const report = (offset, message) => problems.push(`Track ${trackIndex} @${offset}: ${message}`);
+  const events = [];
+  let offset = start;
+  let tick = 0;
+  let runningStatus = null;
+  let ended = false;
+
+  while (offset < end) {
+    if (ended) {
+      report(offset, 'data after end of track');
+      break;
+    }
+
+    const delta = readVariableLength(bytes, offset);
+    if (delta.problem) report(offset, delta.problem);
+    offset += delta.length;
+    tick += delta.value;
+
+    let status = bytes[offset];
+    if (status < 0x80) {
+      if (runningStatus === null) {
+        report(offset, 'data byte without a status');
+        break;
+      }
+      status = runningStatus;
+    } else {
+      offset++;
+    }
+
+    if (status === 0xff) {
+      const metaType = bytes[offset];
+      const length = readVariableLength(bytes, offset + 1);
+      if (length.problem) report(offset + 1, length.problem);
+      const dataStart = offset + 1 + length.length;
+      const data = Array.from(bytes.slice(dataStart, dataStart + length.value));
+      events.push({ tick, kind: 'meta', metaType, data });
+      offset = dataStart + length.value;
+      runningStatus = null;
+
+      if (metaType === 0x2f) {
+        ended = true;
+        if (length.value !== 0) report(offset, 'end of track with data');
+      }
+    } else if (status === 0xf0 || status === 0xf7) {
+      const length = readVariableLength(bytes, offset);
+      if (length.problem) report(offset, length.problem);
+      const dataStart = offset + length.length;
+      events.push({
+        tick,
+        kind: 'sysex',
+        data: [status, ...bytes.slice(dataStart, dataStart + length.value)],
+      });
+      offset = dataStart + length.value;
+      runningStatus = null;
+    } else if (CHANNEL_DATA_LENGTHS[status & 0xf0]) {
+      const data = Array.from(bytes.slice(offset, offset + CHANNEL_DATA_LENGTHS[status & 0xf0]));
+      if (data.some(byte => byte > 0x7f)) report(offset, 'data byte with the top bit set');
+      events.push({ tick, kind: 'channel', data: [status, ...data] });
+      offset += data.length;
+      runningStatus = status;
+    } else {
+      report(offset - 1, `unknown status byte ${status.toString(16)}`);
+      break;
+    }
+  }
+
+  if (offset > end) report(end, 'last event runs past the chunk length');
+  if (!ended) report(end, 'missing end of track');
+
+  // Events sharing a tick must be in the writers' order; end of track comes after everything
+  const trackEvents = events.filter(event => !(event.kind === 'meta' && event.metaType === 0x2f));
+  trackEvents.forEach((event, i) => {
+    const previous = trackEvents[i - 1];
+    if (previous && previous.tick === event.tick && eventRank(previous) > eventRank(event)) {
+      problems.push(`Track ${trackIndex}: event out of order at tick ${event.tick}`);
+    }
+  });
+
+  return trackEvents;
+};
+
+/**
+ * Read a Standard MIDI File strictly: header and chunk lengths, variable-length quantities,
+ * end-of-track events and the order of events on the same tick are all checked
+ * @param {Uint8Array|ArrayBuffer} data - File data
+ * @returns {Object} - { format, ticksPerBeat, tracks: [{ events }], problems } with events as
+ *   { tick, kind: 'meta'|'channel'|'sysex', data, metaType } at absolute ticks and running
+ *   status expanded; problems is empty for a conforming file
+ */
+export const readMIDIFile = data => {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  const problems = [];
+
+  if (bytes.length < 14 || readChunkType(bytes, 0) !== 'MThd') {
+    return { format: null, ticksPerBeat: null, tracks: [], problems: ['missing MThd header'] };
+  }
+
+  const headerLength = readUint32(bytes, 4);
+  if (headerLength !== 6) problems.push(`header length ${headerLength} instead of 6`);
+
+  const format = (bytes[8] << 8) | bytes[9];
+  const trackCount = (bytes[10] << 8) | bytes[11];
+  const division = (bytes[12] << 8) | bytes[13];
+  if (![0, 1, 2].includes(format)) problems.push(`unknown file format ${format}`);
+  if (format === 0 && trackCount !== 1) problems.push(`format 0 file with ${trackCount} tracks`);
+  if (division & 0x8000) problems.push('SMPTE division');
+
+  const tracks = [];
+  let offset = 8 + headerLength;
+
+  while (offset < bytes.length) {
+    if (offset + 8 > bytes.length) {
+      problems.push(`${bytes.length - offset} stray bytes after the last chunk`);
+      break;
+    }
+
+    const type = readChunkType(bytes, offset);
+    const length = readUint32(bytes, offset + 4);
+    const start = offset + 8;
+    const end = start + length;
+
+    if (end > bytes.length) {
+      problems.push(`${type} chunk length ${length} runs past the end of the file`);
+    }
+    if (type === 'MTrk') {
+      tracks.push({
+        events: readTrack(bytes, start, Math.min(end, bytes.length), tracks.length, problems),
+      });
+    }
+    offset = end;
+  }
+
+  if (tracks.length !== trackCount) {
+    problems.push(`header lists ${trackCount} tracks but the file has ${tracks.length}`);
+  }
+
+  return { format, ticksPerBeat: division & 0x7fff, tracks, problems };
+};
+
+/**
+ * Pair the note-ons and note-offs of a file into notes
+ * @param {Object} file - File from readMIDIFile
+ * @returns {Object} - { notes, problems }: notes as { track, channel, pitch, velocity,
+ *   startTick, endTick } in start order, problems listing hanging or unmatched notes
+ */
+export const getFileNotes = file => {
+  const notes = [];
+  const problems = [];
+
+  file.tracks.forEach(({ events }, track) => {
+    const sounding = {};
+
+    events
+      .filter(event => event.kind === 'channel')
+      .forEach(({ tick, data: [status, pitch, velocity] }) => {
+        const command = status & 0xf0;
+        const channel = status & 0x0f;
+        const key = `${channel}:${pitch}`;
+
+        if (command === 0x90 && velocity > 0) {
+          if (sounding[key]) problems.push(`Track ${track}: note ${pitch} restarted at ${tick}`);
+          sounding[key] = { track, channel, pitch, velocity, startTick: tick };
+        } else if (command === 0x80 || command === 0x90) {
+          if (!sounding[key]) {
+            problems.push(`Track ${track}: note-off without a note-on for ${pitch} at ${tick}`);
+            return;
+          }
+          notes.push({ ...sounding[key], endTick: tick });
+          delete sounding[key];
+        }
+      });
+
+    Object.values(sounding).forEach(note =>
+      problems.push(`Track ${track}: note ${note.pitch} at ${note.startTick} never ends`)
+    );
+  });
+
+  return { notes: sortNotes(notes), problems };
+};
+
+const sortNotes = notes =>
+  [...notes].sort(
+    (a, b) => a.startTick - b.startTick || a.channel - b.channel || a.pitch - b.pitch
+  );
+
+/**
+ * The notes a file written from some tracks should hold, at the ticks the tracks give them.
+ * Notes of no length get one tick.
+ * @param {Array} tracks - Tracks from tracks.js
+ * @param {Object} options - { ticksPerBeat, timeSignature, noteToMidiNumber }
+ * @returns {Array} - Notes as { channel, pitch, velocity, startTick, endTick } in start order
+ */
+export const getExpectedNotes = (tracks, { ticksPerBeat, timeSignature, noteToMidiNumber }) => {
+  const beatsPerBar = getBeatsPerBar(timeSignature);
+  return sortNotes(
+    tracks.flatMap(track =>
+      getTrackNotes(track, beatsPerBar).map(note => {
+        const startTick = Math.max(0, Math.round(note.startTime * ticksPerBeat));
+        return {
+          channel: track.channel,
+          pitch: noteToMidiNumber(note.pitch),
+          velocity: Math.max(1, Math.min(127, Math.round(note.velocity * 127))),
+          startTick,
+          endTick: Math.max(
+            startTick + 1,
+            Math.round((note.startTime + note.duration) * ticksPerBeat)
+          ),
+        };
+      })
+    )
+  );
+};
+
+/**
+ * Check a written file against the tracks it was written from. Every expected note must start
+ * at its tick and end at its tick, or earlier where the same pitch starts again on its channel.
+ * @param {Uint8Array} data - File data
+ * @param {Array} tracks - Tracks from tracks.js
+ * @param {Object} options - { ticksPerBeat, timeSignature, noteToMidiNumber }
+ * @returns {Array} - Problems, empty when the file conforms and holds exactly the expected notes
+ */
+export const checkMIDIConformance = (data, tracks, options) => {
+  const file = readMIDIFile(data);
+  const { notes, problems: noteProblems } = getFileNotes(file);
+  const problems = [...file.problems, ...noteProblems];
+
+  if (file.ticksPerBeat !== options.ticksPerBeat) {
+    problems.push(`division ${file.ticksPerBeat} instead of ${options.ticksPerBeat}`);
+  }
+
+  const describe = note =>
+    `ch${note.channel} ${note.pitch} v${note.velocity} ${note.startTick}-${note.endTick}`;
+  const onset = (note, tick) => `${note.channel}:${note.pitch}@${tick}`;
+  const onsets = new Set(notes.map(note => onset(note, note.startTick)));
+  const unmatched = [...notes];
+
+  getExpectedNotes(tracks, options).forEach(note => {
+    const index = unmatched.findIndex(
+      written =>
+        written.channel === note.channel &&
+        written.pitch === note.pitch &&
+        written.velocity === note.velocity &&
+        written.startTick === note.startTick
+    );
+    if (index === -1) {
+      problems.push(`missing note ${describe(note)}`);
+      return;
+    }
+
+    const [written] = unmatched.splice(index, 1);
+    const restarted = written.endTick < note.endTick && onsets.has(onset(note, written.endTick));
+    if (written.endTick !== note.endTick && !restarted) {
+      problems.push(`note ${describe(note)} ends at ${written.endTick}`);
+    }
+  });
+
+  unmatched.forEach(note => problems.push(`unexpected note ${describe(note)}`));
+
+  return problems;
+};
+
+/**
+ * Compare two files event by event, ignoring how they were encoded (running status, the order
+ * of events that may share a tick)
+ * @param {Uint8Array} a - File data
+ * @param {Uint8Array} b - File data
+ * @returns {Array} - Differences, empty when both files hold the same events
+ */
+export const diffMIDIFiles = (a, b) => {
+  const fileA = readMIDIFile(a);
+  const fileB = readMIDIFile(b);
+  const differences = [];
+
+  if (fileA.format !== fileB.format) {
+    differences.push(`format ${fileA.format} != ${fileB.format}`);
+  }
+  if (fileA.ticksPerBeat !== fileB.ticksPerBeat) {
+    differences.push(`division ${fileA.ticksPerBeat} != ${fileB.ticksPerBeat}`);
+  }
+  if (fileA.tracks.length !== fileB.tracks.length) {
+    differences.push(`${fileA.tracks.length} tracks != ${fileB.tracks.length}`);
+  }
+
+  const describe = event =>
+    `${event.tick} ${event.kind}${event.metaType !== undefined ? ` ${event.metaType}` : ''} ${event.data.join(',')}`;
+
+  fileA.tracks.forEach((track, index) => {
+    const eventsA = track.events.map(describe);
+    const eventsB = (fileB.tracks[index]?.events || []).map(describe);
+
+    listDifference(eventsA, eventsB).forEach(event =>
+      differences.push(`Track ${index}: only in first: ${event}`)
+    );
+    listDifference(eventsB, eventsA).forEach(event =>
+      differences.push(`Track ${index}: only in second: ${event}`)
+    );
+  });
+
+  return differences;
+};
@@ -0,0 +1,586 @@
+// Standard MIDI File (SMF) parsing and conversion back into generator data
+import { extendedChordTypes } from './chords';
+import { formatNoteName, midiToNoteName, spellPitch, stripOctave } from './pitch';
+import { formatChordSymbol } from './chordSymbols';
+import { detectKey } from './keyDetection';
+import { midiProgramToInstrumentName } from './soundfontUtils';
+import { DEFAULT_TIME_SIGNATURE, formatTimeSignature, getBeatsPerBar } from './timeSignature';
+import { DRUM_CHANNEL, gmDrumKit } from './drums';
+
+const META_EVENT_TYPES = {
+  0x00: 'sequenceNumber',
+  0x01: 'text',
+  0x02: 'copyright',
+  0x03: 'trackName',
+  0x04: 'instrumentName',
+  0x05: 'lyric',
+  0x06: 'marker',
+  0x07: 'cuePoint',
+  0x20: 'channelPrefix',
+  0x21: 'port',
+  0x2f: 'endOfTrack',
+  0x51: 'tempo',
+  0x54: 'smpteOffset',
+  0x58: 'timeSignature',
+  0x59: 'keySignature',
+  0x7f: 'sequencerSpecific',
+};
+
+function readUint16(bytes, offset) {
+  return (bytes[offset] << 8) | bytes[offset + 1];
+}
+
+function readUint32(bytes, offset) {
+  return (
+    ((bytes[offset] << 24) >>> 0) +
+    (bytes[offset + 1] << 16) +
+    (bytes[offset + 2] << 8) +
+    bytes[offset + 3]
+  );
+}
+
+function readChunkId(bytes, offset) {
+  return String.fromCharCode(
+    bytes[offset],
+    bytes[offset + 1],
+    bytes[offset + 2],
+    bytes[offset + 3]
+  );
+}
+
+function readVariableLength(bytes, offset) {
+  let value = 0;
+  let length = 0;
+  let byte;
+
+  do {
+    if (offset + length >= bytes.length) {
+      throw new Error('Invalid MIDI file: truncated variable-length quantity');
+    }
+    byte = bytes[offset + length];
+    value = (value << 7) | (byte & 0x7f);
+    length++;
+  } while (byte & 0x80 && length < 4);
+
+  return { value, length };
+}
+
+// Text is read as UTF-8, as it is written, or as Latin-1 when it is not valid UTF-8
+function bytesToText(data) {
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(new Uint8Array(data));
+  } catch {
+    return String.fromCharCode(...data);
+  }
+}
+
+function decodeMetaEvent(metaType, data) {
+  const subtype = META_EVENT_TYPES[metaType] || 'unknown';
+  const event = { type: 'meta', subtype, metaType, data };
+
+  switch (subtype) {
+    case 'text':
+    case 'copyright':
+    case 'trackName':
+    case 'instrumentName':
+    case 'lyric':
+    case 'marker':
+    case 'cuePoint':
+      event.text = bytesToText(data);
+      break;
+    case 'tempo': {
+      const microsecondsPerQuarter = (data[0] << 16) | (data[1] << 8) | data[2];
+      event.microsecondsPerQuarter = microsecondsPerQuarter;
+      event.bpm = 60000000 / microsecondsPerQuarter;
+      break;
+    }
+    case 'timeSignature':
+      event.numerator = data[0];
+      event.denominator = Math.pow(2, data[1]);
+      event.metronome = data[2];
+      event.thirtySeconds = data[3];
+      break;
+    case 'keySignature':
+      event.sharpsFlats = data[0] > 127 ? data[0] - 256 : data[0];
+      event.mode = data[1] === 1 ? 'minor' : 'major';
+      break;
+    default:
+      break;
+  }
+
+  return event;
+}
+
+function decodeChannelEvent(status, data1, data2) {
+  const channel = status & 0x0f;
+
+  switch (status & 0xf0) {
+    case 0x80:
+      return { type: 'noteOff', channel, note: data1, velocity: data2 };
+    case 0x90:
+      // A note-on with velocity 0 is a note-off
+      return data2 === 0
+        ? { type: 'noteOff', channel, note: data1, velocity: 0 }
+        : { type: 'noteOn', channel, note: data1, velocity: data2 };
+    case 0xa0:
+      return { type: 'polyAftertouch', channel, note: data1, pressure: data2 };
+    case 0xb0:
+      return { type: 'controller', channel, controllerNumber: data1, value: data2 };
+    case 0xc0:
+      return { type: 'programChange', channel, program: data1 };
+    case 0xd0:
+      return { type: 'channelAftertouch', channel, pressure: data1 };
+    case 0xe0:
+      return { type: 'pitchBend', channel, value: ((data2 << 7) | data1) - 8192 };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Parse the events of a single MTrk chunk
+ * @param {Uint8Array} bytes - File data
+ * @param {number} start - Offset of the first event
+ * @param {number} end - Offset just past the last event
+ * @returns {Object[]} - Events with absolute tick positions
+ */
+function parseTrackEvents(bytes, start, end) {
+  const events = [];
+  let offset = start;
+  let tick = 0;
+  let runningStatus = null;
+
+  while (offset < end) {
+    const delta = readVariableLength(bytes, offset);
+    offset += delta.length;
+    tick += delta.value;
+
+    let status = bytes[offset];
+
+    if (status === 0xff) {
+      // Meta event: FF type length data
+      const metaType = bytes[offset + 1];
+      const length = readVariableLength(bytes, offset + 2);
+      const dataStart = offset + 2 + length.length;
+      const data = bytes.slice(dataStart, dataStart + length.value);
+      offset = dataStart + length.value;
+      runningStatus = null;
+
+      const event = decodeMetaEvent(metaType, data);
+      events.push({ tick, ...event });
+
+      if (event.subtype === 'endOfTrack') break;
+      continue;
+    }
+
+    if (status === 0xf0 || status === 0xf7) {
+      // SysEx event: F0/F7 length data
+      const length = readVariableLength(bytes, offset + 1);
+      const dataStart = offset + 1 + length.length;
+      events.push({ tick, type: 'sysex', data: bytes.slice(dataStart, dataStart + length.value) });
+      offset = dataStart + length.value;
+      runningStatus = null;
+      continue;
+    }
+
+    if (status & 0x80) {
+      runningStatus = status;
+      offset++;
+    } else if (runningStatus !== null) {
+      // Running status: reuse the previous status byte, this byte is data
+      status = runningStatus;
+    } else {
+      throw new Error(`Invalid MIDI file: data byte without status at offset ${offset}`);
+    }
+
+    const messageType = status & 0xf0;
+    const hasSingleDataByte = messageType === 0xc0 || messageType === 0xd0;
+    const data1 = bytes[offset];
+    const data2 = hasSingleDataByte ? 0 : bytes[offset + 1];
+    offset += hasSingleDataByte ? 1 : 2;
+
+    const event = decodeChannelEvent(status, data1, data2);
+    if (event) {
+      events.push({ tick, ...event });
+    }
+  }
+
+  return events;
+}
+
+/**
+ * Parse a Standard MIDI File (format 0 or 1)
+ * @param {Uint8Array|ArrayBuffer} data - MIDI file data
+ * @returns {Object} - Parsed file with format, division (PPQ) and tracks of events
+ */
+export const parseMIDIFile = data => {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+
+  if (bytes.length < 14 || readChunkId(bytes, 0) !== 'MThd') {
+    throw new Error('Invalid MIDI file: missing MThd header');
+  }
+
+  const headerLength = readUint32(bytes, 4);
+  const format = readUint16(bytes, 8);
+  const trackCount = readUint16(bytes, 10);
+  const division = readUint16(bytes, 12);
+
+  if (format > 1) {
+    throw new Error(`Unsupported MIDI file format: ${format}`);
+  }
+
+  if (division & 0x8000) {
+    throw new Error('SMPTE time division is not supported');
+  }
+
+  const tracks = [];
+  let offset = 8 + headerLength;
+
+  while (offset + 8 <= bytes.length && tracks.length < trackCount) {
+    const chunkId = readChunkId(bytes, offset);
+    const chunkLength = readUint32(bytes, offset + 4);
+    const chunkStart = offset + 8;
+    const chunkEnd = Math.min(chunkStart + chunkLength, bytes.length);
+
+    // Unknown chunk types must be skipped
+    if (chunkId === 'MTrk') {
+      const events = parseTrackEvents(bytes, chunkStart, chunkEnd);
+      const nameEvent = events.find(event => event.subtype === 'trackName');
+      tracks.push({ name: nameEvent ? nameEvent.text : '', events });
+    }
+
+    offset = chunkStart + chunkLength;
+  }
+
+  return { format, division, tracks };
+};
+
+/**
+ * Pair note-on and note-off events into notes
+ * @param {Object[]} events - Track events with absolute ticks
+ * @returns {Object[]} - Notes with midi number, start/end ticks, velocity and channel
+ */
+export const extractNotes = events => {
+  const notes = [];
+  const activeNotes = {};
+
+  events.forEach(event => {
+    if (event.type !== 'noteOn' && event.type !== 'noteOff') return;
+
+    const key = `${event.channel}:${event.note}`;
+
+    if (event.type === 'noteOn') {
+      if (!activeNotes[key]) activeNotes[key] = [];
+      activeNotes[key].push(event);
+      return;
+    }
+
+    // Note-offs close the oldest sounding note of the same pitch
+    const started = activeNotes[key] && activeNotes[key].shift();
+    if (started) {
+      notes.push({
+        midi: started.note,
+        channel: started.channel,
+        velocity: started.velocity,
+        startTick: started.tick,
+        endTick: event.tick,
+      });
+    }
+  });
+
+  // Close any notes left hanging at the last event
+  const lastTick = events.length > 0 ? events[events.length - 1].tick : 0;
+  Object.values(activeNotes).forEach(started =>
+    started.forEach(note =>
+      notes.push({
+        midi: note.note,
+        channel: note.channel,
+        velocity: note.velocity,
+        startTick: note.tick,
+        endTick: Math.max(lastTick, note.tick),
+      })
+    )
+  );
+
+  return notes.sort((a, b) => a.startTick - b.startTick || a.midi - b.midi);
+};
+
+/**
+ * Identify root and chord type from a set of MIDI note numbers
+ * @param {number[]} midiNotes - MIDI note numbers
+ * @returns {Object} - Root note name (without octave) and chord type from extendedChordTypes
+ */
+export const identifyChord = midiNotes => {
+  const sorted = [...midiNotes].sort((a, b) => a - b);
+  const pitchClasses = [...new Set(sorted.map(note => note % 12))];
+  const noteName = midi => stripOctave(midiToNoteName(midi));
+
+  // Try the bass note first so inversions keep a sensible root
+  const candidates = [sorted[0] % 12, ...pitchClasses.filter(pc => pc !== sorted[0] % 12)];
+
+  for (const rootClass of candidates) {
+    const intervals = pitchClasses.map(pc => (pc - rootClass + 12) % 12).sort((a, b) => a - b);
+
+    const match = Object.entries(extendedChordTypes).find(([, chordIntervals]) => {
+      const chordClasses = [...new Set(chordIntervals.map(interval => interval % 12))].sort(
+        (a, b) => a - b
+      );
+      return (
+        chordClasses.length === intervals.length &&
+        chordClasses.every((interval, i) => interval === intervals[i])
+      );
+    });
+
+    if (match) {
+      return { root: noteName(rootClass + 60), type: match[0] };
+    }
+  }
+
+  return { root: noteName(sorted[0]), type: 'maj' };
+};
+
+/**
+ * Group chord-track notes that start together into progression entries
+ * @param {Object[]} notes - Notes from extractNotes
+ * @param {number} ticksPerBar - Ticks in one bar
+ * @returns {Object[]} - Progression in the ChordGenerator shape (position/duration in bars)
+ */
+const notesToProgression = (notes, ticksPerBar) => {
+  const groups = [];
+
+  notes.forEach(note => {
+    const group = groups.find(g => g.startTick === note.startTick);
+    if (group) {
+      group.notes.push(note);
+    } else {
+      groups.push({ startTick: note.startTick, notes: [note] });
+    }
+  });
+
+  return groups
+    .sort((a, b) => a.startTick - b.startTick)
+    .map(group => {
+      const midiNotes = group.notes.map(note => note.midi).sort((a, b) => a - b);
+      const endTick = Math.max(...group.notes.map(note => note.endTick));
+      const { root, type } = identifyChord(midiNotes);
+
+      return {
+        root,
+        type,
+        symbol: formatChordSymbol({ root, type }),
+        notes: midiNotes.map(midi => midiToNoteName(midi)),
+        position: group.startTick / ticksPerBar,
+        duration: (endTick - group.startTick) / ticksPerBar,
+      };
+    });
+};
+
+const toNoteData = (note, ticksPerBeat, key) => ({
+  pitch: midiToNoteName(note.midi, key),
+  startTime: note.startTick / ticksPerBeat,
+  duration: (note.endTick - note.startTick) / ticksPerBeat,
+  velocity: note.velocity / 127,
+});
+
+const maxPolyphony = notes => {
+  const starts = {};
+  notes.forEach(note => {
+    starts[note.startTick] = (starts[note.startTick] || 0) + 1;
+  });
+  return Math.max(0, ...Object.values(starts));
+};
+
+const classifyPart = part => {
+  if (part.channel === DRUM_CHANNEL) return 'drums';
+
+  const name = part.name.toLowerCase();
+  if (name.includes('chord') || name.includes('pad')) return 'chord';
+  if (name.includes('bass')) return 'bass';
+  if (name.includes('melody') || name.includes('lead')) return 'melody';
+
+  if (maxPolyphony(part.notes) >= 3) return 'chord';
+
+  const averagePitch = part.notes.reduce((sum, note) => sum + note.midi, 0) / part.notes.length;
+  return averagePitch < 48 ? 'bass' : 'melody';
+};
+
+// Key named by a key signature meta event (e.g., three flats in minor is C minor), null when the
+// signature is out of range
+const keySignatureToKey = ({ sharpsFlats, mode }) => {
+  if (Math.abs(sharpsFlats) > 7) return null;
+  const majorTonic = (((sharpsFlats * 7) % 12) + 12) % 12;
+  const tonic = mode === 'minor' ? (majorTonic + 9) % 12 : majorTonic;
+  const { step, alter } = spellPitch(tonic, sharpsFlats);
+  return `${formatNoteName({ step, alter })} ${mode}`;
+};
+
+/**
+ * Convert MIDI file data into the composition shape produced by CompositionGenerator
+ * @param {Uint8Array|ArrayBuffer} data - MIDI file data
+ * @param {Object} options - Import options
+ * @param {string} [options.key] - Key of the file, read from its first key signature or found
+ *   from its notes if omitted
+ * @param {string} [options.fileName] - File name without extension
+ * @returns {Object} - Composition data with melody notes, chord progression, bass and drum notes
+ */
+export const midiFileToComposition = (data, options = {}) => {
+  const { fileName = '' } = options;
+  const midiFile = parseMIDIFile(data);
+  const ticksPerBeat = midiFile.division;
+
+  const allEvents = midiFile.tracks.flatMap(track => track.events);
+  const tempoEvents = allEvents
+    .filter(event => event.subtype === 'tempo')
+    .sort((a, b) => a.tick - b.tick);
+  const tempo = tempoEvents.length > 0 ? Math.round(tempoEvents[0].bpm) : 120;
+  // Files with tempo changes keep every change as a step in a tempo map
+  const tempoMap =
+    tempoEvents.length > 1
+      ? tempoEvents.map(event => ({ startTime: event.tick / ticksPerBeat, tempo: event.bpm }))
+      : undefined;
+  const timeSignatureEvent = allEvents.find(event => event.subtype === 'timeSignature');
+  const timeSignature = timeSignatureEvent
+    ? formatTimeSignature(timeSignatureEvent)
+    : DEFAULT_TIME_SIGNATURE;
+  const ticksPerBar = ticksPerBeat * getBeatsPerBar(timeSignature);
+
+  // Split every track by channel so format 0 files separate into parts
+  const parts = [];
+  midiFile.tracks.forEach((track, trackIndex) => {
+    const notes = extractNotes(track.events);
+    const channels = [...new Set(notes.map(note => note.channel))];
+
+    channels.forEach(channel => {
+      const programEvent = track.events.find(
+        event => event.type === 'programChange' && event.channel === channel
+      );
+      // Bank select (CC0 MSB, CC32 LSB) picks GM2 variations of the program
+      const bankEvent = controllerNumber =>
+        track.events.find(
+          event =>
+            event.type === 'controller' &&
+            event.channel === channel &&
+            event.controllerNumber === controllerNumber
+        );
+      parts.push({
+        name: track.name || `Track ${trackIndex + 1}`,
+        channel,
+        program: programEvent ? programEvent.program : 0,
+        bankMsb: bankEvent(0)?.value,
+        bankLsb: bankEvent(32)?.value,
+        notes: notes.filter(note => note.channel === channel),
+      });
+    });
+  });
+
+  const melodyParts = [];
+  const chordParts = [];
+  const bassParts = [];
+  const drumParts = [];
+
+  parts.forEach(part => {
+    const role = classifyPart(part);
+    if (role === 'drums') drumParts.push(part);
+    else if (role === 'chord') chordParts.push(part);
+    else if (role === 'bass') bassParts.push(part);
+    else melodyParts.push(part);
+  });
+
+  // Without a given key, the file's key signature names it, else it is found from the pitched
+  // parts; the notes are spelled in it
+  const keySignatureEvent = allEvents
+    .filter(event => event.subtype === 'keySignature')
+    .sort((a, b) => a.tick - b.tick)[0];
+  const pitchedNotes = [...melodyParts, ...chordParts, ...bassParts]
+    .flatMap(part => part.notes)
+    .map(note => ({ pitch: midiToNoteName(note.midi), duration: note.endTick - note.startTick }));
+  const key =
+    options.key ||
+    (keySignatureEvent && keySignatureToKey(keySignatureEvent)) ||
+    detectKey(pitchedNotes, { modes: ['major', 'minor'] })[0]?.name ||
+    'Imported';
+  const spellingKey = key === 'Imported' ? undefined : key;
+
+  const collectNotes = partList =>
+    partList
+      .flatMap(part => part.notes)
+      .sort((a, b) => a.startTick - b.startTick)
+      .map(note => toNoteData(note, ticksPerBeat, spellingKey));
+
+  const melodyNotes = collectNotes(melodyParts);
+  const bassNotes = collectNotes(bassParts);
+  // Percussion keys name a drum rather than a pitch
+  const drumNames = Object.fromEntries(
+    Object.entries(gmDrumKit).map(([drum, midi]) => [midi, drum])
+  );
+  const drumNotes = drumParts
+    .flatMap(part => part.notes)
+    .sort((a, b) => a.startTick - b.startTick)
+    .map(note => ({ ...toNoteData(note, ticksPerBeat), drum: drumNames[note.midi] || 'other' }));
+  const progression = notesToProgression(
+    chordParts.flatMap(part => part.notes),
+    ticksPerBar
+  );
+
+  const endTick = parts.reduce(
+    (max, part) => Math.max(max, ...part.notes.map(note => note.endTick)),
+    0
+  );
+
+  const instrumentFor = partList =>
+    partList.length > 0
+      ? midiProgramToInstrumentName(partList[0].program, partList[0].bankMsb, partList[0].bankLsb)
+      : undefined;
+
+  return {
+    key,
+    tempo,
+    tempoMap,
+    timeSignature,
+    bars: Math.max(1, Math.ceil(endTick / ticksPerBar)),
+    structure: 'imported',
+    fileName,
+    melody: {
+      scale: key,
+      tempo,
+      tempoMap,
+      timeSignature,
+      notes: melodyNotes,
+      instrument: instrumentFor(melodyParts) || 'acoustic_grand_piano',
+    },
+    chord: {
+      key,
+      tempo,
+      tempoMap,
+      timeSignature,
+      progression,
+      instrument: instrumentFor(chordParts) || 'acoustic_guitar_nylon',
+    },
+    bass: {
+      notes: bassNotes,
+      instrument: instrumentFor(bassParts) || 'electric_bass_finger',
+    },
+    drums: {
+      notes: drumNotes,
+    },
+  };
+};
+
+/**
+ * Read a .mid file chosen by the user and convert it into composition data
+ * @param {File} file - MIDI file
+ * @returns {Promise<Object>} - Composition data
+ */
+export const importMIDIFile = async file => {
+  const fileReader = new FileReader();
+
+  const buffer = await new Promise((resolve, reject) => {
+    fileReader.onload = event => resolve(event.target.result);
+    fileReader.onerror = error => reject(error);
+    fileReader.readAsArrayBuffer(file);
+  });
+
+  return midiFileToComposition(buffer, {
+    fileName: file.name.replace(/\.(mid|midi|kar)$/i, ''),
+  });
+};
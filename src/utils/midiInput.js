@@ -0,0 +1,45 @@
+// Web MIDI input: listens to note messages from a MIDI keyboard (or a JZZ virtual port) for
+// recording
+
+import JZZ from 'jzz';
+import { parseNoteMessage } from './recording';
+
+/**
+ * Names of the MIDI input ports
+ * @returns {Promise<Array>} - Port names
+ */
+export const listMIDIInputs = async () => {
+  const midi = await JZZ();
+  await midi.refresh();
+  return midi.info().inputs.map(port => port.name);
+};
+
+/**
+ * Open a MIDI input port
+ * @param {string} name - Port name
+ * @returns {Promise<Object>} - JZZ input port
+ * @throws {Error} - When the port cannot be opened
+ */
+export const openMIDIInput = async name => {
+  try {
+    return await JZZ().openMidiIn(name);
+  } catch (error) {
+    throw new Error(`Cannot open MIDI input: ${name}`, { cause: error });
+  }
+};
+
+/**
+ * Call back with the note-ons and note-offs arriving on an input port
+ * @param {Object} port - Input port from openMIDIInput
+ * @param {Function} onNote - Called with { type, channel, pitch, velocity } from parseNoteMessage
+ * @returns {Function} - Stops listening
+ */
+export const listenForNotes = (port, onNote) => {
+  const listener = message => {
+    const note = parseNoteMessage(Array.from(message));
+    if (note) onNote(note);
+  };
+
+  port.connect(listener);
+  return () => port.disconnect(listener);
+};
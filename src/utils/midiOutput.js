@@ -0,0 +1,133 @@
+// Web MIDI output: plays tracks on a MIDI port (a hardware synth, a DAW or a JZZ virtual port)
+// with the same bank select, program change, note and controller messages the MIDI exporters
+// write
+
+import JZZ from 'jzz';
+import { getBeatsPerBar } from './timeSignature';
+import { createBeatToSeconds } from './tempoMap';
+import { sortTrackEvents, trackToEvents } from './midiWriter';
+import { noteToMidiNumber } from './simpleMidi';
+import { createExportTracks, getCompositionTracks } from './tracks';
+
+// Resolution notes are placed at before their times are converted to seconds
+const OUTPUT_TICKS_PER_BEAT = 960;
+
+// All Notes Off and All Sound Off, sent on every channel used when playback stops so nothing
+// hangs, not even notes held by the sustain pedal
+const ALL_NOTES_OFF = 123;
+const ALL_SOUND_OFF = 120;
+
+/**
+ * Names of the MIDI output ports
+ * @returns {Promise<Array>} - Port names
+ */
+export const listMIDIOutputs = async () => {
+  const midi = await JZZ();
+  await midi.refresh();
+  return midi.info().outputs.map(port => port.name);
+};
+
+/**
+ * Open a MIDI output port
+ * @param {string} name - Port name
+ * @returns {Promise<Object>} - JZZ output port
+ * @throws {Error} - When the port cannot be opened
+ */
+export const openMIDIOutput = async name => {
+  try {
+    return await JZZ().openMidiOut(name);
+  } catch (error) {
+    throw new Error(`Cannot open MIDI output: ${name}`, { cause: error });
+  }
+};
+
+/**
+ * Tracks played for melody, chord or composition data, as in the exporters
+ * @param {Object} data - Melody, chord progression or composition data
+ * @param {string} type - 'melody', 'chord' or 'composition'
+ * @returns {Array} - Tracks
+ */
+export const getPlaybackTracks = (data, type) => {
+  if (type === 'composition') return getCompositionTracks(data);
+  if (type === 'chord') return createExportTracks(null, data, { includeBass: false });
+  return createExportTracks(data, null);
+};
+
+/**
+ * MIDI messages of tracks in playing order
+ * @param {Array} tracks - Tracks
+ * @param {Object} options - Output options
+ * @param {number} [options.tempo] - Tempo in BPM used when there is no tempo map
+ * @param {Array} [options.tempoMap] - Tempo map segments
+ * @param {string} [options.timeSignature] - Time signature
+ * @param {Object} [options.channels] - MIDI channel of each track by track id, overriding the
+ *   track's own channel
+ * @param {boolean} [options.applyExpression] - Add generated expression automation
+ * @returns {Array} - Array of { time, data } with times in seconds
+ */
+export const createOutputMessages = (
+  tracks,
+  { tempo = 120, tempoMap, timeSignature, channels = {}, applyExpression = false } = {}
+) => {
+  const beatsPerBar = getBeatsPerBar(timeSignature);
+  const toSeconds = createBeatToSeconds(tempoMap, tempo);
+
+  const events = tracks.flatMap(track =>
+    trackToEvents(
+      { ...track, channel: channels[track.id] ?? track.channel },
+      { ticksPerBeat: OUTPUT_TICKS_PER_BEAT, beatsPerBar, noteToMidiNumber, applyExpression }
+    )
+  );
+
+  // Track names and lyrics are file-only meta events
+  return sortTrackEvents(events.filter(event => event.type !== 'meta')).map(event => ({
+    time: toSeconds(event.tick / OUTPUT_TICKS_PER_BEAT),
+    data: event.data,
+  }));
+};
+
+/**
+ * Play tracks on a MIDI output port, sending each message when it is due
+ * @param {Object} port - Output port from openMIDIOutput, or anything with a send(data) method
+ * @param {Array} tracks - Tracks
+ * @param {Object} options - Output options, as for createOutputMessages
+ * @returns {Object} - { stop, finished }: stop() silences the port and cancels the rest,
+ *   finished resolves to true when everything was sent and false when stopped
+ */
+export const playOnMIDIOutput = (port, tracks, options = {}) => {
+  const messages = createOutputMessages(tracks, options);
+  const channels = [...new Set(messages.map(message => message.data[0] & 0x0f))];
+  let resolveFinished;
+  const finished = new Promise(resolve => {
+    resolveFinished = resolve;
+  });
+
+  // One timer per moment rather than per message
+  const moments = messages.reduce((groups, message) => {
+    const last = groups[groups.length - 1];
+    if (last && last.time === message.time) {
+      last.messages.push(message.data);
+    } else {
+      groups.push({ time: message.time, messages: [message.data] });
+    }
+    return groups;
+  }, []);
+
+  let timers = moments.map(moment =>
+    setTimeout(() => moment.messages.forEach(data => port.send(data)), moment.time * 1000)
+  );
+  const endTime = moments.length > 0 ? moments[moments.length - 1].time : 0;
+  timers.push(setTimeout(() => resolveFinished(true), endTime * 1000));
+
+  const stop = () => {
+    timers.forEach(clearTimeout);
+    timers = [];
+    channels.forEach(channel => {
+      port.send([0xb0 | channel, ALL_NOTES_OFF, 0]);
+      port.send([0xb0 | channel, ALL_SOUND_OFF, 0]);
+    });
+    resolveFinished(false);
+  };
+
+  return { stop, finished };
+};
@@ -0,0 +1,465 @@
+// Event-list based Standard MIDI File track writer shared by the exporters
+
+import { getKeySignature } from './pitch';
+import { getTimeSignatureMetaData } from './timeSignature';
+import { getTempoEvents } from './tempoMap';
+import { generateExpressionEvents, generateSustainPedalEvents } from './humanize';
+import { getTrackNotes, isChordTrack } from './tracks';
+
+// Events at the same tick are written meta events and bank and program changes first, then
+// note-offs, with note-ons last, so a controller change or pedal lift lands between the notes
+// that end and the notes that start there
+const EVENT_ORDER = {
+  meta: 0,
+  bankSelect: 1,
+  programChange: 1,
+  noteOff: 2,
+  controller: 3,
+  pitchBend: 3,
+  noteOn: 4,
+};
+
+// Resolution used when no other is asked for
+export const DEFAULT_TICKS_PER_BEAT = 96;
+
+// Resolutions offered by the exporters; 480 and 960 match common DAW templates
+export const ticksPerBeatOptions = [96, 192, 480, 960];
+
+// Format 0 has a single track holding every channel, format 1 one track per part
+export const midiFileFormats = [0, 1];
+
+/**
+ * Encode a number as a MIDI variable-length quantity
+ * @param {number} value - Non-negative integer
+ * @returns {number[]} - Bytes
+ */
+export const writeVariableLength = value => {
+  if (value < 0) return [0];
+
+  const bytes = [];
+  let v = value;
+
+  while (v > 0) {
+    bytes.unshift(v & 0x7f);
+    v >>= 7;
+  }
+
+  for (let i = 0; i < bytes.length - 1; i++) {
+    bytes[i] |= 0x80;
+  }
+  return bytes.length > 0 ? bytes : [0];
+};
+
+/**
+ * Create a meta event
+ * @param {number} tick - Absolute tick
+ * @param {number} metaType - Meta event type (e.g., 0x51 for tempo)
+ * @param {number[]} bytes - Event data
+ * @returns {Object} - Track event
+ */
+export const metaEvent = (tick, metaType, bytes) => ({
+  tick,
+  type: 'meta',
+  metaType,
+  bytes,
+  data: [0xff, metaType, ...writeVariableLength(bytes.length), ...bytes],
+});
+
+/**
+ * Create a text meta event (text, track name, lyric, marker...)
+ * @param {number} tick - Absolute tick
+ * @param {number} metaType - Text meta event type (0x01 to 0x07)
+ * @param {string} text - Text, written as UTF-8 so lyrics in any script survive
+ * @returns {Object} - Track event
+ */
+export const textEvent = (tick, metaType, text) =>
+  metaEvent(tick, metaType, Array.from(new TextEncoder().encode(String(text))));
+
+/**
+ * Create a track name meta event at the start of the track
+ * @param {string} name - Track name
+ * @returns {Object} - Track event
+ */
+export const trackNameEvent = name => textEvent(0, 0x03, name);
+
+/**
+ * Create a key signature meta event for a key such as 'Eb Major' or 'F# minor'.
+ * Modes other than minor are written as the major key with the same signature.
+ * @param {number} tick - Absolute tick
+ * @param {string} key - Key name
+ * @returns {Object|null} - Track event, or null when the key has no readable tonic
+ */
+export const keySignatureEvent = (tick, key) => {
+  if (!/^[A-Ga-g][#b]?(\s|$)/.test(String(key || '').trim())) return null;
+
+  const { fifths, mode } = getKeySignature(key);
+  const minor = mode === 'minor' || mode === 'aeolian';
+  return metaEvent(tick, 0x59, [fifths & 0xff, minor ? 1 : 0]);
+};
+
+/**
+ * Create a tempo meta event
+ * @param {number} tick - Absolute tick
+ * @param {number} bpm - Tempo in quarter notes per minute
+ * @returns {Object} - Track event
+ */
+export const tempoEvent = (tick, bpm) => {
+  const mspqn = Math.floor(60000000 / bpm);
+  return metaEvent(tick, 0x51, [(mspqn >> 16) & 0xff, (mspqn >> 8) & 0xff, mspqn & 0xff]);
+};
+
+/**
+ * Find where the section of a progression changes
+ * @param {Array} progression - Chords with positions in bars and an optional section name
+ * @param {number} beatsPerBar - Beats per bar
+ * @returns {Array} - Array of { name, startTime } with start times in beats
+ */
+export const getSectionStarts = (progression = [], beatsPerBar) =>
+  progression
+    .filter(
+      (chord, index) =>
+        chord.section && (index === 0 || chord.section !== progression[index - 1].section)
+    )
+    .map(chord => ({ name: chord.section, startTime: chord.position * beatsPerBar }));
+
+/**
+ * Events of the conductor track: time and key signature, tempo changes, section markers and
+ * text events
+ * @param {Object} options - Conductor options
+ * @param {string} options.timeSignature - Time signature
+ * @param {number} options.tempo - Tempo in BPM used when there is no tempo map
+ * @param {Array} [options.tempoMap] - Tempo map segments
+ * @param {string} [options.key] - Key name, no key signature is written when it is unreadable
+ * @param {Array} [options.sections] - Array of { name, startTime } written as markers
+ * @param {Array} [options.textEvents] - Array of { startTime, text } written as text events
+ * @param {number} options.ticksPerBeat - Ticks per quarter note
+ * @returns {Array} - Track events
+ */
+export const createConductorEvents = ({
+  timeSignature,
+  tempo,
+  tempoMap,
+  key,
+  sections = [],
+  textEvents = [],
+  ticksPerBeat,
+}) => {
+  const toTick = time => Math.max(0, Math.round(time * ticksPerBeat));
+  const capitalize = text => `${text.charAt(0).toUpperCase()}${text.slice(1)}`;
+
+  return [
+    metaEvent(0, 0x58, getTimeSignatureMetaData(timeSignature)),
+    keySignatureEvent(0, key),
+    // One tempo meta event per step of the tempo map
+    ...getTempoEvents(tempoMap, tempo).map(event => tempoEvent(toTick(event.time), event.tempo)),
+    ...sections.map(section =>
+      textEvent(toTick(section.startTime), 0x06, capitalize(section.name))
+    ),
+    ...textEvents.map(event => textEvent(toTick(event.startTime), 0x01, event.text)),
+  ].filter(Boolean);
+};
+
+/**
+ * Turn lyrics into lyric meta events
+ * @param {Array} lyrics - Array of { startTime, text } with start times in beats
+ * @param {number} ticksPerBeat - Ticks per quarter note
+ * @returns {Array} - Track events
+ */
+export const lyricsToEvents = (lyrics, ticksPerBeat) =>
+  lyrics.map(lyric =>
+    textEvent(Math.max(0, Math.round(lyric.startTime * ticksPerBeat)), 0x05, lyric.text)
+  );
+
+/**
+ * Create the bank select controllers (CC0 MSB, CC32 LSB) at the start of the track. They are
+ * kept in front of the program change, which is what makes the receiver switch banks.
+ * @param {number} channel - MIDI channel
+ * @param {number} msb - Bank select MSB, 121 for GM2 melodic sounds and 120 for GM2 drums
+ * @param {number} lsb - Bank select LSB, the GM2 variation
+ * @returns {Array} - Track events
+ */
+export const bankSelectEvents = (channel, msb, lsb) => [
+  { tick: 0, type: 'bankSelect', data: [0xb0 | channel, 0, msb & 0x7f] },
+  { tick: 0, type: 'bankSelect', data: [0xb0 | channel, 32, lsb & 0x7f] },
+];
+
+/**
+ * Create a program change at the start of the track
+ * @param {number} channel - MIDI channel
+ * @param {number} program - General MIDI program number
+ * @returns {Object} - Track event
+ */
+export const programChangeEvent = (channel, program) => ({
+  tick: 0,
+  type: 'programChange',
+  data: [0xc0 | channel, program & 0x7f],
+});
+
+/**
+ * Shorten notes that are still sounding when the same pitch starts again on the same channel.
+ * A receiver only tracks one note per channel and pitch, so without this the first note-off
+ * would silence the second note early.
+ * @param {Array} notes - Array of { channel, pitch, velocity, startTick, endTick }
+ * @returns {Array} - Notes sorted by start tick, each lasting at least one tick
+ */
+export const resolveNoteOverlaps = notes => {
+  const sortedNotes = notes
+    .map(note => {
+      const startTick = Math.max(0, note.startTick);
+      return { ...note, startTick, endTick: Math.max(startTick + 1, note.endTick) };
+    })
+    .sort((a, b) => a.startTick - b.startTick);
+
+  const sounding = {};
+  sortedNotes.forEach(note => {
+    const key = `${note.channel}:${note.pitch}`;
+    const previous = sounding[key];
+
+    if (previous && previous.endTick > note.startTick) {
+      previous.endTick = note.startTick;
+    }
+    sounding[key] = note;
+  });
+
+  // A note that is cut off at the tick it starts on is dropped
+  return sortedNotes.filter(note => note.endTick > note.startTick);
+};
+
+/**
+ * Turn notes into note-on and note-off events
+ * @param {Array} notes - Array of { channel, pitch, velocity, startTick, endTick }
+ * @returns {Array} - Track events
+ */
+export const notesToEvents = notes =>
+  resolveNoteOverlaps(notes).flatMap(note => [
+    {
+      tick: note.startTick,
+      type: 'noteOn',
+      data: [0x90 | note.channel, note.pitch, note.velocity],
+    },
+    { tick: note.endTick, type: 'noteOff', data: [0x80 | note.channel, note.pitch, 0] },
+  ]);
+
+/**
+ * Convert controller and pitch-bend events (times in beats) into track events
+ * @param {Array} expressionEvents - Events from humanize.generateExpressionEvents
+ * @param {number} channel - MIDI channel
+ * @param {number} ticksPerBeat - Ticks per quarter note
+ * @returns {Array} - Track events
+ */
+export const expressionToEvents = (expressionEvents, channel, ticksPerBeat) =>
+  expressionEvents.flatMap(event => {
+    const tick = Math.max(0, Math.round(event.time * ticksPerBeat));
+
+    if (event.type === 'controller') {
+      const value = Math.max(0, Math.min(127, Math.round(event.value)));
+      return [
+        {
+          tick,
+          type: 'controller',
+          data: [0xb0 | channel, event.controllerNumber & 0x7f, value],
+        },
+      ];
+    }
+
+    if (event.type === 'pitchBend') {
+      // Pitch bend values run from -8192 to 8191 with 0 meaning no bend
+      const value = Math.max(0, Math.min(16383, Math.round(event.value) + 8192));
+      return [{ tick, type: 'pitchBend', data: [0xe0 | channel, value & 0x7f, value >> 7] }];
+    }
+
+    return [];
+  });
+
+/**
+ * Sort track events by tick, keeping the order of events that share a tick
+ * @param {Array} events - Track events
+ * @returns {Array} - Sorted copy
+ */
+export const sortTrackEvents = events =>
+  [...events].sort((a, b) => a.tick - b.tick || EVENT_ORDER[a.type] - EVENT_ORDER[b.type]);
+
+/**
+ * Events of an instrument track: its name, bank select and program change followed by its events
+ * @param {string} name - Track name
+ * @param {number} channel - MIDI channel
+ * @param {number} program - General MIDI program number
+ * @param {Array} events - Track events with absolute ticks
+ * @param {Object} [bank] - { msb, lsb } bank select, none is written when omitted
+ * @returns {Array} - Track events
+ */
+export const createTrackEvents = (name, channel, program, events, bank) => [
+  trackNameEvent(name),
+  ...(bank ? bankSelectEvents(channel, bank.msb, bank.lsb) : []),
+  programChangeEvent(channel, program),
+  ...events,
+];
+
+/**
+ * Events of a composition track: name, bank and program change, notes, expression and lyrics
+ * @param {Object} track - Track from tracks.js
+ * @param {Object} options - Conversion options
+ * @param {number} options.ticksPerBeat - Ticks per quarter note
+ * @param {number} options.beatsPerBar - Beats per bar, for chord positions
+ * @param {Function} options.noteToMidiNumber - Converts a note name into a MIDI note number
+ * @param {boolean} [options.applyExpression] - Add generated expression (notes) or sustain pedal
+ * (chords) automation
+ * @param {Array} [options.lyrics] - Array of { startTime, text } lyric events
+ * @returns {Array} - Track events
+ */
+export const trackToEvents = (
+  track,
+  { ticksPerBeat, beatsPerBar, noteToMidiNumber, applyExpression = false, lyrics = [] }
+) => {
+  // Notes are placed by their absolute start and end so humanized timing survives rounding
+  const notes = getTrackNotes(track, beatsPerBar).map(note => ({
+    channel: track.channel,
+    pitch: noteToMidiNumber(note.pitch),
+    velocity: Math.max(1, Math.min(127, Math.round(note.velocity * 127))),
+    startTick: Math.round(note.startTime * ticksPerBeat),
+    endTick: Math.round((note.startTime + note.duration) * ticksPerBeat),
+  }));
+
+  const expressionEvents = [...(track.expressionEvents || [])];
+  if (applyExpression && track.role !== 'drums') {
+    expressionEvents.push(
+      ...(isChordTrack(track)
+        ? generateSustainPedalEvents(track.progression, beatsPerBar)
+        : generateExpressionEvents(track.notes, 'all'))
+    );
+  }
+
+  const bank =
+    track.bankMsb !== undefined ? { msb: track.bankMsb, lsb: track.bankLsb ?? 0 } : undefined;
+
+  return createTrackEvents(
+    track.name,
+    track.channel,
+    track.program,
+    [
+      ...notesToEvents(notes),
+      ...expressionToEvents(expressionEvents, track.channel, ticksPerBeat),
+      ...lyricsToEvents(lyrics, ticksPerBeat),
+    ],
+    bank
+  );
+};
+
+/**
+ * Merge tracks into the single track of a format 0 file. Only the first track keeps its name.
+ * @param {Array[]} tracks - Events of each track
+ * @returns {Array} - Events of the merged track
+ */
+export const mergeTracks = tracks =>
+  sortTrackEvents(
+    tracks.flatMap((events, index) =>
+      index === 0
+        ? events
+        : events.filter(event => !(event.type === 'meta' && event.metaType === 0x03))
+    )
+  );
+
+/**
+ * Check the file format and resolution of an export
+ * @param {Object} options - { midiFormat, ticksPerBeat }
+ * @throws {Error} - When the format is not 0 or 1 or the resolution does not fit the header
+ */
+export const validateFileOptions = ({ midiFormat, ticksPerBeat }) => {
+  if (!midiFileFormats.includes(midiFormat)) {
+    throw new Error(`Unsupported MIDI file format: ${midiFormat}`);
+  }
+  // The division is 15 bits; a set top bit would mean SMPTE timing
+  if (!Number.isInteger(ticksPerBeat) || ticksPerBeat < 1 || ticksPerBeat > 0x7fff) {
+    throw new Error(`Invalid ticks per beat: ${ticksPerBeat}`);
+  }
+};
+
+/**
+ * Encode a complete MTrk chunk from events
+ * @param {Array} events - Track events with absolute ticks
+ * @returns {Uint8Array} - Track chunk
+ */
+export const encodeTrackEvents = events => {
+  const track = [
+    0x4d,
+    0x54,
+    0x72,
+    0x6b, // MTrk
+    0x00,
+    0x00,
+    0x00,
+    0x00, // Placeholder for track length
+  ];
+
+  let currentTime = 0;
+  for (const event of sortTrackEvents(events)) {
+    track.push(...writeVariableLength(event.tick - currentTime), ...event.data);
+    currentTime = event.tick;
+  }
+
+  // End of track
+  track.push(0x00, 0xff, 0x2f, 0x00);
+
+  // Update track length
+  const trackLength = track.length - 8; // Subtract header size
+  track[4] = (trackLength >> 24) & 0xff;
+  track[5] = (trackLength >> 16) & 0xff;
+  track[6] = (trackLength >> 8) & 0xff;
+  track[7] = trackLength & 0xff;
+
+  return new Uint8Array(track);
+};
+
+/**
+ * Encode a complete MTrk chunk for an instrument
+ * @param {string} name - Track name
+ * @param {number} channel - MIDI channel
+ * @param {number} program - General MIDI program number
+ * @param {Array} events - Track events with absolute ticks
+ * @returns {Uint8Array} - Track chunk
+ */
+export const encodeTrack = (name, channel, program, events) =>
+  encodeTrackEvents(createTrackEvents(name, channel, program, events));
+
+/**
+ * Encode a Standard MIDI File
+ * @param {Array[]} tracks - Events of each track, the conductor track first
+ * @param {Object} options - { midiFormat: 0 or 1, ticksPerBeat }
+ * @returns {Uint8Array} - MIDI file data
+ */
+export const encodeMIDIFile = (
+  tracks,
+  { midiFormat = 1, ticksPerBeat = DEFAULT_TICKS_PER_BEAT } = {}
+) => {
+  validateFileOptions({ midiFormat, ticksPerBeat });
+
+  const chunks = (midiFormat === 0 ? [mergeTracks(tracks)] : tracks).map(encodeTrackEvents);
+  const header = [
+    0x4d,
+    0x54,
+    0x68,
+    0x64, // MThd
+    0x00,
+    0x00,
+    0x00,
+    0x06, // Header size
+    0x00,
+    midiFormat,
+    (chunks.length >> 8) & 0xff,
+    chunks.length & 0xff,
+    (ticksPerBeat >> 8) & 0x7f,
+    ticksPerBeat & 0xff, // Division
+  ];
+
+  const midiFile = new Uint8Array(
+    header.length + chunks.reduce((sum, chunk) => sum + chunk.length, 0)
+  );
+  midiFile.set(header);
+  let offset = header.length;
+  chunks.forEach(chunk => {
+    midiFile.set(chunk, offset);
+    offset += chunk.length;
+  });
+
+  return midiFile;
+};
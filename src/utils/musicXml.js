@@ -0,0 +1,303 @@
+// MusicXML export for notation software (MuseScore, Sibelius, Finale)
+
+import { parseTimeSignature, getBeatsPerBar } from './timeSignature';
+import { DIVISIONS, quantize, toVoice, layOutMeasures } from './notation';
+import { noteNameToMidi, getKeySignature, spellPitch, stripOctave } from './pitch';
+import { readChord } from './chordSymbols';
+import { createExportTracks, isChordTrack } from './tracks';
+
+// MusicXML chord kinds and the tones above the root each stands for, by degree
+const HARMONY_KINDS = {
+  major: { 3: 4, 5: 7 },
+  minor: { 3: 3, 5: 7 },
+  augmented: { 3: 4, 5: 8 },
+  diminished: { 3: 3, 5: 6 },
+  dominant: { 3: 4, 5: 7, 7: 10 },
+  'major-seventh': { 3: 4, 5: 7, 7: 11 },
+  'minor-seventh': { 3: 3, 5: 7, 7: 10 },
+  'diminished-seventh': { 3: 3, 5: 6, 7: 9 },
+  'augmented-seventh': { 3: 4, 5: 8, 7: 10 },
+  'half-diminished': { 3: 3, 5: 6, 7: 10 },
+  'major-minor': { 3: 3, 5: 7, 7: 11 },
+  'major-sixth': { 3: 4, 5: 7, 6: 9 },
+  'minor-sixth': { 3: 3, 5: 7, 6: 9 },
+  'dominant-ninth': { 3: 4, 5: 7, 7: 10, 9: 14 },
+  'major-ninth': { 3: 4, 5: 7, 7: 11, 9: 14 },
+  'minor-ninth': { 3: 3, 5: 7, 7: 10, 9: 14 },
+  'dominant-11th': { 3: 4, 5: 7, 7: 10, 9: 14, 11: 17 },
+  'major-11th': { 3: 4, 5: 7, 7: 11, 9: 14, 11: 17 },
+  'minor-11th': { 3: 3, 5: 7, 7: 10, 9: 14, 11: 17 },
+  'dominant-13th': { 3: 4, 5: 7, 7: 10, 9: 14, 11: 17, 13: 21 },
+  'major-13th': { 3: 4, 5: 7, 7: 11, 9: 14, 11: 17, 13: 21 },
+  'minor-13th': { 3: 3, 5: 7, 7: 10, 9: 14, 11: 17, 13: 21 },
+  'suspended-second': { 2: 2, 5: 7 },
+  'suspended-fourth': { 4: 5, 5: 7 },
+  power: { 5: 7 },
+};
+
+const EXTENSION_SIZES = { 9: 'ninth', 11: '11th', 13: '13th' };
+
+// Semitones of each degree in the major scale, which added degrees are altered from
+const MAJOR_DEGREES = { 2: 2, 3: 4, 4: 5, 5: 7, 6: 9, 7: 11, 9: 14, 11: 17, 13: 21 };
+
+// Closest MusicXML kind to a parsed chord symbol; <degree> elements make up the difference
+const getHarmonyKind = ({ quality, seventh, extension, suspension }) => {
+  const size = EXTENSION_SIZES[extension];
+  if (quality === 'power') return 'power';
+  if (suspension && !seventh) return `suspended-${suspension === 'sus2' ? 'second' : 'fourth'}`;
+  if (quality === 'dominant') return size ? `dominant-${size}` : 'dominant';
+  if (quality === 'major' || quality === 'minor') {
+    if (!seventh) return extension === 6 ? `${quality}-sixth` : quality;
+    if (quality === 'minor' && seventh === 'major') return 'major-minor';
+    return `${quality}-${size || 'seventh'}`;
+  }
+  if (quality === 'augmented') {
+    if (seventh === 'major') return 'major-seventh';
+    return seventh ? 'augmented-seventh' : 'augmented';
+  }
+  if (quality === 'diminished') return seventh ? 'diminished-seventh' : 'diminished';
+  return 'half-diminished';
+};
+
+// Degrees the chord adds to, alters in or leaves out of the tones of its kind
+const getHarmonyDegrees = (chord, kind) => {
+  const kindTones = HARMONY_KINDS[kind];
+  const degrees = chord.tones
+    .filter(({ degree, semitones }) => degree > 1 && kindTones[degree] !== semitones)
+    .map(({ degree, semitones }) =>
+      degree in kindTones
+        ? { value: degree, alter: semitones - kindTones[degree], type: 'alter' }
+        : { value: degree, alter: semitones - MAJOR_DEGREES[degree], type: 'add' }
+    );
+  Object.keys(kindTones)
+    .map(Number)
+    .filter(degree => !chord.tones.some(tone => tone.degree === degree))
+    .forEach(degree => degrees.push({ value: degree, alter: 0, type: 'subtract' }));
+
+  return degrees.sort((a, b) => a.value - b.value);
+};
+
+const escapeXml = text =>
+  String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const pitchXml = (midi, fifths) => {
+  const { step, alter, octave } = spellPitch(midi, fifths);
+  return `<pitch><step>${step}</step>${alter ? `<alter>${alter}</alter>` : ''}<octave>${octave}</octave></pitch>`;
+};
+
+const noteXml = (item, fifths) => {
+  const lines = [];
+  const pitches = item.pitches.length > 0 ? item.pitches : [null];
+
+  pitches.forEach((midi, index) => {
+    const parts = [];
+    if (index > 0) parts.push('<chord/>');
+
+    if (midi === null) {
+      parts.push(item.measureRest ? '<rest measure="yes"/>' : '<rest/>');
+    } else {
+      parts.push(pitchXml(midi, fifths));
+    }
+
+    parts.push(`<duration>${item.duration}</duration>`);
+    if (item.tieStop) parts.push('<tie type="stop"/>');
+    if (item.tieStart) parts.push('<tie type="start"/>');
+    parts.push('<voice>1</voice>');
+
+    if (item.value) {
+      parts.push(`<type>${item.value.type}</type>`);
+      for (let i = 0; i < (item.value.dots || 0); i++) parts.push('<dot/>');
+      if (item.value.triplet) {
+        parts.push(
+          '<time-modification><actual-notes>3</actual-notes><normal-notes>2</normal-notes></time-modification>'
+        );
+      }
+    }
+
+    if (item.tieStop || item.tieStart) {
+      const tied = [
+        item.tieStop ? '<tied type="stop"/>' : '',
+        item.tieStart ? '<tied type="start"/>' : '',
+      ].join('');
+      parts.push(`<notations>${tied}</notations>`);
+    }
+
+    lines.push(`      <note>${parts.join('')}</note>`);
+  });
+
+  return lines;
+};
+
+const harmonyXml = (harmony, fifths, offset) => {
+  const chord = readChord(harmony.chord);
+  const rootName = chord ? chord.root : stripOctave(harmony.chord.root || 'C');
+  const rootMatch = /^[A-G][#b]?/.exec(rootName);
+  const spell = name => spellPitch(noteNameToMidi(`${name}4`), fifths);
+  const root = spell(rootMatch ? rootMatch[0] : 'C');
+
+  const kind = chord ? getHarmonyKind(chord) : 'other';
+  const degrees = chord ? getHarmonyDegrees(chord, kind) : [];
+  // Plain major triads are written as just the root
+  const suffix = chord ? chord.suffix : harmony.chord.type || '';
+  const text = kind === 'major' && degrees.length === 0 ? '' : suffix;
+  const bass = chord?.bass ? spell(chord.bass) : null;
+
+  return [
+    '      <harmony>',
+    `        <root><root-step>${root.step}</root-step>${root.alter ? `<root-alter>${root.alter}</root-alter>` : ''}</root>`,
+    `        <kind text="${escapeXml(text)}">${kind}</kind>`,
+    ...(bass
+      ? [
+          `        <bass><bass-step>${bass.step}</bass-step>${bass.alter ? `<bass-alter>${bass.alter}</bass-alter>` : ''}</bass>`,
+        ]
+      : []),
+    ...degrees.map(
+      degree =>
+        `        <degree><degree-value>${degree.value}</degree-value><degree-alter>${degree.alter}</degree-alter><degree-type>${degree.type}</degree-type></degree>`
+    ),
+    ...(offset ? [`        <offset>${offset}</offset>`] : []),
+    '      </harmony>',
+  ];
+};
+
+/**
+ * Create a MusicXML (partwise) document with a part for each pitched track
+ * @param {Object} melodyData - Melody data
+ * @param {Object} chordData - Chord progression data
+ * @param {Object} options - Export options
+ * @returns {string} - MusicXML document
+ */
+export const createMusicXML = (melodyData, chordData, options = {}) => {
+  const {
+    // Parts to write, built from the melody, chord and bass data when omitted (see tracks.js)
+    tracks = createExportTracks(melodyData, chordData, options),
+    title = 'Untitled',
+    key = melodyData?.scale || chordData?.key,
+    timeSignature = melodyData?.timeSignature || chordData?.timeSignature,
+    tempo = melodyData?.tempo || chordData?.tempo || 120,
+  } = options;
+
+  const { numerator, denominator } = parseTimeSignature(timeSignature);
+  const beatsPerBar = getBeatsPerBar(timeSignature);
+  const measureLength = Math.round(beatsPerBar * DIVISIONS);
+  const { fifths, mode } = getKeySignature(key);
+
+  const fromNotes = notes =>
+    notes.map(note => ({
+      pitches: [noteNameToMidi(note.pitch)],
+      start: quantize(note.startTime, timeSignature),
+      end: quantize(note.startTime + note.duration, timeSignature),
+    }));
+  const fromChords = progression =>
+    progression.map(chord => ({
+      pitches: chord.notes.map(noteNameToMidi),
+      start: quantize(chord.position * beatsPerBar, timeSignature),
+      end: quantize((chord.position + chord.duration) * beatsPerBar, timeSignature),
+    }));
+
+  // Drum parts are left out: their notes stand for instruments, not pitches
+  const parts = tracks
+    .filter(track => track.role !== 'drums')
+    .filter(track => (isChordTrack(track) ? track.progression : track.notes || []).length > 0)
+    .map(track => ({
+      track,
+      name: track.name,
+      voice: toVoice(isChordTrack(track) ? fromChords(track.progression) : fromNotes(track.notes)),
+    }));
+
+  // Chord symbols come from the chord part, or the chord data when chords are not written
+  const chordPart =
+    parts.find(part => part.track.role === 'chord') || parts.find(part => isChordTrack(part.track));
+  const progression = chordPart?.track.progression || chordData?.progression || [];
+
+  const measureCount = Math.max(
+    1,
+    ...parts.map(part =>
+      Math.ceil(Math.max(0, ...part.voice.map(group => group.end)) / measureLength)
+    )
+  );
+
+  // Chord symbols sit on the chord part, or on the top part when chords are not written
+  const harmonyPart = chordPart || parts[0];
+  const harmonies = progression.map(chord => ({
+    chord,
+    start: quantize(chord.position * beatsPerBar, timeSignature),
+  }));
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+    '<!DOCTYPE score-partwise PUBLIC "-//Recordare//DTD MusicXML 4.0 Partwise//EN" "http://www.musicxml.org/dtds/partwise.dtd">',
+    '<score-partwise version="4.0">',
+    `  <work><work-title>${escapeXml(title)}</work-title></work>`,
+    '  <part-list>',
+  ];
+
+  parts.forEach((part, index) => {
+    const id = `P${index + 1}`;
+    lines.push(
+      `    <score-part id="${id}">`,
+      `      <part-name>${escapeXml(part.name)}</part-name>`,
+      `      <score-instrument id="${id}-I1"><instrument-name>${escapeXml(part.name)}</instrument-name></score-instrument>`,
+      `      <midi-instrument id="${id}-I1"><midi-channel>${(part.track.channel ?? index) + 1}</midi-channel>${part.track.bankMsb === undefined ? '' : `<midi-bank>${part.track.bankMsb * 128 + (part.track.bankLsb || 0) + 1}</midi-bank>`}<midi-program>${(part.track.program || 0) + 1}</midi-program></midi-instrument>`,
+      '    </score-part>'
+    );
+  });
+  lines.push('  </part-list>');
+
+  parts.forEach((part, partIndex) => {
+    const pitches = part.voice.flatMap(group => group.pitches);
+    const averagePitch = pitches.reduce((sum, midi) => sum + midi, 0) / (pitches.length || 1);
+    const clef = averagePitch < 55 ? { sign: 'F', line: 4 } : { sign: 'G', line: 2 };
+    const measures = layOutMeasures(part.voice, measureLength, measureCount);
+
+    lines.push(`  <part id="P${partIndex + 1}">`);
+    measures.forEach((items, measureIndex) => {
+      lines.push(`    <measure number="${measureIndex + 1}">`);
+
+      if (measureIndex === 0) {
+        lines.push(
+          '      <attributes>',
+          `        <divisions>${DIVISIONS}</divisions>`,
+          `        <key><fifths>${fifths}</fifths><mode>${mode}</mode></key>`,
+          `        <time><beats>${numerator}</beats><beat-type>${denominator}</beat-type></time>`,
+          `        <clef><sign>${clef.sign}</sign><line>${clef.line}</line></clef>`,
+          '      </attributes>'
+        );
+
+        if (partIndex === 0) {
+          lines.push(
+            '      <direction placement="above">',
+            `        <direction-type><metronome><beat-unit>quarter</beat-unit><per-minute>${tempo}</per-minute></metronome></direction-type>`,
+            `        <sound tempo="${tempo}"/>`,
+            '      </direction>'
+          );
+        }
+      }
+
+      const measureStart = measureIndex * measureLength;
+      const measureHarmonies =
+        part === harmonyPart
+          ? harmonies.filter(h => h.start >= measureStart && h.start < measureStart + measureLength)
+          : [];
+
+      items.forEach((item, itemIndex) => {
+        const next = items[itemIndex + 1];
+        // Each chord symbol goes before the note or rest sounding when the chord starts
+        measureHarmonies
+          .filter(h => h.start >= item.start && (!next || h.start < next.start))
+          .forEach(h => lines.push(...harmonyXml(h, fifths, h.start - item.start)));
+        lines.push(...noteXml(item, fifths));
+      });
+
+      lines.push('    </measure>');
+    });
+    lines.push('  </part>');
+  });
+
+  lines.push('</score-partwise>');
+  return `${lines.join('\n')}\n`;
+};
@@ -0,0 +1,143 @@
+// Notation helpers shared by the score exporters: laying out notes in measures of tied note
+// values. Pitch spelling and key signatures are in pitch.js
+
+import { DEFAULT_TIME_SIGNATURE, getPulseLength, isCompoundTimeSignature } from './timeSignature';
+
+// Divisions per quarter note: 16ths (3) and eighth-note triplets (4) are both whole numbers
+export const DIVISIONS = 12;
+
+// Plain note values in divisions, longest first
+const NOTE_VALUES = [
+  { duration: 48, type: 'whole' },
+  { duration: 36, type: 'half', dots: 1 },
+  { duration: 24, type: 'half' },
+  { duration: 18, type: 'quarter', dots: 1 },
+  { duration: 12, type: 'quarter' },
+  { duration: 9, type: 'eighth', dots: 1 },
+  { duration: 6, type: 'eighth' },
+  { duration: 3, type: '16th' },
+];
+
+// Triplet note values in divisions (three in the time of two)
+const TRIPLET_VALUES = [
+  { duration: 8, type: 'quarter', triplet: true },
+  { duration: 4, type: 'eighth', triplet: true },
+  { duration: 2, type: '16th', triplet: true },
+  { duration: 1, type: '32nd', triplet: true },
+];
+
+// Snap a time in beats to the nearer of the 16th and triplet grids, in divisions. Triplets are
+// counted from the start of each beat (the dotted beat in compound meters), so a jig triplet on
+// the second beat of 6/8 keeps its rhythm
+export const quantize = (beats, timeSignature = DEFAULT_TIME_SIGNATURE) => {
+  const pulse = getPulseLength(timeSignature);
+  const compound = isCompoundTimeSignature(timeSignature);
+  const beat = compound ? pulse * 3 : pulse;
+  // Three notes in the time of two pulses in compound meters, of one pulse (at most a quarter)
+  // otherwise
+  const tripletStep = (compound ? pulse * 2 : Math.min(pulse, 1)) / 3;
+  const beatStart = Math.floor(beats / beat + 1e-9) * beat;
+
+  const sixteenth = Math.round(beats * 4) / 4;
+  const triplet = beatStart + Math.round((beats - beatStart) / tripletStep) * tripletStep;
+  const snapped = Math.abs(sixteenth - beats) <= Math.abs(triplet - beats) ? sixteenth : triplet;
+  return Math.round(snapped * DIVISIONS);
+};
+
+// Split a duration in divisions into note values that can be tied together
+const splitDuration = total => {
+  const values = [];
+  let remaining = total;
+
+  while (remaining > 0) {
+    let value;
+    if (remaining % 3 === 0) {
+      value = NOTE_VALUES.find(v => v.duration <= remaining);
+    } else {
+      // Use one triplet value that leaves a remainder plain note values can fill
+      const fitting = TRIPLET_VALUES.filter(v => v.duration <= remaining);
+      value = fitting.find(v => (remaining - v.duration) % 3 === 0) || fitting[0];
+    }
+    values.push(value);
+    remaining -= value.duration;
+  }
+
+  return values;
+};
+
+/**
+ * Turn notes into a single voice of note groups, cutting notes off where the next group starts
+ * @param {Array} groups - Array of { pitches, start, end } with times in divisions
+ * @returns {Array} - Non-overlapping groups sorted by start
+ */
+export const toVoice = groups => {
+  const byStart = {};
+  groups.forEach(group => {
+    const existing = byStart[group.start];
+    if (existing) {
+      existing.pitches.push(...group.pitches);
+      existing.end = Math.max(existing.end, group.end);
+    } else {
+      byStart[group.start] = { ...group, pitches: [...group.pitches] };
+    }
+  });
+
+  const sorted = Object.values(byStart).sort((a, b) => a.start - b.start);
+  return sorted
+    .map((group, index) => ({
+      pitches: [...new Set(group.pitches)].sort((a, b) => a - b),
+      start: group.start,
+      end: index < sorted.length - 1 ? Math.min(group.end, sorted[index + 1].start) : group.end,
+    }))
+    .filter(group => group.end > group.start);
+};
+
+/**
+ * Lay a voice out in measures, splitting notes at barlines and into tied note values
+ * @param {Array} voice - Groups from toVoice
+ * @param {number} measureLength - Measure length in divisions
+ * @param {number} measureCount - Number of measures to fill
+ * @returns {Array} - Items ({ pitches, start, duration, value, tieStart, tieStop }) per measure
+ */
+export const layOutMeasures = (voice, measureLength, measureCount) => {
+  const measures = Array.from({ length: measureCount }, () => []);
+
+  const addSegment = (pitches, start, end) => {
+    const pieces = [];
+    let time = start;
+    while (time < end) {
+      const measureEnd = (Math.floor(time / measureLength) + 1) * measureLength;
+      const pieceEnd = Math.min(end, measureEnd);
+      splitDuration(pieceEnd - time).forEach(value => {
+        pieces.push({ pitches, start: time, duration: value.duration, value });
+        time += value.duration;
+      });
+    }
+
+    pieces.forEach((piece, index) => {
+      const isNote = pitches.length > 0;
+      measures[Math.floor(piece.start / measureLength)].push({
+        ...piece,
+        tieStop: isNote && index > 0,
+        tieStart: isNote && index < pieces.length - 1,
+      });
+    });
+  };
+
+  let time = 0;
+  voice.forEach(group => {
+    if (group.start > time) addSegment([], time, group.start);
+    addSegment(group.pitches, group.start, group.end);
+    time = group.end;
+  });
+  if (time < measureCount * measureLength) {
+    addSegment([], time, measureCount * measureLength);
+  }
+
+  // Empty measures get a single whole-measure rest
+  return measures.map((items, index) =>
+    items.every(item => item.pitches.length === 0)
+      ? [{ pitches: [], start: index * measureLength, duration: measureLength, measureRest: true }]
+      : items
+  );
+};
@@ -1,5 +1,8 @@
 // Rhythm patterns and arpeggios for melody generation
 
+import { DEFAULT_TIME_SIGNATURE, getBeatsPerBar } from './timeSignature';
+import { noteNameToMidi } from './pitch';
+
 // Rhythmic patterns (in beats)
 export const rhythmPatterns = {
   basic: [1, 1, 1, 1], // Quarter notes
@@ -77,6 +80,29 @@ export const generateMotif = (scale, length = 4) => {
   return motif;
 };
 
+// Turn played notes (a recording) into a motif: each note takes the nearest scale degree and
+// lasts until the next note starts
+export const createMotifFromNotes = (notes, scale) => {
+  const scaleMidi = scale.map(noteNameToMidi);
+  const sorted = [...notes].sort((a, b) => a.startTime - b.startTime);
+
+  return sorted.map((note, i) => {
+    const midi = noteNameToMidi(note.pitch);
+    const scaleIndex = scaleMidi.reduce(
+      (nearest, scaleNote, index) =>
+        Math.abs(scaleNote - midi) < Math.abs(scaleMidi[nearest] - midi) ? index : nearest,
+      0
+    );
+    const next = sorted[i + 1];
+
+    return {
+      scaleIndex,
+      duration:
+        next && next.startTime > note.startTime ? next.startTime - note.startTime : note.duration,
+    };
+  });
+};
+
 // Apply variations to a motif
 export const applyMotifVariation = (motif, scaleLength, variationType) => {
   switch (variationType) {
@@ -119,13 +145,19 @@ export const applyMotifVariation = (motif, scaleLength, variationType) => {
   }
 };
 
-// Generate arpeggios from chord progression
-export const generateArpeggios = (chordProgression, pattern, notesPerChord) => {
+// Generate arpeggios from chord progression (chord durations are in bars)
+export const generateArpeggios = (
+  chordProgression,
+  pattern,
+  notesPerChord,
+  timeSignature = DEFAULT_TIME_SIGNATURE
+) => {
   const notes = [];
   let currentTime = 0;
+  const beatsPerBar = getBeatsPerBar(timeSignature);
 
   chordProgression.forEach(chord => {
-    const chordDuration = chord.duration * 4; // 4 beats per bar
+    const chordDuration = chord.duration * beatsPerBar;
     const noteDuration = chordDuration / notesPerChord;
 
     const patternFn = arpeggioPatterns[pattern] || arpeggioPatterns.up;
@@ -0,0 +1,269 @@
+// Pitch names: reading spelled note names (Eb4, F##3, Cb5, A-1), turning them into MIDI note
+// numbers and spelling MIDI note numbers back out for a key
+
+// Semitones above C of each note letter
+export const STEP_SEMITONES = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+
+// Lowest and highest MIDI note numbers, C-1 and G9
+export const LOWEST_MIDI_NOTE = 0;
+export const HIGHEST_MIDI_NOTE = 127;
+
+// Letter, accidentals (up to two sharps or flats, 'x' for a double sharp) and optional octave
+const NOTE_NAME_PATTERN = /^([A-G])(#{1,2}|x|b{1,2})?(-?\d+)?$/;
+
+const ACCIDENTALS = { '': 0, '#': 1, '##': 2, x: 2, b: -1, bb: -2 };
+const ALTER_SIGNS = { '-2': 'bb', '-1': 'b', 0: '', 1: '#', 2: '##' };
+
+// Pitch class spellings as [step, alter] for sharp keys, flat keys and C major / A minor
+const SHARP_SPELLINGS = [
+  ['C', 0],
+  ['C', 1],
+  ['D', 0],
+  ['D', 1],
+  ['E', 0],
+  ['F', 0],
+  ['F', 1],
+  ['G', 0],
+  ['G', 1],
+  ['A', 0],
+  ['A', 1],
+  ['B', 0],
+];
+const FLAT_SPELLINGS = [
+  ['C', 0],
+  ['D', -1],
+  ['D', 0],
+  ['E', -1],
+  ['E', 0],
+  ['F', 0],
+  ['G', -1],
+  ['G', 0],
+  ['A', -1],
+  ['A', 0],
+  ['B', -1],
+  ['B', 0],
+];
+const NATURAL_KEY_SPELLINGS = [
+  ['C', 0],
+  ['C', 1],
+  ['D', 0],
+  ['E', -1],
+  ['E', 0],
+  ['F', 0],
+  ['F', 1],
+  ['G', 0],
+  ['A', -1],
+  ['A', 0],
+  ['B', -1],
+  ['B', 0],
+];
+
+// Letters in the order key signatures sharpen them; flats are added in the reverse order
+const SHARP_ORDER = ['F', 'C', 'G', 'D', 'A', 'E', 'B'];
+
+// Accidental a key signature puts on a letter
+const getKeyAlter = (step, fifths) => {
+  const index = SHARP_ORDER.indexOf(step);
+  if (fifths > 0) return index < fifths ? 1 : 0;
+  return index >= 7 + fifths ? -1 : 0;
+};
+
+// Position of each mode on the circle of fifths relative to the major key on the same tonic
+const MODE_FIFTHS = {
+  major: 0,
+  ionian: 0,
+  lydian: 1,
+  mixolydian: -1,
+  dorian: -2,
+  minor: -3,
+  aeolian: -3,
+  phrygian: -4,
+  locrian: -5,
+};
+
+/**
+ * Read a note name with or without an octave (e.g., 'Eb4', 'F##3', 'A-1', 'Cb')
+ * @param {string} noteName - Note name
+ * @returns {Object} - { step, alter, octave }, octave null when the name has none
+ * @throws {Error} - When the name cannot be read
+ */
+export const parseNoteName = noteName => {
+  const match = NOTE_NAME_PATTERN.exec(String(noteName).trim());
+  if (!match) {
+    throw new Error(`Invalid note name: ${noteName}`);
+  }
+
+  const [, step, accidentals = '', octave] = match;
+  return {
+    step,
+    alter: ACCIDENTALS[accidentals],
+    octave: octave === undefined ? null : parseInt(octave),
+  };
+};
+
+/**
+ * Write a note name from its parts, with '#' and 'b' accidentals
+ * @param {Object} pitch - { step, alter, octave }, the octave left off when null
+ * @returns {string} - Note name (e.g., 'Eb4')
+ */
+export const formatNoteName = ({ step, alter = 0, octave = null }) =>
+  `${step}${ALTER_SIGNS[alter]}${octave === null ? '' : octave}`;
+
+/**
+ * Convert a note name with any spelling (e.g., 'Eb4', 'D#4', 'Bbb3') to a MIDI number
+ * @param {string} noteName - Note name with octave
+ * @returns {number} - MIDI note number
+ * @throws {Error} - When the name cannot be read, has no octave or is outside the MIDI range
+ */
+export const noteNameToMidi = noteName => {
+  const { step, alter, octave } = parseNoteName(noteName);
+  if (octave === null) {
+    throw new Error(`Invalid note name: ${noteName}`);
+  }
+
+  const midi = STEP_SEMITONES[step] + alter + (octave + 1) * 12;
+  if (midi < LOWEST_MIDI_NOTE || midi > HIGHEST_MIDI_NOTE) {
+    throw new Error(`Note outside the MIDI range: ${noteName}`);
+  }
+  return midi;
+};
+
+/**
+ * Convert a note name to a MIDI number leniently, as every MIDI writer and live output does:
+ * names without an octave are read in octave 4, unreadable names as middle C and notes outside
+ * the MIDI range are clamped into it, each with a console warning
+ * @param {string} noteName - Note name (e.g., 'C4', 'Eb5')
+ * @returns {number} - MIDI note number
+ */
+export const noteNameToMidiClamped = noteName => {
+  let pitch;
+  try {
+    pitch = parseNoteName(noteName);
+  } catch {
+    console.error('Invalid note name:', noteName);
+    return 60; // Default to middle C (C4) if invalid
+  }
+
+  if (pitch.octave === null) {
+    console.warn('Note without octave:', noteName, '- defaulting to octave 4');
+  }
+
+  const midi = STEP_SEMITONES[pitch.step] + pitch.alter + ((pitch.octave ?? 4) + 1) * 12;
+  if (midi < LOWEST_MIDI_NOTE || midi > HIGHEST_MIDI_NOTE) {
+    console.error('MIDI note number out of range:', midi, 'for note:', noteName);
+    return Math.max(LOWEST_MIDI_NOTE, Math.min(HIGHEST_MIDI_NOTE, midi));
+  }
+  return midi;
+};
+
+/**
+ * Pitch class of a note name, with or without an octave
+ * @param {string} noteName - Note name (e.g., 'Eb', 'D#4')
+ * @returns {number} - 0 for C up to 11 for B
+ */
+export const getPitchClass = noteName => {
+  const { step, alter } = parseNoteName(noteName);
+  return (STEP_SEMITONES[step] + alter + 12) % 12;
+};
+
+/**
+ * A note name without its octave, as used for chord roots and key tonics
+ * @param {string} noteName - Note name (e.g., 'Bb3')
+ * @returns {string} - Note name without octave (e.g., 'Bb')
+ */
+export const stripOctave = noteName => String(noteName).replace(/-?\d+$/, '');
+
+/**
+ * Move a note name by whole octaves, keeping its spelling
+ * @param {string} noteName - Note name with octave
+ * @param {number} octaves - Octaves to move, negative for down
+ * @returns {string} - Note name
+ */
+export const transposeOctaves = (noteName, octaves) => {
+  const pitch = parseNoteName(noteName);
+  return formatNoteName({ ...pitch, octave: (pitch.octave ?? 4) + octaves });
+};
+
+/**
+ * Work out the key signature of a key or scale name
+ * @param {string} key - Key or scale name (e.g., 'Eb major', 'C# Minor', 'D Dorian')
+ * @returns {Object} - { fifths, mode }, C major when the key cannot be read
+ */
+export const getKeySignature = key => {
+  const [tonic, ...rest] = String(key || '')
+    .trim()
+    .split(/\s+/);
+  const match = /^([A-Ga-g])([#b]?)$/.exec(tonic || '');
+  if (!match) {
+    return { fifths: 0, mode: 'major' };
+  }
+
+  const modeName = rest.map(word => word.toLowerCase()).find(word => word in MODE_FIFTHS);
+  const mode = modeName || 'major';
+
+  // Sharps of the major key on this tonic, then pick the sharp or flat spelling of that key
+  const alter = { '#': 1, b: -1 }[match[2]] || 0;
+  const pitchClass = (STEP_SEMITONES[match[1].toUpperCase()] + alter + 12) % 12;
+  const sharps = (pitchClass * 7) % 12;
+  let fifths;
+  if (match[2] === '#') fifths = sharps;
+  else if (match[2] === 'b') fifths = sharps - 12;
+  else fifths = sharps > 6 ? sharps - 12 : sharps;
+
+  fifths += MODE_FIFTHS[mode];
+  if (fifths > 7) fifths -= 12;
+  if (fifths < -7) fifths += 12;
+
+  return { fifths, mode };
+};
+
+/**
+ * Spell a MIDI note for a key signature. Notes of the key are spelled as its scale degrees, on
+ * the letter the key signature gives them (Cb in Gb major, E# in F# major); other notes use
+ * flats in flat keys and sharps in sharp keys
+ * @param {number} midi - MIDI note number
+ * @param {number} fifths - Key signature (negative for flats)
+ * @returns {Object} - { step, alter, octave }
+ */
+export const spellPitch = (midi, fifths = 0) => {
+  const degree = SHARP_ORDER.map(step => spellPitchOnStep(midi, step)).find(
+    pitch => pitch && pitch.alter === getKeyAlter(pitch.step, fifths)
+  );
+  if (degree) return degree;
+
+  let spellings = NATURAL_KEY_SPELLINGS;
+  if (fifths > 0) spellings = SHARP_SPELLINGS;
+  if (fifths < 0) spellings = FLAT_SPELLINGS;
+
+  const [step, alter] = spellings[((midi % 12) + 12) % 12];
+  return { step, alter, octave: Math.floor(midi / 12) - 1 };
+};
+
+/**
+ * Spell a MIDI note on a given note letter, as scale degrees are (the seventh of D harmonic
+ * minor is C#, never Db)
+ * @param {number} midi - MIDI note number
+ * @param {string} step - Note letter
+ * @returns {Object|null} - { step, alter, octave }, null when it would take more than two
+ *   accidentals
+ */
+export const spellPitchOnStep = (midi, step) => {
+  // Nearest octave of the letter, then the accidentals that reach the note from it
+  const octave = Math.round((midi - STEP_SEMITONES[step]) / 12) - 1;
+  const alter = midi - (STEP_SEMITONES[step] + (octave + 1) * 12);
+  return Math.abs(alter) > 2 ? null : { step, alter, octave };
+};
+
+/**
+ * Convert a MIDI note number to a note name, spelled for a key when one is given
+ * @param {number} midi - MIDI note number
+ * @param {string} [key] - Key, scale or chord root name (e.g., 'Eb major', 'F'), sharps if omitted
+ * @returns {string} - Note name (e.g., 'D#4', or 'Eb4' in a flat key)
+ */
+export const midiToNoteName = (midi, key) => {
+  if (key === undefined) {
+    const [step, alter] = SHARP_SPELLINGS[((midi % 12) + 12) % 12];
+    return formatNoteName({ step, alter, octave: Math.floor(midi / 12) - 1 });
+  }
+  return formatNoteName(spellPitch(midi, getKeySignature(key).fifths));
+};
@@ -0,0 +1,26 @@
+// Playback context object and the instruments picked for playback. Kept apart from
+// PlaybackContext.jsx, which loads Tone.js, so exporters can read the picked instruments
+// without starting audio.
+import { createContext, useContext } from 'react';
+
+export const PlaybackContext = createContext();
+
+// Instruments played until another one is picked (ids from generalMidi.js)
+export const defaultInstruments = {
+  melodyInstrument: 'acoustic_grand_piano',
+  chordInstrument: 'acoustic_guitar_nylon',
+  bassInstrument: 'electric_bass_finger',
+};
+
+/**
+ * Hook to read the instruments picked for playback, so exports write the instruments that were
+ * heard. Outside a PlaybackProvider it gives the default instruments.
+ * @returns {Object} - { melodyInstrument, chordInstrument, bassInstrument }
+ */
+export const usePlaybackInstruments = () => {
+  const context = useContext(PlaybackContext);
+  if (!context) return defaultInstruments;
+
+  const { melodyInstrument, chordInstrument, bassInstrument } = context;
+  return { melodyInstrument, chordInstrument, bassInstrument };
+};
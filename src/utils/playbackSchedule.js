@@ -0,0 +1,79 @@
+// When each note of a composition sounds, in seconds from the start, and how loud each synth
+// plays. Live playback and the offline renderer both work from this, so a render sounds like
+// what was played.
+
+import { getBeatsPerBar } from './timeSignature';
+import { createBeatToSeconds } from './tempoMap';
+import { getTrackEndTime, isChordTrack } from './tracks';
+
+// Volume of the synth of each part, in dB
+export const synthVolumes = { melody: -6, chord: -8, bass: -4, default: -6 };
+
+// Volume of each drum kit voice, in dB
+export const drumVolumes = { kick: -4, toms: -8, snare: -12, hat: -24, cymbal: -22 };
+
+// Pitches used for the toms and the decay of each cymbal, by drum name from drums.gmDrumKit
+export const tomPitches = { highTom: 'G2', midTom: 'D2', lowTom: 'A1', lowFloorTom: 'F1' };
+export const cymbalDecays = {
+  closedHat: 0.05,
+  pedalHat: 0.05,
+  openHat: 0.4,
+  ride: 0.6,
+  crash: 1.5,
+};
+
+/**
+ * Notes of a track as played, chords sounding all their notes together
+ * @param {Object} track - Track
+ * @param {Function} toSeconds - (beats) => seconds, from createBeatToSeconds
+ * @param {number} [beatsPerBar] - Beats per bar, needed for chord tracks
+ * @returns {Array} - Array of { time, duration, pitch, velocity, drum } with times in seconds;
+ *   pitch is an array of pitches for chords
+ */
+export const scheduleTrack = (track, toSeconds, beatsPerBar) => {
+  if (isChordTrack(track)) {
+    return track.progression.map(chord => {
+      const chordStart = chord.position * beatsPerBar;
+      const time = toSeconds(chordStart);
+
+      return {
+        time,
+        duration: toSeconds(chordStart + chord.duration * beatsPerBar) - time,
+        pitch: chord.notes,
+        velocity: chord.velocity,
+      };
+    });
+  }
+
+  return (track.notes || []).map(note => {
+    const time = toSeconds(note.startTime);
+
+    return {
+      time,
+      duration: toSeconds(note.startTime + note.duration) - time,
+      pitch: note.pitch,
+      velocity: note.velocity,
+      drum: note.drum,
+    };
+  });
+};
+
+/**
+ * Playback schedule of a list of tracks
+ * @param {Array} tracks - Tracks
+ * @param {Object} options - Timing
+ * @param {number} [options.tempo] - Tempo in BPM used when there is no tempo map
+ * @param {Array} [options.tempoMap] - Tempo map segments
+ * @param {string} [options.timeSignature] - Time signature
+ * @returns {Object} - { parts: Array of { track, notes }, duration } with times in seconds
+ */
+export const createPlaybackSchedule = (tracks, { tempo = 120, tempoMap, timeSignature } = {}) => {
+  const beatsPerBar = getBeatsPerBar(timeSignature);
+  const toSeconds = createBeatToSeconds(tempoMap, tempo);
+  const endTime = Math.max(0, ...tracks.map(track => getTrackEndTime(track, beatsPerBar)));
+
+  return {
+    parts: tracks.map(track => ({ track, notes: scheduleTrack(track, toSeconds, beatsPerBar) })),
+    duration: toSeconds(endTime),
+  };
+};
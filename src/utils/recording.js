@@ -0,0 +1,183 @@
+// Recording melodies played on a MIDI keyboard or the computer keyboard. Notes are timed in beats
+// from the first bar after the count-in and turned into the same melody data the generator makes.
+
+import { midiToNoteName } from './pitch';
+import { getBeatsPerBar, getPulseLength, isCompoundTimeSignature } from './timeSignature';
+
+// Computer keys played as a piano: the middle row is the white keys from C, the row above the
+// black keys
+const QWERTY_SEMITONES = {
+  a: 0,
+  w: 1,
+  s: 2,
+  e: 3,
+  d: 4,
+  f: 5,
+  t: 6,
+  g: 7,
+  y: 8,
+  h: 9,
+  u: 10,
+  j: 11,
+  k: 12,
+  o: 13,
+  l: 14,
+  p: 15,
+  ';': 16,
+};
+
+// Keys that move the computer keyboard an octave down or up
+export const OCTAVE_DOWN_KEY = 'z';
+export const OCTAVE_UP_KEY = 'x';
+
+// Quantize grids in beats
+export const quantizeGrids = {
+  '1/4': 1,
+  '1/8': 0.5,
+  '1/16': 0.25,
+  '1/8 triplet': 1 / 3,
+};
+
+/**
+ * MIDI note number of a computer key
+ * @param {string} key - KeyboardEvent key
+ * @param {number} octave - Octave of the A key
+ * @returns {number|null} - MIDI note number, null for keys that play nothing
+ */
+export const qwertyKeyToMidi = (key, octave = 4) => {
+  const semitone = QWERTY_SEMITONES[String(key).toLowerCase()];
+  if (semitone === undefined) return null;
+
+  const midi = (octave + 1) * 12 + semitone;
+  return midi >= 0 && midi <= 127 ? midi : null;
+};
+
+/**
+ * Read a note-on or note-off from a MIDI message; a note-on with velocity 0 is a note-off
+ * @param {Array|Uint8Array} data - MIDI message bytes
+ * @returns {Object|null} - { type, channel, pitch, velocity } with velocity 0-1, null for other
+ *   messages
+ */
+export const parseNoteMessage = data => {
+  const [status, pitch, velocity = 0] = data;
+  const command = status & 0xf0;
+  const channel = status & 0x0f;
+
+  if (command === 0x90 && velocity > 0) {
+    return { type: 'noteOn', channel, pitch, velocity: velocity / 127 };
+  }
+  if (command === 0x80 || command === 0x90) {
+    return { type: 'noteOff', channel, pitch, velocity: 0 };
+  }
+  return null;
+};
+
+/**
+ * Metronome clicks, one per pulse (dotted quarters in compound time) with the downbeats accented
+ * @param {string} timeSignature - Time signature
+ * @param {number} bars - Number of bars
+ * @returns {Array} - Array of { time, accent } with times in beats
+ */
+export const getMetronomeClicks = (timeSignature, bars) => {
+  const beatsPerBar = getBeatsPerBar(timeSignature);
+  const pulseLength =
+    getPulseLength(timeSignature) * (isCompoundTimeSignature(timeSignature) ? 3 : 1);
+  const clicks = [];
+
+  for (let bar = 0; bar < bars; bar++) {
+    for (let pulse = 0; pulse * pulseLength < beatsPerBar - 1e-9; pulse++) {
+      clicks.push({ time: bar * beatsPerBar + pulse * pulseLength, accent: pulse === 0 });
+    }
+  }
+
+  return clicks;
+};
+
+/**
+ * Create a recorder that times note-ons and note-offs against a clock
+ * @param {Object} options - Recorder options
+ * @param {number} options.tempo - Tempo in BPM
+ * @param {number} options.startTime - Clock time of the first beat, in seconds
+ * @param {Function} options.now - Clock, returning seconds
+ * @param {string} [options.key] - Key or scale the notes are spelled in, sharps if omitted
+ * @returns {Object} - { noteOn(pitch, velocity), noteOff(pitch), stop() }; stop ends held notes
+ *   and returns the notes as { pitch, startTime, duration, velocity } with times in beats
+ */
+export const createRecorder = ({ tempo, startTime, now, key }) => {
+  const toBeats = time => ((time - startTime) * tempo) / 60;
+  const held = new Map();
+  const notes = [];
+
+  const noteOff = pitch => {
+    const note = held.get(pitch);
+    if (!note) return;
+
+    held.delete(pitch);
+    notes.push({ ...note, duration: toBeats(now()) - note.startTime });
+  };
+
+  return {
+    noteOn: (pitch, velocity = 0.8) => {
+      noteOff(pitch);
+      held.set(pitch, { pitch: midiToNoteName(pitch, key), startTime: toBeats(now()), velocity });
+    },
+    noteOff,
+    stop: () => {
+      [...held.keys()].forEach(noteOff);
+      return notes.sort((a, b) => a.startTime - b.startTime);
+    },
+  };
+};
+
+/**
+ * Snap note starts and ends to a grid, keeping every note at least one grid step long
+ * @param {Array} notes - Notes with times in beats
+ * @param {number} grid - Grid step in beats
+ * @returns {Array} - Quantized notes
+ */
+export const quantizeNotes = (notes, grid) =>
+  notes.map(note => {
+    const startTime = Math.round(note.startTime / grid) * grid;
+    const endTime = Math.round((note.startTime + note.duration) / grid) * grid;
+    return { ...note, startTime, duration: Math.max(grid, endTime - startTime) };
+  });
+
+/**
+ * Melody data for a recording, like the generator's: notes played during the count-in are
+ * moved to the first beat and notes are cut off at the end of the last bar
+ * @param {Array} notes - Recorded notes
+ * @param {Object} options - Recording settings
+ * @param {string} options.scale - Scale name
+ * @param {number} options.tempo - Tempo in BPM
+ * @param {string} options.timeSignature - Time signature
+ * @param {number} options.bars - Number of bars recorded
+ * @param {number} [options.quantize] - Quantize grid in beats, none when omitted
+ * @returns {Object} - Melody data
+ */
+export const createRecordedMelody = (notes, { scale, tempo, timeSignature, bars, quantize }) => {
+  const totalDuration = bars * getBeatsPerBar(timeSignature);
+
+  const recorded = (quantize ? quantizeNotes(notes, quantize) : notes)
+    .filter(note => note.startTime + note.duration > 0 && note.startTime < totalDuration)
+    .map(note => {
+      const startTime = Math.max(0, note.startTime);
+      const endTime = Math.min(totalDuration, note.startTime + note.duration);
+      return { ...note, startTime, duration: endTime - startTime };
+    });
+
+  return {
+    scale,
+    tempo,
+    timeSignature,
+    length: bars,
+    rhythmPattern: 'recorded',
+    contourType: 'recorded',
+    useMotif: false,
+    articulation: 'none',
+    dynamics: 'none',
+    humanize: false,
+    useSoundFont: false,
+    instrument: 'acoustic_grand_piano',
+    notes: recorded,
+  };
+};
@@ -1,5 +1,16 @@
 // Advanced scales and modes for melody and chord generation
 
+import {
+  STEP_SEMITONES,
+  formatNoteName,
+  getPitchClass,
+  midiToNoteName,
+  noteNameToMidi,
+  parseNoteName,
+  spellPitchOnStep,
+  stripOctave,
+} from './pitch';
+
 // Major modes
 export const majorModes = {
   'Ionian (Major)': [0, 2, 4, 5, 7, 9, 11], // Major scale
@@ -31,18 +42,18 @@ export const otherScales = {
 export const worldScales = {
   'Hungarian Minor': [0, 2, 3, 6, 7, 8, 11],
   'Double Harmonic': [0, 1, 4, 5, 7, 8, 11], // aka Byzantine
-  'Enigmatic': [0, 1, 4, 6, 8, 10, 11],
+  Enigmatic: [0, 1, 4, 6, 8, 10, 11],
   'Neapolitan Major': [0, 1, 3, 5, 7, 9, 11],
   'Neapolitan Minor': [0, 1, 3, 5, 7, 8, 11],
-  'Persian': [0, 1, 4, 5, 6, 8, 11],
-  'Arabian': [0, 2, 4, 5, 6, 8, 10],
-  'Japanese': [0, 1, 5, 7, 8], // Hirajoshi scale
-  'Egyptian': [0, 2, 5, 7, 10], // Similar to suspended pentatonic
-  'Indian': [0, 1, 4, 5, 7, 8, 10], // Phrygian dominant
-  'Gypsy': [0, 2, 3, 6, 7, 8, 10], // Hungarian Gypsy
-  'Spanish': [0, 1, 4, 5, 7, 8, 10], // Phrygian dominant (same as Indian)
-  'Jewish': [0, 1, 4, 5, 7, 8, 10], // Freygish (same as Phrygian dominant)
-  'Chinese': [0, 2, 4, 7, 9] // Major pentatonic
+  Persian: [0, 1, 4, 5, 6, 8, 11],
+  Arabian: [0, 2, 4, 5, 6, 8, 10],
+  Japanese: [0, 1, 5, 7, 8], // Hirajoshi scale
+  Egyptian: [0, 2, 5, 7, 10], // Similar to suspended pentatonic
+  Indian: [0, 1, 4, 5, 7, 8, 10], // Phrygian dominant
+  Gypsy: [0, 2, 3, 6, 7, 8, 10], // Hungarian Gypsy
+  Spanish: [0, 1, 4, 5, 7, 8, 10], // Phrygian dominant (same as Indian)
+  Jewish: [0, 1, 4, 5, 7, 8, 10], // Freygish (same as Phrygian dominant)
+  Chinese: [0, 2, 4, 7, 9], // Major pentatonic
 };
 
 // All scales combined
@@ -53,41 +64,36 @@ export const allScales = {
   ...worldScales,
 };
 
-// Generate a scale from intervals and root note
-export const generateScale = (rootNote, intervals) => {
-  const notes = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
-  const rootIndex = notes.indexOf(rootNote.slice(0, -1));
-  const octave = parseInt(rootNote.slice(-1));
-
-  return intervals.map(interval => {
-    const noteIndex = (rootIndex + interval) % 12;
-    const octaveShift = Math.floor((rootIndex + interval) / 12);
-    return `${notes[noteIndex]}${octave + octaveShift}`;
-  });
+// Generate a scale from intervals and root note, spelled for the key name when one is given
+// (e.g., 'D Dorian') and for the major key on the root otherwise
+export const generateScale = (rootNote, intervals, key = stripOctave(rootNote)) => {
+  const rootMidi = noteNameToMidi(rootNote);
+  return intervals.map(interval => midiToNoteName(rootMidi + interval, key));
 };
 
 // Generate all scales for a given root note
 export const generateScalesForRoot = rootNote => {
   const result = {};
+  const tonic = stripOctave(rootNote);
 
   // Generate major modes
   Object.entries(majorModes).forEach(([name, intervals]) => {
-    result[`${rootNote.slice(0, -1)} ${name}`] = generateScale(rootNote, intervals);
+    result[`${tonic} ${name}`] = generateScale(rootNote, intervals, `${tonic} ${name}`);
   });
 
   // Generate pentatonic scales
   Object.entries(pentatonicScales).forEach(([name, intervals]) => {
-    result[`${rootNote.slice(0, -1)} ${name}`] = generateScale(rootNote, intervals);
+    result[`${tonic} ${name}`] = generateScale(rootNote, intervals, `${tonic} ${name}`);
   });
 
   // Generate other scales
   Object.entries(otherScales).forEach(([name, intervals]) => {
-    result[`${rootNote.slice(0, -1)} ${name}`] = generateScale(rootNote, intervals);
+    result[`${tonic} ${name}`] = generateScale(rootNote, intervals, `${tonic} ${name}`);
   });
 
   // Generate world scales
   Object.entries(worldScales).forEach(([name, intervals]) => {
-    result[`${rootNote.slice(0, -1)} ${name}`] = generateScale(rootNote, intervals);
+    result[`${tonic} ${name}`] = generateScale(rootNote, intervals, `${tonic} ${name}`);
   });
 
   return result;
@@ -105,92 +111,95 @@ export const generateAllScales = () => {
   return allScales;
 };
 
-// Default scales for the application
-export const defaultScales = {
-  // Major scales
-  'C Major': ['C4', 'D4', 'E4', 'F4', 'G4', 'A4', 'B4', 'C5'],
-  'C# Major': ['C#4', 'D#4', 'F4', 'F#4', 'G#4', 'A#4', 'C5', 'C#5'],
-  'D Major': ['D4', 'E4', 'F#4', 'G4', 'A4', 'B4', 'C#5', 'D5'],
-  'Eb Major': ['Eb4', 'F4', 'G4', 'Ab4', 'Bb4', 'C5', 'D5', 'Eb5'],
-  'E Major': ['E4', 'F#4', 'G#4', 'A4', 'B4', 'C#5', 'D#5', 'E5'],
-  'F Major': ['F3', 'G3', 'A3', 'Bb3', 'C4', 'D4', 'E4', 'F4'],
-  'F# Major': ['F#3', 'G#3', 'A#3', 'B3', 'C#4', 'D#4', 'F4', 'F#4'],
-  'G Major': ['G3', 'A3', 'B3', 'C4', 'D4', 'E4', 'F#4', 'G4'],
-  'Ab Major': ['Ab3', 'Bb3', 'C4', 'Db4', 'Eb4', 'F4', 'G4', 'Ab4'],
-  'A Major': ['A3', 'B3', 'C#4', 'D4', 'E4', 'F#4', 'G#4', 'A4'],
-  'Bb Major': ['Bb3', 'C4', 'D4', 'Eb4', 'F4', 'G4', 'A4', 'Bb4'],
-  'B Major': ['B3', 'C#4', 'D#4', 'E4', 'F#4', 'G#4', 'A#4', 'B4'],
-
-  // Natural minor scales
-  'C Minor': ['C4', 'D4', 'Eb4', 'F4', 'G4', 'Ab4', 'Bb4', 'C5'],
-  'C# Minor': ['C#4', 'D#4', 'E4', 'F#4', 'G#4', 'A4', 'B4', 'C#5'],
-  'D Minor': ['D4', 'E4', 'F4', 'G4', 'A4', 'Bb4', 'C5', 'D5'],
-  'Eb Minor': ['Eb4', 'F4', 'Gb4', 'Ab4', 'Bb4', 'Cb5', 'Db5', 'Eb5'],
-  'E Minor': ['E4', 'F#4', 'G4', 'A4', 'B4', 'C5', 'D5', 'E5'],
-  'F Minor': ['F3', 'G3', 'Ab3', 'Bb3', 'C4', 'Db4', 'Eb4', 'F4'],
-  'F# Minor': ['F#3', 'G#3', 'A3', 'B3', 'C#4', 'D4', 'E4', 'F#4'],
-  'G Minor': ['G3', 'A3', 'Bb3', 'C4', 'D4', 'Eb4', 'F4', 'G4'],
-  'G# Minor': ['G#3', 'A#3', 'B3', 'C#4', 'D#4', 'E4', 'F#4', 'G#4'],
-  'A Minor': ['A3', 'B3', 'C4', 'D4', 'E4', 'F4', 'G4', 'A4'],
-  'Bb Minor': ['Bb3', 'C4', 'Db4', 'Eb4', 'F4', 'Gb4', 'Ab4', 'Bb4'],
-  'B Minor': ['B3', 'C#4', 'D4', 'E4', 'F#4', 'G4', 'A4', 'B4'],
-
-  // Modes
-  'C Dorian': ['C4', 'D4', 'Eb4', 'F4', 'G4', 'A4', 'Bb4', 'C5'],
-  'C Phrygian': ['C4', 'Db4', 'Eb4', 'F4', 'G4', 'Ab4', 'Bb4', 'C5'],
-  'C Lydian': ['C4', 'D4', 'E4', 'F#4', 'G4', 'A4', 'B4', 'C5'],
-  'C Mixolydian': ['C4', 'D4', 'E4', 'F4', 'G4', 'A4', 'Bb4', 'C5'],
-  'C Locrian': ['C4', 'Db4', 'Eb4', 'F4', 'Gb4', 'Ab4', 'Bb4', 'C5'],
-  'G Dorian': ['G3', 'A3', 'Bb3', 'C4', 'D4', 'E4', 'F4', 'G4'],
-  'D Mixolydian': ['D4', 'E4', 'F#4', 'G4', 'A4', 'B4', 'C5', 'D5'],
-  'A Phrygian': ['A3', 'Bb3', 'C4', 'D4', 'E4', 'F4', 'G4', 'A4'],
-  'E Lydian': ['E4', 'F#4', 'G#4', 'A#4', 'B4', 'C#5', 'D#5', 'E5'],
-
-  // Pentatonic scales
-  'C Major Pentatonic': ['C4', 'D4', 'E4', 'G4', 'A4', 'C5'],
-  'C Minor Pentatonic': ['C4', 'Eb4', 'F4', 'G4', 'Bb4', 'C5'],
-  'G Major Pentatonic': ['G3', 'A3', 'B3', 'D4', 'E4', 'G4'],
-  'G Minor Pentatonic': ['G3', 'Bb3', 'C4', 'D4', 'F4', 'G4'],
-  'D Major Pentatonic': ['D4', 'E4', 'F#4', 'A4', 'B4', 'D5'],
-  'A Minor Pentatonic': ['A3', 'C4', 'D4', 'E4', 'G4', 'A4'],
-  'E Minor Pentatonic': ['E4', 'G4', 'A4', 'B4', 'D5', 'E5'],
-
-  // Blues scales
-  'C Blues': ['C4', 'Eb4', 'F4', 'F#4', 'G4', 'Bb4', 'C5'],
-  'G Blues': ['G3', 'Bb3', 'C4', 'C#4', 'D4', 'F4', 'G4'],
-  'D Blues': ['D4', 'F4', 'G4', 'G#4', 'A4', 'C5', 'D5'],
-  'A Blues': ['A3', 'C4', 'D4', 'D#4', 'E4', 'G4', 'A4'],
-  'E Blues': ['E4', 'G4', 'A4', 'A#4', 'B4', 'D5', 'E5'],
-
-  // Harmonic and melodic minor
-  'C Harmonic Minor': ['C4', 'D4', 'Eb4', 'F4', 'G4', 'Ab4', 'B4', 'C5'],
-  'C Melodic Minor': ['C4', 'D4', 'Eb4', 'F4', 'G4', 'A4', 'B4', 'C5'],
-  'G Harmonic Minor': ['G3', 'A3', 'Bb3', 'C4', 'D4', 'Eb4', 'F#4', 'G4'],
-  'A Melodic Minor': ['A3', 'B3', 'C4', 'D4', 'E4', 'F#4', 'G#4', 'A4'],
-
-  // World and exotic scales
-  'C Hungarian Minor': ['C4', 'D4', 'Eb4', 'F#4', 'G4', 'Ab4', 'B4', 'C5'],
-  'C Double Harmonic': ['C4', 'Db4', 'E4', 'F4', 'G4', 'Ab4', 'B4', 'C5'],
-  'D Persian': ['D4', 'Eb4', 'F#4', 'G4', 'Ab4', 'Bb4', 'C#5', 'D5'],
-  'E Japanese': ['E4', 'F4', 'A4', 'B4', 'C5', 'E5'],
-  'G Egyptian': ['G3', 'A3', 'C4', 'D4', 'F4', 'G4'],
-  'A Spanish': ['A3', 'Bb3', 'C#4', 'D4', 'E4', 'F4', 'G4', 'A4'],
-  'C Whole Tone': ['C4', 'D4', 'E4', 'F#4', 'G#4', 'A#4', 'C5'],
-  'C Enigmatic': ['C4', 'Db4', 'E4', 'F#4', 'G#4', 'A#4', 'B4', 'C5'],
-  'C Diminished': ['C4', 'D4', 'Eb4', 'F4', 'Gb4', 'Ab4', 'A4', 'B4', 'C5'],
-  'C Chromatic': [
-    'C4',
-    'C#4',
-    'D4',
-    'D#4',
-    'E4',
-    'F4',
-    'F#4',
-    'G4',
-    'G#4',
-    'A4',
-    'A#4',
-    'B4',
-    'C5',
-  ],
+// Note letters in scale order
+const NOTE_LETTERS = ['C', 'D', 'E', 'F', 'G', 'A', 'B'];
+
+// Roots offered by the scale pickers, with the usual spelling of each black key
+export const scaleRoots = ['C', 'C#', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'Ab', 'A', 'Bb', 'B'];
+
+// Octave ranges a generated scale can span
+export const octaveRangeOptions = [1, 2];
+
+// Scale types by lower-case name. A type named with another name in brackets, like
+// 'Ionian (Major)', is found under both names and shown under the one in brackets
+const scaleTypes = new Map();
+Object.entries(allScales).forEach(([name, intervals]) => {
+  const [, mainName, otherName] = /^(.*?)(?: \((.*)\))?$/.exec(name);
+  const scaleType = { name: otherName || mainName, intervals };
+  [name, mainName, otherName].filter(Boolean).forEach(alias => {
+    scaleTypes.set(alias.toLowerCase(), scaleType);
+  });
+});
+
+// Names of the scale types, as shown in the scale pickers
+export const scaleTypeNames = [...new Set([...scaleTypes.values()].map(type => type.name))];
+
+/**
+ * Read a scale name into its tonic and scale type
+ * @param {string} scaleName - Tonic and scale type (e.g., 'F# Dorian', 'Bb minor', 'D Blues')
+ * @returns {Object} - { tonic, type, intervals } with type the scale type's shown name
+ * @throws {Error} - When the tonic cannot be read or the scale type is unknown
+ */
+export const parseScaleName = scaleName => {
+  const match = /^(\S+)\s+(.+)$/.exec(String(scaleName || '').trim());
+  const scaleType = match && scaleTypes.get(match[2].toLowerCase());
+  if (!scaleType) {
+    throw new Error(`Unknown scale: ${scaleName}`);
+  }
+
+  const tonic = match[1];
+  if (parseNoteName(tonic).octave !== null) {
+    throw new Error(`Unknown scale: ${scaleName}`);
+  }
+  return { tonic, type: scaleType.name, intervals: scaleType.intervals };
+};
+
+/**
+ * Whether a scale name can be generated
+ * @param {string} scaleName - Scale name
+ * @returns {boolean} - Whether getScale reads it
+ */
+export const isScaleName = scaleName => {
+  try {
+    parseScaleName(scaleName);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Notes of a scale over one or more octaves, ending on the tonic
+ * @param {string} scaleName - Tonic and scale type (e.g., 'F# Dorian')
+ * @param {Object} options - Options
+ * @param {number} [options.octaves] - Octaves the scale spans
+ * @param {number} [options.octave] - Octave of the lowest tonic. Tonics from F up start in
+ *   octave 3 and lower ones in octave 4, keeping one octave around middle C
+ * @returns {string[]} - Note names, spelled for the key
+ * @throws {Error} - When the scale name is unknown
+ */
+export const getScale = (scaleName, { octaves = 1, octave } = {}) => {
+  const { tonic, intervals } = parseScaleName(scaleName);
+  const rootOctave = octave ?? (getPitchClass(tonic) < STEP_SEMITONES.F ? 4 : 3);
+
+  const rootNote = `${tonic}${rootOctave}`;
+  const spanIntervals = [
+    ...Array.from({ length: octaves }, (_, index) =>
+      intervals.map(interval => interval + index * 12)
+    ).flat(),
+    octaves * 12,
+  ];
+
+  // Seven-note scales use each letter once, like the scales written out in notation
+  if (intervals.length === NOTE_LETTERS.length) {
+    const rootMidi = noteNameToMidi(rootNote);
+    const tonicLetter = NOTE_LETTERS.indexOf(tonic[0]);
+    const spelled = spanIntervals.map((interval, index) =>
+      spellPitchOnStep(rootMidi + interval, NOTE_LETTERS[(tonicLetter + index) % 7])
+    );
+    if (spelled.every(Boolean)) {
+      return spelled.map(formatNoteName);
+    }
+  }
+  return generateScale(rootNote, spanIntervals, scaleName);
 };
@@ -0,0 +1,91 @@
+// Stems export: one MIDI file per part, each with the tempo and time signature, plus a combined
+// file and a JSON manifest, zipped together for handing a composition to other producers
+
+import JSZip from 'jszip';
+import { createMIDIFile } from './simpleMidi';
+import { getBeatsPerBar } from './timeSignature';
+import { createExportTracks, getTrackNotes } from './tracks';
+
+/**
+ * File name of a track's stem, from its name ('Chords' -> 'chords.mid', 'Bass 2' -> 'bass-2.mid').
+ * Names already taken get a number.
+ * @param {Object} track - Track
+ * @param {Set} usedNames - File names already in the zip, updated with the returned name
+ * @returns {string} - File name
+ */
+export const getStemFileName = (track, usedNames = new Set()) => {
+  const base =
+    (track.name || track.role || 'track')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-|-$/g, '') || 'track';
+
+  let fileName = `${base}.mid`;
+  for (let count = 2; usedNames.has(fileName); count++) {
+    fileName = `${base}-${count}.mid`;
+  }
+  usedNames.add(fileName);
+  return fileName;
+};
+
+/**
+ * Create a zip with a MIDI file per track, a combined MIDI file and a manifest.json describing them
+ * @param {Object} melodyData - Melody data
+ * @param {Object} chordData - Chord progression data
+ * @param {Object} options - Export options, as for createMIDIFile
+ * @returns {Promise<Blob|Uint8Array>} - Zip data of the requested type
+ */
+export const createStemsZip = async (melodyData, chordData, options = {}) => {
+  const {
+    // Parts to write, built from the melody, chord and drum data when omitted (see tracks.js)
+    tracks = createExportTracks(melodyData, chordData, options),
+    timeSignature = melodyData?.timeSignature || chordData?.timeSignature || '4/4',
+    tempo = melodyData?.tempo || chordData?.tempo || 120,
+    key = melodyData?.scale || chordData?.key,
+    name = 'composition', // Base name of the combined file
+    zipType = 'blob', // JSZip output type
+  } = options;
+
+  const beatsPerBar = getBeatsPerBar(timeSignature);
+  const parts = tracks.filter(track => getTrackNotes(track, beatsPerBar).length > 0);
+  if (parts.length === 0) {
+    throw new Error('No tracks with notes to export');
+  }
+
+  const zip = new JSZip();
+  const fileOptions = { ...options, tracks: parts, timeSignature, tempo, key };
+  const combinedFile = `${name}.mid`;
+  const usedNames = new Set([combinedFile, 'manifest.json']);
+
+  // Each stem keeps the conductor track, so it lines up on its own in a DAW
+  const stems = parts.map(track => {
+    const file = getStemFileName(track, usedNames);
+    zip.file(file, createMIDIFile(melodyData, chordData, { ...fileOptions, tracks: [track] }));
+
+    return {
+      file,
+      name: track.name,
+      role: track.role,
+      channel: track.channel,
+      program: track.program,
+      bankMsb: track.bankMsb,
+      bankLsb: track.bankLsb,
+      instrument: track.instrument,
+      notes: getTrackNotes(track, beatsPerBar).length,
+    };
+  });
+
+  zip.file(combinedFile, createMIDIFile(melodyData, chordData, fileOptions));
+
+  const manifest = {
+    name,
+    tempo,
+    timeSignature,
+    key,
+    combined: combinedFile,
+    stems,
+  };
+  zip.file('manifest.json', JSON.stringify(manifest, null, 2));
+
+  return zip.generateAsync({ type: zipType });
+};
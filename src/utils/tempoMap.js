@@ -0,0 +1,194 @@
+/**
+ * Tempo maps.
+ *
+ * A tempo map is a list of segments ordered by start time (in beats):
+ *   { startTime, tempo, endTempo?, fermata? }
+ * A segment plays at `tempo` until the next segment starts. If it has an
+ * `endTempo` it changes linearly towards it instead (accelerando or ritardando).
+ *
+ * Ramps are turned into a series of tempo steps by getTempoEvents. Both the MIDI
+ * exporters and playback work from these steps, so the exported file and what we
+ * hear stay in sync.
+ */
+
+// Length of the tempo steps used to approximate a ramp, in beats
+export const RAMP_STEP = 0.25;
+
+// How far the tempo drops over a closing ritardando, and how much a fermata stretches time
+const RITARDANDO_FACTOR = 0.75;
+const FERMATA_FACTOR = 0.5;
+
+/**
+ * Turn a tempo map into a sorted list of segments starting at beat 0
+ * @param {Array} [tempoMap] - Tempo map segments
+ * @param {number} tempo - Tempo in BPM used when there is no map
+ * @returns {Array} - Normalized tempo map
+ */
+export const normalizeTempoMap = (tempoMap, tempo = 120) => {
+  if (!Array.isArray(tempoMap) || tempoMap.length === 0) {
+    return [{ startTime: 0, tempo }];
+  }
+
+  const segments = [...tempoMap].sort((a, b) => a.startTime - b.startTime);
+  segments.forEach(segment => {
+    if (!(segment.tempo > 0) || (segment.endTempo !== undefined && !(segment.endTempo > 0))) {
+      throw new Error(`Invalid tempo in tempo map at beat ${segment.startTime}`);
+    }
+  });
+
+  if (segments[0].startTime > 0) {
+    segments.unshift({ startTime: 0, tempo: segments[0].tempo });
+  }
+
+  return segments;
+};
+
+// Seconds spent in a linear ramp between two beats, measured from the ramp start
+const rampSeconds = (startTempo, endTempo, length, fromBeat, toBeat) => {
+  const tempoAt = beat => startTempo + ((endTempo - startTempo) * beat) / length;
+  const slope = (endTempo - startTempo) / length;
+  return (60 / slope) * Math.log(tempoAt(toBeat) / tempoAt(fromBeat));
+};
+
+/**
+ * Flatten a tempo map into stepped tempo changes, one per MIDI tempo meta event
+ * @param {Array} [tempoMap] - Tempo map segments
+ * @param {number} tempo - Tempo in BPM used when there is no map
+ * @returns {Array} - Array of { time, tempo } with time in beats
+ */
+export const getTempoEvents = (tempoMap, tempo = 120) => {
+  const segments = normalizeTempoMap(tempoMap, tempo);
+  const events = [];
+
+  const addEvent = (time, eventTempo) => {
+    const last = events[events.length - 1];
+    if (last && Math.abs(last.tempo - eventTempo) < 1e-6) return;
+    if (last && last.time === time) {
+      last.tempo = eventTempo;
+    } else {
+      events.push({ time, tempo: eventTempo });
+    }
+  };
+
+  segments.forEach((segment, index) => {
+    const next = segments[index + 1];
+    const isRamp = next && segment.endTempo !== undefined && segment.endTempo !== segment.tempo;
+
+    if (!isRamp) {
+      addEvent(segment.startTime, segment.tempo);
+      return;
+    }
+
+    // Each step plays at the tempo that takes exactly as long as the ramp over that step
+    const length = next.startTime - segment.startTime;
+    for (let offset = 0; offset < length; offset += RAMP_STEP) {
+      const stepEnd = Math.min(offset + RAMP_STEP, length);
+      const seconds = rampSeconds(segment.tempo, segment.endTempo, length, offset, stepEnd);
+      addEvent(segment.startTime + offset, (60 * (stepEnd - offset)) / seconds);
+    }
+  });
+
+  return events;
+};
+
+/**
+ * Create a function converting a position in beats to seconds
+ * @param {Array} [tempoMap] - Tempo map segments
+ * @param {number} tempo - Tempo in BPM used when there is no map
+ * @returns {Function} - (beats) => seconds
+ */
+export const createBeatToSeconds = (tempoMap, tempo = 120) => {
+  const events = getTempoEvents(tempoMap, tempo);
+
+  // Seconds elapsed at the start of every tempo event
+  const offsets = [0];
+  for (let i = 1; i < events.length; i++) {
+    const previous = events[i - 1];
+    offsets.push(offsets[i - 1] + ((events[i].time - previous.time) * 60) / previous.tempo);
+  }
+
+  return beats => {
+    let index = events.length - 1;
+    while (index > 0 && events[index].time > beats) index--;
+    return offsets[index] + ((beats - events[index].time) * 60) / events[index].tempo;
+  };
+};
+
+/**
+ * Get the tempo in effect at a position
+ * @param {Array} [tempoMap] - Tempo map segments
+ * @param {number} beats - Position in beats
+ * @param {number} tempo - Tempo in BPM used when there is no map
+ * @returns {number} - Tempo in BPM
+ */
+export const getTempoAt = (tempoMap, beats, tempo = 120) => {
+  const events = getTempoEvents(tempoMap, tempo);
+  const event = [...events].reverse().find(e => e.time <= beats) || events[0];
+  return event.tempo;
+};
+
+/**
+ * Build a tempo map for a generated composition
+ * @param {Object} options - Tempo options
+ * @param {number} options.tempo - Base tempo in BPM
+ * @param {number} options.totalBeats - Length of the composition in beats
+ * @param {number} options.beatsPerBar - Beats per bar
+ * @param {Array} options.sections - Array of { startTime, tempo } for each section
+ * @param {string} options.transition - 'step' or 'ramp' (accelerando/ritardando over the bar
+ *   before a section change)
+ * @param {string} options.ending - 'none', 'ritardando', 'fermata' or 'ritardando-fermata'
+ * @param {number} [options.lastOnset] - Beat where the final note or chord starts; the fermata
+ *   holds from here (defaults to the start of the final bar)
+ * @returns {Array} - Tempo map segments
+ */
+export const buildTempoMap = ({
+  tempo,
+  totalBeats,
+  beatsPerBar = 4,
+  sections = [],
+  transition = 'step',
+  ending = 'none',
+  lastOnset = totalBeats - beatsPerBar,
+}) => {
+  const tempoMap = [{ startTime: 0, tempo: sections[0]?.tempo || tempo }];
+
+  sections.slice(1).forEach(section => {
+    const previous = tempoMap[tempoMap.length - 1];
+    if (section.tempo === previous.tempo) return;
+
+    const rampStart = Math.max(previous.startTime, section.startTime - beatsPerBar);
+    if (transition === 'ramp' && rampStart < section.startTime) {
+      tempoMap.push({ startTime: rampStart, tempo: previous.tempo, endTempo: section.tempo });
+    }
+    tempoMap.push({ startTime: section.startTime, tempo: section.tempo });
+  });
+
+  const useFermata = ending === 'fermata' || ending === 'ritardando-fermata';
+  const useRitardando = ending === 'ritardando' || ending === 'ritardando-fermata';
+  const lastStart = tempoMap[tempoMap.length - 1].startTime;
+  // The fermata only holds the final note or chord, so the rest of the last bar keeps its tempo
+  const fermataStart = useFermata ? Math.max(lastStart, lastOnset) : totalBeats;
+  let finalTempo = tempoMap[tempoMap.length - 1].tempo;
+
+  if (useRitardando) {
+    const ritardandoStart = Math.max(lastStart, fermataStart - 2 * beatsPerBar);
+    if (ritardandoStart < fermataStart) {
+      const endTempo = finalTempo * RITARDANDO_FACTOR;
+      tempoMap.push({ startTime: ritardandoStart, tempo: finalTempo, endTempo });
+      finalTempo = endTempo;
+      if (!useFermata) {
+        tempoMap.push({ startTime: totalBeats, tempo: finalTempo });
+      }
+    }
+  }
+
+  if (useFermata) {
+    tempoMap.push({ startTime: fermataStart, tempo: finalTempo * FERMATA_FACTOR, fermata: true });
+  }
+
+  // Keep only the last segment when several start on the same beat
+  return tempoMap.filter(
+    (segment, index) =>
+      index === tempoMap.length - 1 || tempoMap[index + 1].startTime !== segment.startTime
+  );
+};
@@ -0,0 +1,106 @@
+/**
+ * Time signature helpers.
+ *
+ * Note start times and durations are measured in quarter-note beats and chord
+ * positions in bars, so every conversion between the two goes through
+ * getBeatsPerBar instead of assuming four beats per bar.
+ */
+
+export const DEFAULT_TIME_SIGNATURE = '4/4';
+
+export const timeSignatureOptions = ['4/4', '3/4', '2/4', '5/4', '6/8', '7/8', '9/8', '12/8'];
+
+/**
+ * Parse a time signature
+ * @param {string|Object} [timeSignature] - Time signature (e.g., '6/8' or { numerator, denominator }), 4/4 when omitted
+ * @returns {Object} - { numerator, denominator }
+ */
+export const parseTimeSignature = (timeSignature = DEFAULT_TIME_SIGNATURE) => {
+  let numerator;
+  let denominator;
+
+  // Data saved before time signatures existed has no setting and is in 4/4
+  if (timeSignature === null || timeSignature === '') {
+    return parseTimeSignature(DEFAULT_TIME_SIGNATURE);
+  }
+
+  if (typeof timeSignature === 'string') {
+    const match = timeSignature.trim().match(/^(\d+)\s*\/\s*(\d+)$/);
+    if (match) {
+      numerator = parseInt(match[1]);
+      denominator = parseInt(match[2]);
+    }
+  } else if (timeSignature && typeof timeSignature === 'object') {
+    ({ numerator, denominator } = timeSignature);
+  }
+
+  // The denominator has to be a power of two to be written as a MIDI meta event
+  if (
+    !Number.isInteger(numerator) ||
+    !Number.isInteger(denominator) ||
+    numerator < 1 ||
+    numerator > 255 ||
+    denominator < 1 ||
+    (denominator & (denominator - 1)) !== 0
+  ) {
+    throw new Error(`Invalid time signature: ${JSON.stringify(timeSignature)}`);
+  }
+
+  return { numerator, denominator };
+};
+
+/**
+ * Format a time signature as a string
+ * @param {string|Object} timeSignature - Time signature
+ * @returns {string} - Time signature string (e.g., '6/8')
+ */
+export const formatTimeSignature = timeSignature => {
+  const { numerator, denominator } = parseTimeSignature(timeSignature);
+  return `${numerator}/${denominator}`;
+};
+
+/**
+ * Length of one bar in quarter-note beats (e.g., 3 for 3/4 and 6/8, 3.5 for 7/8)
+ * @param {string|Object} timeSignature - Time signature
+ * @returns {number} - Beats per bar
+ */
+export const getBeatsPerBar = timeSignature => {
+  const { numerator, denominator } = parseTimeSignature(timeSignature);
+  return (numerator * 4) / denominator;
+};
+
+/**
+ * Length of one counted pulse (the denominator note value) in quarter-note beats
+ * @param {string|Object} timeSignature - Time signature
+ * @returns {number} - Pulse length in beats (1 for x/4, 0.5 for x/8)
+ */
+export const getPulseLength = timeSignature => {
+  const { denominator } = parseTimeSignature(timeSignature);
+  return 4 / denominator;
+};
+
+/**
+ * Whether the time signature is compound (6/8, 9/8, 12/8), i.e. felt in dotted beats
+ * @param {string|Object} timeSignature - Time signature
+ * @returns {boolean} - True for compound meters
+ */
+export const isCompoundTimeSignature = timeSignature => {
+  const { numerator, denominator } = parseTimeSignature(timeSignature);
+  return denominator >= 8 && numerator > 3 && numerator % 3 === 0;
+};
+
+/**
+ * Data bytes of the 0xFF 0x58 time signature meta event
+ * @param {string|Object} timeSignature - Time signature
+ * @returns {number[]} - [numerator, log2(denominator), MIDI clocks per click, 32nds per quarter]
+ */
+export const getTimeSignatureMetaData = timeSignature => {
+  const { numerator, denominator } = parseTimeSignature(timeSignature);
+  const denominatorPower = Math.log2(denominator);
+  // The metronome clicks on every pulse, or on every three pulses (the dotted beat) in compound
+  // meters
+  const pulseClocks = (24 * 4) / denominator;
+  const clocksPerClick = isCompoundTimeSignature(timeSignature) ? pulseClocks * 3 : pulseClocks;
+
+  return [numerator, denominatorPower, Math.round(clocksPerClick), 8];
+};
@@ -1,5 +1,7 @@
 import * as Tonal from 'tonal';
-import { Scale, Chord, Note, Key, Progression } from 'tonal';
+import { Scale, Note, Key, Progression } from 'tonal';
+import { parseNoteName, stripOctave } from './pitch';
+import { readChord, spellChord } from './chordSymbols';
 
 export const getScaleNotes = (scaleName, octave = 4) => {
   // Parse the scale name to get the tonic and scale type
@@ -21,22 +23,8 @@ export const getScaleTypes = () => Scale.names();
 export const getKeys = () => Key.names();
 
 export const getChordNotes = (chordSymbol, octave = 4) => {
-  if (!chordSymbol || chordSymbol.trim() === '') {
-    return ['C4', 'E4', 'G4'];
-  }
-
-  const chord = Chord.get(chordSymbol);
-
-  if (!chord || !chord.notes || chord.notes.length === 0) {
-    return ['C4', 'E4', 'G4'];
-  }
-
-  const result = chord.notes.map((note, index) => {
-    const noteOctave = octave + Math.floor(index / 7);
-    return `${note}${noteOctave}`;
-  });
-
-  return result;
+  const chord = chordSymbol ? readChord({ symbol: chordSymbol }) : null;
+  return chord ? spellChord(chord, octave) : ['C4', 'E4', 'G4'];
 };
 
 export const getChordFromDegree = (key, degree) => Progression.fromRomanNumerals(key, [degree])[0];
@@ -159,19 +147,15 @@ export const generateChordProgression = (key, progression, extended = false) =>
     // Get the notes for this chord
     const notes = getChordNotes(finalSymbol);
 
-    // Extract root note (first letter possibly followed by # or b)
-    const rootMatch = finalSymbol.match(/^[A-G][#b]?/);
-    const root = rootMatch ? rootMatch[0] : finalSymbol.substring(0, 1);
-
-    // Extract chord type
-    const type = finalSymbol.replace(/^[A-G][#b]?/, '');
+    // Root and chord type as written in the symbol
+    const chord = readChord({ symbol: finalSymbol });
 
     return {
       symbol: finalSymbol,
       degree: progression[index],
       notes,
-      root,
-      type: type || 'maj', // Default to 'maj' if type is empty
+      root: chord ? chord.root : finalSymbol.substring(0, 1),
+      type: chord?.suffix || 'maj', // Default to 'maj' if type is empty
     };
   });
 };
@@ -184,8 +168,8 @@ export const generateChordProgression = (key, progression, extended = false) =>
  */
 export const transposeNote = (note, semitones) => {
   // Split note name and octave
-  const noteName = note.slice(0, -1);
-  const octave = parseInt(note.slice(-1));
+  const noteName = stripOctave(note);
+  const { octave } = parseNoteName(note);
 
   // Transpose using Tonal.js
   const transposed = Note.transpose(noteName, Tonal.Interval.fromSemitones(semitones));
@@ -203,8 +187,8 @@ export const transposeNote = (note, semitones) => {
  * @returns {Object} - Note properties including midi number, frequency, etc.
  */
 export const getNoteProperties = note => {
-  const noteName = note.slice(0, -1);
-  const octave = parseInt(note.slice(-1));
+  const noteName = stripOctave(note);
+  const { octave } = parseNoteName(note);
 
   const noteObj = Note.get(noteName);
   const midi = noteObj.midi + (octave - 4) * 12;
@@ -0,0 +1,317 @@
+// Track-list model of a composition: any number of parts, each with a name, role, MIDI channel,
+// program and either notes or a chord progression
+//
+// A track looks like
+//   { id, name, role, channel, program, bankMsb, bankLsb, instrument, notes }        single notes
+//   { id, name, role, channel, program, bankMsb, bankLsb, instrument, progression }  chords
+// with note times in beats and chord positions and durations in bars, as in the generators.
+// The instrument is an id from the General MIDI table in generalMidi.js.
+
+import { readChord } from './chordSymbols';
+import { DRUM_CHANNEL } from './drums';
+import { stripOctave } from './pitch';
+import { getBeatsPerBar } from './timeSignature';
+import { GM2_PERCUSSION_BANK, getInstrument, getInstrumentByProgram } from './generalMidi';
+
+// Defaults for each role. Chord roles play a progression, the others play notes. The program
+// and bank of pitched roles come from their instrument.
+export const trackRoles = {
+  melody: { name: 'Melody', instrument: 'acoustic_grand_piano' },
+  counterMelody: { name: 'Counter-melody', instrument: 'flute' },
+  chord: { name: 'Chords', instrument: 'acoustic_guitar_nylon', chords: true },
+  pad: { name: 'Pad', instrument: 'pad_2_warm', chords: true },
+  bass: { name: 'Bass', instrument: 'electric_bass_finger' },
+  drums: { name: 'Drums', program: 0, channel: DRUM_CHANNEL },
+};
+
+// Velocities used where the data has none (0-1, matching 80 and 100 in MIDI)
+const CHORD_VELOCITY = 80 / 127;
+const BASS_VELOCITY = 100 / 127;
+
+/**
+ * Whether a track plays a chord progression rather than single notes
+ * @param {Object} track - Track
+ * @returns {boolean}
+ */
+export const isChordTrack = track => Array.isArray(track.progression);
+
+/**
+ * First MIDI channel not used by the given tracks, skipping the drum channel
+ * @param {Array} tracks - Existing tracks
+ * @returns {number} - MIDI channel, 0 when all 15 pitched channels are taken
+ */
+export const getFreeChannel = tracks => {
+  const used = new Set(tracks.map(track => track.channel));
+  for (let channel = 0; channel < 16; channel++) {
+    if (channel !== DRUM_CHANNEL && !used.has(channel)) return channel;
+  }
+  return 0;
+};
+
+/**
+ * Program, bank and instrument of a track. A program or instrument that was given wins over the
+ * role default and sets the other from the General MIDI table. Pitched tracks only get a bank for
+ * GM2 variations or a bank that was given; drums use the GM2 percussion bank.
+ * @param {Object} fields - Track fields
+ * @param {Object} defaults - Defaults of the track role
+ * @returns {Object} - { program, bankMsb, bankLsb, instrument }
+ */
+const getTrackSound = (fields, defaults) => {
+  if (fields.role === 'drums') {
+    return {
+      program: fields.program ?? defaults.program,
+      bankMsb: fields.bankMsb ?? GM2_PERCUSSION_BANK,
+      bankLsb: fields.bankLsb ?? 0,
+      instrument: fields.instrument,
+    };
+  }
+
+  const sound =
+    fields.instrument === undefined && fields.program !== undefined
+      ? getInstrumentByProgram(fields.program, fields.bankMsb, fields.bankLsb)
+      : getInstrument(fields.instrument ?? defaults.instrument);
+
+  // Bank select is left out for GM1 sounds, which GM1-only synths would take as a missing bank
+  const isVariation = sound?.bankLsb > 0;
+  return {
+    program: fields.program ?? sound?.program ?? 0,
+    bankMsb: fields.bankMsb ?? (isVariation ? sound.bankMsb : undefined),
+    bankLsb: fields.bankLsb ?? (isVariation ? sound.bankLsb : undefined),
+    instrument: fields.instrument ?? sound?.id,
+  };
+};
+
+/**
+ * Create a track, filling in the name, channel, program and instrument of its role
+ * @param {Object} fields - Track fields, at least a role
+ * @param {Array} existingTracks - Tracks already in the composition, used to pick a free channel
+ * @returns {Object} - Track
+ * @throws {Error} - When the role is unknown
+ */
+export const createTrack = (fields, existingTracks = []) => {
+  const { role = 'melody' } = fields;
+  const defaults = trackRoles[role];
+  if (!defaults) {
+    throw new Error(`Unknown track role: ${role}`);
+  }
+
+  const { program, bankMsb, bankLsb, instrument } = getTrackSound(fields, defaults);
+  const sameRole = existingTracks.filter(track => track.role === role).length;
+  const track = {
+    id: `${role}-${sameRole + 1}`,
+    name: sameRole > 0 ? `${defaults.name} ${sameRole + 1}` : defaults.name,
+    channel: defaults.channel ?? getFreeChannel(existingTracks),
+    ...fields,
+    role,
+    program,
+    bankMsb,
+    bankLsb,
+    instrument,
+  };
+
+  if (defaults.chords) {
+    return { ...track, progression: fields.progression || [] };
+  }
+  return { ...track, notes: fields.notes || [] };
+};
+
+/**
+ * Tracks of a composition. Compositions saved before the track list existed only have the
+ * melody, chord, bass and drums fields, so tracks are built from those.
+ * @param {Object} composition - Composition data
+ * @returns {Array} - Tracks
+ */
+export const getCompositionTracks = composition => {
+  if (!composition) return [];
+  if (Array.isArray(composition.tracks)) return composition.tracks;
+
+  const parts = [
+    composition.melody?.notes?.length > 0 && {
+      role: 'melody',
+      channel: 0,
+      instrument: composition.melody.instrument,
+      notes: composition.melody.notes,
+    },
+    composition.chord?.progression?.length > 0 && {
+      role: 'chord',
+      channel: 1,
+      instrument: composition.chord.instrument,
+      progression: composition.chord.progression,
+    },
+    composition.bass?.notes?.length > 0 && {
+      role: 'bass',
+      channel: 2,
+      instrument: composition.bass.instrument,
+      notes: composition.bass.notes,
+    },
+    composition.drums?.notes?.length > 0 && { role: 'drums', notes: composition.drums.notes },
+  ].filter(Boolean);
+
+  return parts.reduce(
+    (tracks, part) => [
+      ...tracks,
+      createTrack(
+        Object.fromEntries(Object.entries(part).filter(([, value]) => value !== undefined)),
+        tracks
+      ),
+    ],
+    []
+  );
+};
+
+// Track fields of an instrument export option, given as an instrument id or a program number
+const instrumentOption = value =>
+  typeof value === 'string' ? { instrument: value } : { program: value };
+
+/**
+ * Tracks for the single-part exporters' arguments: melody data, chord data, bass data (the chord
+ * basses when omitted) and drum data, honouring the include, channel and instrument options
+ * @param {Object} melodyData - Melody data
+ * @param {Object} chordData - Chord progression data
+ * @param {Object} options - Export options
+ * @returns {Array} - Tracks
+ */
+export const createExportTracks = (melodyData, chordData, options = {}) => {
+  const {
+    includeMelody = true,
+    includeChords = true,
+    includeBass = true,
+    includeDrums = true,
+    melodyChannel = 0,
+    chordChannel = 1,
+    bassChannel = 2,
+    drumChannel = DRUM_CHANNEL,
+    // Instrument ids from generalMidi.js, or General MIDI program numbers
+    melodyInstrument = 0, // Piano
+    chordInstrument = 4, // Electric Piano
+    bassInstrument = 32, // Acoustic Bass
+    bassData = null, // Bass notes from a composition, the chord basses are used when omitted
+    drumData = null,
+    timeSignature = melodyData?.timeSignature || chordData?.timeSignature,
+  } = options;
+
+  const beatsPerBar = getBeatsPerBar(timeSignature);
+  const progression = chordData?.progression || [];
+  const tracks = [];
+
+  if (includeMelody && melodyData?.notes?.length > 0) {
+    tracks.push(
+      createTrack({
+        role: 'melody',
+        channel: melodyChannel,
+        ...instrumentOption(melodyInstrument),
+        notes: melodyData.notes,
+        expressionEvents: melodyData.expressionEvents,
+      })
+    );
+  }
+
+  if (includeChords && progression.length > 0) {
+    tracks.push(
+      createTrack({
+        role: 'chord',
+        channel: chordChannel,
+        ...instrumentOption(chordInstrument),
+        progression,
+        expressionEvents: chordData.expressionEvents,
+      })
+    );
+  }
+
+  // Bass notes (the bass of each chord in octave 2, the slash bass of chords like G7b9/B) unless
+  // the composition has its own
+  const bassNotes =
+    bassData?.notes?.length > 0
+      ? bassData.notes
+      : progression.map(chord => ({
+          pitch: `${stripOctave(readChord(chord)?.bass ?? chord.root)}2`,
+          startTime: chord.position * beatsPerBar,
+          duration: chord.duration * beatsPerBar,
+          velocity: BASS_VELOCITY,
+        }));
+  if (includeBass && bassNotes.length > 0) {
+    tracks.push(
+      createTrack({
+        role: 'bass',
+        channel: bassChannel,
+        ...instrumentOption(bassInstrument),
+        notes: bassNotes,
+      })
+    );
+  }
+
+  if (includeDrums && drumData?.notes?.length > 0) {
+    tracks.push(createTrack({ role: 'drums', channel: drumChannel, notes: drumData.notes }));
+  }
+
+  return tracks;
+};
+
+// Export option that switches each role on or off, and the instrument option of its first track
+const roleExportOptions = {
+  melody: { include: 'includeMelody', instrument: 'melodyInstrument' },
+  counterMelody: { include: 'includeMelody' },
+  chord: { include: 'includeChords', instrument: 'chordInstrument' },
+  pad: { include: 'includeChords' },
+  bass: { include: 'includeBass', instrument: 'bassInstrument' },
+  drums: { include: 'includeDrums' },
+};
+
+/**
+ * Apply the export dialog's include and instrument options to a composition's tracks.
+ * Counter-melodies follow the melody switch and pads the chord switch; the instrument options
+ * only replace the instrument of the first track of the melody, chord and bass roles.
+ * @param {Array} tracks - Tracks
+ * @param {Object} options - Export options
+ * @returns {Array} - Tracks to export
+ */
+export const applyExportOptions = (tracks, options = {}) =>
+  tracks
+    .filter(track => options[roleExportOptions[track.role]?.include] !== false)
+    .map(track => {
+      const optionName = roleExportOptions[track.role]?.instrument;
+      const isFirstOfRole = tracks.find(other => other.role === track.role) === track;
+      if (!optionName || !isFirstOfRole || options[optionName] === undefined) {
+        return track;
+      }
+      return {
+        ...track,
+        ...getTrackSound(
+          { role: track.role, ...instrumentOption(options[optionName]) },
+          trackRoles[track.role]
+        ),
+      };
+    });
+
+/**
+ * Notes of a track with times in beats, chord progressions spread into one note per chord tone
+ * @param {Object} track - Track
+ * @param {number} beatsPerBar - Beats per bar
+ * @returns {Array} - Array of { pitch, startTime, duration, velocity }
+ */
+export const getTrackNotes = (track, beatsPerBar) => {
+  if (isChordTrack(track)) {
+    return track.progression.flatMap(chord =>
+      (chord.notes || []).map(pitch => ({
+        pitch,
+        startTime: chord.position * beatsPerBar,
+        duration: chord.duration * beatsPerBar,
+        velocity: chord.velocity ?? CHORD_VELOCITY,
+      }))
+    );
+  }
+
+  return track.notes || [];
+};
+
+/**
+ * End of the last note of a track
+ * @param {Object} track - Track
+ * @param {number} beatsPerBar - Beats per bar
+ * @returns {number} - End time in beats
+ */
+export const getTrackEndTime = (track, beatsPerBar) =>
+  getTrackNotes(track, beatsPerBar).reduce(
+    (latest, note) => Math.max(latest, note.startTime + note.duration),
+    0
+  );